@@ -14,12 +14,44 @@ const imageryLayers = new Map();
 
 // 3D Tileset管理
 const tilesets = new Map();
+const tilesetAdjustments = new Map(); // TilesetID → 最後に適用した位置調整パラメータ
+const tilesetOrigins = new Map(); // TilesetID → 位置調整前の中心（Cartesian3）
 let googleTileset = null;  // Google Photorealistic 3D Tiles参照
+const tilesetFootprints = new Map(); // TilesetID → フットプリントの頂点（位置調整前の座標）
+const tilesetOpacities = new Map(); // TilesetID → 不透明度
+
+// 点群スタイル（位置調整や不透明度の変更時に作り直すため設定を保持する）
+const pointCloudStyles = new Map(); // TilesetID → {pointSize, colorMode, colorRamp, minHeight, ...}
+const pointCloudStyleTimers = new Map(); // TilesetID → 作り直し待ちのタイマー
+const POINT_CLOUD_STYLE_UPDATE_DELAY = 200; // 位置調整に追従してスタイルを作り直すまでの待ち時間（ミリ秒）
+
+// Google 3D Tilesのマスク（インポートTilesetのフットプリントや多角形の範囲だけ非表示にする）
+// buffer: マスクの範囲を外側に広げる距離の既定値（メートル）
+const googleTilesetMaskSettings = {
+  buffer: 2.0,
+};
+const googleTilesetMasks = new Map(); // マスクID → {id, tilesetId, polygon, buffer}
+const googleTilesetHiddenBy = new Set(); // 'hide'モードでGoogle 3D Tilesを非表示にしているTilesetID
+let googleTilesetMaskTimer = null;
+const GOOGLE_TILESET_MASK_UPDATE_DELAY = 200; // 位置調整に追従してマスクを作り直すまでの待ち時間（ミリ秒）
+
+// 既知点合わせ（Tilesetの点と背景地図・地形上の対応点から位置合わせ）
+// fixScale: スケールを1に固定 / headingOnly: 回転を鉛直軸まわりのみに限定（2点から解ける）
+const controlPointSettings = {
+  fixScale: false,
+  headingOnly: false,
+};
+let controlPointAlignment = null; // {tilesetId, pairs: [{source, target}], pendingSource, solution, entities}
 
 // 計測管理
 const measurementEntities = new Map();
-let measurementMode = null; // 'distance', 'area', 'height'
+const measurementAuxEntities = new Map(); // 補助表示（角度の円弧、辺長ラベルなど）
+const measurementData = new Map(); // 計測ID → 表示中の計測データ
+let measurementMode = null; // 'distance', 'area', 'height', 'angle', 'profile', 'volume', 'lineOfSight'
 let measurementPoints = [];
+let measurementLastHit = null; // 最後に追加した計測点のピック結果 {source, tilesetId}
+let measurementMouseMoveAction = null; // 計測中のマウス移動ハンドラ
+let previousMouseMoveAction = null; // 計測開始前のマウス移動ハンドラ（計測終了時に戻す）
 let tempMeasurementEntity = null;
 let tempPointEntities = [];
 
@@ -27,9 +59,30 @@ let tempPointEntities = [];
 const placementEntities = new Map();
 let placementMode = null; // 'place', 'move', 'rotate', 'scale'
 let previewEntity = null;
-let selectedPlacementId = null;
+let placementPreviewHeading = 0; // 配置プレビューの向き（度、キーボードのRで回転）
+let selectedPlacementId = null; // 主選択（最後に選択した配置物）
+const selectedPlacementIds = new Set(); // 複数選択中の配置物ID
+let placementSelectionHandler = null; // Shift/Ctrlクリック・矩形選択用
+let boxSelection = null; // 矩形選択中の状態 {start, element}
 let currentPlacementAssetId = null;
 
+// 配置物の高さモード（新規配置時の既定値）
+// heightMode: 'absolute'（position.heightそのまま）| 'clampToTerrain'（地形に接地）|
+//   'clampToTileset'（3D Tilesの表面に接地）| 'relativeToGround'（表面からheightOffsetだけ上）
+const placementHeightSettings = {
+  heightMode: 'absolute',
+  heightOffset: 0,        // relativeToGroundの場合の表面からの高さ（メートル）
+  alignToSurface: false,  // 表面の傾きにピッチ・ロールを合わせる
+};
+const PLACEMENT_HEIGHT_MODES = ['absolute', 'clampToTerrain', 'clampToTileset', 'relativeToGround'];
+const pendingSettlePlacementIds = new Set(); // 置き直し待ちの配置物ID
+
+// 配置物の表示設定
+const placementDisplaySettings = {
+  trueSize: false,        // 実寸表示（trueの場合は遠景でも拡大しない）
+  minimumPixelSize: 64,   // 実寸表示でない場合の最小表示サイズ（ピクセル）
+};
+
 // スナップ設定
 const snapSettings = {
   gridEnabled: true,
@@ -37,7 +90,150 @@ const snapSettings = {
   groundEnabled: true,
   angleEnabled: true,
   angleStep: 15, // 度
+  localGrid: null, // 回転グリッド {origin: {longitude, latitude, height}, heading（度）}。nullは経緯度グリッド
+  objectEnabled: true,   // 他の配置物の辺・中心へのスナップ
+  objectTolerance: 0.5,  // スナップする距離（メートル）
+  objectRange: 50,       // スナップ対象を探す範囲（メートル）
+};
+let alignmentGuideEntities = []; // 整列ガイド（破線）
+
+// 一括配置設定
+const bulkPlacementSettings = {
+  pattern: 'linear',  // 'linear'（2点間の直線）| 'grid'（矩形グリッド）| 'path'（ポリライン沿い）
+  spacing: 2.0,       // 配置間隔（メートル）。グリッドでは列方向の間隔
+  rowSpacing: null,   // グリッドの行方向の間隔（nullはspacingと同じ）
+  rows: 0,            // グリッドの行数（0は範囲と間隔から決める）
+  columns: 0,         // グリッドの列数（0は範囲と間隔から決める）
+  headingOffset: 0,   // 進行方向（グリッドの向き）に対するヘディングの補正（度）
+  maxInstances: 500,  // 一度に配置できる数の上限
+};
+let bulkPlacement = null; // 一括配置中の状態 {assetId, modelUrl, points, cursor, entities}
+let localGridEntities = [];      // 回転グリッドの軸表示
+
+// 断面（標高プロファイル）計測設定
+const profileSettings = {
+  interval: 1.0,     // サンプリング間隔（メートル）
+  maxSamples: 2000,  // サンプル数の上限（超える場合は間隔を広げる）
+};
+
+// 土量（切土/盛土）計測設定
+const volumeSettings = {
+  referenceMode: 'lowest', // 基準面: 'fixed'（指定標高）| 'lowest'（最低頂点）| 'bestFit'（近似平面）
+  referenceHeight: 0,      // 'fixed'の場合の基準標高（メートル）
+};
+let volumeCache = { key: null, result: null };
+
+// 見通し解析設定
+const lineOfSightSettings = {
+  eyeHeight: 1.6,     // 観測者の目の高さ（選択地点からのメートル）
+  targetHeight: 0,    // 対象の高さ（選択地点からのメートル）
+  interval: 1.0,      // 地形判定のサンプリング間隔（メートル）
+  maxSamples: 1000,   // 地形判定のサンプル数の上限（超える場合は間隔を広げる）
+  tolerance: 0.05,    // 視線が地形をかすめる場合の許容差の最小値（メートル）
+  relativeTolerance: 0.002, // 距離に比例する許容差（距離1メートルあたり、地形・深度の誤差を吸収）
+};
+const lineOfSightResults = new Map(); // 解析ID → {result, entities}
+
+// 計測値の表示単位設定（計測データ自体は常にメートル法で保持）
+const unitSettings = {
+  system: 'metric',  // 'metric' | 'imperial' | 'japanese'
+  length: 'auto',    // 'auto' | 'm' | 'km' | 'ft' | 'yd' | 'mi'
+  area: 'auto',      // 'auto' | 'm²' | 'ha' | 'ft²' | 'yd²' | 'acre' | '坪' | '畳'
+  volume: 'auto',    // 'auto' | 'm³' | 'ft³' | 'yd³'
+  precision: {
+    length: 2,
+    area: 2,
+    volume: 2,
+    angle: 1,
+  },
+};
+
+// 単位定義（基準単位あたりの係数）
+const UNIT_DEFINITIONS = {
+  length: {
+    'm': 1,
+    'km': 1000,
+    'ft': 0.3048,
+    'yd': 0.9144,
+    'mi': 1609.344,
+  },
+  area: {
+    'm²': 1,
+    'ha': 10000,
+    'ft²': 0.09290304,
+    'yd²': 0.83612736,
+    'acre': 4046.8564224,
+    '坪': 400 / 121,
+    '畳': 1.62,
+  },
+  volume: {
+    'm³': 1,
+    'ft³': 0.028316846592,
+    'yd³': 0.764554857984,
+  },
+};
+
+// 単位系ごとの自動選択候補（小さい順、値が係数以上になる最大の単位を使用）
+const UNIT_SYSTEMS = {
+  metric: {
+    length: ['m', 'km'],
+    area: ['m²', 'ha'],
+    volume: ['m³'],
+  },
+  imperial: {
+    length: ['ft', 'mi'],
+    area: ['ft²', 'acre'],
+    volume: ['yd³'],
+  },
+  japanese: {
+    length: ['m', 'km'],
+    area: ['坪'],
+    volume: ['m³'],
+  },
+};
+
+// 計測用スナップ設定
+const measurementSnapSettings = {
+  enabled: true,
+  measurementPoints: true, // 既存の計測ポイント
+  placements: true,        // 配置物のフットプリントの角・中心
+  drones: true,            // ドローン位置
+  grid: false,             // snapSettings.gridSizeのグリッド点
+  tolerance: 12,           // スナップ判定距離（ピクセル）
+};
+let snapIndicatorEntity = null;
+let currentSnapTarget = null;
+
+// アセット寸法（アセットID → {width, depth, height}、メートル）
+const assetDimensions = new Map();
+
+// 配置物の変形ギズモ
+const gizmoSettings = {
+  enabled: true, // 選択した配置物にギズモを表示するか
+};
+let placementGizmo = null; // {placementIds, transform（基準点）, entities, handler, drag}
+
+// 配置物の干渉チェック
+const collisionSettings = {
+  enabled: true, // 干渉チェックを行うか
 };
+const collidingPlacementIds = new Set(); // 干渉中の配置物ID
+let lastCollisionKey = null; // 直前に通知した干渉結果（変化時のみ通知する）
+let collisionCheckScheduled = false;
+
+// 配置物のフットプリント・離隔範囲の表示
+const clearanceSettings = {
+  showFootprints: false,    // フットプリント（設置面の矩形）を地表に表示
+  showClearances: false,    // 離隔範囲を地表に表示
+  footprintColor: '#2196F3',
+  // 離隔範囲（フットプリントの外側に確保する距離）。配置物のclearancesで個別に上書きできる
+  clearances: [
+    { name: 'service', distance: 1.0, color: '#FFC107' },
+    { name: 'fireLane', distance: 3.0, color: '#F44336' },
+  ],
+};
+const placementZones = new Map(); // 配置物ID（プレビューは'preview'）→ {entities, hierarchies, dynamic}
+let lastClearanceKey = null; // 直前に通知した離隔範囲の重なり
 
 // ドローンフォーメーション管理
 const droneFormations = new Map();
@@ -125,6 +321,7 @@ async function initializeCesium(config) {
         googleTileset = await Cesium.Cesium3DTileset.fromIonAssetId(2275207);
         viewer.scene.primitives.add(googleTileset);
         tilesets.set('google_photorealistic', googleTileset);
+        if (googleTilesetMasks.size > 0) updateGoogleTilesetMasks();
         console.log('Google Photorealistic 3D Tiles loaded successfully');
       } catch (tilesError) {
         console.warn('Failed to load Google 3D Tiles:', tilesError);
@@ -166,6 +363,20 @@ async function initializeCesium(config) {
       }
     }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
 
+    // 配置物の複数選択（Shift/Ctrlクリック、Shift+ドラッグの矩形選択）
+    setupPlacementSelectionHandler();
+
+    // 元に戻す・やり直し（Ctrl+Z / Ctrl+Y）
+    setupHistoryKeyboardHandler();
+
+    // 配置物のキーボード操作（回転・移動・削除・複製など）
+    setupPlacementKeyboardHandler();
+
+    // 地形の切り替え時に接地している配置物を置き直す
+    viewer.scene.globe.terrainProviderChanged.addEventListener(() => {
+      resettleClampedPlacements();
+    });
+
     // 初期位置に移動（設定がある場合）
     if (config.center) {
       viewer.camera.flyTo({
@@ -178,6 +389,8 @@ async function initializeCesium(config) {
       });
     }
 
+    sendMeasurementUnits();
+    sendClassificationPalette();
     sendToFlutter('initialized', { success: true });
   } catch (error) {
     sendToFlutter('initializeError', { 
@@ -457,6 +670,7 @@ async function addLocalTileset(config) {
     const checkReady = () => {
       if (tileset.ready) {
         console.log('[CesiumBridge] Tileset ready:', config.id);
+        resettleClampedPlacements();
 
         // バウンディングボリュームを取得
         const boundingSphere = tileset.boundingSphere;
@@ -517,9 +731,20 @@ function removeTileset(id) {
   if (tileset) {
     viewer.scene.primitives.remove(tileset);
     tilesets.delete(id);
+    tilesetAdjustments.delete(id);
+    tilesetOrigins.delete(id);
+    tilesetFootprints.delete(id);
+    tilesetOpacities.delete(id);
+    pointCloudStyles.delete(id);
+    clearTimeout(pointCloudStyleTimers.get(id));
+    pointCloudStyleTimers.delete(id);
+    if (controlPointAlignment && controlPointAlignment.tilesetId === id) {
+      cancelControlPointAlignment();
+    }
     
     // クリッピングも削除
     removeGoogleTilesetClipping(id);
+    resettleClampedPlacements();
     
     console.log('[CesiumBridge] Tileset removed:', id);
     sendToFlutter('tilesetRemoved', { id: id });
@@ -527,16 +752,15 @@ function removeTileset(id) {
 }
 
 /**
- * Google 3D Tilesの処理モードを設定
- * NOTE: Google Photorealistic 3D TilesはClipping Planesをサポートしていません
- * 代替として以下のモードを提供:
+ * インポートTilesetと重なるGoogle 3D Tilesを非表示にする
+ * - 'mask': Tilesetのフットプリントの範囲だけ非表示（周囲の街並みは残す）
  * - 'hide': Google 3D Tilesを完全に非表示
- * - 'lower': Google 3D Tilesの描画優先度を下げる（インポートモデルを手前に）
  * 
  * @param {string} tilesetId - 対象のTilesetのID
- * @param {string} mode - 処理モード ('hide' | 'lower')
+ * @param {string} mode - 処理モード ('mask' | 'hide')
+ * @param {number} [buffer] - 'mask'でフットプリントを外側に広げる距離（メートル）
  */
-function setGoogleTilesetClipping(tilesetId, mode = 'hide') {
+function setGoogleTilesetClipping(tilesetId, mode = 'mask', buffer) {
   if (!viewer || !googleTileset) {
     console.warn('[CesiumBridge] Google tileset not available');
     sendToFlutter('clippingError', { tilesetId: tilesetId, error: 'Google tileset not available' });
@@ -550,41 +774,65 @@ function setGoogleTilesetClipping(tilesetId, mode = 'hide') {
     return;
   }
 
-  console.log('[CesiumBridge] Google 3D Tiles does not support clipping.');
-  console.log('[CesiumBridge] Using alternative mode: hide Google 3D Tiles');
-
-  // Google 3D Tilesを非表示にする（最も確実な方法）
-  googleTileset.show = false;
+  if (mode === 'hide') {
+    googleTilesetMasks.delete(tilesetId);
+    googleTilesetHiddenBy.add(tilesetId);
+    googleTileset.show = false;
+    updateGoogleTilesetMasks();
+    console.log('[CesiumBridge] Google 3D Tiles hidden');
+  } else {
+    if (googleTilesetHiddenBy.delete(tilesetId) && googleTilesetHiddenBy.size === 0) {
+      googleTileset.show = true;
+    }
+    addGoogleTilesetMask({ id: tilesetId, tilesetId: tilesetId, buffer: buffer });
+  }
 
-  console.log('[CesiumBridge] Google 3D Tiles hidden');
-  sendToFlutter('clippingSet', { 
-    tilesetId: tilesetId, 
+  sendToFlutter('clippingSet', {
+    tilesetId: tilesetId,
     success: true,
-    note: 'Google 3D Tiles hidden (clipping not supported)'
+    mode: mode,
   });
 }
 
 /**
- * Google 3D Tilesを再表示
- * @param {string} tilesetId - 対象のTilesetのID（オプション）
+ * インポートTilesetによるGoogle 3D Tilesの非表示を解除
+ * @param {string} tilesetId - 対象のTilesetのID（省略時はすべて解除）
  */
 function removeGoogleTilesetClipping(tilesetId) {
-  if (!googleTileset) return;
+  if (tilesetId) {
+    googleTilesetHiddenBy.delete(tilesetId);
+    removeGoogleTilesetMask(tilesetId);
+  } else {
+    googleTilesetHiddenBy.clear();
+    googleTilesetMasks.forEach((mask, id) => {
+      if (mask.tilesetId) googleTilesetMasks.delete(id);
+    });
+    updateGoogleTilesetMasks();
+  }
 
-  googleTileset.show = true;
-  console.log('[CesiumBridge] Google 3D Tiles shown');
+  if (googleTileset && googleTilesetHiddenBy.size === 0) {
+    googleTileset.show = true;
+    console.log('[CesiumBridge] Google 3D Tiles shown');
+  }
 }
 
 /**
- * Tilesetの位置を調整
+ * Tilesetの位置・向き・スケールを調整
+ * 
+ * Tilesetの調整前の中心を基準に、経緯度・高さのオフセット、中心まわりの回転、
+ * 一様スケールを適用する。値は調整前の状態からの絶対値で、同じ値で何度呼んでも
+ * 結果は変わらない（省略した項目はオフセット・回転が0、スケールが1）。
+ * 
  * @param {Object} params - 調整パラメータ
  * @param {string} params.id - TilesetのID
  * @param {number} params.heightOffset - 高さオフセット（メートル）
  * @param {number} params.longitude - 経度オフセット（度）
  * @param {number} params.latitude - 緯度オフセット（度）
- * @param {number} params.heading - 方位角（度）
+ * @param {number} params.heading - 方位角（度、時計回り）
  * @param {number} params.pitch - ピッチ（度）
  * @param {number} params.roll - ロール（度）
+ * @param {number} params.scale - 一様スケール（省略時1）
+ * @param {boolean} params.recordHistory - 操作履歴に積むか（保存済みの調整の再適用ではfalse、省略時true）
  */
 function adjustTilesetPosition(params) {
   if (!viewer) return;
@@ -596,57 +844,42 @@ function adjustTilesetPosition(params) {
   }
 
   try {
-    // 現在のバウンディングスフィアの中心を取得
-    const boundingSphere = tileset.boundingSphere;
-    const cartographic = Cesium.Cartographic.fromCartesian(boundingSphere.center);
-
-    // オフセットを適用した新しい位置を計算
-    const newLongitude = cartographic.longitude + Cesium.Math.toRadians(params.longitude || 0);
-    const newLatitude = cartographic.latitude + Cesium.Math.toRadians(params.latitude || 0);
-    const newHeight = cartographic.height + (params.heightOffset || 0);
-
-    // 新しい位置への変換行列を作成
-    const newPosition = Cesium.Cartesian3.fromRadians(newLongitude, newLatitude, newHeight);
-
-    // 回転を適用
-    const heading = Cesium.Math.toRadians(params.heading || 0);
-    const pitch = Cesium.Math.toRadians(params.pitch || 0);
-    const roll = Cesium.Math.toRadians(params.roll || 0);
-    const hpr = new Cesium.HeadingPitchRoll(heading, pitch, roll);
-
-    // 変換行列を計算
-    const modelMatrix = Cesium.Transforms.headingPitchRollToFixedFrame(
-      newPosition,
-      hpr,
-      Cesium.Ellipsoid.WGS84,
-      Cesium.Transforms.localFrameToFixedFrameGenerator('east', 'north')
-    );
-
-    // 元の位置からのオフセット行列を計算
-    const originalCenter = boundingSphere.center;
-    const offset = Cesium.Cartesian3.subtract(newPosition, originalCenter, new Cesium.Cartesian3());
-
-    // modelMatrixを更新（高さオフセットのみの簡易版）
-    if (params.heightOffset !== undefined && params.heightOffset !== 0) {
-      const surface = Cesium.Cartesian3.fromRadians(
-        cartographic.longitude, 
-        cartographic.latitude, 
-        0
-      );
-      const offset = Cesium.Cartesian3.fromRadians(
-        cartographic.longitude, 
-        cartographic.latitude, 
-        params.heightOffset
-      );
-      
-      const translation = Cesium.Cartesian3.subtract(offset, surface, new Cesium.Cartesian3());
-      tileset.modelMatrix = Cesium.Matrix4.fromTranslation(translation);
+    const previous = tilesetAdjustments.get(params.id) || { id: params.id, heightOffset: 0 };
+    const { recordHistory, ...adjustment } = params;
+
+    const origin = getTilesetOrigin(params.id, tileset);
+    const transform = computeTilesetAdjustment(origin, adjustment);
+    tileset.modelMatrix = transform.modelMatrix;
+    refreshGoogleTilesetMasksFor(params.id);
+    refreshPointCloudStyleFor(params.id);
+
+    tilesetAdjustments.set(params.id, adjustment);
+    if (recordHistory !== false) {
+      pushHistory({
+        label: 'tilesetPosition',
+        mergeKey: 'tileset:' + params.id,
+        undo: () => restoreTilesetAdjustment(previous),
+        redo: () => restoreTilesetAdjustment(adjustment),
+      });
     }
 
+    const center = Cesium.Cartographic.fromCartesian(transform.center);
     console.log('[CesiumBridge] Tileset position adjusted:', params.id);
-    sendToFlutter('tilesetPositionAdjusted', { 
+    sendToFlutter('tilesetPositionAdjusted', {
       id: params.id,
-      heightOffset: params.heightOffset,
+      heightOffset: adjustment.heightOffset || 0,
+      longitude: adjustment.longitude || 0,
+      latitude: adjustment.latitude || 0,
+      heading: adjustment.heading || 0,
+      pitch: adjustment.pitch || 0,
+      roll: adjustment.roll || 0,
+      scale: transform.scale,
+      center: {
+        longitude: Cesium.Math.toDegrees(center.longitude),
+        latitude: Cesium.Math.toDegrees(center.latitude),
+        height: center.height,
+      },
+      modelMatrix: Cesium.Matrix4.toArray(transform.modelMatrix),
     });
 
   } catch (error) {
@@ -654,6 +887,65 @@ function adjustTilesetPosition(params) {
   }
 }
 
+/**
+ * Tilesetの調整前の中心を取得
+ * 初回の調整時に記録し、以降の調整の基準にする
+ * @param {string} id - TilesetのID
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @returns {Cesium.Cartesian3} 調整前の中心
+ */
+function getTilesetOrigin(id, tileset) {
+  let origin = tilesetOrigins.get(id);
+  if (!origin) {
+    origin = Cesium.Matrix4.multiplyByPoint(
+      Cesium.Matrix4.inverse(tileset.modelMatrix, new Cesium.Matrix4()),
+      tileset.boundingSphere.center,
+      new Cesium.Cartesian3()
+    );
+    tilesetOrigins.set(id, origin);
+  }
+  return origin;
+}
+
+/**
+ * Tilesetの調整パラメータからモデル行列を計算
+ * 
+ * 調整前の中心の東・北・上の座標系で表したTilesetを、スケール・回転してから
+ * 調整後の中心の東・北・上の座標系に置く。
+ * 
+ * @param {Cesium.Cartesian3} origin - 調整前の中心
+ * @param {Object} adjustment - {heightOffset, longitude, latitude, heading, pitch, roll, scale}
+ * @returns {{modelMatrix: Cesium.Matrix4, center: Cesium.Cartesian3, scale: number}}
+ */
+function computeTilesetAdjustment(origin, adjustment) {
+  const originCartographic = Cesium.Cartographic.fromCartesian(origin);
+  const center = Cesium.Cartesian3.fromRadians(
+    originCartographic.longitude + Cesium.Math.toRadians(adjustment.longitude || 0),
+    originCartographic.latitude + Cesium.Math.toRadians(adjustment.latitude || 0),
+    originCartographic.height + (adjustment.heightOffset || 0)
+  );
+  const scale = adjustment.scale > 0 ? adjustment.scale : 1.0;
+
+  const hpr = new Cesium.HeadingPitchRoll(
+    Cesium.Math.toRadians(adjustment.heading || 0),
+    Cesium.Math.toRadians(adjustment.pitch || 0),
+    Cesium.Math.toRadians(adjustment.roll || 0)
+  );
+  const localToFixed = Cesium.Transforms.headingPitchRollToFixedFrame(center, hpr);
+  Cesium.Matrix4.multiplyByUniformScale(localToFixed, scale, localToFixed);
+
+  const fixedToLocal = Cesium.Matrix4.inverseTransformation(
+    Cesium.Transforms.eastNorthUpToFixedFrame(origin),
+    new Cesium.Matrix4()
+  );
+
+  return {
+    modelMatrix: Cesium.Matrix4.multiply(localToFixed, fixedToLocal, new Cesium.Matrix4()),
+    center: center,
+    scale: scale,
+  };
+}
+
 /**
  * Tilesetの画質（LOD）を調整
  * @param {Object} params - 調整パラメータ
@@ -680,15 +972,81 @@ function adjustTilesetQuality(params) {
   });
 }
 
+// 点群のカラーランプ（[位置（0〜1）, 色]の並び）
+const POINT_CLOUD_COLOR_RAMPS = {
+  viridis: [
+    [0.0, '#440154'],
+    [0.25, '#3B528B'],
+    [0.5, '#21918C'],
+    [0.75, '#5EC962'],
+    [1.0, '#FDE725'],
+  ],
+  terrain: [
+    [0.0, '#333399'],
+    [0.15, '#0099FF'],
+    [0.25, '#00CC66'],
+    [0.5, '#FFFF99'],
+    [0.75, '#805C54'],
+    [1.0, '#FFFFFF'],
+  ],
+  grayscale: [
+    [0.0, '#000000'],
+    [1.0, '#FFFFFF'],
+  ],
+  rainbow: [
+    [0.0, '#0000FF'],
+    [0.25, '#00FFFF'],
+    [0.5, '#00FF00'],
+    [0.75, '#FFFF00'],
+    [1.0, '#FF0000'],
+  ],
+};
+
+// LAS分類コードの既定の色（classificationPaletteで上書きできる）
+const DEFAULT_CLASSIFICATION_PALETTE = {
+  2: '#8B4513',   // 地面（茶色）
+  3: '#00FF00',   // 低植生（緑）
+  4: '#228B22',   // 中植生（深緑）
+  5: '#006400',   // 高植生（濃緑）
+  6: '#FF0000',   // 建物（赤）
+  7: '#FFFF00',   // 低ノイズ（黄色）
+  9: '#0000FF',   // 水面（青）
+  18: '#FF00FF',  // 高ノイズ（マゼンタ）
+};
+const DEFAULT_CLASSIFICATION_COLOR = '#FFFFFF'; // パレットにない分類（白）
+
+/**
+ * 分類コードの既定の色をFlutterに送信
+ * Flutter側の分類ごとの色の表示もこのパレットを使う
+ */
+function sendClassificationPalette() {
+  sendToFlutter('classificationPaletteChanged', {
+    palette: DEFAULT_CLASSIFICATION_PALETTE,
+    defaultColor: DEFAULT_CLASSIFICATION_COLOR,
+  });
+}
+
+// 強度の範囲がtileset.jsonに記載されていない場合の既定値（LASの強度は16ビット）
+const DEFAULT_INTENSITY_RANGE = { min: 0, max: 65535 };
+
 /**
  * 点群スタイルを設定
- * 
+ *
+ * 指定した項目のみ変更し、設定は位置調整や不透明度の変更時に作り直すため保持する。
+ * 範囲（minHeight等）にnullを指定すると、Tilesetのバウンディングボリュームや
+ * tileset.jsonのpropertiesから自動で求める。
+ *
  * @param {Object} params - スタイルパラメータ
  * @param {string} params.id - TilesetのID
  * @param {number} [params.pointSize] - 点サイズ（1-10）
  * @param {string} [params.colorMode] - 色モード ('rgb', 'height', 'intensity', 'classification')
- * @param {number} [params.minHeight] - 高さカラーリングの最小値
- * @param {number} [params.maxHeight] - 高さカラーリングの最大値
+ * @param {string} [params.colorRamp] - 高さ・強度のカラーランプ ('viridis', 'terrain', 'grayscale', 'rainbow')
+ * @param {number|null} [params.minHeight] - 高さカラーリングの最小値（楕円体高、nullは自動）
+ * @param {number|null} [params.maxHeight] - 高さカラーリングの最大値（楕円体高、nullは自動）
+ * @param {number|null} [params.minIntensity] - 強度カラーリングの最小値（nullは自動）
+ * @param {number|null} [params.maxIntensity] - 強度カラーリングの最大値（nullは自動）
+ * @param {Object<string, string>} [params.classificationPalette] - 分類コード → 色（CSS形式）
+ * @param {Array<number>} [params.hiddenClassifications] - 非表示にする分類コード
  */
 function setPointCloudStyle(params) {
   if (!viewer) return;
@@ -699,97 +1057,327 @@ function setPointCloudStyle(params) {
     return;
   }
 
+  const settings = pointCloudStyles.get(params.id) || {
+    pointSize: undefined,
+    colorMode: 'rgb',
+    colorRamp: 'viridis',
+    minHeight: null,
+    maxHeight: null,
+    minIntensity: null,
+    maxIntensity: null,
+    classificationPalette: {},
+    hiddenClassifications: [],
+  };
+  const { id, ...changes } = params;
+  Object.keys(changes).forEach(key => {
+    if (changes[key] !== undefined) settings[key] = changes[key];
+  });
+  pointCloudStyles.set(id, settings);
+
+  applyPointCloudStyle(id);
+}
+
+/**
+ * 保持している点群スタイルをTilesetに適用してFlutterに通知
+ * @param {string} id - TilesetのID
+ */
+function applyPointCloudStyle(id) {
+  const tileset = tilesets.get(id);
+  const settings = pointCloudStyles.get(id);
+  if (!tileset || !settings) return;
+
+  const opacity = tilesetOpacities.has(id) ? tilesetOpacities.get(id) : 1.0;
   const styleOptions = {};
+  let range = null;
 
-  // 点サイズの設定
-  if (params.pointSize !== undefined) {
-    styleOptions.pointSize = params.pointSize.toString();
-  }
+  try {
+    // 点サイズの設定
+    if (settings.pointSize !== undefined && settings.pointSize !== null) {
+      styleOptions.pointSize = settings.pointSize.toString();
+    }
 
-  // 色モードに応じた色表現を設定
-  if (params.colorMode) {
-    switch (params.colorMode) {
-      case 'rgb':
-        // 元のRGB色を使用
-        styleOptions.color = "color('white')";
-        break;
-      case 'height':
-        // 高さによる色分け（青→緑→黄→赤）
-        const minH = params.minHeight || 0;
-        const maxH = params.maxHeight || 100;
-        styleOptions.color = `color() * color('${getHeightColorExpression(minH, maxH)}')`;
-        // より詳細な高さベースのカラーリング
-        styleOptions.color = {
-          conditions: [
-            [`\${POSITION}[2] < ${minH + (maxH - minH) * 0.2}`, "color('#0000FF')"],
-            [`\${POSITION}[2] < ${minH + (maxH - minH) * 0.4}`, "color('#00FFFF')"],
-            [`\${POSITION}[2] < ${minH + (maxH - minH) * 0.6}`, "color('#00FF00')"],
-            [`\${POSITION}[2] < ${minH + (maxH - minH) * 0.8}`, "color('#FFFF00')"],
-            ['true', "color('#FF0000')"]
-          ]
+    // 色モードに応じた色表現を設定
+    switch (settings.colorMode) {
+      case 'height': {
+        // 高さによる連続的な色分け
+        const frame = getPointCloudVerticalFrame(tileset);
+        const bounds = computeTilesetHeightRange(tileset, frame);
+        range = {
+          min: settings.minHeight !== null ? settings.minHeight : bounds.min,
+          max: settings.maxHeight !== null ? settings.maxHeight : bounds.max,
         };
+        styleOptions.color = buildColorRampExpression(
+          getPointCloudHeightExpression(frame), range, settings.colorRamp, opacity
+        );
         break;
-      case 'intensity':
-        // 強度による色分け
-        styleOptions.color = {
-          conditions: [
-            ['${intensity} < 50', "color('#000080')"],
-            ['${intensity} < 100', "color('#0000FF')"],
-            ['${intensity} < 150', "color('#00FFFF')"],
-            ['${intensity} < 200', "color('#00FF00')"],
-            ['${intensity} < 250', "color('#FFFF00')"],
-            ['true', "color('#FF0000')"]
-          ]
+      }
+      case 'intensity': {
+        // 強度による連続的な色分け
+        const property = resolvePointCloudProperty(tileset, 'intensity');
+        const known = getTilesetPropertyRange(tileset, property) || DEFAULT_INTENSITY_RANGE;
+        range = {
+          min: settings.minIntensity !== null ? settings.minIntensity : known.min,
+          max: settings.maxIntensity !== null ? settings.maxIntensity : known.max,
         };
+        styleOptions.color = buildColorRampExpression(
+          `\${${property}}`, range, settings.colorRamp, opacity
+        );
         break;
-      case 'classification':
+      }
+      case 'classification': {
         // LAS分類による色分け
+        const property = resolvePointCloudProperty(tileset, 'classification');
+        const palette = { ...DEFAULT_CLASSIFICATION_PALETTE, ...settings.classificationPalette };
         styleOptions.color = {
-          conditions: [
-            ['${classification} === 2', "color('#8B4513')"],  // 地面（茶色）
-            ['${classification} === 3', "color('#00FF00')"],  // 低植生（緑）
-            ['${classification} === 4', "color('#228B22')"],  // 中植生（深緑）
-            ['${classification} === 5', "color('#006400')"],  // 高植生（濃緑）
-            ['${classification} === 6', "color('#FF0000')"],  // 建物（赤）
-            ['${classification} === 7', "color('#FFFF00')"],  // 低ノイズ（黄色）
-            ['${classification} === 9', "color('#0000FF')"],  // 水面（青）
-            ['true', "color('#FFFFFF')"]                       // その他（白）
-          ]
+          conditions: Object.keys(palette)
+            .filter(code => palette[code])
+            .map(code => [
+              `\${${property}} === ${Number(code)}`,
+              `color('${palette[code]}', ${opacity})`,
+            ])
+            .concat([['true', `color('${DEFAULT_CLASSIFICATION_COLOR}', ${opacity})`]]),
         };
         break;
+      }
+      default:
+        // 元のRGB色を使用
+        styleOptions.color = `color('white', ${opacity})`;
+        break;
+    }
+
+    // 分類ごとの表示/非表示
+    const hidden = settings.hiddenClassifications || [];
+    if (hidden.length > 0) {
+      const property = resolvePointCloudProperty(tileset, 'classification');
+      styleOptions.show = hidden
+        .map(code => `\${${property}} !== ${Number(code)}`)
+        .join(' && ');
     }
-  }
 
-  // スタイルを適用
-  try {
     tileset.style = new Cesium.Cesium3DTileStyle(styleOptions);
-    console.log('[CesiumBridge] Point cloud style applied:', params.id, styleOptions);
-    
+    console.log('[CesiumBridge] Point cloud style applied:', id, styleOptions);
+
     sendToFlutter('pointCloudStyleApplied', {
-      id: params.id,
-      pointSize: params.pointSize,
-      colorMode: params.colorMode,
+      id: id,
+      ...settings,
+      // 実際に使った色分けの範囲（自動の場合は求めた値）
+      range: range,
     });
   } catch (error) {
     console.error('[CesiumBridge] Failed to apply point cloud style:', error);
     sendToFlutter('pointCloudStyleError', {
-      id: params.id,
+      id: id,
       error: error.message,
     });
   }
 }
 
 /**
- * 高さカラーリングの色表現を生成（ヘルパー関数）
+ * Tilesetの位置調整後、高さで色分けしている点群のスタイルを作り直す
+ * 高さの基準がTilesetの中心にあるため。スライダー操作などで連続して呼ばれるためまとめて行う
+ * @param {string} id - TilesetのID
+ */
+function refreshPointCloudStyleFor(id) {
+  const settings = pointCloudStyles.get(id);
+  if (!settings || settings.colorMode !== 'height') return;
+
+  clearTimeout(pointCloudStyleTimers.get(id));
+  pointCloudStyleTimers.set(id, setTimeout(() => {
+    pointCloudStyleTimers.delete(id);
+    applyPointCloudStyle(id);
+  }, POINT_CLOUD_STYLE_UPDATE_DELAY));
+}
+
+/**
+ * カラーランプの色表現を生成
+ *
+ * 値を範囲で0〜1に正規化し、隣り合う色の間を線形補間する
+ *
+ * @param {string} valueExpression - 値のスタイル表現
+ * @param {{min: number, max: number}} range - 範囲
+ * @param {string} rampName - カラーランプ名
+ * @param {number} opacity - 不透明度
+ * @returns {Object} Cesium3DTileStyleのcolor（conditions）
+ */
+function buildColorRampExpression(valueExpression, range, rampName, opacity) {
+  const stops = POINT_CLOUD_COLOR_RAMPS[rampName] || POINT_CLOUD_COLOR_RAMPS.viridis;
+  const span = Math.max(range.max - range.min, 1e-6);
+  const t = `clamp((${valueExpression} - (${range.min})) / ${span}, 0.0, 1.0)`;
+  const toVec4 = (css) => {
+    const color = Cesium.Color.fromCssColorString(css);
+    return `vec4(${color.red}, ${color.green}, ${color.blue}, ${opacity})`;
+  };
+
+  const conditions = [];
+  for (let i = 1; i < stops.length; i++) {
+    const [from, fromColor] = stops[i - 1];
+    const [to, toColor] = stops[i];
+    conditions.push([
+      i === stops.length - 1 ? 'true' : `${t} < ${to}`,
+      `mix(${toVec4(fromColor)}, ${toVec4(toColor)}, (${t} - ${from}) / ${to - from})`,
+    ]);
+  }
+  return { conditions: conditions };
+}
+
+/**
+ * 点群の高さの基準（Tilesetの中心と鉛直方向）を取得
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @returns {{center: Cesium.Cartesian3, up: Cesium.Cartesian3, height: number}}
+ */
+function getPointCloudVerticalFrame(tileset) {
+  const center = Cesium.Cartesian3.clone(tileset.boundingSphere.center);
+  return {
+    center: center,
+    up: Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(center, new Cesium.Cartesian3()),
+    height: Cesium.Cartographic.fromCartesian(center).height,
+  };
+}
+
+/**
+ * 点の楕円体高のスタイル表現を生成
+ *
+ * 点群の座標系（ECEFなど）によらないよう、ワールド座標を中心の鉛直方向へ投影して近似する
+ *
+ * @param {{center: Cesium.Cartesian3, up: Cesium.Cartesian3, height: number}} frame - 高さの基準
+ * @returns {string} スタイル表現
+ */
+function getPointCloudHeightExpression(frame) {
+  const c = frame.center;
+  const u = frame.up;
+  return `(${frame.height} + dot(\${POSITION_ABSOLUTE} - vec3(${c.x}, ${c.y}, ${c.z}), vec3(${u.x}, ${u.y}, ${u.z})))`;
+}
+
+/**
+ * Tilesetのバウンディングボリュームから高さの範囲を求める
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @param {{center: Cesium.Cartesian3, up: Cesium.Cartesian3, height: number}} frame - 高さの基準
+ * @returns {{min: number, max: number}} 楕円体高の範囲
+ */
+function computeTilesetHeightRange(tileset, frame) {
+  const root = tileset.root;
+  const volume = root && root.boundingVolume ? root.boundingVolume.boundingVolume : null;
+
+  if (volume instanceof Cesium.OrientedBoundingBox) {
+    // 箱の中心の高さ ± 各軸の鉛直成分
+    const offset = Cesium.Cartesian3.dot(
+      Cesium.Cartesian3.subtract(volume.center, frame.center, new Cesium.Cartesian3()),
+      frame.up
+    );
+    let extent = 0;
+    for (let i = 0; i < 3; i++) {
+      const axis = Cesium.Matrix3.getColumn(volume.halfAxes, i, new Cesium.Cartesian3());
+      extent += Math.abs(Cesium.Cartesian3.dot(axis, frame.up));
+    }
+    return { min: frame.height + offset - extent, max: frame.height + offset + extent };
+  }
+
+  const radius = tileset.boundingSphere.radius;
+  return { min: frame.height - radius, max: frame.height + radius };
+}
+
+/**
+ * 点群の属性名を解決
+ * tileset.jsonのpropertiesに大文字・小文字違いの名前があればそれを使う
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @param {string} name - 属性名（小文字）
+ * @returns {string} スタイルで使う属性名
+ */
+function resolvePointCloudProperty(tileset, name) {
+  const properties = tileset.properties || {};
+  return Object.keys(properties).find(key => key.toLowerCase() === name) || name;
+}
+
+/**
+ * tileset.jsonのpropertiesに記載された属性の範囲を取得
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @param {string} property - 属性名
+ * @returns {{min: number, max: number}|null} 範囲（記載がない場合はnull）
+ */
+function getTilesetPropertyRange(tileset, property) {
+  const info = tileset.properties ? tileset.properties[property] : null;
+  if (!info || typeof info.minimum !== 'number' || typeof info.maximum !== 'number') {
+    return null;
+  }
+  return { min: info.minimum, max: info.maximum };
+}
+
+// 点群シェーディングで設定できる項目（Cesium.PointCloudShadingのプロパティ）
+const POINT_CLOUD_SHADING_KEYS = [
+  'attenuation',
+  'geometricErrorScale',
+  'maximumAttenuation',
+  'baseResolution',
+  'eyeDomeLighting',
+  'eyeDomeLightingStrength',
+  'eyeDomeLightingRadius',
+  'backFaceCulling',
+  'normalShading',
+];
+
+/**
+ * 点群のシェーディングを設定
+ * 
+ * 指定した項目のみ変更し、設定後の値をFlutterに通知する。
+ * アイドームライティング（EDL）は減衰（attenuation）が有効な場合のみ描画に反映される。
+ * 
+ * @param {Object} params - シェーディングパラメータ
+ * @param {string} params.id - TilesetのID
+ * @param {boolean} [params.attenuation] - 幾何誤差に応じて点を大きくするか
+ * @param {number} [params.geometricErrorScale] - 幾何誤差の倍率
+ * @param {number|null} [params.maximumAttenuation] - 点サイズの上限（ピクセル、nullはmaximumScreenSpaceError）
+ * @param {number|null} [params.baseResolution] - 幾何誤差がない場合の基準解像度（メートル）
+ * @param {boolean} [params.eyeDomeLighting] - アイドームライティングを使うか
+ * @param {number} [params.eyeDomeLightingStrength] - EDLの強さ
+ * @param {number} [params.eyeDomeLightingRadius] - EDLの半径（ピクセル）
+ * @param {boolean} [params.backFaceCulling] - 法線が裏向きの点を描画しないか（法線を持つ点群のみ）
+ * @param {boolean} [params.normalShading] - 法線で陰影を付けるか（法線を持つ点群のみ）
+ */
+function setPointCloudShading(params) {
+  if (!viewer) return;
+
+  const tileset = tilesets.get(params.id);
+  if (!tileset) {
+    console.warn('[CesiumBridge] Tileset not found:', params.id);
+    return;
+  }
+
+  const shading = tileset.pointCloudShading;
+  POINT_CLOUD_SHADING_KEYS.forEach(key => {
+    if (params[key] === undefined) return;
+    // nullは未指定（Cesiumの既定の挙動）に戻す
+    shading[key] = params[key] === null ? undefined : params[key];
+  });
+
+  console.log('[CesiumBridge] Point cloud shading updated:', params.id);
+  getPointCloudShading(params.id);
+}
+
+/**
+ * 点群の現在のシェーディング設定をFlutterに通知
+ * @param {string} id - TilesetのID
  */
-function getHeightColorExpression(minHeight, maxHeight) {
-  const range = maxHeight - minHeight;
-  return `hsla(
-    (1.0 - clamp((\${POSITION}[2] - ${minHeight}) / ${range}, 0.0, 1.0)) * 240.0 / 360.0,
-    1.0,
-    0.5,
-    1.0
-  )`;
+function getPointCloudShading(id) {
+  const tileset = tilesets.get(id);
+  if (!tileset) {
+    console.warn('[CesiumBridge] Tileset not found:', id);
+    return;
+  }
+
+  const shading = tileset.pointCloudShading;
+  const settings = {};
+  POINT_CLOUD_SHADING_KEYS.forEach(key => {
+    settings[key] = shading[key] === undefined ? null : shading[key];
+  });
+  const eyeDomeLightingSupported = Cesium.PointCloudShading.isSupported(viewer.scene);
+
+  sendToFlutter('pointCloudShadingChanged', {
+    id: id,
+    ...settings,
+    eyeDomeLightingSupported: eyeDomeLightingSupported,
+    // 実際にEDLが描画に使われるか
+    eyeDomeLightingActive: eyeDomeLightingSupported && shading.attenuation && shading.eyeDomeLighting,
+  });
 }
 
 /**
@@ -801,21 +1389,28 @@ function setTilesetVisible(id, visible) {
   const tileset = tilesets.get(id);
   if (tileset) {
     tileset.show = visible;
+    resettleClampedPlacements();
     console.log('[CesiumBridge] Tileset visibility changed:', id, visible);
   }
 }
 
 /**
  * 3D Tilesetの不透明度を設定
+ * 点群スタイルを設定済みの場合は、その色分けを保ったまま不透明度を反映する
  * @param {string} id - TilesetのID
  * @param {number} opacity - 不透明度（0.0〜1.0）
  */
 function setTilesetOpacity(id, opacity) {
   const tileset = tilesets.get(id);
   if (tileset) {
-    tileset.style = new Cesium.Cesium3DTileStyle({
-      color: `color('white', ${opacity})`,
-    });
+    tilesetOpacities.set(id, opacity);
+    if (pointCloudStyles.has(id)) {
+      applyPointCloudStyle(id);
+    } else {
+      tileset.style = new Cesium.Cesium3DTileStyle({
+        color: `color('white', ${opacity})`,
+      });
+    }
     console.log('[CesiumBridge] Tileset opacity changed:', id, opacity);
   }
 }
@@ -827,6 +1422,7 @@ function setTilesetOpacity(id, opacity) {
 function setGoogleTilesetVisible(visible) {
   if (googleTileset) {
     googleTileset.show = visible;
+    resettleClampedPlacements();
     console.log('[CesiumBridge] Google 3D Tiles visibility:', visible);
     sendToFlutter('googleTilesetVisibilityChanged', { visible: visible });
   } else {
@@ -879,1636 +1475,8507 @@ function getAllCustomTilesets() {
 }
 
 // ============================================
-// 計測機能
+// 既知点合わせ（Tilesetの位置合わせ）
 // ============================================
 
 /**
- * 計測モードを開始
- * @param {string} type - 計測タイプ ('distance', 'area', 'height')
+ * 既知点合わせ設定を更新
+ * 実行中の場合は解き直す
+ * @param {Object} settings - 設定 {fixScale, headingOnly}
  */
-function startMeasurementMode(type) {
-  console.log('[CesiumBridge] startMeasurementMode called with type:', type);
-  
-  if (!viewer) {
-    console.error('[CesiumBridge] Viewer not initialized');
+function updateControlPointSettings(settings) {
+  Object.assign(controlPointSettings, settings);
+  console.log('[CesiumBridge] Control point settings updated:', controlPointSettings);
+  if (controlPointAlignment) updateControlPointAlignment();
+}
+
+/**
+ * 既知点合わせモードを開始
+ *
+ * クリックでTileset上の点と、それに対応する背景地図・地形上の点を交互に指定する。
+ * 必要な組数（headingOnlyでは2、それ以外は3）が揃うたびに相似変換
+ * （平行移動・回転・スケール）を最小二乗で解き、各組の残差を表示する。
+ * 右クリックで直前の点を取り消す。applyControlPointAlignmentでTilesetに適用する。
+ *
+ * @param {Object} params - {tilesetId, ...controlPointSettingsの項目}
+ */
+function startControlPointAlignment(params) {
+  if (!viewer) return;
+
+  const { tilesetId, ...settings } = params;
+  if (!tilesets.has(tilesetId)) {
+    console.warn('[CesiumBridge] Tileset not found:', tilesetId);
+    sendToFlutter('controlPointAlignmentError', { error: 'Tileset not found: ' + tilesetId });
     return;
   }
-  
-  try {
-    // 既存の計測をクリーンアップ
-    cleanupTempMeasurement();
-    
-    measurementMode = type;
-    measurementPoints = [];
-    
-    console.log('[CesiumBridge] Creating temp entity for type:', type);
-    
-    // 既存の一時エンティティを削除（念のため）
-    const existingTemp = viewer.entities.getById('temp_measurement');
-    if (existingTemp) {
-      viewer.entities.remove(existingTemp);
+
+  if (previewEntity) cancelPlacementMode();
+  cancelBulkPlacementMode();
+  cancelControlPointAlignment();
+  Object.assign(controlPointSettings, settings);
+
+  controlPointAlignment = {
+    tilesetId: tilesetId,
+    pairs: [],
+    pendingSource: null,
+    solution: null,
+    entities: [],
+  };
+
+  const handler = viewer.screenSpaceEventHandler;
+
+  // クリックでTileset上の点 → 対応点の順に指定
+  handler.setInputAction((click) => {
+    if (!controlPointAlignment) return;
+    if (controlPointAlignment.pendingSource) {
+      pickControlPointTarget(click.position);
+    } else {
+      pickControlPointSource(click.position);
     }
-    
-    // 一時エンティティを作成（ライン/ポリゴンプレビュー用）
-    if (type === 'area') {
-      tempMeasurementEntity = viewer.entities.add({
-        id: 'temp_measurement',
-        polygon: {
-          hierarchy: new Cesium.CallbackProperty(() => {
-            if (measurementPoints.length < 3) {
-              return new Cesium.PolygonHierarchy([]);
-            }
-            return new Cesium.PolygonHierarchy(
-              measurementPoints.map(p => 
-                Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
-              )
-            );
-          }, false),
-          material: Cesium.Color.YELLOW.withAlpha(0.3),
-          outline: true,
-          outlineColor: Cesium.Color.YELLOW,
-          outlineWidth: 3,
-        },
-      });
+  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+  // 右クリックで直前の点を取り消す
+  handler.setInputAction(() => {
+    if (!controlPointAlignment) return;
+    if (controlPointAlignment.pendingSource) {
+      controlPointAlignment.pendingSource = null;
     } else {
-      tempMeasurementEntity = viewer.entities.add({
-        id: 'temp_measurement',
-        polyline: {
-          positions: new Cesium.CallbackProperty(() => {
-            return measurementPoints.map(p => 
-              Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
-            );
-          }, false),
-          width: 3,
-          material: Cesium.Color.YELLOW,
-          clampToGround: type !== 'height',
-        },
-      });
+      controlPointAlignment.pairs.pop();
     }
-    
-    console.log('[CesiumBridge] Setting up click handler for measurement');
-    
-    // クリックイベント（計測モード用）
-    viewer.screenSpaceEventHandler.setInputAction((click) => {
-      console.log('[CesiumBridge] Measurement click detected, mode:', measurementMode);
-      if (!measurementMode) {
-        console.log('[CesiumBridge] No measurement mode active, ignoring');
-        return;
-      }
-      
-      const position = getGroundPosition(click.position);
-      console.log('[CesiumBridge] Ground position:', position);
-      
-      if (position) {
-        const cartographic = Cesium.Cartographic.fromCartesian(position);
-        const point = {
-          longitude: Cesium.Math.toDegrees(cartographic.longitude),
-          latitude: Cesium.Math.toDegrees(cartographic.latitude),
-          height: cartographic.height || 0,
-        };
-        
-        measurementPoints.push(point);
-        console.log('[CesiumBridge] Added point, total points:', measurementPoints.length);
-        
-        // ポイントマーカーを追加
-        try {
-          const pointEntity = viewer.entities.add({
-            position: position,
-            point: {
-              pixelSize: 10,
-              color: Cesium.Color.YELLOW,
-              outlineColor: Cesium.Color.BLACK,
-              outlineWidth: 2,
-            },
-          });
-          tempPointEntities.push(pointEntity);
-        } catch (e) {
-          console.warn('[CesiumBridge] Failed to add point marker:', e);
-        }
-        
-        // 高さ計測は2点で自動完了
-        if (measurementMode === 'height' && measurementPoints.length === 2) {
-          finishMeasurement();
-          return;
-        }
-        
-        const currentValue = calculateMeasurement();
-        console.log('[CesiumBridge] Current value:', currentValue);
-        
-        sendToFlutter('measurementPointAdded', {
-          points: measurementPoints,
-          currentValue: currentValue,
-          unit: getMeasurementUnit(),
-        });
-      }
-    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
-    
-    // ダブルクリックで確定
-    viewer.screenSpaceEventHandler.setInputAction(() => {
-      console.log('[CesiumBridge] Double click detected for measurement finish');
-      if (!measurementMode) return;
-      if (measurementMode === 'distance' && measurementPoints.length >= 2) {
-        finishMeasurement();
-      } else if (measurementMode === 'area' && measurementPoints.length >= 3) {
-        finishMeasurement();
-      }
-    }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
-    
-    // 右クリックでキャンセル
-    viewer.screenSpaceEventHandler.setInputAction(() => {
-      console.log('[CesiumBridge] Right click - canceling measurement');
-      cancelMeasurement();
-    }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
-    
-    // Enterキーで確定
-    setupMeasurementKeyboardHandler();
-    
-    console.log('[CesiumBridge] Measurement mode started successfully');
-    sendToFlutter('measurementModeStarted', { type: type });
-    
-  } catch (error) {
-    console.error('[CesiumBridge] Error starting measurement mode:', error);
-    sendToFlutter('measurementError', { error: error.message });
+    updateControlPointAlignment();
+  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  console.log('[CesiumBridge] Control point alignment started:', tilesetId);
+  sendToFlutter('controlPointAlignmentStarted', { tilesetId: tilesetId });
+  updateControlPointAlignment();
+}
+
+/**
+ * Tileset上の点を指定
+ * 位置合わせ中のTileset以外をクリックした場合は無視する
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ */
+function pickControlPointSource(screenPosition) {
+  const hit = pickSurface(screenPosition);
+  if (!hit || hit.tilesetId !== controlPointAlignment.tilesetId) {
+    sendToFlutter('controlPointAlignmentError', { error: 'Pick a point on the tileset being aligned' });
+    return;
   }
+
+  // 現在の位置調整に依らないよう、調整前の座標で保持する
+  const tileset = tilesets.get(controlPointAlignment.tilesetId);
+  controlPointAlignment.pendingSource = Cesium.Matrix4.multiplyByPoint(
+    Cesium.Matrix4.inverse(tileset.modelMatrix, new Cesium.Matrix4()),
+    hit.position,
+    new Cesium.Cartesian3()
+  );
+  updateControlPointAlignment();
 }
 
 /**
- * 地面の位置を取得
+ * 対応点（背景地図・地形上の点）を指定
+ * 位置合わせ中のTilesetは判定から除外する
  * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
- * @returns {Cesium.Cartesian3|null} 地面の位置
  */
-function getGroundPosition(screenPosition) {
-  if (!viewer) return null;
-  
-  try {
-    // 地形がある場合は地形との交点を取得
-    const ray = viewer.camera.getPickRay(screenPosition);
-    if (!ray) {
-      console.log('[CesiumBridge] No pick ray available');
-      return null;
+function pickControlPointTarget(screenPosition) {
+  const scene = viewer.scene;
+  const ray = viewer.camera.getPickRay(screenPosition);
+  if (!ray) return;
+
+  let position = null;
+  if (scene.mode === Cesium.SceneMode.SCENE3D && typeof scene.pickFromRay === 'function') {
+    const objectsToExclude = [
+      tilesets.get(controlPointAlignment.tilesetId),
+      ...getTransientPickEntities(),
+    ];
+    const result = scene.pickFromRay(ray, objectsToExclude);
+    if (result && Cesium.defined(result.position)) {
+      position = result.position;
     }
-    
-    // まず地形との交点を試す
-    const terrainPosition = viewer.scene.globe.pick(ray, viewer.scene);
-    if (terrainPosition) {
-      console.log('[CesiumBridge] Got terrain position');
-      return terrainPosition;
-    }
-    
-    // 地形がない場合は楕円体との交点
-    const ellipsoidPosition = viewer.camera.pickEllipsoid(screenPosition);
-    console.log('[CesiumBridge] Got ellipsoid position:', ellipsoidPosition ? 'yes' : 'no');
-    return ellipsoidPosition;
-  } catch (e) {
-    console.error('[CesiumBridge] Error in getGroundPosition:', e);
-    return null;
   }
+  if (!position) {
+    position = scene.globe.pick(ray, scene) || viewer.camera.pickEllipsoid(screenPosition);
+  }
+  if (!position) return;
+
+  controlPointAlignment.pairs.push({
+    source: controlPointAlignment.pendingSource,
+    target: position,
+  });
+  controlPointAlignment.pendingSource = null;
+  updateControlPointAlignment();
 }
 
-// 計測用キーボードハンドラ
-let measurementKeyboardHandler = null;
+/**
+ * 対応点の座標を数値で指定（測量済みの既知点など）
+ * @param {Object} params - {index, longitude, latitude, height}
+ */
+function setControlPointTarget(params) {
+  if (!controlPointAlignment) return;
+
+  const pair = controlPointAlignment.pairs[params.index];
+  if (!pair) return;
+
+  pair.target = Cesium.Cartesian3.fromDegrees(params.longitude, params.latitude, params.height || 0);
+  updateControlPointAlignment();
+}
 
 /**
- * 計測用キーボードハンドラを設定
+ * 点の組を削除
+ * @param {number} index - 組のインデックス
  */
-function setupMeasurementKeyboardHandler() {
-  // 既存のハンドラを削除
-  removeMeasurementKeyboardHandler();
-  
-  measurementKeyboardHandler = (event) => {
-    if (event.key === 'Enter' && measurementMode) {
-      console.log('[CesiumBridge] Enter pressed - finishing measurement');
-      
-      // 最小ポイント数をチェック
-      if (measurementMode === 'distance' && measurementPoints.length >= 2) {
-        finishMeasurement();
-      } else if (measurementMode === 'area' && measurementPoints.length >= 3) {
-        finishMeasurement();
-      } else if (measurementMode === 'height' && measurementPoints.length >= 2) {
-        finishMeasurement();
-      }
-    } else if (event.key === 'Escape' && measurementMode) {
-      console.log('[CesiumBridge] Escape pressed - canceling measurement');
-      cancelMeasurement();
-    }
-  };
-  
-  document.addEventListener('keydown', measurementKeyboardHandler);
+function removeControlPointPair(index) {
+  if (!controlPointAlignment || !controlPointAlignment.pairs[index]) return;
+
+  controlPointAlignment.pairs.splice(index, 1);
+  updateControlPointAlignment();
 }
 
 /**
- * 計測用キーボードハンドラを削除
+ * 位置合わせを解き直し、表示とFlutterへの通知を更新
+ * 通知するTileset上の点（source）は位置調整前の座標
  */
-function removeMeasurementKeyboardHandler() {
-  if (measurementKeyboardHandler) {
-    document.removeEventListener('keydown', measurementKeyboardHandler);
-    measurementKeyboardHandler = null;
+function updateControlPointAlignment() {
+  const alignment = controlPointAlignment;
+  const tileset = tilesets.get(alignment.tilesetId);
+  const origin = getTilesetOrigin(alignment.tilesetId, tileset);
+
+  alignment.solution = null;
+  let error = null;
+  if (alignment.pairs.length >= getControlPointMinPairs()) {
+    try {
+      alignment.solution = solveControlPointAlignment(origin, alignment.pairs);
+    } catch (e) {
+      error = e.message;
+    }
   }
+
+  drawControlPointEntities();
+
+  const solution = alignment.solution;
+  sendToFlutter('controlPointAlignmentUpdated', {
+    tilesetId: alignment.tilesetId,
+    minPairs: getControlPointMinPairs(),
+    pendingSource: alignment.pendingSource ? cartesianToMeasurementPoint(alignment.pendingSource) : null,
+    pairs: alignment.pairs.map((pair, index) => ({
+      index: index,
+      source: cartesianToMeasurementPoint(pair.source),
+      target: cartesianToMeasurementPoint(pair.target),
+      ...(solution ? solution.residuals[index] : {}),
+    })),
+    rms: solution ? solution.rms : null,
+    transform: solution ? solution.adjustment : null,
+    error: error,
+  });
 }
 
 /**
- * 計測を確定
+ * 位置合わせに必要な点の組数
+ * @returns {number}
  */
-function finishMeasurement() {
-  console.log('[CesiumBridge] finishMeasurement called, mode:', measurementMode);
-  
-  if (!measurementMode) {
-    console.log('[CesiumBridge] No measurement mode, skipping finish');
-    return;
-  }
-  
-  try {
-    const value = calculateMeasurement();
-    const unit = getMeasurementUnit();
-    const type = measurementMode;
-    const points = [...measurementPoints]; // コピーを作成
-    
-    console.log('[CesiumBridge] Measurement completed:', { type, value, unit, pointCount: points.length });
-    
-    sendToFlutter('measurementCompleted', {
-      type: type,
-      points: points,
-      value: value,
-      unit: unit,
+function getControlPointMinPairs() {
+  return controlPointSettings.headingOnly ? 2 : 3;
+}
+
+/**
+ * 点の組から相似変換を最小二乗で解く
+ *
+ * 調整前の中心の東・北・上の座標系で、対応点 ≈ s・R・元の点 + t となる
+ * s, R, t を求める（回転はHornの四元数法、headingOnlyでは上軸まわりのみ）。
+ * 結果はadjustTilesetPositionの調整パラメータに分解して返す。
+ *
+ * @param {Cesium.Cartesian3} origin - 調整前の中心
+ * @param {Array<{source: Cesium.Cartesian3, target: Cesium.Cartesian3}>} pairs - 点の組（sourceは調整前の座標）
+ * @returns {{adjustment: Object, residuals: Array<Object>, rms: number}}
+ */
+function solveControlPointAlignment(origin, pairs) {
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+  const fixedToEnu = Cesium.Matrix4.inverseTransformation(enuToFixed, new Cesium.Matrix4());
+  const toLocal = (position) =>
+    Cesium.Matrix4.multiplyByPoint(fixedToEnu, position, new Cesium.Cartesian3());
+
+  const sources = pairs.map(pair => toLocal(pair.source));
+  const targets = pairs.map(pair => toLocal(pair.target));
+  const sourceCentroid = computeCentroid(sources);
+  const targetCentroid = computeCentroid(targets);
+  const a = sources.map(p => Cesium.Cartesian3.subtract(p, sourceCentroid, new Cesium.Cartesian3()));
+  const b = targets.map(p => Cesium.Cartesian3.subtract(p, targetCentroid, new Cesium.Cartesian3()));
+
+  const rotation = controlPointSettings.headingOnly
+    ? solveHeadingRotation(a, b)
+    : solveFullRotation(a, b);
+
+  // スケール: Σ b'・(R a') / Σ|a'|²
+  let scale = 1.0;
+  if (!controlPointSettings.fixScale) {
+    let numerator = 0;
+    let denominator = 0;
+    a.forEach((p, i) => {
+      const rotated = Cesium.Matrix3.multiplyByVector(rotation, p, new Cesium.Cartesian3());
+      numerator += Cesium.Cartesian3.dot(b[i], rotated);
+      denominator += Cesium.Cartesian3.magnitudeSquared(p);
     });
-    
-    cleanupTempMeasurement();
-    resetMeasurementEventHandlers();
-    measurementMode = null;
-  } catch (e) {
-    console.error('[CesiumBridge] Error in finishMeasurement:', e);
+    if (denominator < 1e-9 || numerator <= 0) {
+      throw new Error('Control points are too close together to solve scale');
+    }
+    scale = numerator / denominator;
   }
+
+  // t = 対応点の重心 - s・R・元の点の重心
+  const translation = Cesium.Cartesian3.subtract(
+    targetCentroid,
+    Cesium.Cartesian3.multiplyByScalar(
+      Cesium.Matrix3.multiplyByVector(rotation, sourceCentroid, new Cesium.Cartesian3()),
+      scale,
+      new Cesium.Cartesian3()
+    ),
+    new Cesium.Cartesian3()
+  );
+
+  // 残差（東・北・上の座標系なので水平・鉛直に分けられる）
+  const residuals = sources.map((p, i) => {
+    const mapped = Cesium.Matrix3.multiplyByVector(rotation, p, new Cesium.Cartesian3());
+    Cesium.Cartesian3.multiplyByScalar(mapped, scale, mapped);
+    Cesium.Cartesian3.add(mapped, translation, mapped);
+    const d = Cesium.Cartesian3.subtract(targets[i], mapped, new Cesium.Cartesian3());
+    return {
+      residual: Cesium.Cartesian3.magnitude(d),
+      horizontalResidual: Math.hypot(d.x, d.y),
+      verticalResidual: d.z,
+    };
+  });
+  const rms = Math.sqrt(
+    residuals.reduce((sum, r) => sum + r.residual * r.residual, 0) / residuals.length
+  );
+
+  // 調整パラメータに分解: 新しい中心 = ENU(origin)・t、回転 = ENU(origin)の回転・R
+  const center = Cesium.Matrix4.multiplyByPoint(enuToFixed, translation, new Cesium.Cartesian3());
+  const fixedRotation = Cesium.Matrix3.multiply(
+    Cesium.Matrix4.getMatrix3(enuToFixed, new Cesium.Matrix3()),
+    rotation,
+    new Cesium.Matrix3()
+  );
+  const hpr = Cesium.Transforms.fixedFrameToHeadingPitchRoll(
+    Cesium.Matrix4.fromRotationTranslation(fixedRotation, center)
+  );
+  const originCartographic = Cesium.Cartographic.fromCartesian(origin);
+  const centerCartographic = Cesium.Cartographic.fromCartesian(center);
+
+  return {
+    adjustment: {
+      heightOffset: centerCartographic.height - originCartographic.height,
+      longitude: Cesium.Math.toDegrees(centerCartographic.longitude - originCartographic.longitude),
+      latitude: Cesium.Math.toDegrees(centerCartographic.latitude - originCartographic.latitude),
+      heading: Cesium.Math.toDegrees(hpr.heading),
+      pitch: Cesium.Math.toDegrees(hpr.pitch),
+      roll: Cesium.Math.toDegrees(hpr.roll),
+      scale: scale,
+    },
+    residuals: residuals,
+    rms: rms,
+  };
 }
 
 /**
- * 計測をキャンセル
+ * 点の重心
+ * @param {Array<Cesium.Cartesian3>} points - 点
+ * @returns {Cesium.Cartesian3}
  */
-function cancelMeasurement() {
-  console.log('[CesiumBridge] cancelMeasurement called, mode:', measurementMode);
-  
-  const wasMode = measurementMode;
-  
-  try {
-    cleanupTempMeasurement();
-    resetMeasurementEventHandlers();
-    measurementMode = null;
-    measurementPoints = [];
-    
-    if (wasMode) {
-      sendToFlutter('measurementCancelled', {});
+function computeCentroid(points) {
+  const sum = points.reduce(
+    (acc, p) => Cesium.Cartesian3.add(acc, p, acc),
+    new Cesium.Cartesian3()
+  );
+  return Cesium.Cartesian3.divideByScalar(sum, points.length, sum);
+}
+
+/**
+ * 重心を引いた点の組から回転を求める（Hornの四元数法）
+ * @param {Array<Cesium.Cartesian3>} a - 元の点
+ * @param {Array<Cesium.Cartesian3>} b - 対応点
+ * @returns {Cesium.Matrix3} 回転行列
+ */
+function solveFullRotation(a, b) {
+  // 元の点が一直線上にあると直線まわりの回転が決まらない
+  let maxArea = 0;
+  let maxLengthSquared = 0;
+  a.forEach((p, i) => {
+    maxLengthSquared = Math.max(maxLengthSquared, Cesium.Cartesian3.magnitudeSquared(p));
+    for (let j = i + 1; j < a.length; j++) {
+      const cross = Cesium.Cartesian3.cross(p, a[j], new Cesium.Cartesian3());
+      maxArea = Math.max(maxArea, Cesium.Cartesian3.magnitude(cross));
     }
-  } catch (e) {
-    console.error('[CesiumBridge] Error in cancelMeasurement:', e);
-    measurementMode = null;
-    measurementPoints = [];
+  });
+  if (maxArea < 1e-3 * maxLengthSquared || maxLengthSquared < 1e-9) {
+    throw new Error('Control points on the tileset must not be collinear');
   }
+
+  // 相関行列 S[i][j] = Σ a_i b_j
+  const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  a.forEach((p, k) => {
+    const pa = [p.x, p.y, p.z];
+    const pb = [b[k].x, b[k].y, b[k].z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        S[i][j] += pa[i] * pb[j];
+      }
+    }
+  });
+
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const N = [
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+  ];
+
+  // 最大固有値の固有ベクトルが回転の四元数（w, x, y, z）
+  const q = computeLargestEigenvector(N);
+  const quaternion = Cesium.Quaternion.normalize(
+    new Cesium.Quaternion(q[1], q[2], q[3], q[0]),
+    new Cesium.Quaternion()
+  );
+  return Cesium.Matrix3.fromQuaternion(quaternion);
 }
 
 /**
- * 計測用イベントハンドラをリセット
+ * 重心を引いた点の組から上軸まわりの回転を求める
+ * @param {Array<Cesium.Cartesian3>} a - 元の点
+ * @param {Array<Cesium.Cartesian3>} b - 対応点
+ * @returns {Cesium.Matrix3} 回転行列
  */
-function resetMeasurementEventHandlers() {
-  console.log('[CesiumBridge] resetMeasurementEventHandlers called');
-  
-  // キーボードハンドラを削除
-  removeMeasurementKeyboardHandler();
-  
-  if (!viewer) {
-    console.log('[CesiumBridge] No viewer, skipping reset');
-    return;
+function solveHeadingRotation(a, b) {
+  let sin = 0;
+  let cos = 0;
+  a.forEach((p, i) => {
+    sin += p.x * b[i].y - p.y * b[i].x;
+    cos += p.x * b[i].x + p.y * b[i].y;
+  });
+  if (Math.abs(sin) < 1e-9 && Math.abs(cos) < 1e-9) {
+    throw new Error('Control points are too close together to solve heading');
   }
-  
-  try {
-    // クリックイベントを通常のmapClickedに戻す
-    viewer.screenSpaceEventHandler.setInputAction((click) => {
-      const cartesian = viewer.camera.pickEllipsoid(click.position);
-      if (cartesian) {
-        const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
-        sendToFlutter('mapClicked', {
-          longitude: Cesium.Math.toDegrees(cartographic.longitude),
-          latitude: Cesium.Math.toDegrees(cartographic.latitude),
-          height: cartographic.height || 0
-        });
+  return Cesium.Matrix3.fromRotationZ(Math.atan2(sin, cos));
+}
+
+/**
+ * 対称行列の最大固有値に対する固有ベクトルを求める（ヤコビ法）
+ * @param {Array<Array<number>>} matrix - 対称行列
+ * @returns {Array<number>} 単位固有ベクトル
+ */
+function computeLargestEigenvector(matrix) {
+  const n = matrix.length;
+  const m = matrix.map(row => row.slice());
+  const v = m.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += m[p][q] * m[p][q];
+    }
+    if (off < 1e-24) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(m[p][q]) < 1e-300) continue;
+
+        // m[p][q]を0にする回転
+        const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const mkp = m[k][p];
+          const mkq = m[k][q];
+          m[k][p] = c * mkp - s * mkq;
+          m[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k++) {
+          const mpk = m[p][k];
+          const mqk = m[q][k];
+          m[p][k] = c * mpk - s * mqk;
+          m[q][k] = s * mpk + c * mqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
       }
-    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
-    
-    // ダブルクリックと右クリックを削除
-    viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
-    viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.RIGHT_CLICK);
-    
-    console.log('[CesiumBridge] Event handlers reset to default');
-  } catch (e) {
-    console.error('[CesiumBridge] Error in resetMeasurementEventHandlers:', e);
+    }
   }
+
+  let largest = 0;
+  for (let i = 1; i < n; i++) {
+    if (m[i][i] > m[largest][largest]) largest = i;
+  }
+  return v.map(row => row[largest]);
 }
 
 /**
- * 一時エンティティをクリーンアップ
+ * 既知点のマーカー・残差ラベルを描画
+ * Tileset上の点は現在の位置調整を反映した位置に表示する
  */
-function cleanupTempMeasurement() {
-  console.log('[CesiumBridge] cleanupTempMeasurement called');
-  
-  if (!viewer) {
-    console.log('[CesiumBridge] No viewer, skipping cleanup');
-    tempMeasurementEntity = null;
-    tempPointEntities = [];
-    measurementPoints = [];
-    return;
-  }
-  
-  try {
-    if (tempMeasurementEntity) {
-      viewer.entities.remove(tempMeasurementEntity);
-      tempMeasurementEntity = null;
-    }
-    
-    // ポイントマーカーを削除
-    tempPointEntities.forEach(entity => {
-      try {
-        viewer.entities.remove(entity);
-      } catch (e) {
-        console.warn('[CesiumBridge] Failed to remove point entity:', e);
-      }
+function drawControlPointEntities() {
+  clearControlPointEntities();
+
+  const alignment = controlPointAlignment;
+  const tileset = tilesets.get(alignment.tilesetId);
+  const toCurrent = (position) =>
+    Cesium.Matrix4.multiplyByPoint(tileset.modelMatrix, position, new Cesium.Cartesian3());
+  const addEntity = (options) => {
+    alignment.entities.push(viewer.entities.add(options));
+  };
+  const pointOptions = (color) => ({
+    pixelSize: 10,
+    color: color,
+    outlineColor: Cesium.Color.BLACK,
+    outlineWidth: 2,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+  const labelOptions = (text) => ({
+    text: text,
+    font: '13px sans-serif',
+    fillColor: Cesium.Color.WHITE,
+    outlineColor: Cesium.Color.BLACK,
+    outlineWidth: 3,
+    style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+    pixelOffset: new Cesium.Cartesian2(0, -18),
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+
+  alignment.pairs.forEach((pair, index) => {
+    const source = toCurrent(pair.source);
+    const residual = alignment.solution ? alignment.solution.residuals[index].residual : null;
+
+    addEntity({
+      position: source,
+      point: pointOptions(Cesium.Color.ORANGE),
+      label: labelOptions(`${index + 1}`),
+    });
+    addEntity({
+      position: pair.target,
+      point: pointOptions(Cesium.Color.CYAN),
+      label: labelOptions(residual !== null
+        ? `${index + 1}: ${formatMeasurementValue(residual, 'm')}`
+        : `${index + 1}`),
+    });
+    addEntity({
+      polyline: {
+        positions: [source, pair.target],
+        width: 2,
+        material: new Cesium.PolylineDashMaterialProperty({ color: Cesium.Color.CYAN }),
+        depthFailMaterial: new Cesium.PolylineDashMaterialProperty({ color: Cesium.Color.CYAN }),
+      },
+    });
+  });
+
+  if (alignment.pendingSource) {
+    addEntity({
+      position: toCurrent(alignment.pendingSource),
+      point: pointOptions(Cesium.Color.ORANGE),
+      label: labelOptions(`${alignment.pairs.length + 1}`),
     });
-    tempPointEntities = [];
-    measurementPoints = [];
-  } catch (e) {
-    console.error('[CesiumBridge] Error in cleanupTempMeasurement:', e);
-    tempMeasurementEntity = null;
-    tempPointEntities = [];
-    measurementPoints = [];
   }
 }
 
 /**
- * 計測値を計算
- * @returns {number} 計測値
+ * 既知点のマーカーを削除
  */
-function calculateMeasurement() {
-  if (measurementPoints.length < 2) return 0;
-  
-  switch (measurementMode) {
-    case 'distance':
-      return calculateDistance();
-    case 'area':
-      return calculateArea();
-    case 'height':
-      return calculateHeight();
-    default:
-      return 0;
-  }
+function clearControlPointEntities() {
+  if (!controlPointAlignment) return;
+  controlPointAlignment.entities.forEach(entity => viewer.entities.remove(entity));
+  controlPointAlignment.entities = [];
 }
 
 /**
- * 距離を計算（メートル）
- * @returns {number} 距離（メートル）
+ * 解いた位置合わせをTilesetに適用してモードを終了
+ * 適用は操作履歴に積まれ、元に戻せる
  */
-function calculateDistance() {
-  let totalDistance = 0;
-  
-  for (let i = 0; i < measurementPoints.length - 1; i++) {
-    const p1 = measurementPoints[i];
-    const p2 = measurementPoints[i + 1];
-    
-    const geodesic = new Cesium.EllipsoidGeodesic(
-      Cesium.Cartographic.fromDegrees(p1.longitude, p1.latitude),
-      Cesium.Cartographic.fromDegrees(p2.longitude, p2.latitude)
-    );
-    
-    // 水平距離
-    const horizontalDistance = geodesic.surfaceDistance;
-    
-    // 高さの差
-    const heightDiff = (p2.height || 0) - (p1.height || 0);
-    
-    // 3D距離
-    totalDistance += Math.sqrt(
-      horizontalDistance * horizontalDistance + heightDiff * heightDiff
-    );
+function applyControlPointAlignment() {
+  const alignment = controlPointAlignment;
+  if (!alignment) return;
+
+  const solution = alignment.solution;
+  if (!solution) {
+    sendToFlutter('controlPointAlignmentError', {
+      error: `At least ${getControlPointMinPairs()} control point pairs are required`,
+    });
+    return;
   }
-  
-  return totalDistance;
+
+  adjustTilesetPosition({ id: alignment.tilesetId, ...solution.adjustment });
+  cancelControlPointAlignment();
+
+  console.log('[CesiumBridge] Control point alignment applied:', alignment.tilesetId, 'RMS:', solution.rms);
+  sendToFlutter('controlPointAlignmentApplied', {
+    tilesetId: alignment.tilesetId,
+    transform: solution.adjustment,
+    rms: solution.rms,
+    pairs: alignment.pairs.map((pair, index) => ({
+      index: index,
+      source: cartesianToMeasurementPoint(pair.source),
+      target: cartesianToMeasurementPoint(pair.target),
+      ...solution.residuals[index],
+    })),
+  });
 }
 
 /**
- * 面積を計算（平方メートル）
- * @returns {number} 面積（平方メートル）
+ * 既知点合わせモードを終了（Tilesetは変更しない）
  */
-function calculateArea() {
-  if (measurementPoints.length < 3) return 0;
-  
-  const positions = measurementPoints.map(p => 
-    Cesium.Cartographic.fromDegrees(p.longitude, p.latitude)
-  );
-  
-  // 球面多角形の面積計算（簡易実装：平面近似）
-  let area = 0;
-  const n = positions.length;
-  
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    
-    // 緯度経度をメートル座標に変換（近似）
-    const avgLat = (positions[i].latitude + positions[j].latitude) / 2;
-    const x1 = positions[i].longitude * 111320 * Math.cos(avgLat);
-    const y1 = positions[i].latitude * 110540;
-    const x2 = positions[j].longitude * 111320 * Math.cos(avgLat);
-    const y2 = positions[j].latitude * 110540;
-    
-    area += x1 * y2 - x2 * y1;
-  }
-  
-  return Math.abs(area) / 2;
+function cancelControlPointAlignment() {
+  if (!controlPointAlignment) return;
+
+  clearControlPointEntities();
+  controlPointAlignment = null;
+  resetPlacementEventHandlers();
+  console.log('[CesiumBridge] Control point alignment ended');
 }
 
+// ============================================
+// Google 3D Tilesのマスク
+// ============================================
+
 /**
- * 高さ/標高差を計算（メートル）
- * @returns {number} 高さ（メートル）
+ * Google 3D Tilesのマスク設定を更新
+ * @param {Object} settings - 設定 {buffer}
  */
-function calculateHeight() {
-  if (measurementPoints.length < 2) return 0;
-  
-  const p1 = measurementPoints[0];
-  const p2 = measurementPoints[1];
-  
-  return Math.abs((p2.height || 0) - (p1.height || 0));
+function updateGoogleTilesetMaskSettings(settings) {
+  Object.assign(googleTilesetMaskSettings, settings);
+  console.log('[CesiumBridge] Google tileset mask settings updated:', googleTilesetMaskSettings);
+  updateGoogleTilesetMasks();
 }
 
 /**
- * 計測単位を取得
- * @returns {string} 単位
+ * Google 3D Tilesのマスクを追加（同じIDのマスクは置き換える）
+ *
+ * tilesetIdを指定するとインポートTilesetのフットプリント（水平面に投影した
+ * バウンディングボリュームの凸包）を、polygonを指定するとその多角形を、
+ * bufferだけ外側に広げた範囲のGoogle 3D Tilesを高さによらず非表示にする。
+ * Tilesetのフットプリントは位置調整に追従する。
+ *
+ * @param {Object} params - マスク
+ * @param {string} params.id - マスクID
+ * @param {string} [params.tilesetId] - フットプリントを使うTilesetのID
+ * @param {Array<{longitude: number, latitude: number}>} [params.polygon] - 多角形の頂点
+ * @param {number} [params.buffer] - 外側に広げる距離（メートル、省略時は設定値）
  */
-function getMeasurementUnit() {
-  switch (measurementMode) {
-    case 'distance':
-      return 'm';
-    case 'area':
-      return 'm²';
-    case 'height':
-      return 'm';
-    default:
-      return '';
+function addGoogleTilesetMask(params) {
+  if (!params.tilesetId && !(params.polygon && params.polygon.length >= 3)) {
+    console.warn('[CesiumBridge] Google tileset mask needs a tileset or a polygon:', params.id);
+    return;
   }
+
+  googleTilesetMasks.set(params.id, {
+    id: params.id,
+    tilesetId: params.tilesetId || null,
+    polygon: params.polygon || null,
+    buffer: params.buffer,
+  });
+  console.log('[CesiumBridge] Google tileset mask added:', params.id);
+  updateGoogleTilesetMasks();
 }
 
 /**
- * 計測結果を表示
- * @param {Object} measurement - 計測データ
+ * Google 3D Tilesのマスクを削除
+ * @param {string} id - マスクID
  */
-function addMeasurementDisplay(measurement) {
-  const positions = measurement.points.map(p => 
-    Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
-  );
-  
-  const color = Cesium.Color.fromCssColorString(measurement.color || '#FF0000');
-  const lineWidth = measurement.lineWidth || 2;
-  
-  let entity;
-  
-  if (measurement.type === 'area') {
-    // ポリゴン（面積計測）
-    entity = viewer.entities.add({
-      id: measurement.id,
-      name: measurement.name,
-      polygon: {
-        hierarchy: new Cesium.PolygonHierarchy(positions),
-        material: color.withAlpha(0.3),
-        outline: true,
-        outlineColor: color,
-        outlineWidth: lineWidth,
-      },
-      position: getCentroid(positions),
-      label: {
-        text: `${measurement.name}\n${formatMeasurementValue(measurement.value, measurement.unit)}`,
-        font: '14px sans-serif',
-        fillColor: Cesium.Color.WHITE,
-        outlineColor: Cesium.Color.BLACK,
-        outlineWidth: 2,
-        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
-        verticalOrigin: Cesium.VerticalOrigin.CENTER,
-        horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
-        pixelOffset: new Cesium.Cartesian2(0, 0),
-        disableDepthTestDistance: Number.POSITIVE_INFINITY,
-      },
-    });
-  } else {
-    // ポリライン（距離/高さ計測）
-    const midPosition = getMidpoint(positions);
-    
-    entity = viewer.entities.add({
-      id: measurement.id,
-      name: measurement.name,
-      polyline: {
-        positions: positions,
-        width: lineWidth,
-        material: color,
-        clampToGround: measurement.type !== 'height',
-      },
-      position: midPosition,
-      label: {
-        text: `${measurement.name}\n${formatMeasurementValue(measurement.value, measurement.unit)}`,
-        font: '14px sans-serif',
-        fillColor: Cesium.Color.WHITE,
-        outlineColor: Cesium.Color.BLACK,
-        outlineWidth: 2,
-        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
-        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
-        pixelOffset: new Cesium.Cartesian2(0, -10),
-        disableDepthTestDistance: Number.POSITIVE_INFINITY,
-      },
-    });
-    
-    // 端点マーカー
-    positions.forEach((pos, i) => {
-      viewer.entities.add({
-        id: `${measurement.id}_point_${i}`,
-        position: pos,
-        point: {
-          pixelSize: 8,
-          color: color,
-          outlineColor: Cesium.Color.WHITE,
-          outlineWidth: 2,
-        },
-      });
-    });
-  }
-  
-  measurementEntities.set(measurement.id, entity);
+function removeGoogleTilesetMask(id) {
+  if (!googleTilesetMasks.delete(id)) return;
+
+  console.log('[CesiumBridge] Google tileset mask removed:', id);
+  updateGoogleTilesetMasks();
 }
 
 /**
- * 計測値をフォーマット
- * @param {number} value - 計測値
- * @param {string} unit - 単位
- * @returns {string} フォーマット済み文字列
+ * Google 3D Tilesのマスクをすべて削除
  */
-function formatMeasurementValue(value, unit) {
-  if (unit === 'm²' && value >= 10000) {
-    return `${(value / 10000).toFixed(2)} ha`;
-  } else if (unit === 'm' && value >= 1000) {
-    return `${(value / 1000).toFixed(2)} km`;
-  }
-  return `${value.toFixed(2)} ${unit}`;
+function clearGoogleTilesetMasks() {
+  googleTilesetMasks.clear();
+  updateGoogleTilesetMasks();
 }
 
 /**
- * 計測結果を削除
- * @param {string} measurementId - 計測ID
+ * Tilesetの位置調整後、そのフットプリントを使うマスクを更新
+ * スライダー操作などで連続して呼ばれるため、シェーダーの作り直しをまとめて行う
+ * @param {string} tilesetId - TilesetのID
  */
-function removeMeasurementDisplay(measurementId) {
-  const entity = measurementEntities.get(measurementId);
-  if (entity) {
-    viewer.entities.remove(entity);
-    measurementEntities.delete(measurementId);
-    
-    // 端点マーカーも削除
-    let i = 0;
-    while (true) {
-      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
-      if (!pointEntity) break;
-      viewer.entities.remove(pointEntity);
-      i++;
-    }
-  }
+function refreshGoogleTilesetMasksFor(tilesetId) {
+  const used = Array.from(googleTilesetMasks.values()).some(mask => mask.tilesetId === tilesetId);
+  if (!used) return;
+
+  clearTimeout(googleTilesetMaskTimer);
+  googleTilesetMaskTimer = setTimeout(() => {
+    googleTilesetMaskTimer = null;
+    updateGoogleTilesetMasks();
+  }, GOOGLE_TILESET_MASK_UPDATE_DELAY);
 }
 
 /**
- * 計測結果の表示/非表示を切り替え
- * @param {string} measurementId - 計測ID
- * @param {boolean} visible - 表示フラグ
+ * マスクの範囲を計算し、Google 3D Tilesのシェーダーに反映してFlutterに通知
  */
-function setMeasurementVisible(measurementId, visible) {
-  const entity = measurementEntities.get(measurementId);
-  if (entity) {
-    entity.show = visible;
-    
-    // 端点マーカーも更新
-    let i = 0;
-    while (true) {
-      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
-      if (!pointEntity) break;
-      pointEntity.show = visible;
-      i++;
-    }
+function updateGoogleTilesetMasks() {
+  const resolved = [];
+  googleTilesetMasks.forEach(mask => {
+    const area = resolveGoogleTilesetMask(mask);
+    if (area) resolved.push({ mask: mask, area: area });
+  });
+
+  if (googleTileset) {
+    googleTileset.customShader = resolved.length > 0
+      ? createGoogleTilesetMaskShader(resolved.map(r => r.area))
+      : undefined;
   }
+
+  sendToFlutter('googleTilesetMasksChanged', {
+    masks: resolved.map(({ mask, area }) => ({
+      id: mask.id,
+      tilesetId: mask.tilesetId,
+      buffer: area.buffer,
+      polygon: area.polygon.map(p => {
+        const position = Cesium.Matrix4.multiplyByPoint(
+          area.toFixed, new Cesium.Cartesian3(p.x, p.y, 0), new Cesium.Cartesian3());
+        const point = cartesianToMeasurementPoint(position);
+        return { longitude: point.longitude, latitude: point.latitude };
+      }),
+    })),
+  });
 }
 
 /**
- * すべての計測結果をクリア
+ * マスクの範囲を中心の東・北の平面座標で求める
+ * @param {Object} mask - マスク
+ * @returns {{toFixed: Cesium.Matrix4, polygon: Array<{x: number, y: number}>, buffer: number}|null}
+ *   Tilesetが未読込の場合はnull
  */
-function clearAllMeasurements() {
-  measurementEntities.forEach((entity, id) => {
-    removeMeasurementDisplay(id);
-  });
-  measurementEntities.clear();
-}
+function resolveGoogleTilesetMask(mask) {
+  let positions;
+  if (mask.tilesetId) {
+    const tileset = tilesets.get(mask.tilesetId);
+    const footprint = tileset ? getTilesetFootprint(mask.tilesetId, tileset) : null;
+    if (!footprint) return null;
+    positions = footprint.map(p =>
+      Cesium.Matrix4.multiplyByPoint(tileset.modelMatrix, p, new Cesium.Cartesian3())
+    );
+  } else {
+    positions = mask.polygon.map(p => Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, 0));
+  }
 
-// ============================================
-// 計測結果の編集機能
-// ============================================
+  const toFixed = Cesium.Transforms.eastNorthUpToFixedFrame(computeCentroid(positions));
+  const toLocal = Cesium.Matrix4.inverseTransformation(toFixed, new Cesium.Matrix4());
+  let polygon = positions.map(p => {
+    const local = Cesium.Matrix4.multiplyByPoint(toLocal, p, new Cesium.Cartesian3());
+    return { x: local.x, y: local.y };
+  });
+  if (mask.tilesetId) {
+    polygon = computeConvexHull2D(polygon);
+  }
 
-// 編集モード管理
-let editingMeasurementId = null;
-let editingPointIndex = null;
-let editDragHandler = null;
+  const buffer = mask.buffer !== undefined && mask.buffer !== null
+    ? mask.buffer
+    : googleTilesetMaskSettings.buffer;
+  return {
+    toFixed: toFixed,
+    polygon: buffer > 0 ? bufferPolygon2D(polygon, buffer) : polygon,
+    buffer: buffer,
+  };
+}
 
 /**
- * 計測結果のスタイルを更新
- * @param {Object} params - {measurementId, color, fillOpacity, lineWidth}
+ * Tilesetのフットプリントの頂点（位置調整前の座標）を取得
+ *
+ * ルートタイルのバウンディングボリュームの頂点（球の場合は円周上の点）を、
+ * ルートタイルの変換から位置調整を除いた座標で保持する。
+ *
+ * @param {string} id - TilesetのID
+ * @param {Cesium.Cesium3DTileset} tileset - Tileset
+ * @returns {Array<Cesium.Cartesian3>|null} 頂点（未読込の場合はnull）
  */
-function updateMeasurementStyle(params) {
-  const { measurementId, color, fillOpacity, lineWidth } = params;
-  const entity = measurementEntities.get(measurementId);
+function getTilesetFootprint(id, tileset) {
+  let footprint = tilesetFootprints.get(id);
+  if (footprint) return footprint;
+
+  const root = tileset.root;
+  if (!root || !root.boundingVolume) return null;
+
+  const volume = root.boundingVolume.boundingVolume;
+  let corners;
+  if (volume instanceof Cesium.OrientedBoundingBox) {
+    corners = Cesium.OrientedBoundingBox.computeCorners(volume);
+  } else {
+    const sphere = volume instanceof Cesium.BoundingSphere ? volume : tileset.boundingSphere;
+    const enu = Cesium.Transforms.eastNorthUpToFixedFrame(sphere.center);
+    corners = [];
+    for (let i = 0; i < 16; i++) {
+      const angle = (i / 16) * Cesium.Math.TWO_PI;
+      corners.push(Cesium.Matrix4.multiplyByPoint(
+        enu,
+        new Cesium.Cartesian3(sphere.radius * Math.cos(angle), sphere.radius * Math.sin(angle), 0),
+        new Cesium.Cartesian3()
+      ));
+    }
+  }
+
+  // バウンディングボリュームはcomputedTransform（位置調整 × ルートの変換）で計算済み
+  const toOriginal = Cesium.Matrix4.multiply(
+    root.transform,
+    Cesium.Matrix4.inverse(root.computedTransform, new Cesium.Matrix4()),
+    new Cesium.Matrix4()
+  );
+  footprint = corners.map(c => Cesium.Matrix4.multiplyByPoint(toOriginal, c, new Cesium.Cartesian3()));
+  tilesetFootprints.set(id, footprint);
+  return footprint;
+}
+
+/**
+ * 平面上の点の凸包（反時計回り）
+ * @param {Array<{x: number, y: number}>} points - 点
+ * @returns {Array<{x: number, y: number}>} 凸包の頂点
+ */
+function computeConvexHull2D(points) {
+  // ほぼ重なる点（1mm未満）を1つにまとめてから並べる
+  const unique = new Map();
+  points.forEach(p => {
+    const x = Math.round(p.x * 1000) / 1000;
+    const y = Math.round(p.y * 1000) / 1000;
+    unique.set(`${x},${y}`, { x: x, y: y });
+  });
+  const sorted = Array.from(unique.values()).sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const build = (list) => {
+    const hull = [];
+    list.forEach(p => {
+      // 一直線上の点は除く
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 1e-6) {
+        hull.pop();
+      }
+      hull.push(p);
+    });
+    hull.pop();
+    return hull;
+  };
+  return build(sorted).concat(build(sorted.slice().reverse()));
+}
+
+/**
+ * 多角形を外側に広げる（各頂点を隣接する辺の法線の二等分方向に移動）
+ * 鋭角の頂点は広げる距離の4倍までに抑える
+ * @param {Array<{x: number, y: number}>} polygon - 多角形
+ * @param {number} distance - 広げる距離（メートル）
+ * @returns {Array<{x: number, y: number}>} 広げた多角形
+ */
+function bufferPolygon2D(polygon, distance) {
+  const n = polygon.length;
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % n];
+    area += a.x * b.y - b.x * a.y;
+  }
+  // 反時計回りなら辺の右側が外側
+  const sign = area >= 0 ? 1 : -1;
+  const edgeNormal = (a, b) => {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: sign * (b.y - a.y) / length, y: -sign * (b.x - a.x) / length };
+  };
+
+  return polygon.map((p, i) => {
+    const n1 = edgeNormal(polygon[(i - 1 + n) % n], p);
+    const n2 = edgeNormal(p, polygon[(i + 1) % n]);
+    const bisector = { x: n1.x + n2.x, y: n1.y + n2.y };
+    const length = Math.hypot(bisector.x, bisector.y);
+    if (length < 1e-9) return { x: p.x + n1.x * distance, y: p.y + n1.y * distance };
+
+    const cos = (bisector.x * n1.x + bisector.y * n1.y) / length;
+    const offset = Math.min(distance / Math.max(cos, 1e-9), distance * 4);
+    return { x: p.x + (bisector.x / length) * offset, y: p.y + (bisector.y / length) * offset };
+  });
+}
+
+/**
+ * マスクの範囲のフラグメントを破棄するGoogle 3D Tiles用のシェーダーを作成
+ *
+ * 多角形の頂点は定数としてシェーダーに埋め込む（マスクの変更時に作り直す）。
+ * ワールド座標は単精度のため、判定の誤差は数十cm程度になる。
+ *
+ * @param {Array<Object>} areas - resolveGoogleTilesetMaskの結果
+ * @returns {Cesium.CustomShader}
+ */
+function createGoogleTilesetMaskShader(areas) {
+  const f = (value) => {
+    const text = value.toFixed(6);
+    return text.indexOf('.') >= 0 ? text : text + '.0';
+  };
+  const vec3 = (c) => `vec3(${f(c.x)}, ${f(c.y)}, ${f(c.z)})`;
+
+  const functions = areas.map((area, index) => {
+    const center = Cesium.Matrix4.getTranslation(area.toFixed, new Cesium.Cartesian3());
+    const east = Cesium.Matrix4.getColumn(area.toFixed, 0, new Cesium.Cartesian4());
+    const north = Cesium.Matrix4.getColumn(area.toFixed, 1, new Cesium.Cartesian4());
+
+    // レイキャスティング法（辺の交点のx = intercept + p.y * slope、水平な辺は交差しないため除く）
+    const edges = area.polygon.map((pi, i) => {
+      const pj = area.polygon[(i + area.polygon.length - 1) % area.polygon.length];
+      if (Math.abs(pj.y - pi.y) < 1e-6) return '';
+      const slope = (pj.x - pi.x) / (pj.y - pi.y);
+      const intercept = pi.x - pi.y * slope;
+      return `  if ((p.y < ${f(pi.y)}) != (p.y < ${f(pj.y)}) && p.x < ${f(intercept)} + p.y * ${f(slope)}) inside = !inside;\n`;
+    }).join('');
+
+    return `bool insideMask${index}(vec3 positionWC) {
+  vec3 d = positionWC - ${vec3(center)};
+  vec2 p = vec2(dot(d, ${vec3(east)}), dot(d, ${vec3(north)}));
+  bool inside = false;
+${edges}  return inside;
+}
+`;
+  }).join('\n');
+
+  const tests = areas.map((_, index) => `insideMask${index}(positionWC)`).join(' || ');
+
+  return new Cesium.CustomShader({
+    fragmentShaderText: `${functions}
+void fragmentMain(FragmentInput fsInput, inout czm_modelMaterial material) {
+  vec3 positionWC = fsInput.attributes.positionWC;
+  if (${tests}) discard;
+}
+`,
+  });
+}
+
+// ============================================
+// 計測機能
+// ============================================
+
+/**
+ * 計測モードを開始
+ * @param {string} type - 計測タイプ ('distance', 'area', 'height', 'angle', 'profile', 'volume')
+ */
+function startMeasurementMode(type) {
+  console.log('[CesiumBridge] startMeasurementMode called with type:', type);
   
-  if (!entity) {
-    console.warn('[CesiumBridge] Measurement not found:', measurementId);
+  if (!viewer) {
+    console.error('[CesiumBridge] Viewer not initialized');
     return;
   }
   
   try {
-    const cesiumColor = Cesium.Color.fromCssColorString(color);
+    // 既存の計測をクリーンアップ
+    cleanupTempMeasurement();
     
-    if (entity.polygon) {
-      // ポリゴン（面積計測）
-      entity.polygon.material = cesiumColor.withAlpha(fillOpacity);
-      entity.polygon.outlineColor = cesiumColor;
-      if (lineWidth !== undefined) {
-        entity.polygon.outlineWidth = lineWidth;
+    measurementMode = type;
+    measurementPoints = [];
+    measurementLastHit = null;
+    
+    console.log('[CesiumBridge] Creating temp entity for type:', type);
+    
+    // 既存の一時エンティティを削除（念のため）
+    const existingTemp = viewer.entities.getById('temp_measurement');
+    if (existingTemp) {
+      viewer.entities.remove(existingTemp);
+    }
+    
+    // 一時エンティティを作成（ライン/ポリゴンプレビュー用）
+    if (type === 'area' || type === 'volume') {
+      tempMeasurementEntity = viewer.entities.add({
+        id: 'temp_measurement',
+        polygon: {
+          hierarchy: new Cesium.CallbackProperty(() => {
+            if (measurementPoints.length < 3) {
+              return new Cesium.PolygonHierarchy([]);
+            }
+            return new Cesium.PolygonHierarchy(
+              measurementPoints.map(p => 
+                Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+              )
+            );
+          }, false),
+          material: Cesium.Color.YELLOW.withAlpha(0.3),
+          outline: true,
+          outlineColor: Cesium.Color.YELLOW,
+          outlineWidth: 3,
+        },
+      });
+    } else {
+      tempMeasurementEntity = viewer.entities.add({
+        id: 'temp_measurement',
+        polyline: {
+          positions: new Cesium.CallbackProperty(() => {
+            return measurementPoints.map(p => 
+              Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+            );
+          }, false),
+          width: 3,
+          material: Cesium.Color.YELLOW,
+          clampToGround: type !== 'height' && type !== 'angle' && type !== 'lineOfSight',
+        },
+      });
+    }
+    
+    console.log('[CesiumBridge] Setting up click handler for measurement');
+    
+    // クリックイベント（計測モード用）
+    viewer.screenSpaceEventHandler.setInputAction(async (click) => {
+      console.log('[CesiumBridge] Measurement click detected, mode:', measurementMode);
+      if (!measurementMode) {
+        console.log('[CesiumBridge] No measurement mode active, ignoring');
+        return;
+      }
+      
+      const hit = pickSurface(click.position);
+      const groundPosition = hit ? hit.position : null;
+      const snapTarget = findSnapTarget(click.position, groundPosition);
+      const position = snapTarget ? snapTarget.position : groundPosition;
+      console.log('[CesiumBridge] Ground position:', position, 'snap:', snapTarget ? snapTarget.type : 'none');
+      
+      if (position) {
+        const cartographic = Cesium.Cartographic.fromCartesian(position);
+        const point = {
+          longitude: Cesium.Math.toDegrees(cartographic.longitude),
+          latitude: Cesium.Math.toDegrees(cartographic.latitude),
+          height: cartographic.height || 0,
+        };
+        
+        measurementPoints.push(point);
+        measurementLastHit = hit ? { source: hit.source, tilesetId: hit.tilesetId } : null;
+        console.log('[CesiumBridge] Added point, total points:', measurementPoints.length);
+        
+        // ポイントマーカーを追加
+        try {
+          const pointEntity = viewer.entities.add({
+            position: position,
+            point: {
+              pixelSize: 10,
+              color: Cesium.Color.YELLOW,
+              outlineColor: Cesium.Color.BLACK,
+              outlineWidth: 2,
+            },
+          });
+          tempPointEntities.push(pointEntity);
+        } catch (e) {
+          console.warn('[CesiumBridge] Failed to add point marker:', e);
+        }
+        
+        // 高さ計測は2点で自動完了
+        if (measurementMode === 'height' && measurementPoints.length === 2) {
+          finishMeasurement();
+          return;
+        }
+        
+        // 角度計測は3点で自動完了
+        if (measurementMode === 'angle' && measurementPoints.length === 3) {
+          finishMeasurement();
+          return;
+        }
+        
+        // 見通し解析は観測点・対象点の2点で自動完了
+        if (measurementMode === 'lineOfSight' && measurementPoints.length === 2) {
+          finishMeasurement();
+          return;
+        }
+        
+        // 表面積・土量は高さのサンプリング（非同期）完了後に通知
+        const type = measurementMode;
+        const points = [...measurementPoints];
+        const details = await calculateMeasurementDetails(type, points, AREA_SAMPLE_LIMIT_PREVIEW);
+        
+        // サンプリング中に計測が確定・変更された場合は通知しない
+        if (measurementMode !== type || measurementPoints.length !== points.length) return;
+        
+        const currentValue = type === 'volume' ? details.netVolume : calculateMeasurement();
+        console.log('[CesiumBridge] Current value:', currentValue);
+        
+        sendToFlutter('measurementPointAdded', {
+          points: points,
+          currentValue: currentValue,
+          unit: getMeasurementUnit(),
+          snap: snapTarget ? { type: snapTarget.type, id: snapTarget.id } : null,
+          source: hit ? hit.source : null,
+          tilesetId: hit ? hit.tilesetId : null,
+          ...details,
+        });
       }
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    
+    // マウス移動でスナップ候補をハイライト
+    // 共有のハンドラなので、それまでのマウス移動ハンドラを退避して終了時に戻す
+    const currentMouseMoveAction = viewer.screenSpaceEventHandler.getInputAction(Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+    if (!measurementMouseMoveAction || currentMouseMoveAction !== measurementMouseMoveAction) {
+      previousMouseMoveAction = currentMouseMoveAction || null;
     }
+    measurementMouseMoveAction = (movement) => {
+      if (!measurementMode) return;
+      const groundPosition = getGroundPosition(movement.endPosition);
+      updateSnapIndicator(findSnapTarget(movement.endPosition, groundPosition));
+    };
+    viewer.screenSpaceEventHandler.setInputAction(measurementMouseMoveAction, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
     
-    if (entity.polyline) {
-      // ポリライン（距離/高さ計測）
-      entity.polyline.material = cesiumColor;
-      if (lineWidth !== undefined) {
-        entity.polyline.width = lineWidth;
+    // ダブルクリックで確定
+    viewer.screenSpaceEventHandler.setInputAction(() => {
+      console.log('[CesiumBridge] Double click detected for measurement finish');
+      if (!measurementMode) return;
+      if (canFinishMeasurement()) {
+        finishMeasurement();
       }
+    }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+    
+    // 右クリックでキャンセル
+    viewer.screenSpaceEventHandler.setInputAction(() => {
+      console.log('[CesiumBridge] Right click - canceling measurement');
+      cancelMeasurement();
+    }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+    
+    // Enterキーで確定
+    setupMeasurementKeyboardHandler();
+    
+    console.log('[CesiumBridge] Measurement mode started successfully');
+    sendToFlutter('measurementModeStarted', { type: type });
+    
+  } catch (error) {
+    console.error('[CesiumBridge] Error starting measurement mode:', error);
+    sendToFlutter('measurementError', { error: error.message });
+  }
+}
+
+/**
+ * 地面の位置を取得
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @returns {Cesium.Cartesian3|null} 地面の位置
+ */
+function getGroundPosition(screenPosition) {
+  const hit = pickSurface(screenPosition);
+  return hit ? hit.position : null;
+}
+
+/**
+ * スクリーン座標下の表面を取得
+ * 
+ * 以下の順に判定し、最初に得られた位置とその取得元を返す:
+ * 1. 描画中の3D Tiles（インポートTileset、Google 3D Tiles等）を深度ピック
+ * 2. 地形
+ * 3. 楕円体
+ * 計測プレビューや配置プレビューなどの一時エンティティは判定から除外する。
+ * 
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @param {Array<Object>} [extraExclusions] - 追加で判定から除外するエンティティ・プリミティブ
+ * @returns {{position: Cesium.Cartesian3, source: string, tilesetId: (string|null)}|null}
+ *   sourceは 'tileset' | 'terrain' | 'ellipsoid'
+ */
+function pickSurface(screenPosition, extraExclusions = []) {
+  if (!viewer || !screenPosition) return null;
+  
+  try {
+    const scene = viewer.scene;
+    const ray = viewer.camera.getPickRay(screenPosition);
+    if (!ray) {
+      console.log('[CesiumBridge] No pick ray available');
+      return null;
     }
     
-    // 端点マーカーの色も更新
-    let i = 0;
-    while (true) {
-      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
-      if (!pointEntity) break;
-      if (pointEntity.point) {
-        pointEntity.point.color = cesiumColor;
+    // まず3D Tilesの表面を試す（3Dモードのみ深度ピックが可能）
+    if (scene.mode === Cesium.SceneMode.SCENE3D && scene.pickPositionSupported) {
+      const tilesetHit = pickTilesetSurface(screenPosition, ray, extraExclusions);
+      if (tilesetHit) {
+        return tilesetHit;
       }
-      i++;
     }
     
-    console.log('[CesiumBridge] Style updated for:', measurementId);
-    sendToFlutter('measurementStyleUpdated', { measurementId });
+    // 次に地形との交点を試す
+    const terrainPosition = scene.globe.pick(ray, scene);
+    if (terrainPosition) {
+      const hasTerrain = !(viewer.terrainProvider instanceof Cesium.EllipsoidTerrainProvider);
+      return {
+        position: terrainPosition,
+        source: hasTerrain ? 'terrain' : 'ellipsoid',
+        tilesetId: null,
+      };
+    }
+    
+    // 地形がない場合は楕円体との交点
+    const ellipsoidPosition = viewer.camera.pickEllipsoid(screenPosition);
+    if (ellipsoidPosition) {
+      return { position: ellipsoidPosition, source: 'ellipsoid', tilesetId: null };
+    }
+    return null;
   } catch (e) {
-    console.error('[CesiumBridge] Error updating style:', e);
+    console.error('[CesiumBridge] Error in pickSurface:', e);
+    return null;
   }
 }
 
 /**
- * 計測結果を完全に更新（ポイント変更を含む）
- * @param {Object} measurement - 計測データ
+ * スクリーン座標下の3D Tiles表面を深度ピックで取得
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @param {Cesium.Ray} ray - ピックレイ
+ * @param {Array<Object>} [extraExclusions] - 追加で判定から除外するエンティティ・プリミティブ
+ * @returns {{position: Cesium.Cartesian3, source: string, tilesetId: string}|null}
  */
-function updateMeasurementDisplay(measurement) {
-  console.log('[CesiumBridge] Updating measurement display:', measurement.id);
+function pickTilesetSurface(screenPosition, ray, extraExclusions = []) {
+  const scene = viewer.scene;
+  const picked = scene.pick(screenPosition);
+  if (!Cesium.defined(picked)) return null;
   
-  // 既存のエンティティを削除
-  removeMeasurementDisplay(measurement.id);
+  // 最前面がTilesetなら深度バッファから位置を取得
+  const tilesetId = getPickedTilesetId(picked);
+  if (tilesetId) {
+    const position = scene.pickPosition(screenPosition);
+    if (Cesium.defined(position)) {
+      return { position: position, source: 'tileset', tilesetId: tilesetId };
+    }
+    return null;
+  }
   
-  // 新しいエンティティを追加
-  addMeasurementDisplay(measurement);
+  // 手前にエンティティ等がある場合は、それらを除外してレイで判定
+  if (typeof scene.pickFromRay !== 'function') return null;
+  
+  const objectsToExclude = [...getTransientPickEntities(), ...extraExclusions];
+  objectsToExclude.push(picked.id instanceof Cesium.Entity ? picked.id : picked.primitive);
+  
+  const result = scene.pickFromRay(ray, objectsToExclude);
+  if (result && Cesium.defined(result.position)) {
+    const rayTilesetId = getPickedTilesetId(result.object);
+    if (rayTilesetId) {
+      return { position: result.position, source: 'tileset', tilesetId: rayTilesetId };
+    }
+  }
+  return null;
+}
+
+/**
+ * ピック結果からTilesetのIDを取得
+ * @param {Object} picked - scene.pick等の結果
+ * @returns {string|null} TilesetのID（Google Photorealistic 3D Tilesは'google'、Tileset以外の場合はnull）
+ */
+function getPickedTilesetId(picked) {
+  if (!Cesium.defined(picked)) return null;
+  
+  let tileset = null;
+  if (picked instanceof Cesium.Cesium3DTileFeature) {
+    tileset = picked.tileset;
+  } else if (picked.primitive instanceof Cesium.Cesium3DTileset) {
+    tileset = picked.primitive;
+  } else if (picked.content && picked.content.tileset) {
+    tileset = picked.content.tileset;
+  }
+  if (!tileset) return null;
+  if (tileset === googleTileset) return 'google';
+  
+  for (const [id, registered] of tilesets) {
+    if (registered === tileset) return id;
+  }
+  return 'unknown';
+}
+
+/**
+ * 表面判定から除外する一時エンティティを取得
+ * @returns {Array<Cesium.Entity>} 計測プレビュー、スナップ表示、配置プレビュー
+ */
+function getTransientPickEntities() {
+  return [
+    tempMeasurementEntity,
+    ...tempPointEntities,
+    snapIndicatorEntity,
+    previewEntity,
+    ...(bulkPlacement ? bulkPlacement.entities : []),
+    ...(placementGizmo ? placementGizmo.entities : []),
+    ...alignmentGuideEntities,
+    ...Array.from(placementZones.values()).flatMap(zone => zone.entities),
+    ...localGridEntities,
+    ...(controlPointAlignment ? controlPointAlignment.entities : []),
+  ].filter(entity => entity);
+}
+
+/**
+ * 土量計算の表面判定から除外するエンティティを取得
+ * 地盤の高さを測るため、一時エンティティに加えて配置物と計測結果の表示も除外する
+ * @returns {Array<Cesium.Entity>}
+ */
+function getVolumeExcludedEntities() {
+  return [
+    ...getTransientPickEntities(),
+    ...Array.from(placementEntities.values()).map(data => data.entity),
+    ...measurementEntities.values(),
+    ...Array.from(measurementAuxEntities.values()).flat(),
+    ...editHandleEntities,
+  ].filter(entity => entity);
+}
+
+// ============================================
+// 断面（標高プロファイル）計測
+// ============================================
+
+/**
+ * 断面計測設定を更新
+ * @param {Object} settings - 設定 {interval, maxSamples}
+ */
+function updateProfileSettings(settings) {
+  Object.assign(profileSettings, settings);
+  console.log('[CesiumBridge] Profile settings updated:', profileSettings);
+}
+
+/**
+ * ポリラインに沿って高さをサンプリング
+ * 
+ * 各区間を測地線で等間隔に分割し、描画中の3D Tiles、地形の順に高さを取得する。
+ * どちらからも取得できない地点はサンプルから除く。
+ * 
+ * @param {Array} points - ポリラインの頂点 [{longitude, latitude, height}, ...]
+ * @param {number} [interval] - サンプリング間隔（メートル）
+ * @returns {Promise<Object>} {samples: [{distance, height, longitude, latitude}, ...],
+ *   length, interval, min, max, maxSlope}
+ */
+async function sampleElevationProfile(points, interval) {
+  if (!viewer) throw new Error('Viewer not initialized');
+  if (!points || points.length < 2) throw new Error('At least 2 points are required');
+
+  const segments = [];
+  let totalLength = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const geodesic = new Cesium.EllipsoidGeodesic(
+      Cesium.Cartographic.fromDegrees(points[i].longitude, points[i].latitude),
+      Cesium.Cartographic.fromDegrees(points[i + 1].longitude, points[i + 1].latitude)
+    );
+    segments.push(geodesic);
+    totalLength += geodesic.surfaceDistance;
+  }
+
+  // サンプル数が上限を超える場合は間隔を広げる
+  let step = Math.max(0.1, interval || profileSettings.interval);
+  if (totalLength / step > profileSettings.maxSamples) {
+    step = totalLength / profileSettings.maxSamples;
+  }
+
+  const distances = [];
+  const cartographics = [];
+  let offset = 0;
+  segments.forEach((geodesic, i) => {
+    const length = geodesic.surfaceDistance;
+    const count = Math.max(1, Math.ceil(length / step));
+    for (let k = 0; k < count; k++) {
+      distances.push(offset + length * (k / count));
+      cartographics.push(geodesic.interpolateUsingFraction(k / count));
+    }
+    offset += length;
+    if (i === segments.length - 1) {
+      distances.push(offset);
+      cartographics.push(Cesium.Cartographic.clone(geodesic.end));
+    }
+  });
+
+  const heights = await sampleSurfaceHeights(cartographics);
+
+  const samples = [];
+  cartographics.forEach((c, i) => {
+    if (heights[i] === undefined) return;
+    samples.push({
+      distance: distances[i],
+      height: heights[i],
+      longitude: Cesium.Math.toDegrees(c.longitude),
+      latitude: Cesium.Math.toDegrees(c.latitude),
+    });
+  });
+  if (samples.length < 2) {
+    throw new Error('Surface heights are not available along the profile');
+  }
+
+  let min = samples[0];
+  let max = samples[0];
+  let maxSlope = 0;
+  samples.forEach((sample, i) => {
+    if (sample.height < min.height) min = sample;
+    if (sample.height > max.height) max = sample;
+    if (i > 0) {
+      const run = sample.distance - samples[i - 1].distance;
+      if (run > 0) {
+        maxSlope = Math.max(maxSlope, Math.abs(sample.height - samples[i - 1].height) / run * 100);
+      }
+    }
+  });
+
+  return {
+    samples: samples,
+    length: totalLength,
+    interval: step,
+    min: min,
+    max: max,
+    maxSlope: maxSlope, // 最大勾配（%）
+  };
+}
+
+/**
+ * 複数地点の表面の高さを取得（非同期・最高詳細度）
+ * 描画中の3D Tilesを優先し、取得できない地点は地形から取得する
+ * @param {Array<Cesium.Cartographic>} cartographics - 地点の配列
+ * @param {Array} [objectsToExclude] - 除外するオブジェクト（省略時は一時エンティティ）
+ * @returns {Promise<Array<number|undefined>>} 高さ（メートル）の配列（どちらからも取得できない地点はundefined）
+ */
+async function sampleSurfaceHeights(cartographics, objectsToExclude = getTransientPickEntities()) {
+  const scene = viewer.scene;
+  const heights = new Array(cartographics.length).fill(undefined);
+
+  // 3D Tiles等の描画中のプリミティブ
+  if (scene.mode === Cesium.SceneMode.SCENE3D && scene.sampleHeightSupported) {
+    try {
+      const results = await scene.sampleHeightMostDetailed(
+        cartographics.map(c => Cesium.Cartographic.clone(c)),
+        objectsToExclude
+      );
+      results.forEach((c, i) => {
+        if (c && Cesium.defined(c.height)) heights[i] = c.height;
+      });
+    } catch (e) {
+      console.warn('[CesiumBridge] sampleHeightMostDetailed failed:', e);
+    }
+  }
+
+  // 残りは地形から取得
+  const missing = [];
+  heights.forEach((h, i) => {
+    if (h === undefined) missing.push(i);
+  });
+  if (missing.length > 0) {
+    const terrainHeights = await sampleTerrainHeights(missing.map(i => cartographics[i]));
+    terrainHeights.forEach((h, k) => {
+      heights[missing[k]] = h;
+    });
+  }
+
+  return heights;
+}
+
+/**
+ * 複数地点の地形の高さを取得（非同期・最高詳細度）
+ * @param {Array<Cesium.Cartographic>} cartographics - 地点の配列
+ * @returns {Promise<Array<number|undefined>>} 高さ（メートル）の配列（地形なし・取得失敗はundefined）
+ */
+async function sampleTerrainHeights(cartographics) {
+  const heights = new Array(cartographics.length).fill(undefined);
+  if (cartographics.length === 0 || viewer.terrainProvider instanceof Cesium.EllipsoidTerrainProvider) {
+    return heights;
+  }
+
+  try {
+    const results = await Cesium.sampleTerrainMostDetailed(
+      viewer.terrainProvider,
+      cartographics.map(c => Cesium.Cartographic.clone(c))
+    );
+    results.forEach((c, i) => {
+      if (c && Cesium.defined(c.height)) heights[i] = c.height;
+    });
+  } catch (e) {
+    console.warn('[CesiumBridge] sampleTerrainMostDetailed failed:', e);
+  }
+  return heights;
+}
+
+/**
+ * 指定ポリラインの断面を取得してFlutterに送信
+ * @param {Object} params - {measurementId, points, interval}
+ *   pointsを省略した場合は表示中の計測結果の頂点を使用する
+ */
+async function requestElevationProfile(params) {
+  const source = params.points
+    ? params.points
+    : (measurementData.get(params.measurementId) || {}).points;
+  
+  try {
+    const profile = await sampleElevationProfile(source, params.interval);
+    sendToFlutter('elevationProfileSampled', {
+      measurementId: params.measurementId || null,
+      ...profile,
+    });
+  } catch (error) {
+    console.error('[CesiumBridge] Error sampling profile:', error);
+    sendToFlutter('measurementError', {
+      measurementId: params.measurementId || null,
+      error: error.message,
+    });
+  }
+}
+
+// ============================================
+// 見通し（可視性）解析
+// ============================================
+
+/**
+ * 見通し解析設定を更新
+ * @param {Object} settings - 設定（lineOfSightSettingsと同じキー）
+ */
+function updateLineOfSightSettings(settings) {
+  Object.assign(lineOfSightSettings, settings);
+  console.log('[CesiumBridge] Line of sight settings updated:', lineOfSightSettings);
+}
+
+/**
+ * 見通し解析モードを開始（観測点 → 対象点の順にクリック）
+ * @param {Object} [params] - 設定（lineOfSightSettingsと同じキー、省略時は現在の設定）
+ */
+function startLineOfSightMode(params) {
+  if (params) {
+    updateLineOfSightSettings(params);
+  }
+  startMeasurementMode('lineOfSight');
+}
+
+/**
+ * 2点間の見通しを解析して結果を表示
+ * 
+ * 観測点を目の高さ分持ち上げた視点から対象点への直線について、
+ * 地形は線上の高さのサンプリング、3D Tilesと配置物モデルはレイキャストで遮蔽を判定する。
+ * 最初の遮蔽地点までを緑、それ以降を赤で表示する。
+ * 
+ * @param {Object} params - {id, observer, target, eyeHeight, targetHeight}
+ *   observer/targetは {longitude, latitude, height}、高さ以外は省略時lineOfSightSettingsを使用
+ * @returns {Promise<Object>} 解析結果
+ */
+async function analyzeLineOfSight(params) {
+  if (!viewer) throw new Error('Viewer not initialized');
+  
+  const id = params.id || `los_${Date.now()}`;
+  const eyeHeight = params.eyeHeight !== undefined ? params.eyeHeight : lineOfSightSettings.eyeHeight;
+  const targetHeight = params.targetHeight !== undefined ? params.targetHeight : lineOfSightSettings.targetHeight;
+  
+  const observer = { ...params.observer, height: (params.observer.height || 0) + eyeHeight };
+  const target = { ...params.target, height: (params.target.height || 0) + targetHeight };
+  const eye = Cesium.Cartesian3.fromDegrees(observer.longitude, observer.latitude, observer.height);
+  const end = Cesium.Cartesian3.fromDegrees(target.longitude, target.latitude, target.height);
+  const distance = Cesium.Cartesian3.distance(eye, end);
+  
+  // 以前の同じIDの結果は置き換える
+  removeLineOfSight(id, false);
+  
+  const candidates = [
+    await findTerrainObstruction(eye, end, distance),
+    findObjectObstruction(eye, end, distance),
+  ].filter(c => c);
+  const obstruction = candidates.sort((a, b) => a.distance - b.distance)[0] || null;
+  
+  const result = {
+    id: id,
+    visible: !obstruction,
+    observer: params.observer,
+    target: params.target,
+    eyeHeight: eyeHeight,
+    targetHeight: targetHeight,
+    distance: distance,
+    clearDistance: obstruction ? obstruction.distance : distance,
+    obstruction: obstruction ? {
+      longitude: obstruction.point.longitude,
+      latitude: obstruction.point.latitude,
+      height: obstruction.point.height,
+      distance: obstruction.distance,
+      source: obstruction.source,
+      tilesetId: obstruction.tilesetId || null,
+      placementId: obstruction.placementId || null,
+    } : null,
+  };
+  
+  lineOfSightResults.set(id, {
+    result: result,
+    entities: addLineOfSightDisplay(result, eye, end, obstruction ? obstruction.position : null),
+  });
+  
+  console.log('[CesiumBridge] Line of sight analyzed:', id, result.visible ? 'visible' : 'blocked');
+  sendToFlutter('lineOfSightAnalyzed', result);
+  return result;
+}
+
+/**
+ * 視点からの距離に応じた遮蔽判定の許容差を取得
+ * 遠いほど地形データや深度の誤差が大きくなるため、距離に比例して広げる
+ * @param {number} distance - 視点からの距離（メートル）
+ * @returns {number} 許容差（メートル）
+ */
+function getLineOfSightTolerance(distance) {
+  return Math.max(lineOfSightSettings.tolerance, distance * lineOfSightSettings.relativeTolerance);
+}
+
+/**
+ * 視線上で最初に地形に遮られる地点を探す
+ * @param {Cesium.Cartesian3} eye - 視点
+ * @param {Cesium.Cartesian3} end - 対象点
+ * @param {number} distance - 視点から対象点までの距離（メートル）
+ * @returns {Promise<Object|null>} {position, point, distance, source} 遮られない場合null
+ */
+async function findTerrainObstruction(eye, end, distance) {
+  // 地形がない場合は楕円体面（標高0）を地表とみなさず、地形による遮蔽は判定しない
+  if (viewer.terrainProvider instanceof Cesium.EllipsoidTerrainProvider) return null;
+  
+  let step = Math.max(0.1, lineOfSightSettings.interval);
+  if (distance / step > lineOfSightSettings.maxSamples) {
+    step = distance / lineOfSightSettings.maxSamples;
+  }
+  
+  // 端点は選択した地表上にあるため判定から除く
+  const count = Math.ceil(distance / step);
+  const positions = [];
+  for (let k = 1; k < count; k++) {
+    positions.push(Cesium.Cartesian3.lerp(eye, end, k / count, new Cesium.Cartesian3()));
+  }
+  if (positions.length === 0) return null;
+  
+  const cartographics = positions.map(p => Cesium.Cartographic.fromCartesian(p));
+  const terrainHeights = await sampleTerrainHeights(cartographics);
+  
+  for (let i = 0; i < positions.length; i++) {
+    // 地形の高さが取得できない地点は判定しない
+    if (terrainHeights[i] === undefined) continue;
+    
+    const tolerance = getLineOfSightTolerance(Cesium.Cartesian3.distance(eye, positions[i]));
+    if (terrainHeights[i] > cartographics[i].height + tolerance) {
+      return {
+        position: positions[i],
+        point: cartesianToMeasurementPoint(positions[i]),
+        distance: Cesium.Cartesian3.distance(eye, positions[i]),
+        source: 'terrain',
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 視線上で最初に3D Tilesや配置物モデルに遮られる地点を探す
+ * @param {Cesium.Cartesian3} eye - 視点
+ * @param {Cesium.Cartesian3} end - 対象点
+ * @param {number} distance - 視点から対象点までの距離（メートル）
+ * @returns {Object|null} {position, point, distance, source, tilesetId, placementId} 遮られない場合null
+ */
+function findObjectObstruction(eye, end, distance) {
+  const scene = viewer.scene;
+  if (scene.mode !== Cesium.SceneMode.SCENE3D || typeof scene.pickFromRay !== 'function') {
+    return null;
+  }
+  
+  const direction = Cesium.Cartesian3.normalize(
+    Cesium.Cartesian3.subtract(end, eye, new Cesium.Cartesian3()),
+    new Cesium.Cartesian3()
+  );
+  
+  let hit;
+  try {
+    hit = scene.pickFromRay(new Cesium.Ray(eye, direction), getLineOfSightExcludedObjects());
+  } catch (e) {
+    console.warn('[CesiumBridge] pickFromRay failed:', e);
+    return null;
+  }
+  if (!hit || !hit.position) return null;
+  
+  // 対象点の手前（対象自体の表面を除く）で当たった場合のみ遮蔽とする
+  const hitDistance = Cesium.Cartesian3.distance(eye, hit.position);
+  if (hitDistance >= distance - getLineOfSightTolerance(distance)) return null;
+  
+  const obstruction = {
+    position: hit.position,
+    point: cartesianToMeasurementPoint(hit.position),
+    distance: hitDistance,
+    source: 'object',
+  };
+  
+  const tilesetId = getPickedTilesetId(hit.object);
+  const entityId = hit.object && hit.object.id
+    ? (hit.object.id.id || hit.object.id)
+    : null;
+  if (tilesetId) {
+    obstruction.source = 'tileset';
+    obstruction.tilesetId = tilesetId;
+  } else if (typeof entityId === 'string' && placementEntities.has(entityId)) {
+    obstruction.source = 'placement';
+    obstruction.placementId = entityId;
+  }
+  return obstruction;
+}
+
+/**
+ * 見通しのレイキャストから除外するオブジェクトを取得
+ * 計測・解析の表示自体は遮蔽物として扱わない
+ * @returns {Array<Cesium.Entity>} 除外するエンティティ
+ */
+function getLineOfSightExcludedObjects() {
+  const excluded = [...getTransientPickEntities(), ...editHandleEntities];
+  measurementEntities.forEach(entity => excluded.push(entity));
+  measurementAuxEntities.forEach(entities => excluded.push(...entities));
+  lineOfSightResults.forEach(entry => excluded.push(...entry.entities));
+  tempPointEntities.forEach(entity => excluded.push(entity));
+  return excluded;
+}
+
+/**
+ * 見通し解析の結果を表示
+ * @param {Object} result - 解析結果
+ * @param {Cesium.Cartesian3} eye - 視点
+ * @param {Cesium.Cartesian3} end - 対象点
+ * @param {Cesium.Cartesian3|null} obstructionPosition - 最初の遮蔽地点
+ * @returns {Array<Cesium.Entity>} 追加したエンティティ
+ */
+function addLineOfSightDisplay(result, eye, end, obstructionPosition) {
+  const entities = [];
+  const add = (options) => {
+    const entity = viewer.entities.add(options);
+    entities.push(entity);
+    return entity;
+  };
+  const line = (suffix, positions, color) => add({
+    id: `${result.id}_${suffix}`,
+    polyline: {
+      positions: positions,
+      width: 3,
+      material: color,
+      depthFailMaterial: color.withAlpha(0.4),
+      arcType: Cesium.ArcType.NONE,
+    },
+  });
+  
+  // 見通せる区間（緑）と遮られた区間（赤）
+  line('visible', [eye, obstructionPosition || end], Cesium.Color.LIME);
+  if (obstructionPosition) {
+    line('blocked', [obstructionPosition, end], Cesium.Color.RED);
+    add({
+      id: `${result.id}_obstruction`,
+      position: obstructionPosition,
+      point: {
+        pixelSize: 12,
+        color: Cesium.Color.RED,
+        outlineColor: Cesium.Color.WHITE,
+        outlineWidth: 2,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  }
+  
+  // 目の高さ・対象の高さを示す縦線
+  const observerGround = Cesium.Cartesian3.fromDegrees(
+    result.observer.longitude, result.observer.latitude, result.observer.height || 0
+  );
+  const targetGround = Cesium.Cartesian3.fromDegrees(
+    result.target.longitude, result.target.latitude, result.target.height || 0
+  );
+  if (result.eyeHeight > 0) {
+    line('eye', [observerGround, eye], Cesium.Color.WHITE);
+  }
+  if (result.targetHeight > 0) {
+    line('targetHeight', [targetGround, end], Cesium.Color.WHITE);
+  }
+  
+  [['observer', eye], ['target', end]].forEach(([suffix, position]) => {
+    add({
+      id: `${result.id}_${suffix}`,
+      position: position,
+      point: {
+        pixelSize: 10,
+        color: Cesium.Color.WHITE,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  });
+  
+  add({
+    id: `${result.id}_label`,
+    position: end,
+    label: {
+      text: `${result.visible ? '見通し可' : '見通し不可'}\n${formatMeasurementValue(result.distance, 'm')}`,
+      font: '14px sans-serif',
+      fillColor: result.visible ? Cesium.Color.LIME : Cesium.Color.RED,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: new Cesium.Cartesian2(0, -12),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+  
+  return entities;
+}
+
+/**
+ * 見通し解析の結果を削除
+ * @param {string} id - 解析ID
+ * @param {boolean} [notify=true] - Flutterに通知するか
+ */
+function removeLineOfSight(id, notify = true) {
+  const entry = lineOfSightResults.get(id);
+  if (!entry) return;
+  
+  entry.entities.forEach(entity => viewer.entities.remove(entity));
+  lineOfSightResults.delete(id);
+  
+  if (notify) {
+    sendToFlutter('lineOfSightRemoved', { id });
+  }
+}
+
+/**
+ * すべての見通し解析の結果を削除
+ */
+function clearLineOfSights() {
+  Array.from(lineOfSightResults.keys()).forEach(id => removeLineOfSight(id));
+}
+
+// ============================================
+// 計測スナップ機能
+// ============================================
+
+/**
+ * 計測スナップ設定を更新
+ * @param {Object} settings - 設定（measurementSnapSettingsと同じキー）
+ */
+function updateMeasurementSnapSettings(settings) {
+  Object.assign(measurementSnapSettings, settings);
+  if (!measurementSnapSettings.enabled) {
+    updateSnapIndicator(null);
+  }
+  console.log('[CesiumBridge] Measurement snap settings updated:', measurementSnapSettings);
+}
+
+/**
+ * スクリーン座標付近のスナップ候補を検索
+ * 
+ * 計測ポイント・配置物・ドローンを優先し、該当がなければグリッド点を候補とする。
+ * 
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @param {Cesium.Cartesian3|null} groundPosition - カーソル下の地面位置
+ * @param {Object} [exclude] - 除外する計測ポイント {measurementId, pointIndex}
+ * @returns {Object|null} スナップ先 {position, type, id}
+ */
+function findSnapTarget(screenPosition, groundPosition, exclude) {
+  if (!viewer || !screenPosition || !measurementSnapSettings.enabled) return null;
+
+  const tolerance = measurementSnapSettings.tolerance;
+  let best = null;
+  let bestDistance = tolerance;
+
+  const consider = (position, type, id) => {
+    if (!position) return;
+    const windowPosition = Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer.scene, position);
+    if (!windowPosition) return;
+    const distance = Cesium.Cartesian2.distance(windowPosition, screenPosition);
+    if (distance <= bestDistance) {
+      bestDistance = distance;
+      best = { position: position, type: type, id: id };
+    }
+  };
+
+  // 既存の計測ポイントと計測中のポイント
+  if (measurementSnapSettings.measurementPoints) {
+    measurementData.forEach((measurement, measurementId) => {
+      const entity = measurementEntities.get(measurementId);
+      if (entity && entity.show === false) return;
+      measurement.points.forEach((p, i) => {
+        if (exclude && exclude.measurementId === measurementId && exclude.pointIndex === i) return;
+        consider(
+          Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0),
+          'measurementPoint',
+          `${measurementId}_point_${i}`
+        );
+      });
+    });
+    measurementPoints.forEach((p, i) => {
+      consider(
+        Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0),
+        'measurementPoint',
+        `temp_point_${i}`
+      );
+    });
+  }
+
+  // 配置物のフットプリントの角・中心
+  if (measurementSnapSettings.placements) {
+    placementEntities.forEach((data, placementId) => {
+      if (data.entity.show === false) return;
+      const footprint = getPlacementFootprint(data.placement);
+      if (!footprint) return;
+      consider(footprint.center, 'placementCenter', placementId);
+      footprint.corners.forEach((corner, i) => {
+        consider(corner, 'placementCorner', `${placementId}_corner_${i}`);
+      });
+    });
+  }
+
+  // ドローン位置
+  if (measurementSnapSettings.drones) {
+    const now = Cesium.JulianDate.now();
+    droneFormations.forEach((formation) => {
+      formation.entities.forEach(entityData => {
+        if (!entityData.main || entityData.main.show === false) return;
+        consider(entityData.main.position.getValue(now), 'drone', entityData.main.id);
+      });
+    });
+  }
+
+  if (best) return best;
+
+  // グリッド点
+  if (measurementSnapSettings.grid && snapSettings.gridEnabled && groundPosition) {
+    consider(applyGridSnap(groundPosition), 'grid', null);
+  }
+
+  return best;
+}
+
+/**
+ * スナップ候補のハイライトを更新
+ * @param {Object|null} target - スナップ先（nullで非表示）
+ */
+function updateSnapIndicator(target) {
+  currentSnapTarget = target;
+  if (!viewer) return;
+
+  if (!target) {
+    if (snapIndicatorEntity) {
+      snapIndicatorEntity.show = false;
+    }
+    return;
+  }
+
+  if (!snapIndicatorEntity) {
+    snapIndicatorEntity = viewer.entities.add({
+      id: 'snap_indicator',
+      position: target.position,
+      point: {
+        pixelSize: 14,
+        color: Cesium.Color.TRANSPARENT,
+        outlineColor: Cesium.Color.CYAN,
+        outlineWidth: 3,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+      label: {
+        text: '',
+        font: '12px sans-serif',
+        fillColor: Cesium.Color.CYAN,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -14),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  }
+
+  const labels = {
+    measurementPoint: '頂点',
+    placementCorner: '角',
+    placementCenter: '中心',
+    drone: 'ドローン',
+    grid: 'グリッド',
+  };
+
+  snapIndicatorEntity.position = target.position;
+  snapIndicatorEntity.label.text = labels[target.type] || '';
+  snapIndicatorEntity.show = true;
+}
+
+// 計測用キーボードハンドラ
+let measurementKeyboardHandler = null;
+
+/**
+ * 計測用キーボードハンドラを設定
+ */
+function setupMeasurementKeyboardHandler() {
+  // 既存のハンドラを削除
+  removeMeasurementKeyboardHandler();
+  
+  measurementKeyboardHandler = (event) => {
+    if (event.key === 'Enter' && measurementMode) {
+      console.log('[CesiumBridge] Enter pressed - finishing measurement');
+      
+      // 最小ポイント数をチェック
+      if (canFinishMeasurement()) {
+        finishMeasurement();
+      }
+    } else if (event.key === 'Escape' && measurementMode) {
+      console.log('[CesiumBridge] Escape pressed - canceling measurement');
+      cancelMeasurement();
+    }
+  };
+  
+  document.addEventListener('keydown', measurementKeyboardHandler);
+}
+
+/**
+ * 計測用キーボードハンドラを削除
+ */
+function removeMeasurementKeyboardHandler() {
+  if (measurementKeyboardHandler) {
+    document.removeEventListener('keydown', measurementKeyboardHandler);
+    measurementKeyboardHandler = null;
+  }
+}
+
+// 計測タイプごとの最小ポイント数
+const MEASUREMENT_MIN_POINTS = {
+  distance: 2,
+  area: 3,
+  height: 2,
+  angle: 3,
+  profile: 2,
+  volume: 3,
+  lineOfSight: 2,
+};
+
+/**
+ * 現在の計測を確定できるか（最小ポイント数を満たしているか）
+ * @returns {boolean} 確定可能な場合true
+ */
+function canFinishMeasurement() {
+  return measurementMode in MEASUREMENT_MIN_POINTS
+    && measurementPoints.length >= MEASUREMENT_MIN_POINTS[measurementMode];
+}
+
+/**
+ * 計測を確定
+ */
+function finishMeasurement() {
+  console.log('[CesiumBridge] finishMeasurement called, mode:', measurementMode);
+  
+  if (!measurementMode) {
+    console.log('[CesiumBridge] No measurement mode, skipping finish');
+    return;
+  }
+  
+  try {
+    const value = calculateMeasurement();
+    const unit = getMeasurementUnit();
+    const type = measurementMode;
+    const points = [...measurementPoints]; // コピーを作成
+    // 最後の計測点のピック元（どの3D Tiles/地形上で確定したか）
+    const hitSource = {
+      source: measurementLastHit ? measurementLastHit.source : null,
+      tilesetId: measurementLastHit ? measurementLastHit.tilesetId : null,
+    };
+    
+    if (type === 'profile') {
+      // 断面は高さのサンプリング（非同期）完了後に通知
+      cleanupTempMeasurement();
+      resetMeasurementEventHandlers();
+      measurementMode = null;
+      
+      sampleElevationProfile(points, profileSettings.interval)
+        .then(profile => {
+          console.log('[CesiumBridge] Profile sampled:', profile.samples.length, 'samples');
+          sendToFlutter('measurementCompleted', {
+            type: type,
+            points: points,
+            value: profile.length,
+            unit: unit,
+            ...hitSource,
+            ...profile,
+          });
+        })
+        .catch(error => {
+          console.error('[CesiumBridge] Error sampling profile:', error);
+          sendToFlutter('measurementError', { error: error.message });
+        });
+      return;
+    }
+    
+    if (type === 'lineOfSight') {
+      // 見通しは計測結果としてではなく解析結果として表示・通知
+      cleanupTempMeasurement();
+      resetMeasurementEventHandlers();
+      measurementMode = null;
+      
+      analyzeLineOfSight({ observer: points[0], target: points[1] })
+        .catch(error => {
+          console.error('[CesiumBridge] Error analyzing line of sight:', error);
+          sendToFlutter('measurementError', { error: error.message });
+        });
+      return;
+    }
+    
+    // 表面積・土量は高さのサンプリング（非同期）完了後に通知
+    cleanupTempMeasurement();
+    resetMeasurementEventHandlers();
+    measurementMode = null;
+    
+    calculateMeasurementDetails(type, points, AREA_SAMPLE_LIMIT_FINAL)
+      .then(details => {
+        const completedValue = type === 'volume' ? details.netVolume : value;
+        console.log('[CesiumBridge] Measurement completed:', { type, value: completedValue, unit, pointCount: points.length });
+        sendToFlutter('measurementCompleted', {
+          type: type,
+          points: points,
+          value: completedValue,
+          unit: unit,
+          ...hitSource,
+          ...details,
+        });
+      })
+      .catch(error => {
+        console.error('[CesiumBridge] Error calculating measurement details:', error);
+        sendToFlutter('measurementError', { error: error.message });
+      });
+  } catch (e) {
+    console.error('[CesiumBridge] Error in finishMeasurement:', e);
+  }
+}
+
+/**
+ * 計測をキャンセル
+ */
+function cancelMeasurement() {
+  console.log('[CesiumBridge] cancelMeasurement called, mode:', measurementMode);
+  
+  const wasMode = measurementMode;
+  
+  try {
+    cleanupTempMeasurement();
+    resetMeasurementEventHandlers();
+    measurementMode = null;
+    measurementPoints = [];
+    
+    if (wasMode) {
+      sendToFlutter('measurementCancelled', {});
+    }
+  } catch (e) {
+    console.error('[CesiumBridge] Error in cancelMeasurement:', e);
+    measurementMode = null;
+    measurementPoints = [];
+  }
+}
+
+/**
+ * 計測用イベントハンドラをリセット
+ */
+function resetMeasurementEventHandlers() {
+  console.log('[CesiumBridge] resetMeasurementEventHandlers called');
+  
+  // キーボードハンドラを削除
+  removeMeasurementKeyboardHandler();
+  
+  if (!viewer) {
+    console.log('[CesiumBridge] No viewer, skipping reset');
+    return;
+  }
+  
+  try {
+    // クリックイベントを通常のmapClickedに戻す
+    viewer.screenSpaceEventHandler.setInputAction((click) => {
+      const cartesian = viewer.camera.pickEllipsoid(click.position);
+      if (cartesian) {
+        const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+        sendToFlutter('mapClicked', {
+          longitude: Cesium.Math.toDegrees(cartographic.longitude),
+          latitude: Cesium.Math.toDegrees(cartographic.latitude),
+          height: cartographic.height || 0
+        });
+      }
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    
+    // ダブルクリック、右クリックを削除
+    viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+    viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+    
+    // マウス移動は計測開始前のハンドラに戻す（計測中に他の機能が差し替えた場合はそのまま）
+    const currentMouseMoveAction = viewer.screenSpaceEventHandler.getInputAction(Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+    if (measurementMouseMoveAction && currentMouseMoveAction === measurementMouseMoveAction) {
+      if (previousMouseMoveAction) {
+        viewer.screenSpaceEventHandler.setInputAction(previousMouseMoveAction, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+      } else {
+        viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+      }
+    }
+    measurementMouseMoveAction = null;
+    previousMouseMoveAction = null;
+    
+    console.log('[CesiumBridge] Event handlers reset to default');
+  } catch (e) {
+    console.error('[CesiumBridge] Error in resetMeasurementEventHandlers:', e);
+  }
+}
+
+/**
+ * 一時エンティティをクリーンアップ
+ */
+function cleanupTempMeasurement() {
+  console.log('[CesiumBridge] cleanupTempMeasurement called');
+  
+  if (!viewer) {
+    console.log('[CesiumBridge] No viewer, skipping cleanup');
+    tempMeasurementEntity = null;
+    tempPointEntities = [];
+    measurementPoints = [];
+    return;
+  }
+  
+  try {
+    if (tempMeasurementEntity) {
+      viewer.entities.remove(tempMeasurementEntity);
+      tempMeasurementEntity = null;
+    }
+    
+    // ポイントマーカーを削除
+    tempPointEntities.forEach(entity => {
+      try {
+        viewer.entities.remove(entity);
+      } catch (e) {
+        console.warn('[CesiumBridge] Failed to remove point entity:', e);
+      }
+    });
+    tempPointEntities = [];
+    measurementPoints = [];
+    updateSnapIndicator(null);
+  } catch (e) {
+    console.error('[CesiumBridge] Error in cleanupTempMeasurement:', e);
+    tempMeasurementEntity = null;
+    tempPointEntities = [];
+    measurementPoints = [];
+  }
+}
+
+/**
+ * 計測値を計算
+ * 土量は高さのサンプリングが必要なため calculateMeasurementDetails の netVolume を使う
+ * @returns {number} 計測値
+ */
+function calculateMeasurement() {
+  if (measurementPoints.length < 2) return 0;
+  
+  switch (measurementMode) {
+    case 'distance':
+      return calculateDistance();
+    case 'area':
+      return calculateArea();
+    case 'height':
+      return calculateHeight();
+    case 'angle':
+      return calculateAngle();
+    case 'profile':
+      // 断面の確定値（サンプリングした経路長）と同じく水平距離
+      return computeHorizontalLength(measurementPoints);
+    case 'lineOfSight':
+      return calculateDistance();
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 距離を計算（メートル）
+ * @returns {number} 距離（メートル）
+ */
+function calculateDistance() {
+  return computeEdgeLengths(measurementPoints, false)
+    .reduce((sum, length) => sum + length, 0);
+}
+
+/**
+ * ポリラインの水平距離（測地線距離の合計）を計算
+ * @param {Array} points - 頂点配列 [{longitude, latitude, height}, ...]
+ * @returns {number} 距離（メートル）
+ */
+function computeHorizontalLength(points) {
+  let length = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    length += new Cesium.EllipsoidGeodesic(
+      Cesium.Cartographic.fromDegrees(points[i].longitude, points[i].latitude),
+      Cesium.Cartographic.fromDegrees(points[i + 1].longitude, points[i + 1].latitude)
+    ).surfaceDistance;
+  }
+  return length;
+}
+
+/**
+ * 2点間の距離を計算（測地線距離と高さの差から求める3D距離）
+ * @param {Object} p1 - 始点 {longitude, latitude, height}
+ * @param {Object} p2 - 終点 {longitude, latitude, height}
+ * @returns {number} 距離（メートル）
+ */
+function computeSegmentLength(p1, p2) {
+  const geodesic = new Cesium.EllipsoidGeodesic(
+    Cesium.Cartographic.fromDegrees(p1.longitude, p1.latitude),
+    Cesium.Cartographic.fromDegrees(p2.longitude, p2.latitude)
+  );
+  
+  // 水平距離
+  const horizontalDistance = geodesic.surfaceDistance;
+  
+  // 高さの差
+  const heightDiff = (p2.height || 0) - (p1.height || 0);
+  
+  // 3D距離
+  return Math.sqrt(
+    horizontalDistance * horizontalDistance + heightDiff * heightDiff
+  );
+}
+
+/**
+ * 各辺の長さを計算
+ * @param {Array} points - 頂点配列
+ * @param {boolean} closed - 閉じた図形（最後の頂点から最初の頂点への辺を含む）か
+ * @returns {Array<number>} 辺の長さ（メートル）の配列
+ */
+function computeEdgeLengths(points, closed) {
+  const lengths = [];
+  if (!points || points.length < 2) return lengths;
+  
+  const edgeCount = closed && points.length >= 3 ? points.length : points.length - 1;
+  for (let i = 0; i < edgeCount; i++) {
+    lengths.push(computeSegmentLength(points[i], points[(i + 1) % points.length]));
+  }
+  return lengths;
+}
+
+/**
+ * 面積を計算（平方メートル）
+ * WGS84楕円体面上で積分した水平面積を返す
+ * @returns {number} 面積（平方メートル）
+ */
+function calculateArea() {
+  if (measurementPoints.length < 3) return 0;
+  return computePolygonArea(measurementPoints);
+}
+
+// 表面積計算時の高さサンプル数の上限
+const AREA_SAMPLE_LIMIT_PREVIEW = 400;   // ポイント追加ごとのプレビュー用
+const AREA_SAMPLE_LIMIT_FINAL = 2500;    // 確定時
+
+/**
+ * ポリゴンの水平面積を計算（平方メートル）
+ * 楕円体面上に戻した細分化三角形の面積を積算する
+ * @param {Array} points - 頂点配列 [{longitude, latitude, height}, ...]
+ * @returns {number} 水平面積（平方メートル）
+ */
+function computePolygonArea(points) {
+  const mesh = tessellatePolygon(points);
+  if (!mesh) return 0;
+  return mesh.triangles.reduce(
+    (sum, [p0, p1, p2]) => sum + triangleArea3D(p0.ground, p1.ground, p2.ground), 0);
+}
+
+/**
+ * ポリゴンの面積を計算
+ * 
+ * 楕円体面上に戻した細分化三角形の面積を積算して水平面積を求める。
+ * sampleSurfaceが有効な場合は各サンプル点の高さを3D Tiles/地形からまとめて取得し、
+ * 起伏を考慮した表面積も算出する。
+ * 
+ * @param {Array} points - 頂点配列 [{longitude, latitude, height}, ...]
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.sampleSurface] - 表面積を計算するか
+ * @param {number} [options.maxSamples] - 高さサンプル数の上限
+ * @param {Array} [options.objectsToExclude] - 高さサンプリングから除外するオブジェクト
+ * @returns {Promise<{area: number, surfaceArea: (number|null)}>} 水平面積と表面積（平方メートル）
+ */
+async function computePolygonAreas(points, options = {}) {
+  const result = { area: 0, surfaceArea: null };
+  const mesh = tessellatePolygon(points, options);
+  if (!mesh) return result;
+  if (mesh.sampled) {
+    await sampleMeshSurface(mesh, options.objectsToExclude);
+  }
+
+  let area = 0;
+  let surfaceArea = 0;
+  mesh.triangles.forEach(([p0, p1, p2]) => {
+    area += triangleArea3D(p0.ground, p1.ground, p2.ground);
+    if (mesh.sampled) {
+      surfaceArea += triangleArea3D(p0.surface, p1.surface, p2.surface);
+    }
+  });
+
+  result.area = area;
+  result.surfaceArea = mesh.sampled ? surfaceArea : null;
+  return result;
+}
+
+/**
+ * ポリゴン内部を細分化した三角形メッシュを生成
+ * 
+ * 重心のENU平面で三角形分割し、各三角形を重心座標で細分化して楕円体面上に戻す。
+ * sampleSurfaceが有効な場合は高さを取得する格子点をsamplePointsに集める
+ * （高さはsampleMeshSurfaceでまとめて取得し、それまでは頂点の高さを線形補間した値）。
+ * 隣接する三角形が共有する格子点は一度だけ取得し、取得数はmaxSamplesを超えない。
+ * 
+ * @param {Array} points - 頂点配列 [{longitude, latitude, height}, ...]
+ * @param {Object} [options] - computePolygonAreasと同じ
+ * @returns {Object|null} メッシュ
+ *   - triangles: 三角形の配列。各頂点は {x, y, ground, surface, height}
+ *     （x, yはローカルENU座標、groundは楕円体面上、surfaceは表面上の位置）
+ *   - vertices: 元の頂点のローカル座標 [{x, y, height}, ...]
+ *   - samplePoints: 高さを取得する格子点（sampleSurfaceが有効な場合）
+ *   - sampled: 表面の高さを取得するか
+ */
+function tessellatePolygon(points, options = {}) {
+  if (!points || points.length < 3) return null;
+
+  const ellipsoid = Cesium.Ellipsoid.WGS84;
+  const sampleSurface = options.sampleSurface === true && viewer !== null;
+  const maxSamples = options.maxSamples || AREA_SAMPLE_LIMIT_FINAL;
+
+  // 重心を原点とするローカルENU座標系
+  const groundPositions = points.map(p =>
+    Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, 0)
+  );
+  const origin = ellipsoid.scaleToGeodeticSurface(getCentroid(groundPositions), new Cesium.Cartesian3());
+  if (!origin) return null;
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin, ellipsoid);
+  const fixedToEnu = Cesium.Matrix4.inverseTransformation(enuToFixed, new Cesium.Matrix4());
+
+  const local = groundPositions.map(pos => {
+    const p = Cesium.Matrix4.multiplyByPoint(fixedToEnu, pos, new Cesium.Cartesian3());
+    return new Cesium.Cartesian2(p.x, p.y);
+  });
+  const vertexHeights = points.map(p => p.height || 0);
+
+  const indices = Cesium.PolygonPipeline.triangulate(local);
+  if (!indices || indices.length === 0) return null;
+
+  // サンプル間隔（メートル）：面積とサンプル上限から決定
+  let planarArea = 0;
+  for (let i = 0; i < local.length; i++) {
+    const j = (i + 1) % local.length;
+    planarArea += local[i].x * local[j].y - local[j].x * local[i].y;
+  }
+  planarArea = Math.abs(planarArea) / 2;
+  let step = Math.max(0.5, Math.sqrt(planarArea / maxSamples));
+  if (!sampleSurface) {
+    // 水平面積のみなら曲率を吸収できる程度の細分化で十分
+    step = Math.max(step, 500);
+  }
+
+  // 三角形ごとの分割数。細長い三角形で格子点が上限を大きく超える場合は間隔を広げる
+  const maxEdges = [];
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = local[indices[t]];
+    const b = local[indices[t + 1]];
+    const c = local[indices[t + 2]];
+    maxEdges.push(Math.max(
+      Cesium.Cartesian2.distance(a, b),
+      Cesium.Cartesian2.distance(b, c),
+      Cesium.Cartesian2.distance(c, a)
+    ));
+  }
+  const subdivisions = maxEdge => Math.min(64, Math.max(1, Math.ceil(maxEdge / step)));
+  for (let k = 0; k < 8; k++) {
+    const gridPoints = maxEdges.reduce((sum, maxEdge) => {
+      const n = subdivisions(maxEdge);
+      return sum + (n + 1) * (n + 2) / 2;
+    }, 0);
+    if (gridPoints <= maxSamples) break;
+    step *= Math.sqrt(gridPoints / maxSamples);
+  }
+
+  // ローカル座標を楕円体面（および表面）上の位置に変換
+  // 共有辺の格子点はミリメートル単位で同一視して再利用する
+  const scratchLocal = new Cesium.Cartesian3();
+  const scratchFixed = new Cesium.Cartesian3();
+  const liftedPoints = new Map();
+  const samplePoints = [];
+  const liftLocalPoint = (x, y, fallbackHeight) => {
+    const key = `${Math.round(x * 1000)},${Math.round(y * 1000)}`;
+    const cached = liftedPoints.get(key);
+    if (cached) return cached;
+
+    scratchLocal.x = x;
+    scratchLocal.y = y;
+    scratchLocal.z = 0;
+    Cesium.Matrix4.multiplyByPoint(enuToFixed, scratchLocal, scratchFixed);
+    const cartographic = ellipsoid.cartesianToCartographic(scratchFixed);
+    const vertex = {
+      x: x,
+      y: y,
+      ground: Cesium.Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, 0),
+      surface: null,
+      height: null,
+    };
+    if (sampleSurface) {
+      vertex.height = fallbackHeight;
+      vertex.surface = Cesium.Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, fallbackHeight);
+      if (samplePoints.length < maxSamples) {
+        vertex.cartographic = cartographic;
+        samplePoints.push(vertex);
+      }
+    }
+    liftedPoints.set(key, vertex);
+    return vertex;
+  };
+
+  const triangles = [];
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const ia = indices[t];
+    const ib = indices[t + 1];
+    const ic = indices[t + 2];
+    const a = local[ia];
+    const b = local[ib];
+    const c = local[ic];
+    const n = subdivisions(maxEdges[t / 3]);
+
+    // 重心座標で細分化した格子点 grid[i][j]（i + j <= n）
+    const grid = [];
+    for (let i = 0; i <= n; i++) {
+      grid.push([]);
+      for (let j = 0; j <= n - i; j++) {
+        const u = i / n;
+        const v = j / n;
+        const w = 1 - u - v;
+        grid[i].push(liftLocalPoint(
+          a.x * w + b.x * u + c.x * v,
+          a.y * w + b.y * u + c.y * v,
+          vertexHeights[ia] * w + vertexHeights[ib] * u + vertexHeights[ic] * v
+        ));
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n - i; j++) {
+        triangles.push([grid[i][j], grid[i + 1][j], grid[i][j + 1]]);
+        if (i + j < n - 1) {
+          triangles.push([grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1]]);
+        }
+      }
+    }
+  }
+
+  return {
+    triangles: triangles,
+    vertices: local.map((p, i) => ({ x: p.x, y: p.y, height: vertexHeights[i] })),
+    samplePoints: samplePoints,
+    sampled: sampleSurface,
+    enuToFixed: enuToFixed,
+  };
+}
+
+/**
+ * メッシュの格子点の表面の高さをまとめて取得
+ * 1回のsampleHeightMostDetailedで取得し、取得できない格子点は補間した高さのままとする
+ * @param {Object} mesh - tessellatePolygonの結果
+ * @param {Array} [objectsToExclude] - 高さサンプリングから除外するオブジェクト
+ */
+async function sampleMeshSurface(mesh, objectsToExclude) {
+  if (mesh.samplePoints.length === 0) return;
+
+  const heights = await sampleSurfaceHeights(
+    mesh.samplePoints.map(vertex => vertex.cartographic),
+    objectsToExclude
+  );
+  mesh.samplePoints.forEach((vertex, i) => {
+    if (heights[i] === undefined) return;
+    vertex.height = heights[i];
+    vertex.surface = Cesium.Cartesian3.fromRadians(
+      vertex.cartographic.longitude, vertex.cartographic.latitude, heights[i]);
+  });
+}
+
+/**
+ * 3次元空間上の三角形の面積を計算
+ * @param {Cesium.Cartesian3} p0 - 頂点1
+ * @param {Cesium.Cartesian3} p1 - 頂点2
+ * @param {Cesium.Cartesian3} p2 - 頂点3
+ * @returns {number} 面積（平方メートル）
+ */
+function triangleArea3D(p0, p1, p2) {
+  const e1 = Cesium.Cartesian3.subtract(p1, p0, new Cesium.Cartesian3());
+  const e2 = Cesium.Cartesian3.subtract(p2, p0, new Cesium.Cartesian3());
+  const cross = Cesium.Cartesian3.cross(e1, e2, new Cesium.Cartesian3());
+  return Cesium.Cartesian3.magnitude(cross) / 2;
+}
+
+/**
+ * 土量を計算（計測中のポリゴン）
+ * 同じ頂点・設定での再計算を避けるため直前の結果をキャッシュする
+ * @param {Array} points - 頂点配列
+ * @param {number} maxSamples - 高さサンプル数の上限
+ * @returns {Promise<Object>} computePolygonVolumeの結果
+ */
+async function calculateVolume(points, maxSamples) {
+  const key = JSON.stringify([points, volumeSettings, maxSamples]);
+  if (volumeCache.key === key) {
+    return volumeCache.result;
+  }
+
+  const result = await computePolygonVolume(points, volumeSettings, {
+    maxSamples: maxSamples,
+    objectsToExclude: getVolumeExcludedEntities(),
+  });
+  volumeCache = { key: key, result: result };
+  return result;
+}
+
+/**
+ * ポリゴン内の切土・盛土量を計算
+ * 
+ * ポリゴン内部を細分化して表面の高さをサンプリングし、基準面との差を積分する。
+ * 表面が基準面より高い部分を切土、低い部分を盛土とし、正味土量は切土 - 盛土とする。
+ * 
+ * @param {Array} points - 頂点配列 [{longitude, latitude, height}, ...]
+ * @param {Object} reference - 基準面 {referenceMode, referenceHeight}
+ * @param {Object} [options] - {maxSamples, objectsToExclude}
+ * @returns {Promise<Object>} {cutVolume, fillVolume, netVolume（立方メートル）, area（平方メートル）,
+ *   referenceMode, referenceHeight, referencePoints}
+ */
+async function computePolygonVolume(points, reference, options = {}) {
+  const result = {
+    cutVolume: 0,
+    fillVolume: 0,
+    netVolume: 0,
+    area: 0,
+    referenceMode: reference.referenceMode,
+    referenceHeight: null,
+    referencePoints: [],
+  };
+
+  const mesh = tessellatePolygon(points, {
+    sampleSurface: true,
+    maxSamples: options.maxSamples,
+  });
+  if (!mesh) return result;
+  await sampleMeshSurface(mesh, options.objectsToExclude);
+
+  const heightAt = createReferencePlane(mesh.vertices, reference);
+
+  let cut = 0;
+  let fill = 0;
+  let area = 0;
+  mesh.triangles.forEach(triangle => {
+    const triangleArea = triangleArea3D(triangle[0].ground, triangle[1].ground, triangle[2].ground);
+    let above = 0;
+    let below = 0;
+    triangle.forEach(v => {
+      const diff = v.height - heightAt(v.x, v.y);
+      if (diff > 0) {
+        above += diff;
+      } else {
+        below -= diff;
+      }
+    });
+    cut += triangleArea * above / 3;
+    fill += triangleArea * below / 3;
+    area += triangleArea;
+  });
+
+  result.cutVolume = cut;
+  result.fillVolume = fill;
+  result.netVolume = cut - fill;
+  result.area = area;
+  result.referenceHeight = heightAt(0, 0); // 重心での基準面の標高
+  result.referencePoints = points.map((p, i) => ({
+    longitude: p.longitude,
+    latitude: p.latitude,
+    height: heightAt(mesh.vertices[i].x, mesh.vertices[i].y),
+  }));
+  return result;
+}
+
+/**
+ * 基準面の標高を返す関数を生成
+ * @param {Array} vertices - ポリゴン頂点のローカル座標 [{x, y, height}, ...]
+ * @param {Object} reference - {referenceMode, referenceHeight}
+ * @returns {function(number, number): number} ローカル座標(x, y)での基準面の標高
+ */
+function createReferencePlane(vertices, reference) {
+  switch (reference.referenceMode) {
+    case 'fixed': {
+      const height = reference.referenceHeight || 0;
+      return () => height;
+    }
+    case 'bestFit': {
+      // 頂点の高さに対する最小二乗平面 h = a*x + b*y + c
+      let sxx = 0, sxy = 0, syy = 0, sx = 0, sy = 0, sxh = 0, syh = 0, sh = 0;
+      vertices.forEach(v => {
+        sxx += v.x * v.x;
+        sxy += v.x * v.y;
+        syy += v.y * v.y;
+        sx += v.x;
+        sy += v.y;
+        sxh += v.x * v.height;
+        syh += v.y * v.height;
+        sh += v.height;
+      });
+      const n = vertices.length;
+      const normal = new Cesium.Matrix3(
+        sxx, sxy, sx,
+        sxy, syy, sy,
+        sx, sy, n
+      );
+      if (Math.abs(Cesium.Matrix3.determinant(normal)) > Cesium.Math.EPSILON10) {
+        const inverse = Cesium.Matrix3.inverse(normal, new Cesium.Matrix3());
+        const coefficients = Cesium.Matrix3.multiplyByVector(
+          inverse,
+          new Cesium.Cartesian3(sxh, syh, sh),
+          new Cesium.Cartesian3()
+        );
+        return (x, y) => coefficients.x * x + coefficients.y * y + coefficients.z;
+      }
+      // 頂点が一直線上にある場合は平均標高の水平面
+      const mean = sh / n;
+      return () => mean;
+    }
+    case 'lowest':
+    default: {
+      const lowest = Math.min(...vertices.map(v => v.height));
+      return () => lowest;
+    }
+  }
+}
+
+/**
+ * 土量計測設定を更新
+ * @param {Object} settings - 設定 {referenceMode, referenceHeight}
+ */
+function updateVolumeSettings(settings) {
+  Object.assign(volumeSettings, settings);
+  console.log('[CesiumBridge] Volume settings updated:', volumeSettings);
+}
+
+/**
+ * 指定地点の表面の高さを取得
+ * 描画中の3D Tiles等を優先し、取得できなければ地形から取得する
+ * @param {Cesium.Cartographic} cartographic - 地点
+ * @param {Array} [objectsToExclude] - 除外するオブジェクト
+ * @returns {number|undefined} 高さ（メートル）
+ */
+function sampleSurfaceHeight(cartographic, objectsToExclude) {
+  if (!viewer) return undefined;
+
+  const scene = viewer.scene;
+  if (scene.sampleHeightSupported) {
+    try {
+      const height = scene.sampleHeight(cartographic, objectsToExclude);
+      if (Cesium.defined(height)) return height;
+    } catch (e) {
+      console.warn('[CesiumBridge] sampleHeight failed:', e);
+    }
+  }
+
+  const terrainHeight = scene.globe.getHeight(cartographic);
+  return Cesium.defined(terrainHeight) ? terrainHeight : undefined;
+}
+
+/**
+ * 計測タイプ固有の付加情報を計算
+ * @param {string} type - 計測タイプ
+ * @param {Array} points - 頂点配列
+ * @param {number} maxSamples - 高さサンプル数の上限
+ * @returns {Promise<Object>} 付加情報（面積計測の場合はsurfaceArea, perimeter, edgeLengths、
+ *   土量計測の場合はcutVolume, fillVolume, netVolume, referencePoints等）
+ */
+async function calculateMeasurementDetails(type, points, maxSamples) {
+  const details = {};
+
+  if (type === 'area' && points.length >= 3) {
+    const areas = await computePolygonAreas(points, {
+      sampleSurface: true,
+      maxSamples: maxSamples,
+      objectsToExclude: getTransientPickEntities(),
+    });
+    details.surfaceArea = areas.surfaceArea;
+
+    const edgeLengths = computeEdgeLengths(points, true);
+    details.edgeLengths = edgeLengths;
+    details.perimeter = edgeLengths.reduce((sum, length) => sum + length, 0);
+  }
+
+  if (type === 'volume' && points.length >= 3) {
+    const volume = await calculateVolume(points, maxSamples);
+    details.cutVolume = volume.cutVolume;
+    details.fillVolume = volume.fillVolume;
+    details.netVolume = volume.netVolume;
+    details.area = volume.area;
+    details.referenceMode = volume.referenceMode;
+    details.referenceHeight = volume.referenceHeight;
+    details.referencePoints = volume.referencePoints;
+  }
+
+  return details;
+}
+
+/**
+ * 高さ/標高差を計算（メートル）
+ * @returns {number} 高さ（メートル）
+ */
+function calculateHeight() {
+  if (measurementPoints.length < 2) return 0;
+  
+  const p1 = measurementPoints[0];
+  const p2 = measurementPoints[1];
+  
+  return Math.abs((p2.height || 0) - (p1.height || 0));
+}
+
+/**
+ * 角度を計算（度）
+ * @returns {number} 2点目を頂点とする内角（度）
+ */
+function calculateAngle() {
+  if (measurementPoints.length < 3) return 0;
+  return computeAngleGeometry(measurementPoints).angle;
+}
+
+/**
+ * 角度計測の形状を計算
+ * 
+ * 2点目を頂点とし、頂点のENU平面上で1点目・3点目へのベクトルがなす角（0〜180度）を求める。
+ * 表示用の円弧の座標も合わせて生成する。
+ * 
+ * @param {Array} points - 3点の配列 [始点, 頂点, 終点]
+ * @returns {{angle: number, arcPositions: Array<Cesium.Cartesian3>, labelPosition: Cesium.Cartesian3}}
+ */
+function computeAngleGeometry(points) {
+  const vertex = points[1];
+  const origin = Cesium.Cartesian3.fromDegrees(vertex.longitude, vertex.latitude, vertex.height || 0);
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+  const fixedToEnu = Cesium.Matrix4.inverseTransformation(enuToFixed, new Cesium.Matrix4());
+
+  const toLocal = (p) => Cesium.Matrix4.multiplyByPoint(
+    fixedToEnu,
+    Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, vertex.height || 0),
+    new Cesium.Cartesian3()
+  );
+  const a = toLocal(points[0]);
+  const b = toLocal(points[2]);
+
+  const startAngle = Math.atan2(a.y, a.x);
+  let sweep = Math.atan2(b.y, b.x) - startAngle;
+  // 最短方向に回る（-π〜π）
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+  // 円弧の半径は短い方の腕の30%
+  const armLength = Math.min(Math.hypot(a.x, a.y), Math.hypot(b.x, b.y));
+  const radius = Math.max(0.5, armLength * 0.3);
+
+  const toFixed = (angle, r) => Cesium.Matrix4.multiplyByPoint(
+    enuToFixed,
+    new Cesium.Cartesian3(Math.cos(angle) * r, Math.sin(angle) * r, 0),
+    new Cesium.Cartesian3()
+  );
+
+  const segments = 32;
+  const arcPositions = [];
+  for (let i = 0; i <= segments; i++) {
+    arcPositions.push(toFixed(startAngle + sweep * (i / segments), radius));
+  }
+
+  return {
+    angle: Math.abs(Cesium.Math.toDegrees(sweep)),
+    arcPositions: arcPositions,
+    labelPosition: toFixed(startAngle + sweep / 2, radius * 1.5),
+  };
+}
+
+/**
+ * 計測単位を取得
+ * @returns {string} 単位
+ */
+function getMeasurementUnit() {
+  switch (measurementMode) {
+    case 'distance':
+      return 'm';
+    case 'area':
+      return 'm²';
+    case 'height':
+      return 'm';
+    case 'angle':
+      return '°';
+    case 'profile':
+      return 'm';
+    case 'volume':
+      return 'm³';
+    case 'lineOfSight':
+      return 'm';
+    default:
+      return '';
+  }
+}
+
+/**
+ * 計測結果を表示
+ * @param {Object} measurement - 計測データ
+ */
+function addMeasurementDisplay(measurement) {
+  const positions = measurement.points.map(p => 
+    Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+  );
+  
+  const color = Cesium.Color.fromCssColorString(measurement.color || '#FF0000');
+  const lineWidth = measurement.lineWidth || 2;
+  
+  let entity;
+  
+  if (measurement.type === 'area' || measurement.type === 'volume') {
+    // ポリゴン（面積/土量計測）
+    entity = viewer.entities.add({
+      id: measurement.id,
+      name: measurement.name,
+      polygon: {
+        hierarchy: new Cesium.PolygonHierarchy(positions),
+        material: color.withAlpha(measurement.fillOpacity !== undefined ? measurement.fillOpacity : 0.3),
+        outline: true,
+        outlineColor: color,
+        outlineWidth: lineWidth,
+      },
+      position: getCentroid(positions),
+      label: {
+        text: getMeasurementLabelText(measurement),
+        font: '14px sans-serif',
+        fillColor: Cesium.Color.WHITE,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        verticalOrigin: Cesium.VerticalOrigin.CENTER,
+        horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+        pixelOffset: new Cesium.Cartesian2(0, 0),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+
+    // 土量計測の基準面
+    if (measurement.type === 'volume' && Array.isArray(measurement.referencePoints)) {
+      addMeasurementAuxEntity(measurement.id, {
+        id: `${measurement.id}_plane`,
+        polygon: {
+          hierarchy: new Cesium.PolygonHierarchy(
+            measurement.referencePoints.map(p =>
+              Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height)
+            )
+          ),
+          perPositionHeight: true,
+          material: Cesium.Color.CYAN.withAlpha(0.35),
+          outline: true,
+          outlineColor: Cesium.Color.CYAN,
+        },
+      });
+    }
+    
+    // 各辺の長さラベル
+    const edgeLengths = measurement.type === 'area' ? computeEdgeLengths(measurement.points, true) : [];
+    edgeLengths.forEach((length, i) => {
+      const next = positions[(i + 1) % positions.length];
+      addMeasurementAuxEntity(measurement.id, {
+        id: `${measurement.id}_edge_${i}`,
+        position: Cesium.Cartesian3.midpoint(positions[i], next, new Cesium.Cartesian3()),
+        label: {
+          text: formatMeasurementValue(length, 'm'),
+          font: '12px sans-serif',
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+          pixelOffset: new Cesium.Cartesian2(0, -4),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+      });
+    });
+  } else {
+    // ポリライン（距離/高さ/角度/断面計測）
+    let labelPosition = getMidpoint(positions);
+    let linePositions = positions;
+    
+    if (measurement.type === 'profile' && Array.isArray(measurement.samples) && measurement.samples.length >= 2) {
+      // サンプリングした断面の経路と最高/最低地点
+      linePositions = measurement.samples.map(p =>
+        Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+      );
+      addProfileExtremaMarkers(measurement, color);
+    }
+    
+    if (measurement.type === 'angle' && measurement.points.length >= 3) {
+      // 角度を示す円弧
+      const geometry = computeAngleGeometry(measurement.points);
+      labelPosition = geometry.labelPosition;
+      addMeasurementAuxEntity(measurement.id, {
+        id: `${measurement.id}_arc`,
+        polyline: {
+          positions: geometry.arcPositions,
+          width: lineWidth,
+          material: color,
+        },
+      });
+    }
+    
+    entity = viewer.entities.add({
+      id: measurement.id,
+      name: measurement.name,
+      polyline: {
+        positions: linePositions,
+        width: lineWidth,
+        material: color,
+        clampToGround: measurement.type !== 'height' && measurement.type !== 'angle'
+          && linePositions === positions,
+      },
+      position: labelPosition,
+      label: {
+        text: getMeasurementLabelText(measurement),
+        font: '14px sans-serif',
+        fillColor: Cesium.Color.WHITE,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -10),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+    
+    // 端点マーカー
+    positions.forEach((pos, i) => {
+      viewer.entities.add({
+        id: `${measurement.id}_point_${i}`,
+        position: pos,
+        point: {
+          pixelSize: 8,
+          color: color,
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+        },
+      });
+    });
+  }
+  
+  measurementEntities.set(measurement.id, entity);
+  measurementData.set(measurement.id, measurement);
+  
+  if (measurement.keepOut) {
+    schedulePlacementCollisionCheck();
+  }
+}
+
+/**
+ * 断面計測の最高/最低地点マーカーを追加
+ * @param {Object} measurement - 計測データ（samplesを含む）
+ * @param {Cesium.Color} color - 計測の色
+ */
+function addProfileExtremaMarkers(measurement, color) {
+  let min = measurement.samples[0];
+  let max = measurement.samples[0];
+  measurement.samples.forEach(sample => {
+    if (sample.height < min.height) min = sample;
+    if (sample.height > max.height) max = sample;
+  });
+  
+  [['min', min, '最低'], ['max', max, '最高']].forEach(([key, sample, caption]) => {
+    addMeasurementAuxEntity(measurement.id, {
+      id: `${measurement.id}_${key}`,
+      position: Cesium.Cartesian3.fromDegrees(sample.longitude, sample.latitude, sample.height),
+      point: {
+        pixelSize: 10,
+        color: key === 'max' ? Cesium.Color.ORANGERED : Cesium.Color.DEEPSKYBLUE,
+        outlineColor: color,
+        outlineWidth: 2,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+      label: {
+        text: `${caption} ${formatMeasurementValue(sample.height, 'm')}`,
+        font: '12px sans-serif',
+        fillColor: Cesium.Color.WHITE,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -10),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  });
+}
+
+/**
+ * 計測結果に補助エンティティを追加
+ * 計測結果の削除・表示切替に連動させるため、計測IDに紐づけて管理する
+ * @param {string} measurementId - 計測ID
+ * @param {Object} options - エンティティ定義
+ * @returns {Cesium.Entity} 追加したエンティティ
+ */
+function addMeasurementAuxEntity(measurementId, options) {
+  const entity = viewer.entities.add(options);
+  if (!measurementAuxEntities.has(measurementId)) {
+    measurementAuxEntities.set(measurementId, []);
+  }
+  measurementAuxEntities.get(measurementId).push(entity);
+  return entity;
+}
+
+/**
+ * 計測結果の補助エンティティを削除
+ * @param {string} measurementId - 計測ID
+ */
+function removeMeasurementAuxEntities(measurementId) {
+  const entities = measurementAuxEntities.get(measurementId);
+  if (!entities) return;
+  
+  entities.forEach(entity => viewer.entities.remove(entity));
+  measurementAuxEntities.delete(measurementId);
+}
+
+/**
+ * 計測ラベルのテキストを生成
+ * @param {Object} measurement - 計測データ
+ * @returns {string} ラベルテキスト
+ */
+function getMeasurementLabelText(measurement) {
+  // 再サンプリング中（土量の編集直後など）は値が未計算
+  const valueText = typeof measurement.value === 'number'
+    ? formatMeasurementValue(measurement.value, measurement.unit)
+    : '計算中…';
+  let text = `${measurement.name}\n${valueText}`;
+
+  if (measurement.type === 'area') {
+    // 表面積がある場合は併記
+    if (typeof measurement.surfaceArea === 'number') {
+      text += `\n(表面積 ${formatMeasurementValue(measurement.surfaceArea, 'm²')})`;
+    }
+    
+    // 周長（保存済みの値がなければ頂点から計算）
+    const perimeter = typeof measurement.perimeter === 'number'
+      ? measurement.perimeter
+      : computeEdgeLengths(measurement.points, true).reduce((sum, length) => sum + length, 0);
+    text += `\n周長 ${formatMeasurementValue(perimeter, 'm')}`;
+  }
+  
+  if (measurement.type === 'volume'
+      && typeof measurement.cutVolume === 'number' && typeof measurement.fillVolume === 'number') {
+    text += `\n切土 ${formatMeasurementValue(measurement.cutVolume, 'm³')}`
+      + ` / 盛土 ${formatMeasurementValue(measurement.fillVolume, 'm³')}`;
+  }
+
+  return text;
+}
+
+/**
+ * 計測値をフォーマット
+ * unitSettingsの単位系・精度に従って変換する
+ * @param {number} value - 計測値（メートル法）
+ * @param {string} unit - 単位（'m', 'm²', 'm³', '°'）
+ * @returns {string} フォーマット済み文字列
+ */
+function formatMeasurementValue(value, unit) {
+  const quantities = { 'm': 'length', 'm²': 'area', 'm³': 'volume' };
+  const precision = unitSettings.precision;
+  
+  if (unit === '°') {
+    return `${value.toFixed(precision.angle)}°`;
+  }
+  
+  const quantity = quantities[unit];
+  if (!quantity) {
+    return `${value.toFixed(2)} ${unit}`;
+  }
+  
+  const displayUnit = resolveDisplayUnit(quantity, value);
+  const converted = value / UNIT_DEFINITIONS[quantity][displayUnit];
+  return `${converted.toFixed(precision[quantity])} ${displayUnit}`;
+}
+
+/**
+ * 表示単位を決定
+ * @param {string} quantity - 'length' | 'area' | 'volume'
+ * @param {number} value - 計測値（メートル法）
+ * @returns {string} 表示単位
+ */
+function resolveDisplayUnit(quantity, value) {
+  const fixed = unitSettings[quantity];
+  if (fixed && fixed !== 'auto' && UNIT_DEFINITIONS[quantity][fixed]) {
+    return fixed;
+  }
+  
+  const candidates = (UNIT_SYSTEMS[unitSettings.system] || UNIT_SYSTEMS.metric)[quantity];
+  let displayUnit = candidates[0];
+  candidates.forEach(candidate => {
+    if (Math.abs(value) >= UNIT_DEFINITIONS[quantity][candidate]) {
+      displayUnit = candidate;
+    }
+  });
+  return displayUnit;
+}
+
+/**
+ * 計測値の表示単位を設定
+ * 表示中のすべての計測結果のラベルを再描画する
+ * @param {Object} settings - 設定 {system, length, area, volume, precision}
+ */
+function setMeasurementUnits(settings) {
+  const { precision, ...rest } = settings || {};
+  Object.assign(unitSettings, rest);
+  if (precision) {
+    Object.assign(unitSettings.precision, precision);
+  }
+  
+  refreshMeasurementDisplays();
+  
+  console.log('[CesiumBridge] Measurement units updated:', unitSettings);
+  sendMeasurementUnits();
+}
+
+/**
+ * 表示単位の設定と単位定義をFlutterに送信
+ * Flutter側の計測値の表示もこの単位定義・単位系の候補で変換する
+ */
+function sendMeasurementUnits() {
+  sendToFlutter('measurementUnitsChanged', {
+    ...unitSettings,
+    precision: { ...unitSettings.precision },
+    definitions: UNIT_DEFINITIONS,
+    systems: UNIT_SYSTEMS,
+  });
+}
+
+/**
+ * 表示中のすべての計測結果を再描画
+ * 表示/非表示は維持する（編集中のハンドルはupdateMeasurementDisplayで再作成される）
+ */
+function refreshMeasurementDisplays() {
+  Array.from(measurementData.values()).forEach(measurement => {
+    const entity = measurementEntities.get(measurement.id);
+    const visible = entity ? entity.show !== false : true;
+    
+    updateMeasurementDisplay(measurement);
+    
+    if (!visible) {
+      setMeasurementVisible(measurement.id, false);
+    }
+  });
+}
+
+/**
+ * 計測結果を削除
+ * @param {string} measurementId - 計測ID
+ */
+function removeMeasurementDisplay(measurementId) {
+  const entity = measurementEntities.get(measurementId);
+  if (entity) {
+    viewer.entities.remove(entity);
+    measurementEntities.delete(measurementId);
+    if ((measurementData.get(measurementId) || {}).keepOut) {
+      schedulePlacementCollisionCheck();
+    }
+    measurementData.delete(measurementId);
+    removeMeasurementAuxEntities(measurementId);
+    
+    // 端点マーカーも削除
+    let i = 0;
+    while (true) {
+      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
+      if (!pointEntity) break;
+      viewer.entities.remove(pointEntity);
+      i++;
+    }
+  }
+}
+
+/**
+ * 計測結果の表示/非表示を切り替え
+ * @param {string} measurementId - 計測ID
+ * @param {boolean} visible - 表示フラグ
+ */
+function setMeasurementVisible(measurementId, visible) {
+  const entity = measurementEntities.get(measurementId);
+  if (entity) {
+    entity.show = visible;
+    
+    // 補助エンティティも更新
+    (measurementAuxEntities.get(measurementId) || []).forEach(auxEntity => {
+      auxEntity.show = visible;
+    });
+    
+    // 端点マーカーも更新
+    let i = 0;
+    while (true) {
+      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
+      if (!pointEntity) break;
+      pointEntity.show = visible;
+      i++;
+    }
+  }
+}
+
+/**
+ * すべての計測結果をクリア
+ */
+function clearAllMeasurements() {
+  measurementEntities.forEach((entity, id) => {
+    removeMeasurementDisplay(id);
+  });
+  measurementEntities.clear();
+}
+
+// ============================================
+// 計測結果のエクスポート/インポート
+// ============================================
+
+// 計測データのうちジオメトリ以外でエクスポート対象外とするキー
+const MEASUREMENT_GEOMETRY_KEYS = ['points'];
+
+// 文字列として扱う計測データのキー（KMLのExtendedDataは型を持たないため数値に変換しない）
+const MEASUREMENT_STRING_KEYS = [
+  'id', 'type', 'name', 'unit', 'color', 'note', 'createdAt',
+  'referenceMode', 'source', 'tilesetId',
+];
+
+/**
+ * 計測結果をエクスポート
+ * 
+ * 結果は measurementsExported イベントでFlutterに返す。
+ * 
+ * @param {Object} params - エクスポート設定
+ * @param {string} params.format - 'geojson' | 'kml' | 'csv'
+ * @param {Array<string>} [params.measurementIds] - 対象の計測ID（省略時はすべて）
+ */
+function exportMeasurements(params) {
+  const format = (params.format || 'geojson').toLowerCase();
+  const ids = Array.isArray(params.measurementIds) && params.measurementIds.length > 0
+    ? params.measurementIds
+    : Array.from(measurementData.keys());
+  const measurements = ids
+    .map(id => measurementData.get(id))
+    .filter(m => m);
+  
+  try {
+    let content;
+    let mimeType;
+    let fileExtension;
+    switch (format) {
+      case 'geojson':
+        content = JSON.stringify(measurementsToGeoJson(measurements), null, 2);
+        mimeType = 'application/geo+json';
+        fileExtension = 'geojson';
+        break;
+      case 'kml':
+        content = measurementsToKml(measurements);
+        mimeType = 'application/vnd.google-earth.kml+xml';
+        fileExtension = 'kml';
+        break;
+      case 'csv':
+        content = measurementsToCsv(measurements);
+        mimeType = 'text/csv';
+        fileExtension = 'csv';
+        break;
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    console.log('[CesiumBridge] Measurements exported:', format, measurements.length);
+    sendToFlutter('measurementsExported', {
+      format: format,
+      content: content,
+      mimeType: mimeType,
+      fileExtension: fileExtension,
+      count: measurements.length,
+    });
+  } catch (error) {
+    console.error('[CesiumBridge] Failed to export measurements:', error);
+    sendToFlutter('measurementExportError', { format: format, error: error.message });
+  }
+}
+
+/**
+ * 計測結果をインポート
+ * 
+ * 各計測を addMeasurementDisplay で表示し、measurementsImported イベントで
+ * Flutterに計測データを返す（永続化はFlutter側で行う）。
+ * 
+ * @param {Object} params - インポート設定
+ * @param {string} params.format - 'geojson' | 'kml' | 'csv'
+ * @param {string} params.content - ファイル内容
+ */
+async function importMeasurements(params) {
+  const format = (params.format || 'geojson').toLowerCase();
+  
+  try {
+    let measurements;
+    switch (format) {
+      case 'geojson':
+        measurements = measurementsFromGeoJson(JSON.parse(params.content));
+        break;
+      case 'kml':
+        measurements = measurementsFromKml(params.content);
+        break;
+      case 'csv':
+        measurements = measurementsFromCsv(params.content);
+        break;
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+    
+    for (const measurement of measurements) {
+      if (measurement.value === undefined || measurement.value === null || isNaN(measurement.value)) {
+        measurement.value = measurement.type === 'volume'
+          ? (await computePolygonVolume(measurement.points, volumeSettings, {
+            objectsToExclude: getVolumeExcludedEntities(),
+          })).netVolume
+          : computeMeasurementValue(measurement.type, measurement.points);
+      }
+      if (!measurement.unit) {
+        measurement.unit = getMeasurementUnitForType(measurement.type);
+      }
+      // 同じIDが表示中なら置き換える
+      if (measurementEntities.has(measurement.id)) {
+        removeMeasurementDisplay(measurement.id);
+      }
+      addMeasurementDisplay(measurement);
+    }
+    
+    console.log('[CesiumBridge] Measurements imported:', format, measurements.length);
+    sendToFlutter('measurementsImported', { format: format, measurements: measurements });
+  } catch (error) {
+    console.error('[CesiumBridge] Failed to import measurements:', error);
+    sendToFlutter('measurementImportError', { format: format, error: error.message });
+  }
+}
+
+/**
+ * 頂点から計測値を計算
+ * 土量は高さのサンプリングが必要なため計算しない（computePolygonVolumeを使う）
+ * @param {string} type - 計測タイプ
+ * @param {Array} points - 頂点配列
+ * @returns {number|null} 計測値（土量の場合はnull）
+ */
+function computeMeasurementValue(type, points) {
+  switch (type) {
+    case 'distance':
+      return computeEdgeLengths(points, false).reduce((sum, length) => sum + length, 0);
+    case 'profile':
+      return computeHorizontalLength(points);
+    case 'area':
+      return computePolygonArea(points);
+    case 'height':
+      return points.length >= 2 ? Math.abs((points[1].height || 0) - (points[0].height || 0)) : 0;
+    case 'angle':
+      return points.length >= 3 ? computeAngleGeometry(points).angle : 0;
+    case 'volume':
+      return null;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 計測タイプの単位を取得
+ * @param {string} type - 計測タイプ
+ * @returns {string} 単位
+ */
+function getMeasurementUnitForType(type) {
+  const previousMode = measurementMode;
+  measurementMode = type;
+  const unit = getMeasurementUnit();
+  measurementMode = previousMode;
+  return unit;
+}
+
+/**
+ * 計測タイプが面（ポリゴン）か
+ * @param {string} type - 計測タイプ
+ * @returns {boolean} 面の場合true
+ */
+function isPolygonMeasurement(type) {
+  return type === 'area' || type === 'volume';
+}
+
+/**
+ * 計測結果をGeoJSON FeatureCollectionに変換
+ * @param {Array} measurements - 計測データの配列
+ * @returns {Object} FeatureCollection
+ */
+function measurementsToGeoJson(measurements) {
+  return {
+    type: 'FeatureCollection',
+    features: measurements.map(measurement => {
+      const coordinates = measurement.points.map(p => [p.longitude, p.latitude, p.height || 0]);
+      const properties = {};
+      Object.keys(measurement).forEach(key => {
+        if (!MEASUREMENT_GEOMETRY_KEYS.includes(key)) {
+          properties[key] = measurement[key];
+        }
+      });
+      
+      return {
+        type: 'Feature',
+        id: measurement.id,
+        geometry: isPolygonMeasurement(measurement.type)
+          ? { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] }
+          : { type: 'LineString', coordinates: coordinates },
+        properties: properties,
+      };
+    }),
+  };
+}
+
+/**
+ * GeoJSONから計測データを復元
+ * @param {Object} geoJson - FeatureCollection または Feature
+ * @returns {Array} 計測データの配列
+ */
+function measurementsFromGeoJson(geoJson) {
+  const features = geoJson.type === 'FeatureCollection' ? geoJson.features : [geoJson];
+  
+  return features
+    .filter(feature => feature && feature.geometry)
+    .map((feature, index) => {
+      const geometry = feature.geometry;
+      let coordinates;
+      let defaultType;
+      if (geometry.type === 'Polygon') {
+        coordinates = geometry.coordinates[0].slice(0, -1); // 閉じた頂点を除く
+        defaultType = 'area';
+      } else if (geometry.type === 'LineString') {
+        coordinates = geometry.coordinates;
+        defaultType = 'distance';
+      } else if (geometry.type === 'Point') {
+        coordinates = [geometry.coordinates];
+        defaultType = 'distance';
+      } else {
+        throw new Error(`Unsupported geometry type: ${geometry.type}`);
+      }
+      
+      const properties = feature.properties || {};
+      return {
+        ...properties,
+        id: properties.id || feature.id || `imported_${Date.now()}_${index}`,
+        name: properties.name || `Measurement ${index + 1}`,
+        type: properties.type || defaultType,
+        points: coordinates.map(c => ({ longitude: c[0], latitude: c[1], height: c[2] || 0 })),
+      };
+    });
+}
+
+/**
+ * Cesiumの色をKMLの色（aabbggrr）に変換
+ * @param {string} cssColor - CSSカラー文字列
+ * @param {number} alpha - 不透明度（0.0〜1.0）
+ * @returns {string} KMLの色
+ */
+function cssColorToKml(cssColor, alpha) {
+  const color = Cesium.Color.fromCssColorString(cssColor || '#FF0000');
+  const hex = (v) => Math.round(v * 255).toString(16).padStart(2, '0');
+  return hex(alpha) + hex(color.blue) + hex(color.green) + hex(color.red);
+}
+
+/**
+ * KMLの色（aabbggrr）をCSSカラーと不透明度に変換
+ * @param {string} kmlColor - KMLの色
+ * @returns {{color: string, alpha: number}|null}
+ */
+function kmlColorToCss(kmlColor) {
+  if (!kmlColor || !/^[0-9a-fA-F]{8}$/.test(kmlColor.trim())) return null;
+  const c = kmlColor.trim();
+  return {
+    color: `#${c.substr(6, 2)}${c.substr(4, 2)}${c.substr(2, 2)}`.toUpperCase(),
+    alpha: parseInt(c.substr(0, 2), 16) / 255,
+  };
+}
+
+/**
+ * XML用に文字列をエスケープ
+ * @param {*} value - 値
+ * @returns {string} エスケープ済み文字列
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 計測結果をKMLに変換
+ * 色・線幅・塗りの不透明度はStyleとして出力する
+ * @param {Array} measurements - 計測データの配列
+ * @returns {string} KML文書
+ */
+function measurementsToKml(measurements) {
+  const styles = [];
+  const placemarks = [];
+  
+  measurements.forEach(measurement => {
+    const styleId = `style_${measurement.id}`;
+    const fillOpacity = measurement.fillOpacity !== undefined ? measurement.fillOpacity : 0.3;
+    styles.push(
+      `    <Style id="${escapeXml(styleId)}">\n` +
+      `      <LineStyle><color>${cssColorToKml(measurement.color, 1.0)}</color><width>${measurement.lineWidth || 2}</width></LineStyle>\n` +
+      `      <PolyStyle><color>${cssColorToKml(measurement.color, fillOpacity)}</color></PolyStyle>\n` +
+      '    </Style>'
+    );
+    
+    const coordinates = measurement.points
+      .map(p => `${p.longitude},${p.latitude},${p.height || 0}`);
+    const altitudeMode = measurement.type === 'height' || measurement.type === 'angle'
+      ? 'absolute'
+      : 'clampToGround';
+    
+    let geometry;
+    if (isPolygonMeasurement(measurement.type)) {
+      geometry =
+        `      <Polygon><altitudeMode>${altitudeMode}</altitudeMode><outerBoundaryIs><LinearRing>` +
+        `<coordinates>${[...coordinates, coordinates[0]].join(' ')}</coordinates>` +
+        '</LinearRing></outerBoundaryIs></Polygon>';
+    } else {
+      geometry =
+        `      <LineString><altitudeMode>${altitudeMode}</altitudeMode>` +
+        `<coordinates>${coordinates.join(' ')}</coordinates></LineString>`;
+    }
+    
+    // 数値・文字列の属性はExtendedDataとして出力
+    const data = Object.keys(measurement)
+      .filter(key => !MEASUREMENT_GEOMETRY_KEYS.includes(key) && key !== 'name')
+      .filter(key => ['string', 'number', 'boolean'].includes(typeof measurement[key]))
+      .map(key => `        <Data name="${escapeXml(key)}"><value>${escapeXml(measurement[key])}</value></Data>`);
+    
+    placemarks.push(
+      '    <Placemark>\n' +
+      `      <name>${escapeXml(measurement.name || measurement.id)}</name>\n` +
+      `      <description>${escapeXml(formatMeasurementValue(measurement.value || 0, measurement.unit || ''))}</description>\n` +
+      `      <styleUrl>#${escapeXml(styleId)}</styleUrl>\n` +
+      `      <ExtendedData>\n${data.join('\n')}\n      </ExtendedData>\n` +
+      `${geometry}\n` +
+      '    </Placemark>'
+    );
+  });
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    '  <Document>\n' +
+    '    <name>Field Planner Measurements</name>\n' +
+    `${styles.join('\n')}\n` +
+    `${placemarks.join('\n')}\n` +
+    '  </Document>\n' +
+    '</kml>\n';
+}
+
+/**
+ * KMLから計測データを復元
+ * @param {string} kml - KML文書
+ * @returns {Array} 計測データの配列
+ */
+function measurementsFromKml(kml) {
+  const doc = new DOMParser().parseFromString(kml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid KML');
+  }
+  
+  const childText = (element, tagName) => {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child ? child.textContent.trim() : null;
+  };
+  
+  // Styleを収集
+  const styles = new Map();
+  Array.from(doc.getElementsByTagName('Style')).forEach(style => {
+    const lineStyle = style.getElementsByTagName('LineStyle')[0];
+    const polyStyle = style.getElementsByTagName('PolyStyle')[0];
+    styles.set(style.getAttribute('id'), {
+      line: lineStyle ? kmlColorToCss(childText(lineStyle, 'color')) : null,
+      lineWidth: lineStyle ? parseFloat(childText(lineStyle, 'width')) : NaN,
+      fill: polyStyle ? kmlColorToCss(childText(polyStyle, 'color')) : null,
+    });
+  });
+  
+  return Array.from(doc.getElementsByTagName('Placemark')).map((placemark, index) => {
+    const polygon = placemark.getElementsByTagName('Polygon')[0];
+    const geometry = polygon || placemark.getElementsByTagName('LineString')[0];
+    if (!geometry) {
+      throw new Error('Placemark without Polygon or LineString');
+    }
+    
+    let points = (childText(geometry, 'coordinates') || '')
+      .split(/\s+/)
+      .filter(tuple => tuple)
+      .map(tuple => {
+        const [lon, lat, h] = tuple.split(',').map(Number);
+        return { longitude: lon, latitude: lat, height: h || 0 };
+      });
+    if (polygon && points.length > 1) {
+      points = points.slice(0, -1); // 閉じた頂点を除く
+    }
+    
+    // ExtendedDataの属性（文字列のキー以外は真偽値・数値に戻す）
+    const measurement = {};
+    Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+      const name = data.getAttribute('name');
+      const raw = childText(data, 'value') || '';
+      const number = Number(raw);
+      if (MEASUREMENT_STRING_KEYS.includes(name)) {
+        measurement[name] = raw;
+      } else if (raw === 'true' || raw === 'false') {
+        measurement[name] = raw === 'true';
+      } else {
+        measurement[name] = raw !== '' && !isNaN(number) ? number : raw;
+      }
+    });
+    
+    // スタイル
+    const styleUrl = (childText(placemark, 'styleUrl') || '').replace(/^#/, '');
+    const style = styles.get(styleUrl);
+    if (style) {
+      if (style.line) measurement.color = style.line.color;
+      if (!isNaN(style.lineWidth)) measurement.lineWidth = style.lineWidth;
+      if (style.fill) measurement.fillOpacity = style.fill.alpha;
+    }
+    
+    return {
+      ...measurement,
+      id: measurement.id !== undefined ? String(measurement.id) : `imported_${Date.now()}_${index}`,
+      name: childText(placemark, 'name') || `Measurement ${index + 1}`,
+      type: measurement.type || (polygon ? 'area' : 'distance'),
+      points: points,
+    };
+  });
+}
+
+// CSVの列
+const MEASUREMENT_CSV_COLUMNS = [
+  'measurement_id', 'name', 'type', 'value', 'unit', 'color',
+  'point_index', 'longitude', 'latitude', 'height',
+];
+
+/**
+ * CSV用に値をエスケープ
+ * @param {*} value - 値
+ * @returns {string} エスケープ済み文字列
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 計測結果をCSVに変換（1行1頂点）
+ * @param {Array} measurements - 計測データの配列
+ * @returns {string} CSV文字列
+ */
+function measurementsToCsv(measurements) {
+  const rows = [MEASUREMENT_CSV_COLUMNS.join(',')];
+  
+  measurements.forEach(measurement => {
+    measurement.points.forEach((p, i) => {
+      rows.push([
+        measurement.id,
+        measurement.name,
+        measurement.type,
+        measurement.value,
+        measurement.unit,
+        measurement.color,
+        i,
+        p.longitude,
+        p.latitude,
+        p.height || 0,
+      ].map(escapeCsv).join(','));
+    });
+  });
+  
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * CSVを行・列に分割（ダブルクォート対応）
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} 行の配列
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * CSVから計測データを復元
+ * @param {string} csv - CSV文字列（measurementsToCsvと同じ列構成）
+ * @returns {Array} 計測データの配列
+ */
+function measurementsFromCsv(csv) {
+  const rows = parseCsv(csv);
+  if (rows.length === 0) return [];
+  
+  const header = rows[0].map(h => h.trim());
+  const column = (name) => header.indexOf(name);
+  ['measurement_id', 'longitude', 'latitude'].forEach(name => {
+    if (column(name) === -1) throw new Error(`Missing CSV column: ${name}`);
+  });
+  
+  const measurements = new Map();
+  rows.slice(1).forEach(row => {
+    const value = (name) => (column(name) === -1 ? '' : (row[column(name)] || '').trim());
+    const id = value('measurement_id');
+    
+    if (!measurements.has(id)) {
+      const measurement = {
+        id: id,
+        name: value('name') || id,
+        type: value('type') || 'distance',
+        unit: value('unit'),
+        points: [],
+      };
+      if (value('value') !== '') measurement.value = parseFloat(value('value'));
+      if (value('color') !== '') measurement.color = value('color');
+      measurements.set(id, measurement);
+    }
+    
+    const pointIndex = parseInt(value('point_index'), 10);
+    measurements.get(id).points.push({
+      index: isNaN(pointIndex) ? measurements.get(id).points.length : pointIndex,
+      longitude: parseFloat(value('longitude')),
+      latitude: parseFloat(value('latitude')),
+      height: parseFloat(value('height')) || 0,
+    });
+  });
+  
+  return Array.from(measurements.values()).map(measurement => {
+    measurement.points = measurement.points
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, ...point }) => point);
+    return measurement;
+  });
+}
+
+// ============================================
+// 計測結果の編集機能
+// ============================================
+
+// 編集モード管理
+let editingMeasurementId = null;
+let editingPointIndex = null;
+let editDragHandler = null;
+let editingPoints = []; // 編集中の頂点（作業用コピー）
+let editHandleEntities = []; // 編集用ハンドル（面の頂点・辺の中点）
+
+// 中点ハンドルで頂点を挿入できる計測タイプ
+const EDIT_INSERTABLE_TYPES = ['distance', 'profile', 'area', 'volume'];
+
+/**
+ * 計測結果のスタイルを更新
+ * @param {Object} params - {measurementId, color, fillOpacity, lineWidth}
+ */
+function updateMeasurementStyle(params) {
+  const { measurementId, color, fillOpacity, lineWidth } = params;
+  const entity = measurementEntities.get(measurementId);
+  
+  if (!entity) {
+    console.warn('[CesiumBridge] Measurement not found:', measurementId);
+    return;
+  }
+  
+  try {
+    const cesiumColor = Cesium.Color.fromCssColorString(color);
+    
+    if (entity.polygon) {
+      // ポリゴン（面積計測）
+      entity.polygon.material = cesiumColor.withAlpha(fillOpacity);
+      entity.polygon.outlineColor = cesiumColor;
+      if (lineWidth !== undefined) {
+        entity.polygon.outlineWidth = lineWidth;
+      }
+    }
+    
+    if (entity.polyline) {
+      // ポリライン（距離/高さ計測）
+      entity.polyline.material = cesiumColor;
+      if (lineWidth !== undefined) {
+        entity.polyline.width = lineWidth;
+      }
+    }
+    
+    // 補助ライン（角度の円弧など）の色も更新
+    (measurementAuxEntities.get(measurementId) || []).forEach(auxEntity => {
+      if (auxEntity.polyline) {
+        auxEntity.polyline.material = cesiumColor;
+        if (lineWidth !== undefined) {
+          auxEntity.polyline.width = lineWidth;
+        }
+      }
+    });
+    
+    // 端点マーカーの色も更新
+    let i = 0;
+    while (true) {
+      const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
+      if (!pointEntity) break;
+      if (pointEntity.point) {
+        pointEntity.point.color = cesiumColor;
+      }
+      i++;
+    }
+    
+    // エクスポート用に計測データにも反映
+    const data = measurementData.get(measurementId);
+    if (data) {
+      data.color = color;
+      if (fillOpacity !== undefined) data.fillOpacity = fillOpacity;
+      if (lineWidth !== undefined) data.lineWidth = lineWidth;
+    }
+    
+    console.log('[CesiumBridge] Style updated for:', measurementId);
+    sendToFlutter('measurementStyleUpdated', { measurementId });
+  } catch (e) {
+    console.error('[CesiumBridge] Error updating style:', e);
+  }
+}
+
+/**
+ * 計測結果を完全に更新（ポイント変更を含む）
+ * @param {Object} measurement - 計測データ
+ */
+function updateMeasurementDisplay(measurement) {
+  console.log('[CesiumBridge] Updating measurement display:', measurement.id);
+  
+  // 立入禁止区域の指定がない場合は現在の設定を引き継ぐ
+  const previous = measurementData.get(measurement.id);
+  if (previous && measurement.keepOut === undefined) {
+    measurement = { ...measurement, keepOut: previous.keepOut };
+  }
+  
+  // 既存のエンティティを削除
+  removeMeasurementDisplay(measurement.id);
+  
+  // 新しいエンティティを追加
+  addMeasurementDisplay(measurement);
+  
+  // 編集中の計測は作業用の頂点と編集用ハンドルを作り直す
+  if (measurement.id === editingMeasurementId) {
+    editingPoints = measurement.points.map(p => ({ ...p }));
+    applyEditHandles(measurement.id);
+  }
+}
+
+/**
+ * 計測ポイント編集モードを開始
+ * @param {string} measurementId - 計測ID
+ */
+function startMeasurementEditMode(measurementId) {
+  console.log('[CesiumBridge] Starting edit mode for:', measurementId);
+  
+  // 既存の編集モードを終了
+  if (editingMeasurementId) {
+    endMeasurementEditMode();
+  }
+  
+  const entity = measurementEntities.get(measurementId);
+  if (!entity) {
+    console.warn('[CesiumBridge] Measurement not found:', measurementId);
+    return;
+  }
+  
+  editingMeasurementId = measurementId;
+  editingPoints = measurementData.get(measurementId).points.map(p => ({ ...p }));
+  
+  // 編集用のハンドルを表示
+  applyEditHandles(measurementId);
+  
+  // ドラッグハンドラを設定
+  setupPointDragHandler(measurementId);
+  
+  sendToFlutter('measurementEditModeStarted', {
+    measurementId,
+    canUndo: canUndoMeasurementEdit(measurementId),
+  });
+}
+
+/**
+ * 編集用ハンドルを作成
+ * 面の計測には頂点マーカーがないため編集用に追加し、
+ * 頂点を挿入できる計測には各辺の中点ハンドルを追加する
+ * @param {string} measurementId - 計測ID
+ */
+function applyEditHandles(measurementId) {
+  removeEditHandles();
+  
+  const measurement = measurementData.get(measurementId);
+  if (!measurement) return;
+  
+  const color = Cesium.Color.fromCssColorString(measurement.color || '#FF0000');
+  
+  if (isPolygonMeasurement(measurement.type)) {
+    measurement.points.forEach((p, i) => {
+      editHandleEntities.push(viewer.entities.add({
+        id: `${measurementId}_point_${i}`,
+        position: Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0),
+        point: {
+          pixelSize: 8,
+          color: color,
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+        },
+      }));
+    });
+  }
+  
+  setMeasurementPointHighlight(measurementId, true);
+  
+  getEditMidpoints(measurement.type, measurement.points).forEach((p, i) => {
+    editHandleEntities.push(viewer.entities.add({
+      id: `${measurementId}_mid_${i}`,
+      position: Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height),
+      point: {
+        pixelSize: 10,
+        color: Cesium.Color.WHITE.withAlpha(0.6),
+        outlineColor: Cesium.Color.CYAN,
+        outlineWidth: 2,
+      },
+    }));
+  });
+}
+
+/**
+ * 編集用ハンドルを削除
+ */
+function removeEditHandles() {
+  editHandleEntities.forEach(entity => viewer.entities.remove(entity));
+  editHandleEntities = [];
+}
+
+/**
+ * 頂点を挿入できる各辺の中点を取得
+ * @param {string} type - 計測タイプ
+ * @param {Array} points - 頂点配列
+ * @returns {Array} 中点の配列 [{longitude, latitude, height}, ...]（i番目はi番目の頂点から始まる辺）
+ */
+function getEditMidpoints(type, points) {
+  if (!EDIT_INSERTABLE_TYPES.includes(type) || points.length < 2) return [];
+  
+  const closed = isPolygonMeasurement(type);
+  const count = closed ? points.length : points.length - 1;
+  const midpoints = [];
+  for (let i = 0; i < count; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const midpoint = Cesium.Cartesian3.midpoint(
+      Cesium.Cartesian3.fromDegrees(a.longitude, a.latitude, a.height || 0),
+      Cesium.Cartesian3.fromDegrees(b.longitude, b.latitude, b.height || 0),
+      new Cesium.Cartesian3()
+    );
+    midpoints.push(cartesianToMeasurementPoint(midpoint));
+  }
+  return midpoints;
+}
+
+/**
+ * Cartesian3を計測点 {longitude, latitude, height} に変換
+ * @param {Cesium.Cartesian3} position - 位置
+ * @returns {Object} 計測点
+ */
+function cartesianToMeasurementPoint(position) {
+  const cartographic = Cesium.Cartographic.fromCartesian(position);
+  return {
+    longitude: Cesium.Math.toDegrees(cartographic.longitude),
+    latitude: Cesium.Math.toDegrees(cartographic.latitude),
+    height: cartographic.height || 0,
+  };
+}
+
+/**
+ * 計測ポイントマーカーの編集用ハイライトを切り替え
+ * @param {string} measurementId - 計測ID
+ * @param {boolean} highlighted - ハイライトするか
+ */
+function setMeasurementPointHighlight(measurementId, highlighted) {
+  let i = 0;
+  while (true) {
+    const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
+    if (!pointEntity) break;
+    if (pointEntity.point) {
+      pointEntity.point.pixelSize = highlighted ? 14 : 8;
+      pointEntity.point.outlineColor = highlighted ? Cesium.Color.CYAN : Cesium.Color.WHITE;
+      pointEntity.point.outlineWidth = highlighted ? 3 : 2;
+    }
+    i++;
+  }
+}
+
+/**
+ * 計測ポイント編集モードを終了
+ */
+function endMeasurementEditMode() {
+  console.log('[CesiumBridge] Ending edit mode');
+  
+  if (editingMeasurementId) {
+    // ポイントマーカーを通常に戻し、編集用ハンドルを削除
+    setMeasurementPointHighlight(editingMeasurementId, false);
+    removeEditHandles();
+  }
+  
+  // ドラッグハンドラを削除
+  if (editDragHandler) {
+    editDragHandler.destroy();
+    editDragHandler = null;
+  }
+  
+  // キーボードハンドラを削除
+  removeEditKeyboardHandler();
+  
+  // カメラコントロールを確実に有効に戻す
+  viewer.scene.screenSpaceCameraController.enableRotate = true;
+  viewer.scene.screenSpaceCameraController.enableTranslate = true;
+  viewer.scene.screenSpaceCameraController.enableZoom = true;
+  viewer.scene.screenSpaceCameraController.enableTilt = true;
+  viewer.scene.screenSpaceCameraController.enableLook = true;
+  
+  const wasEditing = editingMeasurementId;
+  editingMeasurementId = null;
+  editingPointIndex = null;
+  editingPoints = [];
+  
+  if (wasEditing) {
+    sendToFlutter('measurementEditModeEnded', { measurementId: wasEditing });
+  }
+}
+
+/**
+ * ポイントドラッグハンドラを設定
+ * 頂点のドラッグで移動、中点ハンドルのドラッグで頂点を挿入、右クリックで頂点を削除する
+ * @param {string} measurementId - 計測ID
+ */
+function setupPointDragHandler(measurementId) {
+  if (editDragHandler) {
+    editDragHandler.destroy();
+  }
+  
+  editDragHandler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+  
+  let draggedEntity = null;
+  let draggedPointIndex = null;
+  let draggedHit = null;
+  let dragInserted = false;
+  let dragMoved = false;
+  let dragStartPoints = null;
+  
+  // マウスダウン - ドラッグ開始
+  editDragHandler.setInputAction((click) => {
+    const pickedObject = viewer.scene.pick(click.position);
+    
+    if (Cesium.defined(pickedObject) && pickedObject.id) {
+      const entityId = pickedObject.id.id || pickedObject.id;
+      if (typeof entityId !== 'string') return;
+      
+      const previousPoints = editingPoints.map(p => ({ ...p }));
+      
+      if (entityId.startsWith(measurementId + '_point_')) {
+        // 計測ポイント - 移動
+        draggedPointIndex = parseInt(entityId.split('_point_')[1]);
+        dragInserted = false;
+      } else if (entityId.startsWith(measurementId + '_mid_')) {
+        // 中点ハンドル - 辺の後ろに頂点を挿入
+        const segmentIndex = parseInt(entityId.split('_mid_')[1]);
+        const midpoint = getEditMidpoints(
+          measurementData.get(measurementId).type, editingPoints
+        )[segmentIndex];
+        draggedPointIndex = segmentIndex + 1;
+        editingPoints.splice(draggedPointIndex, 0, midpoint);
+        dragInserted = true;
+      } else {
+        return;
+      }
+      
+      draggedEntity = pickedObject.id;
+      editingPointIndex = draggedPointIndex;
+      dragMoved = false;
+      dragStartPoints = previousPoints;
+      
+      // カメラの操作を無効化
+      viewer.scene.screenSpaceCameraController.enableRotate = false;
+      viewer.scene.screenSpaceCameraController.enableTranslate = false;
+      viewer.scene.screenSpaceCameraController.enableZoom = false;
+      
+      console.log('[CesiumBridge] Started dragging point:', draggedPointIndex, dragInserted ? '(insert)' : '');
+    }
+  }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  
+  // マウス移動 - ドラッグ中
+  editDragHandler.setInputAction((movement) => {
+    if (!draggedEntity) return;
+    
+    const hit = pickSurface(movement.endPosition);
+    const groundPosition = hit ? hit.position : null;
+    const snapTarget = findSnapTarget(movement.endPosition, groundPosition, {
+      measurementId: measurementId,
+      pointIndex: dragInserted ? -1 : draggedPointIndex,
+    });
+    updateSnapIndicator(snapTarget);
+    
+    const position = snapTarget ? snapTarget.position : groundPosition;
+    if (position) {
+      if (!dragMoved) {
+        // 形状が変わると位置がずれる補助表示と他の中点ハンドルを隠す
+        hideEditDecorations(measurementId, draggedEntity);
+        dragMoved = true;
+      }
+      draggedEntity.position = position;
+      draggedHit = hit;
+      editingPoints[draggedPointIndex] = cartesianToMeasurementPoint(position);
+      previewEditedMeasurement(measurementId, editingPoints);
+    }
+  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  
+  // マウスアップ - ドラッグ終了
+  editDragHandler.setInputAction((click) => {
+    // カメラの操作を常に有効化（ドラッグ中でなくても）
+    viewer.scene.screenSpaceCameraController.enableRotate = true;
+    viewer.scene.screenSpaceCameraController.enableTranslate = true;
+    viewer.scene.screenSpaceCameraController.enableZoom = true;
+    
+    if (!draggedEntity) return;
+    
+    if (dragMoved) {
+      const newPoint = { ...editingPoints[draggedPointIndex] };
+      console.log('[CesiumBridge] Point', dragInserted ? 'inserted at:' : 'moved to:', newPoint);
+      
+      commitEditedPoints(measurementId, dragInserted ? 'measurementPointInserted' : 'measurementPointMoved', {
+        pointIndex: draggedPointIndex,
+        newPoint: newPoint,
+        source: draggedHit ? draggedHit.source : null,
+        tilesetId: draggedHit ? draggedHit.tilesetId : null,
+      });
+    } else {
+      // クリックのみ（移動なし）の場合は挿入を取り消す
+      editingPoints = dragStartPoints;
+    }
+    
+    draggedEntity = null;
+    draggedPointIndex = null;
+    draggedHit = null;
+    dragInserted = false;
+    dragMoved = false;
+    dragStartPoints = null;
+    updateSnapIndicator(null);
+  }, Cesium.ScreenSpaceEventType.LEFT_UP);
+  
+  // 右クリック - ポイント削除
+  editDragHandler.setInputAction((click) => {
+    const pickedObject = viewer.scene.pick(click.position);
+    
+    if (Cesium.defined(pickedObject) && pickedObject.id) {
+      const entityId = pickedObject.id.id || pickedObject.id;
+      
+      // 計測ポイントかチェック
+      if (typeof entityId === 'string' && entityId.startsWith(measurementId + '_point_')) {
+        const pointIndex = parseInt(entityId.split('_point_')[1]);
+        const type = measurementData.get(measurementId).type;
+        
+        // 最小ポイント数を下回る削除はしない
+        if (editingPoints.length <= (MEASUREMENT_MIN_POINTS[type] || 2)) {
+          console.log('[CesiumBridge] Cannot delete point: minimum point count reached');
+          return;
+        }
+        
+        console.log('[CesiumBridge] Deleting point:', pointIndex);
+        
+        editingPoints.splice(pointIndex, 1);
+        commitEditedPoints(measurementId, 'measurementPointDeleted', {
+          pointIndex: pointIndex,
+        });
+      }
+    }
+  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+  
+  // キーボードイベント - Enterで編集終了
+  setupEditKeyboardHandler();
+}
+
+/**
+ * ドラッグ中に位置がずれる補助表示（辺の長さ・円弧など）と中点ハンドルを隠す
+ * ドラッグ終了時の再描画で元に戻る
+ * @param {string} measurementId - 計測ID
+ * @param {Cesium.Entity} draggedEntity - ドラッグ中のエンティティ（隠さない）
+ */
+function hideEditDecorations(measurementId, draggedEntity) {
+  (measurementAuxEntities.get(measurementId) || []).forEach(entity => {
+    entity.show = false;
+  });
+  editHandleEntities.forEach(entity => {
+    if (entity !== draggedEntity && entity.id.startsWith(measurementId + '_mid_')) {
+      entity.show = false;
+    }
+  });
+}
+
+/**
+ * ドラッグ中の形状と計測値ラベルを更新
+ * 表面のサンプリングが必要な値（表面積・土量）はドラッグ終了時に再計算する
+ * @param {string} measurementId - 計測ID
+ * @param {Array} points - 編集中の頂点配列
+ */
+function previewEditedMeasurement(measurementId, points) {
+  const entity = measurementEntities.get(measurementId);
+  const measurement = measurementData.get(measurementId);
+  if (!entity || !measurement) return;
+  
+  const positions = points.map(p =>
+    Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+  );
+  
+  if (entity.polygon) {
+    entity.polygon.hierarchy = new Cesium.PolygonHierarchy(positions);
+    entity.position = getCentroid(positions);
+  } else if (entity.polyline) {
+    entity.polyline.positions = positions;
+    entity.position = measurement.type === 'angle' && points.length >= 3
+      ? computeAngleGeometry(points).labelPosition
+      : getMidpoint(positions);
+  }
+  
+  const preview = {
+    ...measurement,
+    points: points,
+    surfaceArea: undefined,
+    perimeter: undefined,
+  };
+  if (measurement.type !== 'volume') {
+    preview.value = computeMeasurementValue(measurement.type, points);
+  }
+  if (entity.label) {
+    entity.label.text = getMeasurementLabelText(preview);
+  }
+}
+
+/**
+ * 編集中の頂点を確定して表示を更新し、Flutterに通知
+ * 変更前の頂点は操作履歴に積む
+ * @param {string} measurementId - 計測ID
+ * @param {string} eventName - 通知するイベント名
+ * @param {Object} [payload] - イベントに追加するデータ
+ * @param {Array} [points] - 確定する頂点配列（省略時は編集中の頂点）
+ */
+function commitEditedPoints(measurementId, eventName, payload = {}, points = editingPoints) {
+  const measurement = measurementData.get(measurementId);
+  if (!measurement) return;
+  
+  const previousPoints = measurement.points.map(p => ({ ...p }));
+  const updated = recomputeMeasurement(measurement, points);
+  updateMeasurementDisplay(updated);
+  
+  const nextPoints = updated.points.map(p => ({ ...p }));
+  pushHistory({
+    label: 'measurementEdit',
+    measurementId: measurementId,
+    undo: () => restoreMeasurementPoints(measurementId, previousPoints, 'measurementEditUndone'),
+    redo: () => restoreMeasurementPoints(measurementId, nextPoints, 'measurementPointsRestored'),
+  });
+  
+  sendToFlutter(eventName, {
+    measurementId: measurementId,
+    ...payload,
+    points: updated.points,
+    value: updated.value,
+    unit: updated.unit,
+    ...getMeasurementDetails(updated),
+    canUndo: canUndoMeasurementEdit(measurementId),
+  });
+  
+  // 断面は経路が、面積・土量は範囲が変わったので再サンプリング
+  if (updated.type === 'profile') {
+    resampleEditedProfile(updated);
+  } else if (updated.type === 'area' || updated.type === 'volume') {
+    resampleEditedSurface(updated);
+  }
+}
+
+// 計測タイプ固有の付加情報のキー（頂点の編集時にFlutterへ通知する）
+const MEASUREMENT_DETAIL_KEYS = {
+  area: ['surfaceArea', 'edgeLengths', 'perimeter'],
+  volume: ['cutVolume', 'fillVolume', 'netVolume', 'area', 'referenceMode', 'referenceHeight', 'referencePoints'],
+  profile: ['samples', 'length', 'interval', 'min', 'max', 'maxSlope'],
+};
+
+/**
+ * 計測データから計測タイプ固有の付加情報を取り出す
+ * 再計算で無効になった値（編集直後の断面のサンプルなど）はnullとする
+ * @param {Object} measurement - 計測データ
+ * @returns {Object} 付加情報
+ */
+function getMeasurementDetails(measurement) {
+  const details = {};
+  (MEASUREMENT_DETAIL_KEYS[measurement.type] || []).forEach(key => {
+    details[key] = measurement[key] === undefined ? null : measurement[key];
+  });
+  return details;
+}
+
+/**
+ * 頂点を変更した計測の値と付随情報を再計算
+ * 表面の高さを使う値（表面積・土量・断面）は未計算とし、再サンプリングで求める
+ * @param {Object} measurement - 計測データ
+ * @param {Array} points - 新しい頂点配列
+ * @returns {Object} 更新後の計測データ
+ */
+function recomputeMeasurement(measurement, points) {
+  const updated = { ...measurement, points: points.map(p => ({ ...p })) };
+  
+  if (measurement.type === 'area') {
+    const edgeLengths = computeEdgeLengths(updated.points, true);
+    updated.value = computePolygonArea(updated.points);
+    updated.surfaceArea = undefined;
+    updated.edgeLengths = edgeLengths;
+    updated.perimeter = edgeLengths.reduce((sum, length) => sum + length, 0);
+  } else if (measurement.type === 'volume') {
+    // 基準面モードは再サンプリングで維持するため残す
+    updated.value = undefined;
+    MEASUREMENT_DETAIL_KEYS.volume
+      .filter(key => key !== 'referenceMode' && key !== 'referenceHeight')
+      .forEach(key => {
+        updated[key] = undefined;
+      });
+  } else {
+    updated.value = computeMeasurementValue(measurement.type, updated.points);
+    if (measurement.type === 'profile') {
+      // 再サンプリングが終わるまでは頂点を結んだ線で表示
+      MEASUREMENT_DETAIL_KEYS.profile.forEach(key => {
+        updated[key] = undefined;
+      });
+    }
+  }
+  
+  return updated;
+}
+
+/**
+ * 編集した面積・土量計測の表面の高さを再サンプリングして表示を更新
+ * 結果は measurementSurfaceSampled でFlutterに通知する
+ * @param {Object} measurement - 計測データ
+ */
+async function resampleEditedSurface(measurement) {
+  // 計測自身の表示が表面のサンプリングに当たらないよう除外
+  const objectsToExclude = [
+    measurementEntities.get(measurement.id),
+    ...(measurementAuxEntities.get(measurement.id) || []),
+    ...editHandleEntities,
+    ...getTransientPickEntities(),
+  ].filter(entity => entity);
+  
+  try {
+    const sampled = {};
+    if (measurement.type === 'area') {
+      const areas = await computePolygonAreas(measurement.points, {
+        sampleSurface: true,
+        maxSamples: AREA_SAMPLE_LIMIT_FINAL,
+        objectsToExclude: objectsToExclude,
+      });
+      sampled.surfaceArea = areas.surfaceArea;
+    } else {
+      // 計測時の基準面モードを維持（固定高さの場合はその高さ）
+      const referenceMode = measurement.referenceMode || volumeSettings.referenceMode;
+      const volume = await computePolygonVolume(measurement.points, {
+        referenceMode: referenceMode,
+        referenceHeight: referenceMode === 'fixed' && typeof measurement.referenceHeight === 'number'
+          ? measurement.referenceHeight
+          : volumeSettings.referenceHeight,
+      }, {
+        maxSamples: AREA_SAMPLE_LIMIT_FINAL,
+        objectsToExclude: [...objectsToExclude, ...getVolumeExcludedEntities()],
+      });
+      Object.assign(sampled, {
+        value: volume.netVolume,
+        cutVolume: volume.cutVolume,
+        fillVolume: volume.fillVolume,
+        netVolume: volume.netVolume,
+        area: volume.area,
+        referenceMode: volume.referenceMode,
+        referenceHeight: volume.referenceHeight,
+        referencePoints: volume.referencePoints,
+      });
+    }
+    
+    // サンプリング中にさらに編集された場合は破棄
+    const current = measurementData.get(measurement.id);
+    if (!current || JSON.stringify(current.points) !== JSON.stringify(measurement.points)) return;
+    
+    const entity = measurementEntities.get(measurement.id);
+    const visible = entity ? entity.show !== false : true;
+    const updated = { ...current, ...sampled };
+    updateMeasurementDisplay(updated);
+    if (!visible) {
+      setMeasurementVisible(measurement.id, false);
+    }
+    
+    sendToFlutter('measurementSurfaceSampled', {
+      measurementId: measurement.id,
+      value: updated.value,
+      ...getMeasurementDetails(updated),
+    });
+  } catch (error) {
+    console.error('[CesiumBridge] Error sampling measurement surface:', error);
+    sendToFlutter('measurementError', {
+      measurementId: measurement.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 編集した断面計測を再サンプリングして表示を更新
+ * @param {Object} measurement - 計測データ
+ */
+async function resampleEditedProfile(measurement) {
+  try {
+    const profile = await sampleElevationProfile(measurement.points, profileSettings.interval);
+    
+    // サンプリング中にさらに編集された場合は破棄
+    const current = measurementData.get(measurement.id);
+    const unchanged = current && current.points.length === measurement.points.length
+      && current.points.every((p, i) =>
+        p.longitude === measurement.points[i].longitude && p.latitude === measurement.points[i].latitude
+      );
+    if (!unchanged) return;
+    
+    const entity = measurementEntities.get(measurement.id);
+    const visible = entity ? entity.show !== false : true;
+    updateMeasurementDisplay({ ...current, ...profile, value: profile.length });
+    if (!visible) {
+      setMeasurementVisible(measurement.id, false);
+    }
+    
+    sendToFlutter('elevationProfileSampled', {
+      measurementId: measurement.id,
+      ...profile,
+    });
+  } catch (error) {
+    console.error('[CesiumBridge] Error sampling profile:', error);
+    sendToFlutter('measurementError', {
+      measurementId: measurement.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 操作履歴の直前の操作が指定の計測の頂点変更か
+ * @param {string} measurementId - 計測ID
+ * @returns {boolean}
+ */
+function canUndoMeasurementEdit(measurementId) {
+  const command = historyUndoStack[historyUndoStack.length - 1];
+  return !!command && command.measurementId === measurementId;
+}
+
+/**
+ * 編集中の計測の直前の頂点変更（移動・挿入・削除）を取り消す
+ * 操作履歴の直前の操作が編集中の計測のものである場合のみ元に戻す
+ * @returns {boolean} 取り消した場合true
+ */
+function undoMeasurementEdit() {
+  if (!editingMeasurementId || !canUndoMeasurementEdit(editingMeasurementId)) {
+    console.log('[CesiumBridge] Nothing to undo');
+    return false;
+  }
+  
+  undo();
+  console.log('[CesiumBridge] Measurement edit undone:', editingMeasurementId);
+  return true;
+}
+
+/**
+ * 計測の頂点を履歴の状態に戻して表示を更新し、Flutterに通知
+ * @param {string} measurementId - 計測ID
+ * @param {Array} points - 頂点配列
+ * @param {string} eventName - 通知するイベント名
+ */
+function restoreMeasurementPoints(measurementId, points, eventName) {
+  if (!measurementData.has(measurementId)) return;
+  
+  const entity = measurementEntities.get(measurementId);
+  const visible = entity ? entity.show !== false : true;
+  commitEditedPoints(measurementId, eventName, {}, points.map(p => ({ ...p })));
+  if (!visible) {
+    setMeasurementVisible(measurementId, false);
+  }
+}
+
+// キーボードハンドラ
+let editKeyboardHandler = null;
+
+/**
+ * 編集用キーボードハンドラを設定
+ */
+function setupEditKeyboardHandler() {
+  // 既存のハンドラを削除
+  if (editKeyboardHandler) {
+    document.removeEventListener('keydown', editKeyboardHandler);
+  }
+  
+  // Ctrl+Zは操作履歴のキーボードハンドラで処理する
+  editKeyboardHandler = (event) => {
+    if (event.key === 'Enter' && editingMeasurementId) {
+      console.log('[CesiumBridge] Enter pressed - ending edit mode');
+      endMeasurementEditMode();
+    }
+  };
+  
+  document.addEventListener('keydown', editKeyboardHandler);
+}
+
+/**
+ * 編集用キーボードハンドラを削除
+ */
+function removeEditKeyboardHandler() {
+  if (editKeyboardHandler) {
+    document.removeEventListener('keydown', editKeyboardHandler);
+    editKeyboardHandler = null;
+  }
+}
+
+/**
+ * カメラコントロールをリセット（有効化）
+ * マップ操作ができなくなった場合の緊急リセット用
+ */
+function resetCameraControls() {
+  console.log('[CesiumBridge] Resetting camera controls');
+  viewer.scene.screenSpaceCameraController.enableRotate = true;
+  viewer.scene.screenSpaceCameraController.enableTranslate = true;
+  viewer.scene.screenSpaceCameraController.enableZoom = true;
+  viewer.scene.screenSpaceCameraController.enableTilt = true;
+  viewer.scene.screenSpaceCameraController.enableLook = true;
+  
+  // 編集モードも終了
+  if (editingMeasurementId) {
+    endMeasurementEditMode();
+  }
+  
+  sendToFlutter('cameraControlsReset', {});
+}
+
+/**
+ * 中点を取得
+ * @param {Array} positions - 位置配列
+ * @returns {Cesium.Cartesian3} 中点
+ */
+function getMidpoint(positions) {
+  if (positions.length === 0) return Cesium.Cartesian3.ZERO;
+  if (positions.length === 1) return positions[0];
+  
+  const midIndex = Math.floor((positions.length - 1) / 2);
+  return positions[midIndex];
+}
+
+/**
+ * 重心を取得
+ * @param {Array} positions - 位置配列
+ * @returns {Cesium.Cartesian3} 重心
+ */
+function getCentroid(positions) {
+  if (positions.length === 0) return Cesium.Cartesian3.ZERO;
+  
+  let x = 0, y = 0, z = 0;
+  positions.forEach(p => {
+    x += p.x;
+    y += p.y;
+    z += p.z;
+  });
+  
+  return new Cesium.Cartesian3(
+    x / positions.length,
+    y / positions.length,
+    z / positions.length
+  );
+}
+
+// ============================================
+// 配置物管理機能
+// ============================================
+
+/**
+ * アセット寸法を登録
+ * フットプリント計算（スナップ等）に使用する
+ * @param {Array} assets - [{id, dimensions: {width, depth, height}}, ...]
+ */
+function setAssetDimensions(assets) {
+  (assets || []).forEach(asset => {
+    if (asset.id && asset.dimensions) {
+      assetDimensions.set(asset.id, asset.dimensions);
+    }
+  });
+  console.log('[CesiumBridge] Asset dimensions registered:', assetDimensions.size);
+  placementEntities.forEach((data, id) => updatePlacementZones(id, data.placement));
+  schedulePlacementCollisionCheck();
+}
+
+/**
+ * 配置物の寸法を取得
+ * 配置データに寸法が含まれていればそれを、なければ登録済みのアセット寸法を使用する
+ * @param {Object} placement - 配置物データ
+ * @returns {Object|null} 寸法 {width, depth, height}（メートル）
+ */
+function getPlacementDimensions(placement) {
+  if (!placement) return null;
+  return placement.dimensions || assetDimensions.get(placement.assetId) || null;
+}
+
+/**
+ * 配置物のフットプリント（地面に投影した外接矩形）を取得
+ * 幅はモデルのX軸、奥行きはY軸方向とし、ヘディングで回転させる
+ * @param {Object} placement - 配置物データ
+ * @returns {{center: Cesium.Cartesian3, corners: Array<Cesium.Cartesian3>}|null}
+ */
+function getPlacementFootprint(placement) {
+  if (!placement || !placement.position) return null;
+
+  const center = Cesium.Cartesian3.fromDegrees(
+    placement.position.longitude,
+    placement.position.latitude,
+    placement.position.height || 0
+  );
+
+  const dimensions = getPlacementDimensions(placement);
+  if (!dimensions) {
+    return { center: center, corners: [] };
+  }
+
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(center);
+  const corners = getFootprintOffsets(
+    dimensions,
+    placement.rotation?.heading || 0,
+    placement.scale
+  ).map(offset => Cesium.Matrix4.multiplyByPoint(
+    enuToFixed,
+    new Cesium.Cartesian3(offset.east, offset.north, 0),
+    new Cesium.Cartesian3()
+  ));
+
+  return { center: center, corners: corners };
+}
+
+/**
+ * フットプリントの四隅を中心からの東・北方向のオフセットで取得
+ * @param {Object} dimensions - 寸法 {width, depth}
+ * @param {number} heading - ヘディング（度）
+ * @param {Object} [scale] - 軸ごとのスケール {x, y, z}（省略時は1）
+ * @param {number} [margin=0] - 外側に広げる距離（メートル）
+ * @returns {Array<{east: number, north: number}>} 四隅のオフセット（メートル）
+ */
+function getFootprintOffsets(dimensions, heading, scale, margin = 0) {
+  const halfWidth = (dimensions.width || 0) * (scale?.x || 1.0) / 2 + margin;
+  const halfDepth = (dimensions.depth || 0) * (scale?.y || 1.0) / 2 + margin;
+  const headingRad = Cesium.Math.toRadians(heading);
+  const cosH = Math.cos(headingRad);
+  const sinH = Math.sin(headingRad);
+
+  // ヘディングは北から時計回り（モデルX軸を東から時計回りに回転）
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const x = sx * halfWidth;
+    const y = sy * halfDepth;
+    return { east: x * cosH + y * sinH, north: -x * sinH + y * cosH };
+  });
+}
+
+/**
+ * 配置物を追加
+ * @param {Object} placement - 配置物データ
+ * @param {string} modelUrl - モデルURL
+ */
+function addPlacement(placement, modelUrl) {
+  if (!viewer) return;
+
+  const position = Cesium.Cartesian3.fromDegrees(
+    placement.position.longitude,
+    placement.position.latitude,
+    placement.position.height || 0
+  );
+
+  const heading = Cesium.Math.toRadians(placement.rotation?.heading || 0);
+  const pitch = Cesium.Math.toRadians(placement.rotation?.pitch || 0);
+  const roll = Cesium.Math.toRadians(placement.rotation?.roll || 0);
+  const orientation = Cesium.Transforms.headingPitchRollQuaternion(
+    position,
+    new Cesium.HeadingPitchRoll(heading, pitch, roll)
+  );
+
+  const entity = viewer.entities.add({
+    id: placement.id,
+    name: placement.name,
+    position: position,
+    orientation: orientation,
+    model: {
+      uri: modelUrl,
+      scale: 1.0,
+      minimumPixelSize: getPlacementMinimumPixelSize(),
+      maximumScale: 20000,
+    },
+    show: placement.visible !== false,
+  });
+  enableAxisScale(entity);
+  setEntityAxisScale(entity, placement.scale);
+
+  placementEntities.set(placement.id, {
+    entity: entity,
+    placement: placement,
+    modelUrl: modelUrl,
+  });
+
+  updatePlacementZones(placement.id, placement);
+  schedulePlacementCollisionCheck();
+  if (isPlacementSettled(placement)) {
+    schedulePlacementSettle(placement.id);
+  }
+
+  recordConfirmedPlacement(placement);
+
+  console.log('[CesiumBridge] Placement added:', placement.id);
+  sendToFlutter('placementAdded', { id: placement.id });
+}
+
+/**
+ * 配置物を削除（操作履歴に積む）
+ * @param {string} placementId - 配置物ID
+ */
+function removePlacement(placementId) {
+  const before = capturePlacementSnapshot([placementId]);
+  removePlacementEntity(placementId);
+  pushPlacementHistory('remove', before);
+}
+
+/**
+ * 配置物のエンティティと付随表示を削除
+ * @param {string} placementId - 配置物ID
+ */
+function removePlacementEntity(placementId) {
+  if (!viewer) return;
+
+  const data = placementEntities.get(placementId);
+  if (data) {
+    viewer.entities.remove(data.entity);
+    placementEntities.delete(placementId);
+    removeFromPlacementSelection(placementId);
+    removePlacementZones(placementId);
+    schedulePlacementCollisionCheck();
+    console.log('[CesiumBridge] Placement removed:', placementId);
+  }
+}
+
+/**
+ * 配置物を更新（操作履歴に積む）
+ * インスペクタのスライダー操作などによる連続した更新は1件にまとめる
+ * @param {Object} placement - 配置物データ
+ */
+function updatePlacement(placement) {
+  const before = capturePlacementSnapshot([placement.id]);
+  applyPlacementUpdate(placement);
+  pushPlacementHistory('update', before, 'placement:' + placement.id);
+}
+
+/**
+ * 配置物のデータを置き換えて表示に反映
+ * @param {Object} placement - 配置物データ
+ */
+function applyPlacementUpdate(placement) {
+  const data = placementEntities.get(placement.id);
+  if (!data) return;
+
+  data.entity.show = placement.visible !== false;
+  data.placement = placement;
+  applyPlacementPose(data.entity, placement);
+  updatePlacementZones(placement.id, placement);
+  schedulePlacementCollisionCheck();
+  if (isPlacementSettled(placement)) {
+    schedulePlacementSettle(placement.id);
+  }
+
+  // ギズモを新しい位置に合わせて作り直す（ロックされた配置物は対象外になる）
+  if (placementGizmo && placementGizmo.placementIds.includes(placement.id) && !placementGizmo.drag) {
+    showPlacementGizmo();
+  }
+
+  console.log('[CesiumBridge] Placement updated:', placement.id);
+}
+
+/**
+ * 配置物エンティティに位置・回転・スケールを反映
+ * @param {Cesium.Entity} entity - 配置物エンティティ
+ * @param {Object} placement - 配置物データ（position, rotation, scale）
+ */
+function applyPlacementPose(entity, placement) {
+  const position = Cesium.Cartesian3.fromDegrees(
+    placement.position.longitude,
+    placement.position.latitude,
+    placement.position.height || 0
+  );
+
+  const heading = Cesium.Math.toRadians(placement.rotation?.heading || 0);
+  const pitch = Cesium.Math.toRadians(placement.rotation?.pitch || 0);
+  const roll = Cesium.Math.toRadians(placement.rotation?.roll || 0);
+  const orientation = Cesium.Transforms.headingPitchRollQuaternion(
+    position,
+    new Cesium.HeadingPitchRoll(heading, pitch, roll)
+  );
+
+  entity.position = position;
+  entity.orientation = orientation;
+  setEntityAxisScale(entity, placement.scale);
+
+  // フットプリント・離隔範囲を追従させる
+  const data = placementEntities.get(entity.id);
+  if (data && placementZones.has(entity.id)) {
+    updatePlacementZones(entity.id, { ...data.placement, ...placement });
+  }
+}
+
+/**
+ * エンティティのモデルに軸ごとのスケールを適用できるようにする
+ * 
+ * ModelGraphicsのscaleは等倍率のみのため、エンティティのモデル行列の計算に
+ * 軸ごとのスケール（モデルのX: 幅、Y: 奥行き、Z: 高さ）を掛け合わせる。
+ * 
+ * @param {Cesium.Entity} entity - 配置物エンティティ
+ */
+function enableAxisScale(entity) {
+  entity.axisScale = new Cesium.Cartesian3(1.0, 1.0, 1.0);
+  entity.computeModelMatrix = function (time, result) {
+    const matrix = Cesium.Entity.prototype.computeModelMatrix.call(this, time, result);
+    return matrix ? Cesium.Matrix4.multiplyByScale(matrix, this.axisScale, matrix) : matrix;
+  };
+}
+
+/**
+ * エンティティのモデルの軸ごとのスケールを設定
+ * @param {Cesium.Entity} entity - 配置物エンティティ
+ * @param {Object} [scale] - {x, y, z}（省略した軸は1）
+ */
+function setEntityAxisScale(entity, scale) {
+  if (!entity.axisScale) {
+    entity.model.scale = scale?.x || 1.0;
+    return;
+  }
+  entity.axisScale.x = scale?.x || 1.0;
+  entity.axisScale.y = scale?.y || 1.0;
+  entity.axisScale.z = scale?.z || 1.0;
+}
+
+/**
+ * 配置物のモデルの最小表示サイズ（実寸表示の場合は0）
+ * @returns {number} ピクセル
+ */
+function getPlacementMinimumPixelSize() {
+  return placementDisplaySettings.trueSize ? 0 : placementDisplaySettings.minimumPixelSize;
+}
+
+/**
+ * 配置物の表示設定を更新
+ * @param {Object} settings - 設定 {trueSize, minimumPixelSize}
+ */
+function updatePlacementDisplaySettings(settings) {
+  Object.assign(placementDisplaySettings, settings);
+  const minimumPixelSize = getPlacementMinimumPixelSize();
+  placementEntities.forEach(data => {
+    data.entity.model.minimumPixelSize = minimumPixelSize;
+  });
+  console.log('[CesiumBridge] Placement display settings updated:', placementDisplaySettings);
+}
+
+/**
+ * 配置物をアセットの寸法から指定の実寸（メートル）になるようスケールする
+ * 
+ * 指定しなかった軸は現在のスケールを保つ。keepAspectがtrueの場合は
+ * 指定した軸のうち最初のものの倍率を全軸に適用する。
+ * 
+ * @param {Object} params - {id, width, depth, height, keepAspect}
+ */
+function scalePlacementToDimensions(params) {
+  const data = placementEntities.get(params.id);
+  if (!data) return;
+
+  const dimensions = getPlacementDimensions(data.placement);
+  if (!dimensions) {
+    console.warn('[CesiumBridge] No dimensions for placement:', params.id);
+    return;
+  }
+
+  const transform = getPlacementTransform(data.placement);
+  const axes = [['x', 'width'], ['y', 'depth'], ['z', 'height']];
+  const factors = {};
+  axes.forEach(([axis, key]) => {
+    if (params[key] > 0 && dimensions[key] > 0) {
+      factors[axis] = params[key] / dimensions[key];
+    }
+  });
+  const specified = Object.keys(factors);
+  if (specified.length === 0) return;
+
+  const before = capturePlacementSnapshot([params.id]);
+  axes.forEach(([axis]) => {
+    if (params.keepAspect) {
+      transform.scale[axis] = factors[specified[0]];
+    } else if (factors[axis] !== undefined) {
+      transform.scale[axis] = factors[axis];
+    }
+  });
+
+  commitPlacementTransforms([{ id: params.id, transform: transform }]);
+  pushPlacementHistory('scale', before);
+  if (placementGizmo && placementGizmo.placementIds.includes(params.id) && !placementGizmo.drag) {
+    showPlacementGizmo();
+  }
+  console.log('[CesiumBridge] Placement scaled to dimensions:', params.id, transform.scale);
+  sendToFlutter('placementTransformed', {
+    id: params.id,
+    mode: 'dimensions',
+    position: transform.position,
+    rotation: transform.rotation,
+    scale: transform.scale,
+    source: null,
+    tilesetId: null,
+  });
+}
+
+/**
+ * 配置モードを開始
+ * @param {string} assetId - アセットID
+ * @param {string} modelUrl - モデルURL
+ */
+function startPlacementMode(assetId, modelUrl) {
+  if (!viewer) return;
+
+  // 既存のプレビューを削除
+  if (previewEntity) {
+    viewer.entities.remove(previewEntity);
+  }
+
+  placementMode = 'place';
+  currentPlacementAssetId = assetId;
+  placementPreviewHeading = 0;
+
+  // プレビューエンティティを作成
+  previewEntity = viewer.entities.add({
+    id: 'preview_' + assetId,
+    position: Cesium.Cartesian3.ZERO,
+    model: {
+      uri: modelUrl,
+      scale: 1.0,
+      color: Cesium.Color.WHITE.withAlpha(0.7),
+      silhouetteColor: Cesium.Color.LIME,
+      silhouetteSize: 2,
+    },
+    show: false,
+  });
+
+  // マウス移動イベント
+  viewer.screenSpaceEventHandler.setInputAction((movement) => {
+    if (placementMode !== 'place') return;
+
+    const position = getGroundPosition(movement.endPosition);
+    if (position) {
+      const snappedPosition = applyPreviewHeightMode(snapPreviewPosition(position).position);
+      previewEntity.position = snappedPosition;
+      previewEntity.show = true;
+      updatePreviewOrientation();
+      updatePreviewZones(snappedPosition);
+    }
+  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+  // クリックイベントで配置確定
+  viewer.screenSpaceEventHandler.setInputAction((click) => {
+    if (placementMode !== 'place') return;
+
+    const hit = pickSurface(click.position);
+    if (hit) {
+      const snapped = snapPreviewPosition(hit.position);
+      const cartographic = Cesium.Cartographic.fromCartesian(applyPreviewHeightMode(snapped.position));
+      clearAlignmentGuides();
+
+      expectConfirmedPlacements(currentPlacementAssetId, 1);
+      sendToFlutter('placementConfirmed', {
+        assetId: currentPlacementAssetId,
+        position: {
+          longitude: Cesium.Math.toDegrees(cartographic.longitude),
+          latitude: Cesium.Math.toDegrees(cartographic.latitude),
+          height: cartographic.height,
+        },
+        source: hit.source,
+        tilesetId: hit.tilesetId,
+        rotation: { heading: placementPreviewHeading, pitch: 0, roll: 0 },
+        snappedTo: snapped.snappedTo,
+        heightMode: placementHeightSettings.heightMode,
+        heightOffset: placementHeightSettings.heightOffset,
+        alignToSurface: placementHeightSettings.alignToSurface,
+      });
+    }
+  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+  // 右クリックでキャンセル
+  viewer.screenSpaceEventHandler.setInputAction(() => {
+    cancelPlacementMode();
+    sendToFlutter('placementCancelled', {});
+  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  console.log('[CesiumBridge] Placement mode started:', assetId);
+  sendToFlutter('placementModeStarted', { assetId: assetId });
+}
+
+/**
+ * 配置モードをキャンセル
+ */
+function cancelPlacementMode() {
+  if (bulkPlacement) {
+    cancelBulkPlacementMode();
+    return;
+  }
+  if (previewEntity) {
+    viewer.entities.remove(previewEntity);
+    previewEntity = null;
+  }
+  removePlacementZones('preview');
+  placementMode = null;
+  currentPlacementAssetId = null;
+  clearAlignmentGuides();
+
+  // イベントハンドラを通常に戻す
+  resetPlacementEventHandlers();
+  console.log('[CesiumBridge] Placement mode cancelled');
+}
+
+/**
+ * 配置イベントハンドラをリセット
+ */
+function resetPlacementEventHandlers() {
+  if (!viewer) return;
+
+  // クリックイベントを通常のmapClickedに戻す
+  viewer.screenSpaceEventHandler.setInputAction((click) => {
+    // 配置物のピック
+    const pickedObject = viewer.scene.pick(click.position);
+    if (Cesium.defined(pickedObject) && pickedObject.id) {
+      const entityId = pickedObject.id.id || pickedObject.id;
+      if (placementEntities.has(entityId)) {
+        selectPlacement(entityId);
+        return;
+      }
+      // ギズモ（ハンドル・リング・高さ軸）のクリックでは選択を維持
+      if (GIZMO_HANDLE_MODES[entityId] ||
+          (placementGizmo && placementGizmo.entities.includes(pickedObject.id))) {
+        return;
+      }
+    }
+
+    // 選択解除
+    deselectPlacement();
+
+    // 通常のマップクリック
+    const cartesian = viewer.camera.pickEllipsoid(click.position);
+    if (cartesian) {
+      const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+      sendToFlutter('mapClicked', {
+        longitude: Cesium.Math.toDegrees(cartographic.longitude),
+        latitude: Cesium.Math.toDegrees(cartographic.latitude),
+        height: cartographic.height || 0
+      });
+    }
+  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+  // 移動イベントを削除
+  viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+}
+
+/**
+ * 配置物を選択（他の選択は解除）
+ * @param {string} placementId - 配置物ID
+ */
+function selectPlacement(placementId) {
+  // 既存の選択を解除
+  selectedPlacementIds.forEach(id => {
+    if (id !== placementId) setPlacementHighlight(id, false);
+  });
+  selectedPlacementIds.clear();
+
+  selectedPlacementIds.add(placementId);
+  selectedPlacementId = placementId;
+
+  // 新しい選択をハイライト
+  setPlacementHighlight(placementId, true);
+  showPlacementGizmo();
+
+  sendToFlutter('placementSelected', { id: placementId });
+  notifyPlacementSelectionChanged();
+}
+
+/**
+ * 配置物の選択を解除
+ */
+function deselectPlacement() {
+  if (selectedPlacementIds.size === 0) return;
+
+  selectedPlacementIds.forEach(id => setPlacementHighlight(id, false));
+  selectedPlacementIds.clear();
+  hidePlacementGizmo();
+  selectedPlacementId = null;
+
+  sendToFlutter('placementDeselected', {});
+  notifyPlacementSelectionChanged();
+}
+
+/**
+ * 配置物の選択ハイライトを切り替え
+ * @param {string} placementId - 配置物ID
+ * @param {boolean} highlighted - ハイライトするか
+ */
+function setPlacementHighlight(placementId, highlighted) {
+  const data = placementEntities.get(placementId);
+  if (!data || !data.entity.model) return;
+
+  // 干渉中の配置物は選択状態に関わらず赤で表示
+  if (collidingPlacementIds.has(placementId)) {
+    data.entity.model.silhouetteColor = Cesium.Color.RED;
+    data.entity.model.silhouetteSize = 3;
+    return;
+  }
+  data.entity.model.silhouetteColor = highlighted ? Cesium.Color.YELLOW : Cesium.Color.TRANSPARENT;
+  data.entity.model.silhouetteSize = highlighted ? 3 : 0;
+}
+
+/**
+ * 配置物にズーム
+ * @param {string} placementId - 配置物ID
+ */
+function zoomToPlacement(placementId) {
+  if (!viewer) return;
+
+  const data = placementEntities.get(placementId);
+  if (data) {
+    viewer.flyTo(data.entity, {
+      duration: 1.5,
+      offset: new Cesium.HeadingPitchRange(0, -0.5, 50)
+    });
+  }
+}
+
+/**
+ * スナップ設定を更新
+ * @param {Object} settings - 設定
+ */
+function updateSnapSettings(settings) {
+  Object.assign(snapSettings, settings);
+  if ('localGrid' in settings || 'gridSize' in settings || 'gridEnabled' in settings) {
+    updateLocalGridDisplay();
+  }
+  if (!snapSettings.objectEnabled) {
+    clearAlignmentGuides();
+  }
+  console.log('[CesiumBridge] Snap settings updated:', snapSettings);
+}
+
+/**
+ * グリッドスナップを適用
+ * 回転グリッドが設定されている場合はその原点・向きのグリッドに合わせる
+ * @param {Cesium.Cartesian3} position - 元の位置
+ * @returns {Cesium.Cartesian3} スナップ後の位置
+ */
+function applyGridSnap(position) {
+  if (!snapSettings.gridEnabled) return position;
+  if (snapSettings.localGrid && snapSettings.localGrid.origin) {
+    return applyLocalGridSnap(position, snapSettings.localGrid);
+  }
+
+  const cartographic = Cesium.Cartographic.fromCartesian(position);
+
+  // メートル単位でスナップ
+  const latRad = cartographic.latitude;
+  const metersPerDegreeLon = 111320 * Math.cos(latRad);
+  const metersPerDegreeLat = 110540;
+
+  const gridSize = snapSettings.gridSize;
+  const lonStep = gridSize / metersPerDegreeLon;
+  const latStep = gridSize / metersPerDegreeLat;
+
+  const snappedLon = Math.round(cartographic.longitude / lonStep) * lonStep;
+  const snappedLat = Math.round(cartographic.latitude / latStep) * latStep;
+
+  return Cesium.Cartesian3.fromRadians(
+    snappedLon,
+    snappedLat,
+    cartographic.height
+  );
+}
+
+/**
+ * 回転グリッドへのスナップを適用
+ * @param {Cesium.Cartesian3} position - 元の位置
+ * @param {Object} localGrid - {origin: {longitude, latitude, height}, heading（度）}
+ * @returns {Cesium.Cartesian3} スナップ後の位置
+ */
+function applyLocalGridSnap(position, localGrid) {
+  const frame = getLocalGridFrame(localGrid);
+  const local = frame.toLocal(position);
+  const gridSize = snapSettings.gridSize;
+  const snapped = frame.toFixed(
+    Math.round(local.u / gridSize) * gridSize,
+    Math.round(local.v / gridSize) * gridSize,
+    0
+  );
+
+  // 高さは元の位置のものを保つ
+  const cartographic = Cesium.Cartographic.fromCartesian(snapped);
+  return Cesium.Cartesian3.fromRadians(
+    cartographic.longitude,
+    cartographic.latitude,
+    Cesium.Cartographic.fromCartesian(position).height
+  );
+}
+
+/**
+ * 原点と向きで決まる水平座標系（u: 向きの右方向、v: 向きの前方向）を作成
+ * 向き0度ではuが東、vが北に一致する
+ * @param {Object} localGrid - {origin: {longitude, latitude, height}, heading（度）}
+ * @returns {{toLocal: Function, toFixed: Function}} 変換関数
+ */
+function getLocalGridFrame(localGrid) {
+  const origin = localGrid.origin;
+  const center = Cesium.Cartesian3.fromDegrees(origin.longitude, origin.latitude, origin.height || 0);
+  return createHorizontalFrame(center, localGrid.heading || 0);
+}
+
+/**
+ * 指定点を原点とし、ヘディング方向に回転した水平座標系を作成
+ * @param {Cesium.Cartesian3} center - 原点
+ * @param {number} heading - 向き（度、北から時計回り）
+ * @returns {{toLocal: Function, toFixed: Function}} 変換関数
+ */
+function createHorizontalFrame(center, heading) {
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(center);
+  const fixedToEnu = Cesium.Matrix4.inverseTransformation(enuToFixed, new Cesium.Matrix4());
+  const headingRad = Cesium.Math.toRadians(heading);
+  const cosH = Math.cos(headingRad);
+  const sinH = Math.sin(headingRad);
+
+  return {
+    toLocal: (cartesian) => {
+      const enu = Cesium.Matrix4.multiplyByPoint(fixedToEnu, cartesian, new Cesium.Cartesian3());
+      return {
+        u: enu.x * cosH - enu.y * sinH,
+        v: enu.x * sinH + enu.y * cosH,
+        up: enu.z,
+      };
+    },
+    toFixed: (u, v, up) => Cesium.Matrix4.multiplyByPoint(
+      enuToFixed,
+      new Cesium.Cartesian3(u * cosH + v * sinH, -u * sinH + v * cosH, up || 0),
+      new Cesium.Cartesian3()
+    ),
+  };
+}
+
+/**
+ * 回転グリッドの軸表示を更新
+ */
+function updateLocalGridDisplay() {
+  if (!viewer) return;
+
+  localGridEntities.forEach(entity => viewer.entities.remove(entity));
+  localGridEntities = [];
+
+  const localGrid = snapSettings.localGrid;
+  if (!localGrid || !localGrid.origin || !snapSettings.gridEnabled) return;
+
+  const frame = getLocalGridFrame(localGrid);
+  const length = snapSettings.gridSize * 10;
+  const axes = [
+    { id: 'local_grid_u', end: [length, 0], color: Cesium.Color.RED },
+    { id: 'local_grid_v', end: [0, length], color: Cesium.Color.LIME },
+  ];
+  axes.forEach(axis => {
+    localGridEntities.push(viewer.entities.add({
+      id: axis.id,
+      polyline: {
+        positions: [frame.toFixed(0, 0, 0), frame.toFixed(axis.end[0], axis.end[1], 0)],
+        width: 2,
+        material: axis.color.withAlpha(0.8),
+        clampToGround: true,
+      },
+    }));
+  });
+}
+
+/**
+ * 配置プレビューの位置にグリッド・オブジェクトスナップを適用
+ * @param {Cesium.Cartesian3} position - 地表の位置
+ * @returns {{position: Cesium.Cartesian3, snappedTo: Array<string>}}
+ */
+function snapPreviewPosition(position) {
+  const dimensions = assetDimensions.get(currentPlacementAssetId);
+  const offsets = dimensions ? getFootprintOffsets(dimensions, placementPreviewHeading) : [];
+  return applyObjectSnap(applyGridSnap(position), offsets, []);
+}
+
+/**
+ * 近くの配置物の辺・中心に揃うよう位置を補正し、整列ガイドを表示
+ * 
+ * グリッドの向き（回転グリッド未設定時は東西・南北）の2軸それぞれについて、
+ * 対象の外接矩形の両端と中心を、周囲の配置物の両端と中心に合わせる。
+ * 補正量が許容距離以内のもののうち最も近いものを採用する。
+ * 
+ * @param {Cesium.Cartesian3} position - 補正前の中心位置
+ * @param {Array<{east: number, north: number}>} offsets - 中心からのフットプリント頂点のオフセット
+ * @param {Array<string>} excludeIds - 対象外の配置物ID（移動中の配置物自身など）
+ * @returns {{position: Cesium.Cartesian3, snappedTo: Array<string>}}
+ */
+function applyObjectSnap(position, offsets, excludeIds) {
+  clearAlignmentGuides();
+  if (!viewer || !snapSettings.objectEnabled) {
+    return { position: position, snappedTo: [] };
+  }
+
+  const heading = snapSettings.localGrid && snapSettings.localGrid.origin
+    ? snapSettings.localGrid.heading || 0
+    : 0;
+  const frame = createHorizontalFrame(position, heading);
+  const headingRad = Cesium.Math.toRadians(heading);
+  const cosH = Math.cos(headingRad);
+  const sinH = Math.sin(headingRad);
+
+  // 対象の外接矩形（回転座標系）
+  const subjectPoints = offsets.length > 0
+    ? offsets.map(o => ({ u: o.east * cosH - o.north * sinH, v: o.east * sinH + o.north * cosH }))
+    : [{ u: 0, v: 0 }];
+  const subject = getAlignmentBounds(subjectPoints);
+
+  // 周囲の配置物の外接矩形
+  const others = [];
+  placementEntities.forEach((data, id) => {
+    if (excludeIds.includes(id) || data.entity.show === false) return;
+    const footprint = getPlacementFootprint(data.placement);
+    if (!footprint) return;
+    const center = frame.toLocal(footprint.center);
+    if (Math.hypot(center.u, center.v) > snapSettings.objectRange) return;
+    const points = footprint.corners.length > 0
+      ? footprint.corners.map(corner => frame.toLocal(corner))
+      : [center];
+    others.push({ id: id, bounds: getAlignmentBounds(points) });
+  });
+
+  const tolerance = snapSettings.objectTolerance;
+  const findBest = (axis) => {
+    let best = null;
+    others.forEach(other => {
+      subject[axis].forEach(subjectValue => {
+        other.bounds[axis].forEach(otherValue => {
+          const delta = otherValue - subjectValue;
+          if (Math.abs(delta) <= tolerance && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+            best = { delta: delta, value: otherValue, other: other };
+          }
+        });
+      });
+    });
+    return best;
+  };
+  const snapU = findBest('u');
+  const snapV = findBest('v');
+  if (!snapU && !snapV) {
+    return { position: position, snappedTo: [] };
+  }
+
+  const du = snapU ? snapU.delta : 0;
+  const dv = snapV ? snapV.delta : 0;
+  const snapped = frame.toFixed(du, dv, 0);
+  const cartographic = Cesium.Cartographic.fromCartesian(snapped);
+  const snappedPosition = Cesium.Cartesian3.fromRadians(
+    cartographic.longitude,
+    cartographic.latitude,
+    Cesium.Cartographic.fromCartesian(position).height
+  );
+
+  // 揃った線に沿って、対象から相手の配置物までガイドを引く
+  if (snapU) {
+    const other = snapU.other.bounds;
+    showAlignmentGuide(frame,
+      [snapU.value, Math.min(subject.v[0] + dv, other.v[0])],
+      [snapU.value, Math.max(subject.v[2] + dv, other.v[2])]);
+  }
+  if (snapV) {
+    const other = snapV.other.bounds;
+    showAlignmentGuide(frame,
+      [Math.min(subject.u[0] + du, other.u[0]), snapV.value],
+      [Math.max(subject.u[2] + du, other.u[2]), snapV.value]);
+  }
+
+  const snappedTo = [...new Set([snapU, snapV].filter(s => s).map(s => s.other.id))];
+  return { position: snappedPosition, snappedTo: snappedTo };
+}
+
+/**
+ * 回転座標系上の点群から整列に使う線（最小・中心・最大）を取得
+ * @param {Array<{u: number, v: number}>} points - 点群
+ * @returns {{u: Array<number>, v: Array<number>}} 各軸の [最小, 中心, 最大]
+ */
+function getAlignmentBounds(points) {
+  const us = points.map(p => p.u);
+  const vs = points.map(p => p.v);
+  const minU = Math.min(...us);
+  const maxU = Math.max(...us);
+  const minV = Math.min(...vs);
+  const maxV = Math.max(...vs);
+  return {
+    u: [minU, (minU + maxU) / 2, maxU],
+    v: [minV, (minV + maxV) / 2, maxV],
+  };
+}
+
+/**
+ * 整列ガイド（破線）を表示
+ * @param {Object} frame - createHorizontalFrameの結果
+ * @param {Array<number>} start - 始点 [u, v]
+ * @param {Array<number>} end - 終点 [u, v]
+ */
+function showAlignmentGuide(frame, start, end) {
+  alignmentGuideEntities.push(viewer.entities.add({
+    id: 'alignment_guide_' + alignmentGuideEntities.length,
+    polyline: {
+      positions: [frame.toFixed(start[0], start[1], 0), frame.toFixed(end[0], end[1], 0)],
+      width: 2,
+      material: new Cesium.PolylineDashMaterialProperty({
+        color: Cesium.Color.CYAN,
+        dashLength: 12,
+      }),
+      clampToGround: true,
+    },
+  }));
+}
+
+/**
+ * 整列ガイドを消去
+ */
+function clearAlignmentGuides() {
+  if (!viewer) return;
+  alignmentGuideEntities.forEach(entity => viewer.entities.remove(entity));
+  alignmentGuideEntities = [];
+}
+
+/**
+ * 角度スナップを適用
+ * @param {number} angle - 元の角度（度）
+ * @returns {number} スナップ後の角度
+ */
+function applyAngleSnap(angle) {
+  if (!snapSettings.angleEnabled) return angle;
+  const step = snapSettings.angleStep;
+  return Math.round(angle / step) * step;
+}
+
+// ============================================
+// 配置物の高さモード
+// ============================================
+
+/**
+ * 新規配置時の高さモードを更新
+ * @param {Object} settings - 設定 {heightMode, heightOffset, alignToSurface}
+ */
+function updatePlacementHeightSettings(settings) {
+  if (settings.heightMode && !PLACEMENT_HEIGHT_MODES.includes(settings.heightMode)) {
+    console.warn('[CesiumBridge] Unknown height mode:', settings.heightMode);
+    return;
+  }
+  Object.assign(placementHeightSettings, settings);
+  console.log('[CesiumBridge] Placement height settings updated:', placementHeightSettings);
+}
+
+/**
+ * 配置物の高さモードを変更し、表面に置き直す
+ * @param {Object} params - {ids, heightMode, heightOffset, alignToSurface}（idsを省略した場合は選択中の配置物）
+ */
+function setPlacementHeightMode(params) {
+  if (params.heightMode && !PLACEMENT_HEIGHT_MODES.includes(params.heightMode)) {
+    console.warn('[CesiumBridge] Unknown height mode:', params.heightMode);
+    return;
+  }
+
+  const ids = (params.ids || Array.from(selectedPlacementIds)).filter(id => placementEntities.has(id));
+  if (ids.length === 0) return;
+
+  const before = capturePlacementSnapshot(ids);
+  ids.forEach(id => {
+    const data = placementEntities.get(id);
+    data.placement = { ...data.placement };
+    if (params.heightMode !== undefined) data.placement.heightMode = params.heightMode;
+    if (params.heightOffset !== undefined) data.placement.heightOffset = params.heightOffset;
+    if (params.alignToSurface !== undefined) data.placement.alignToSurface = !!params.alignToSurface;
+  });
+  pushPlacementHistory('heightMode', before);
+
+  const settledIds = ids.filter(id => isPlacementSettled(placementEntities.get(id).placement));
+  const absoluteIds = ids.filter(id => !settledIds.includes(id));
+  if (absoluteIds.length > 0) {
+    notifyPlacementsUpdated('heightMode', absoluteIds);
+  }
+  if (settledIds.length > 0) {
+    settlePlacements(settledIds, { notifyAll: true, operation: 'heightMode' });
+  }
+}
+
+/**
+ * 表面に合わせて高さ・傾きを決める配置物か
+ * @param {Object} placement - 配置物データ
+ * @returns {boolean}
+ */
+function isPlacementSettled(placement) {
+  return !!placement && (
+    (placement.heightMode && placement.heightMode !== 'absolute') || !!placement.alignToSurface
+  );
+}
+
+/**
+ * 配置プレビューの位置に新規配置時の高さモードを適用
+ * 3D Tilesを含む表面のピック結果を、地形接地・相対高さの場合は補正する
+ * @param {Cesium.Cartesian3} position - ピックした位置
+ * @returns {Cesium.Cartesian3} 補正後の位置
+ */
+function applyPreviewHeightMode(position) {
+  const mode = placementHeightSettings.heightMode;
+  if (mode !== 'clampToTerrain' && mode !== 'relativeToGround') return position;
+
+  const cartographic = Cesium.Cartographic.fromCartesian(position);
+  if (mode === 'clampToTerrain') {
+    const terrainHeight = viewer.scene.globe.getHeight(cartographic);
+    cartographic.height = Cesium.defined(terrainHeight) ? terrainHeight : 0;
+  } else {
+    cartographic.height += placementHeightSettings.heightOffset;
+  }
+  return Cesium.Cartographic.toCartesian(cartographic);
+}
+
+/**
+ * 配置物の置き直しを次のタイミングでまとめて実行
+ * プロジェクト読み込み時など、多数の配置物を一度に追加する場合に高さの取得をまとめる
+ * @param {string} placementId - 配置物ID
+ */
+function schedulePlacementSettle(placementId) {
+  if (pendingSettlePlacementIds.size === 0) {
+    setTimeout(() => {
+      const ids = Array.from(pendingSettlePlacementIds);
+      pendingSettlePlacementIds.clear();
+      settlePlacements(ids);
+    }, 0);
+  }
+  pendingSettlePlacementIds.add(placementId);
+}
+
+/**
+ * 接地している全ての配置物を置き直す（地形・3D Tilesの切り替え時）
+ */
+function resettleClampedPlacements() {
+  const ids = [];
+  placementEntities.forEach((data, id) => {
+    if (isPlacementSettled(data.placement)) ids.push(id);
+  });
+  if (ids.length > 0) {
+    settlePlacements(ids);
+  }
+}
+
+/**
+ * 配置物を高さモードに従って表面に置き直す
+ * 
+ * 中心（傾きを合わせる場合は前後左右の4点も）の表面の高さを取得し、
+ * 高さ・ピッチ・ロールを更新する。地形は最高詳細度、3D Tilesは読み込みを待ってから取得する。
+ * 取得中に配置物が移動された場合は結果を破棄する。
+ * 
+ * @param {Array<string>} ids - 配置物ID
+ * @param {Object} [options] - {notifyAll: 変化がなくても通知する, operation: 通知の操作名}
+ */
+async function settlePlacements(ids, options = {}) {
+  if (!viewer) return;
+
+  const targets = ids
+    .map(id => placementEntities.get(id))
+    .filter(data => data && isPlacementSettled(data.placement))
+    .map(data => {
+      const placement = data.placement;
+      const center = Cesium.Cartographic.fromDegrees(placement.position.longitude, placement.position.latitude);
+      const samples = [center];
+      let step = 0;
+      if (placement.alignToSurface) {
+        // フットプリントの半分程度の距離で傾きを求める
+        const dimensions = getPlacementDimensions(placement);
+        step = dimensions
+          ? Math.max(0.5, Math.min(
+            (dimensions.width || 0) * (placement.scale?.x || 1.0),
+            (dimensions.depth || 0) * (placement.scale?.y || 1.0)
+          ) / 2)
+          : 1.0;
+        const frame = createHorizontalFrame(Cesium.Cartographic.toCartesian(center), 0);
+        [[step, 0], [-step, 0], [0, step], [0, -step]].forEach(([e, n]) => {
+          const cartographic = Cesium.Cartographic.fromCartesian(frame.toFixed(e, n, 0));
+          cartographic.height = 0;
+          samples.push(cartographic);
+        });
+      }
+      return {
+        id: placement.id,
+        longitude: placement.position.longitude,
+        latitude: placement.position.latitude,
+        mode: placement.heightMode || 'absolute',
+        step: step,
+        samples: samples,
+      };
+    });
+  if (targets.length === 0) return;
+
+  const cartographics = targets.flatMap(target => target.samples);
+  const terrainHeights = await sampleTerrainHeights(cartographics);
+  const tileHeights = targets.some(target => target.mode !== 'clampToTerrain')
+    ? await samplePlacementTilesetHeights(cartographics)
+    : new Array(cartographics.length).fill(undefined);
+
+  const changedIds = [];
+  let index = 0;
+  targets.forEach(target => {
+    const heights = target.samples.map((_, i) => {
+      const k = index + i;
+      if (target.mode === 'clampToTerrain' || tileHeights[k] === undefined) {
+        return terrainHeights[k] !== undefined ? terrainHeights[k] : 0;
+      }
+      return tileHeights[k];
+    });
+    index += target.samples.length;
+
+    const data = placementEntities.get(target.id);
+    if (!data) return;
+    const placement = data.placement;
+    // 取得中に移動された場合は破棄
+    if (placement.position.longitude !== target.longitude || placement.position.latitude !== target.latitude) {
+      return;
+    }
+
+    const transform = getPlacementTransform(placement);
+    if (target.mode !== 'absolute') {
+      transform.position.height = heights[0] + (target.mode === 'relativeToGround' ? placement.heightOffset || 0 : 0);
+    }
+    if (placement.alignToSurface && heights.length === 5) {
+      // 表面の勾配（東・北方向）をモデルのX軸（ピッチ）・Y軸（ロール）方向に分解
+      const slopeEast = (heights[1] - heights[2]) / (2 * target.step);
+      const slopeNorth = (heights[3] - heights[4]) / (2 * target.step);
+      const heading = Cesium.Math.toRadians(transform.rotation.heading);
+      const slopeX = slopeEast * Math.cos(heading) - slopeNorth * Math.sin(heading);
+      const slopeY = slopeEast * Math.sin(heading) + slopeNorth * Math.cos(heading);
+      transform.rotation.pitch = Cesium.Math.toDegrees(Math.atan(slopeX));
+      transform.rotation.roll = Cesium.Math.toDegrees(Math.atan(slopeY));
+    }
+
+    const previous = getPlacementTransform(placement);
+    const changed = Math.abs(previous.position.height - transform.position.height) > 0.001
+      || Math.abs(previous.rotation.pitch - transform.rotation.pitch) > 0.01
+      || Math.abs(previous.rotation.roll - transform.rotation.roll) > 0.01;
+    if (changed) {
+      data.placement = {
+        ...placement,
+        position: { ...placement.position, height: transform.position.height },
+        rotation: { ...placement.rotation, ...transform.rotation },
+      };
+      applyPlacementPose(data.entity, data.placement);
+    }
+    if (changed || options.notifyAll) {
+      changedIds.push(target.id);
+    }
+  });
+
+  if (changedIds.length === 0) return;
+
+  schedulePlacementCollisionCheck();
+  if (placementGizmo && !placementGizmo.drag && changedIds.some(id => placementGizmo.placementIds.includes(id))) {
+    showPlacementGizmo();
+  }
+  notifyPlacementsUpdated(options.operation || 'settle', changedIds);
+}
+
+/**
+ * 複数地点の3D Tiles表面の高さを取得（配置物・一時エンティティは除外）
+ * @param {Array<Cesium.Cartographic>} cartographics - 地点の配列
+ * @returns {Promise<Array<number|undefined>>} 高さの配列（取得できない地点はundefined）
+ */
+async function samplePlacementTilesetHeights(cartographics) {
+  const heights = new Array(cartographics.length).fill(undefined);
+  const scene = viewer.scene;
+  if (scene.mode !== Cesium.SceneMode.SCENE3D || !scene.sampleHeightSupported) {
+    return heights;
+  }
+
+  const objectsToExclude = [
+    ...Array.from(placementEntities.values()).map(data => data.entity),
+    ...getTransientPickEntities(),
+  ];
+  try {
+    const results = await scene.sampleHeightMostDetailed(
+      cartographics.map(c => Cesium.Cartographic.clone(c)),
+      objectsToExclude
+    );
+    results.forEach((c, i) => {
+      if (c && Cesium.defined(c.height)) heights[i] = c.height;
+    });
+  } catch (e) {
+    console.warn('[CesiumBridge] sampleHeightMostDetailed failed:', e);
+  }
+  return heights;
+}
+
+// ============================================
+// 配置物の一括配置
+// ============================================
+
+/**
+ * 一括配置設定を更新
+ * @param {Object} settings - 設定 {pattern, spacing, rowSpacing, rows, columns, headingOffset, maxInstances}
+ */
+function updateBulkPlacementSettings(settings) {
+  Object.assign(bulkPlacementSettings, settings);
+  console.log('[CesiumBridge] Bulk placement settings updated:', bulkPlacementSettings);
+  if (bulkPlacement) updateBulkPlacementPreview();
+}
+
+/**
+ * 一括配置モードを開始
+ * 
+ * - linear: 始点・終点の2クリックの間に等間隔で配置（向きは直線に沿う）
+ * - grid: 対角の2クリックで囲んだ範囲に行・列で配置（向きはグリッドの向き）
+ * - path: クリックで描いたポリラインに沿って等間隔で配置（向きは接線方向）。
+ *         ダブルクリックまたはfinishBulkPlacementで確定する
+ * 
+ * 向きはモデルのX軸（幅方向）が進行方向に沿うヘディングとする。
+ * 
+ * @param {Object} params - {assetId, modelUrl, ...bulkPlacementSettingsの項目}
+ */
+function startBulkPlacementMode(params) {
+  if (!viewer) return;
+
+  if (previewEntity) cancelPlacementMode();
+  cancelBulkPlacementMode();
+
+  const { assetId, modelUrl, ...settings } = params;
+  Object.assign(bulkPlacementSettings, settings);
+
+  placementMode = 'bulk';
+  currentPlacementAssetId = assetId;
+  bulkPlacement = {
+    assetId: assetId,
+    modelUrl: modelUrl,
+    points: [],
+    cursor: null,
+    entities: [],
+    count: 0,
+  };
+
+  const handler = viewer.screenSpaceEventHandler;
+
+  // マウス移動でプレビューを更新
+  handler.setInputAction((movement) => {
+    if (placementMode !== 'bulk') return;
+
+    const position = getGroundPosition(movement.endPosition);
+    if (position) {
+      bulkPlacement.cursor = applyGridSnap(position);
+      updateBulkPlacementPreview();
+    }
+  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+  // クリックで点を追加
+  handler.setInputAction((click) => {
+    if (placementMode !== 'bulk') return;
+
+    const hit = pickSurface(click.position);
+    if (!hit) return;
+
+    const position = applyGridSnap(hit.position);
+    const last = bulkPlacement.points[bulkPlacement.points.length - 1];
+    // ダブルクリックによる同一点の重複を除く
+    if (last && Cesium.Cartesian3.distance(last, position) < 0.01) return;
+    bulkPlacement.points.push(position);
+
+    if (bulkPlacementSettings.pattern !== 'path' && bulkPlacement.points.length >= 2) {
+      finishBulkPlacement();
+    } else {
+      updateBulkPlacementPreview();
+    }
+  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+  // ダブルクリックでポリラインを確定
+  handler.setInputAction(() => {
+    if (placementMode !== 'bulk' || bulkPlacementSettings.pattern !== 'path') return;
+    finishBulkPlacement();
+  }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+
+  // 右クリックでキャンセル
+  handler.setInputAction(() => {
+    cancelBulkPlacementMode();
+    sendToFlutter('placementCancelled', {});
+  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  console.log('[CesiumBridge] Bulk placement mode started:', assetId, bulkPlacementSettings.pattern);
+  sendToFlutter('placementModeStarted', { assetId: assetId, pattern: bulkPlacementSettings.pattern });
+}
+
+/**
+ * 一括配置モードをキャンセル
+ */
+function cancelBulkPlacementMode() {
+  if (!bulkPlacement) return;
+
+  clearBulkPlacementPreview();
+  bulkPlacement = null;
+  placementMode = null;
+  currentPlacementAssetId = null;
+  viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+
+  resetPlacementEventHandlers();
+  console.log('[CesiumBridge] Bulk placement mode cancelled');
+}
+
+/**
+ * 一括配置を確定し、全ての位置・ヘディングをFlutterに通知
+ * 確定後もモードは継続し、続けて次の配置を行える
+ * 各位置の表面の高さは1回のsampleHeightMostDetailedでまとめて取得する
+ */
+async function finishBulkPlacement() {
+  if (!bulkPlacement) return;
+
+  if (bulkPlacement.points.length < 2) {
+    console.warn('[CesiumBridge] Not enough points for bulk placement');
+    return;
+  }
+
+  const instances = computeBulkPlacementInstances(bulkPlacement.points);
+  const objectsToExclude = getTransientPickEntities();
+  const assetId = bulkPlacement.assetId;
+  const pattern = bulkPlacementSettings.pattern;
+
+  // 高さの取得中に同じ点列で再度確定されないよう、先に点列をクリアする
+  bulkPlacement.points = [];
+  bulkPlacement.cursor = null;
+  clearBulkPlacementPreview();
+
+  const cartographics = instances.map(instance => Cesium.Cartographic.fromCartesian(instance.position));
+  const surfaceHeights = await sampleSurfaceHeights(cartographics, objectsToExclude);
+  const placements = instances.map((instance, i) => {
+    const cartographic = cartographics[i];
+    // 各位置の表面に合わせる（取得できなければ補間した高さ）
+    const surfaceHeight = surfaceHeights[i];
+    return {
+      position: {
+        longitude: Cesium.Math.toDegrees(cartographic.longitude),
+        latitude: Cesium.Math.toDegrees(cartographic.latitude),
+        height: surfaceHeight !== undefined ? surfaceHeight : cartographic.height,
+      },
+      rotation: { heading: instance.heading, pitch: 0, roll: 0 },
+    };
+  });
+
+  console.log('[CesiumBridge] Bulk placement confirmed:', assetId, placements.length);
+  expectConfirmedPlacements(assetId, placements.length);
+  sendToFlutter('placementsConfirmed', {
+    assetId: assetId,
+    pattern: pattern,
+    placements: placements,
+    heightMode: placementHeightSettings.heightMode,
+    heightOffset: placementHeightSettings.heightOffset,
+    alignToSurface: placementHeightSettings.alignToSurface,
+  });
+}
+
+/**
+ * 一括配置のプレビュー（半透明モデル）を更新
+ */
+function updateBulkPlacementPreview() {
+  const points = bulkPlacement.cursor
+    ? [...bulkPlacement.points, bulkPlacement.cursor]
+    : bulkPlacement.points;
+  const instances = points.length > 0 ? computeBulkPlacementInstances(points) : [];
+  const entities = bulkPlacement.entities;
+
+  // 数の変化に合わせてプレビューを増減
+  while (entities.length < instances.length) {
+    entities.push(viewer.entities.add({
+      id: 'bulk_preview_' + entities.length,
+      position: Cesium.Cartesian3.ZERO,
+      model: {
+        uri: bulkPlacement.modelUrl,
+        scale: 1.0,
+        color: Cesium.Color.WHITE.withAlpha(0.7),
+        silhouetteColor: Cesium.Color.LIME,
+        silhouetteSize: 2,
+      },
+    }));
+  }
+  while (entities.length > instances.length) {
+    viewer.entities.remove(entities.pop());
+  }
+
+  instances.forEach((instance, i) => {
+    entities[i].position = instance.position;
+    entities[i].orientation = Cesium.Transforms.headingPitchRollQuaternion(
+      instance.position,
+      new Cesium.HeadingPitchRoll(Cesium.Math.toRadians(instance.heading), 0, 0)
+    );
+  });
+
+  if (instances.length !== bulkPlacement.count) {
+    bulkPlacement.count = instances.length;
+    sendToFlutter('bulkPlacementPreviewUpdated', {
+      pattern: bulkPlacementSettings.pattern,
+      count: instances.length,
+    });
+  }
+}
+
+/**
+ * 一括配置のプレビューを削除
+ */
+function clearBulkPlacementPreview() {
+  if (!bulkPlacement) return;
+  bulkPlacement.entities.forEach(entity => viewer.entities.remove(entity));
+  bulkPlacement.entities = [];
+  bulkPlacement.count = 0;
+}
+
+/**
+ * 一括配置の各インスタンスの位置・ヘディングを計算
+ * @param {Array<Cesium.Cartesian3>} points - クリックした点（カーソル位置を含む）
+ * @returns {Array<{position: Cesium.Cartesian3, heading: number}>} headingは度
+ */
+function computeBulkPlacementInstances(points) {
+  const settings = bulkPlacementSettings;
+  const spacing = Math.max(settings.spacing, 0.01);
+  const heights = points.map(p => Cesium.Cartographic.fromCartesian(p).height);
+  const instances = [];
+
+  // 水平座標系上の点を、補間した高さで固定座標に戻す
+  const toInstance = (frame, u, v, height, heading) => {
+    const cartographic = Cesium.Cartographic.fromCartesian(frame.toFixed(u, v, 0));
+    return {
+      position: Cesium.Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, height),
+      heading: ((heading + settings.headingOffset) % 360 + 360) % 360,
+    };
+  };
+
+  if (points.length === 1) {
+    const heading = settings.pattern === 'grid' ? getBulkGridHeading() : 0;
+    const frame = createHorizontalFrame(points[0], 0);
+    return [toInstance(frame, 0, 0, heights[0], heading)];
+  }
+
+  if (settings.pattern === 'grid') {
+    const gridHeading = getBulkGridHeading();
+    const frame = createHorizontalFrame(points[0], gridHeading);
+    const corner = frame.toLocal(points[1]);
+    const columns = getBulkGridAxis(corner.u, settings.columns, spacing);
+    const rows = getBulkGridAxis(corner.v, settings.rows, Math.max(settings.rowSpacing || spacing, 0.01));
+
+    for (let row = 0; row < rows.count; row++) {
+      for (let column = 0; column < columns.count; column++) {
+        if (instances.length >= settings.maxInstances) return instances;
+        instances.push(toInstance(frame, column * columns.step, row * rows.step, heights[0], gridHeading));
+      }
+    }
+    return instances;
+  }
+
+  // linear / path: 折れ線に沿って等間隔に配置
+  const path = settings.pattern === 'path' ? points : points.slice(0, 2);
+  const frame = createHorizontalFrame(path[0], 0);
+  const locals = path.map(p => frame.toLocal(p));
+  let offset = 0; // 現在の区間の始点から最初の配置位置までの距離
+  for (let i = 0; i < locals.length - 1; i++) {
+    const a = locals[i];
+    const b = locals[i + 1];
+    const length = Math.hypot(b.u - a.u, b.v - a.v);
+    if (length < 1e-6) continue;
+
+    // 区間の向き（北から時計回り）から、X軸が沿うヘディングを求める
+    const bearing = Cesium.Math.toDegrees(Math.atan2(b.u - a.u, b.v - a.v));
+    let distance = offset;
+    for (; distance <= length + 1e-6; distance += spacing) {
+      if (instances.length >= settings.maxInstances) return instances;
+      const t = distance / length;
+      instances.push(toInstance(
+        frame,
+        a.u + (b.u - a.u) * t,
+        a.v + (b.v - a.v) * t,
+        heights[i] + (heights[i + 1] - heights[i]) * t,
+        bearing - 90
+      ));
+    }
+    offset = distance - length;
+  }
+  return instances;
+}
+
+/**
+ * グリッド配置の向き（回転グリッドが設定されていればその向き）
+ * @returns {number} ヘディング（度）
+ */
+function getBulkGridHeading() {
+  const localGrid = snapSettings.localGrid;
+  return localGrid && localGrid.origin ? localGrid.heading || 0 : 0;
+}
+
+/**
+ * グリッド配置の1軸分の個数と間隔を求める
+ * @param {number} extent - 範囲（符号付き、メートル）
+ * @param {number} count - 指定個数（0は間隔から決める）
+ * @param {number} spacing - 間隔（メートル）
+ * @returns {{count: number, step: number}}
+ */
+function getBulkGridAxis(extent, count, spacing) {
+  if (count >= 2) {
+    return { count: count, step: extent / (count - 1) };
+  }
+  if (count === 1) {
+    return { count: 1, step: 0 };
+  }
+  return {
+    count: Math.floor(Math.abs(extent) / spacing + 1e-6) + 1,
+    step: extent < 0 ? -spacing : spacing,
+  };
+}
+
+// ============================================
+// 配置物の複数選択・グループ操作
+// ============================================
+
+/**
+ * 配置物の選択状態を切り替え（Shift/Ctrlクリック）
+ * @param {string} placementId - 配置物ID
+ */
+function togglePlacementSelection(placementId) {
+  if (!placementEntities.has(placementId)) return;
+
+  if (selectedPlacementIds.has(placementId)) {
+    selectedPlacementIds.delete(placementId);
+    setPlacementHighlight(placementId, false);
+    if (selectedPlacementId === placementId) {
+      selectedPlacementId = Array.from(selectedPlacementIds).pop() || null;
+    }
+  } else {
+    selectedPlacementIds.add(placementId);
+    setPlacementHighlight(placementId, true);
+    selectedPlacementId = placementId;
+  }
+
+  showPlacementGizmo();
+
+  if (selectedPlacementId) {
+    sendToFlutter('placementSelected', { id: selectedPlacementId });
+  } else {
+    sendToFlutter('placementDeselected', {});
+  }
+  notifyPlacementSelectionChanged();
+}
+
+/**
+ * 複数の配置物を選択
+ * @param {Object} params - {ids, append}（appendがtrueなら既存の選択に追加）
+ */
+function selectPlacements(params) {
+  const ids = (params.ids || []).filter(id => placementEntities.has(id));
+
+  if (!params.append) {
+    selectedPlacementIds.forEach(id => {
+      if (!ids.includes(id)) setPlacementHighlight(id, false);
+    });
+    selectedPlacementIds.clear();
+  }
+  ids.forEach(id => {
+    selectedPlacementIds.add(id);
+    setPlacementHighlight(id, true);
+  });
+
+  if (selectedPlacementIds.size === 0) {
+    hidePlacementGizmo();
+    if (selectedPlacementId) {
+      selectedPlacementId = null;
+      sendToFlutter('placementDeselected', {});
+    }
+  } else {
+    if (ids.length > 0) {
+      selectedPlacementId = ids[ids.length - 1];
+    } else if (!selectedPlacementIds.has(selectedPlacementId)) {
+      selectedPlacementId = Array.from(selectedPlacementIds).pop();
+    }
+    showPlacementGizmo();
+    sendToFlutter('placementSelected', { id: selectedPlacementId });
+  }
+  notifyPlacementSelectionChanged();
+}
+
+/**
+ * 削除された配置物を選択から外す
+ * @param {string} placementId - 配置物ID
+ */
+function removeFromPlacementSelection(placementId) {
+  if (!selectedPlacementIds.has(placementId)) return;
+
+  selectedPlacementIds.delete(placementId);
+  if (selectedPlacementId === placementId) {
+    selectedPlacementId = Array.from(selectedPlacementIds).pop() || null;
+  }
+  showPlacementGizmo();
+  notifyPlacementSelectionChanged();
+}
+
+/**
+ * 選択状態の変更をFlutterに通知
+ */
+function notifyPlacementSelectionChanged() {
+  sendToFlutter('placementSelectionChanged', {
+    ids: Array.from(selectedPlacementIds),
+    primaryId: selectedPlacementId,
+  });
+}
+
+/**
+ * 複数選択用のイベントハンドラを設定
+ * 通常のクリック処理と干渉しないよう専用のハンドラで修飾キー付きの操作のみ扱う
+ */
+function setupPlacementSelectionHandler() {
+  if (placementSelectionHandler) {
+    placementSelectionHandler.destroy();
+  }
+  placementSelectionHandler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+  const handler = placementSelectionHandler;
+  const { SHIFT, CTRL } = Cesium.KeyboardEventModifier;
+
+  // Shift/Ctrlクリックで選択を追加・解除
+  [SHIFT, CTRL].forEach(modifier => {
+    handler.setInputAction((click) => {
+      if (!isPlacementSelectionAvailable()) return;
+      const placementId = pickPlacementId(click.position);
+      if (placementId) {
+        togglePlacementSelection(placementId);
+      }
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK, modifier);
+  });
+
+  // Shift+ドラッグで矩形選択（配置物の上から始めた場合はクリック扱い）
+  handler.setInputAction((click) => {
+    if (!isPlacementSelectionAvailable() || pickPlacementId(click.position)) return;
+    beginBoxSelection(click.position);
+  }, Cesium.ScreenSpaceEventType.LEFT_DOWN, SHIFT);
+
+  // ドラッグ中にShiftを離しても矩形選択を継続・終了できるよう修飾キーなしでも登録
+  [undefined, SHIFT].forEach(modifier => {
+    handler.setInputAction((movement) => {
+      if (boxSelection) updateBoxSelection(movement.endPosition);
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE, modifier);
+
+    handler.setInputAction((click) => {
+      if (boxSelection) endBoxSelection(click.position);
+    }, Cesium.ScreenSpaceEventType.LEFT_UP, modifier);
+  });
+}
+
+/**
+ * 配置物の選択操作が可能か（計測・配置・編集中は無効）
+ * @returns {boolean} 可能な場合true
+ */
+function isPlacementSelectionAvailable() {
+  return !!viewer && !measurementMode && !placementMode && !editingMeasurementId;
+}
+
+/**
+ * スクリーン座標の配置物IDを取得
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @returns {string|null} 配置物ID
+ */
+function pickPlacementId(screenPosition) {
+  const pickedObject = viewer.scene.pick(screenPosition);
+  if (!Cesium.defined(pickedObject) || !pickedObject.id) return null;
+
+  const entityId = pickedObject.id.id || pickedObject.id;
+  return placementEntities.has(entityId) ? entityId : null;
+}
+
+/**
+ * 矩形選択を開始
+ * @param {Cesium.Cartesian2} screenPosition - 開始位置
+ */
+function beginBoxSelection(screenPosition) {
+  const element = document.createElement('div');
+  element.style.position = 'absolute';
+  element.style.border = '1px dashed #FFD700';
+  element.style.background = 'rgba(255, 215, 0, 0.15)';
+  element.style.pointerEvents = 'none';
+  element.style.zIndex = '10';
+  viewer.container.appendChild(element);
+
+  boxSelection = { start: Cesium.Cartesian2.clone(screenPosition), element: element };
+  updateBoxSelection(screenPosition);
+
+  // Shift+ドラッグの視点操作を止める
+  viewer.scene.screenSpaceCameraController.enableLook = false;
+}
+
+/**
+ * 矩形選択の表示を更新
+ * @param {Cesium.Cartesian2} screenPosition - 現在位置
+ */
+function updateBoxSelection(screenPosition) {
+  const rect = getBoxSelectionRect(boxSelection.start, screenPosition);
+  const style = boxSelection.element.style;
+  style.left = `${rect.left}px`;
+  style.top = `${rect.top}px`;
+  style.width = `${rect.right - rect.left}px`;
+  style.height = `${rect.bottom - rect.top}px`;
+}
+
+/**
+ * 矩形選択を終了し、矩形内の配置物を選択に追加
+ * @param {Cesium.Cartesian2} screenPosition - 終了位置
+ */
+function endBoxSelection(screenPosition) {
+  const rect = getBoxSelectionRect(boxSelection.start, screenPosition);
+  boxSelection.element.remove();
+  boxSelection = null;
+  viewer.scene.screenSpaceCameraController.enableLook = true;
+
+  // ほぼ動いていない場合はクリックとして扱う
+  if (rect.right - rect.left < 4 && rect.bottom - rect.top < 4) return;
+
+  const ids = [];
+  placementEntities.forEach((data, id) => {
+    if (data.entity.show === false) return;
+    const position = data.entity.position.getValue(Cesium.JulianDate.now());
+    const windowPosition = position
+      ? Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer.scene, position)
+      : null;
+    if (windowPosition
+        && windowPosition.x >= rect.left && windowPosition.x <= rect.right
+        && windowPosition.y >= rect.top && windowPosition.y <= rect.bottom) {
+      ids.push(id);
+    }
+  });
+
+  console.log('[CesiumBridge] Box selection:', ids.length, 'placements');
+  if (ids.length > 0) {
+    selectPlacements({ ids: ids, append: true });
+  }
+}
+
+/**
+ * 2点から矩形を求める
+ * @param {Cesium.Cartesian2} a - 1点目
+ * @param {Cesium.Cartesian2} b - 2点目
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+function getBoxSelectionRect(a, b) {
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    right: Math.max(a.x, b.x),
+    bottom: Math.max(a.y, b.y),
+  };
+}
+
+/**
+ * 選択中の配置物データを取得
+ * @param {boolean} [includeLocked=false] - ロック中の配置物も含めるか
+ * @returns {Array<Object>} placementEntitiesの値の配列
+ */
+function getSelectedPlacementData(includeLocked = false) {
+  return Array.from(selectedPlacementIds)
+    .map(id => placementEntities.get(id))
+    .filter(data => data && (includeLocked || !data.placement.locked));
+}
+
+/**
+ * 配置物群の重心を基準点とした変形を取得
+ * @param {Array<Object>} members - placementEntitiesの値の配列
+ * @returns {Object} {position, rotation, scale}（回転0・スケール1）
+ */
+function getPlacementGroupPivot(members) {
+  const sum = new Cesium.Cartesian3();
+  let height = 0;
+  members.forEach(data => {
+    const p = data.placement.position;
+    Cesium.Cartesian3.add(sum, Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0), sum);
+    height += p.height || 0;
+  });
+  const centroid = Cesium.Cartographic.fromCartesian(
+    Cesium.Cartesian3.divideByScalar(sum, members.length, new Cesium.Cartesian3())
+  );
+
+  return {
+    position: {
+      longitude: Cesium.Math.toDegrees(centroid.longitude),
+      latitude: Cesium.Math.toDegrees(centroid.latitude),
+      height: height / members.length,
+    },
+    rotation: { heading: 0, pitch: 0, roll: 0 },
+    scale: { x: 1.0, y: 1.0, z: 1.0 },
+  };
+}
+
+/**
+ * 基準点まわりに配置物群を移動・回転した変形を計算
+ * 各配置物の基準点からの水平方向のずれをヘディングの変化分だけ時計回りに回転させる
+ * @param {Array<Object>} members - [{id, start}]（startは変形前のgetPlacementTransformの結果）
+ * @param {Object} pivotStart - 変形前の基準点 {position}
+ * @param {Object} pivotEnd - 変形後の基準点 {position}
+ * @param {number} headingDelta - ヘディングの変化（度）
+ * @param {number} [scaleFactor=1] - スケールの倍率
+ * @returns {Array<Object>} [{id, transform}]
+ */
+function computeGroupTransforms(members, pivotStart, pivotEnd, headingDelta, scaleFactor = 1) {
+  const toFixed = (position) => Cesium.Cartesian3.fromDegrees(
+    position.longitude, position.latitude, position.height || 0
+  );
+  const startToLocal = Cesium.Matrix4.inverseTransformation(
+    Cesium.Transforms.eastNorthUpToFixedFrame(toFixed(pivotStart.position)),
+    new Cesium.Matrix4()
+  );
+  const endToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(toFixed(pivotEnd.position));
+  const delta = Cesium.Math.toRadians(headingDelta);
+  const cosD = Math.cos(delta);
+  const sinD = Math.sin(delta);
+  const heightDelta = (pivotEnd.position.height || 0) - (pivotStart.position.height || 0);
+
+  return members.map(({ id, start }) => {
+    const offset = Cesium.Matrix4.multiplyByPoint(startToLocal, toFixed(start.position), new Cesium.Cartesian3());
+    const moved = Cesium.Cartographic.fromCartesian(Cesium.Matrix4.multiplyByPoint(
+      endToFixed,
+      new Cesium.Cartesian3(offset.x * cosD + offset.y * sinD, -offset.x * sinD + offset.y * cosD, 0),
+      new Cesium.Cartesian3()
+    ));
+    const heading = start.rotation.heading + headingDelta;
+
+    return {
+      id: id,
+      transform: {
+        position: {
+          longitude: Cesium.Math.toDegrees(moved.longitude),
+          latitude: Cesium.Math.toDegrees(moved.latitude),
+          height: start.position.height + heightDelta,
+        },
+        rotation: { ...start.rotation, heading: ((heading % 360) + 360) % 360 },
+        scale: {
+          x: start.scale.x * scaleFactor,
+          y: start.scale.y * scaleFactor,
+          z: start.scale.z * scaleFactor,
+        },
+      },
+    };
+  });
+}
+
+/**
+ * 計算した変形を配置物に反映
+ * @param {Array<Object>} results - computeGroupTransformsの結果
+ */
+function commitPlacementTransforms(results) {
+  results.forEach(({ id, transform }) => {
+    const data = placementEntities.get(id);
+    if (!data) return;
+    data.placement = {
+      ...data.placement,
+      position: { ...data.placement.position, ...transform.position },
+      rotation: { ...transform.rotation },
+      scale: { ...transform.scale },
+    };
+    applyPlacementPose(data.entity, data.placement);
+  });
+  schedulePlacementCollisionCheck();
+}
+
+/**
+ * 配置物の通知用データを作成
+ * @param {Object} placement - 配置物データ
+ * @returns {Object} {id, position, rotation, scale, visible, locked}
+ */
+function getPlacementPayload(placement) {
+  const transform = getPlacementTransform(placement);
+  return {
+    id: placement.id,
+    position: transform.position,
+    rotation: transform.rotation,
+    scale: transform.scale,
+    visible: placement.visible !== false,
+    locked: !!placement.locked,
+    heightMode: placement.heightMode || 'absolute',
+    heightOffset: placement.heightOffset || 0,
+    alignToSurface: !!placement.alignToSurface,
+  };
+}
+
+/**
+ * 配置物の一括更新をFlutterに通知
+ * @param {string} operation - 'move' | 'rotate' | 'height' | 'visibility' | 'lock'
+ * @param {Array<string>} ids - 更新した配置物ID
+ */
+function notifyPlacementsUpdated(operation, ids) {
+  const placements = ids
+    .map(id => placementEntities.get(id))
+    .filter(data => data)
+    .map(data => getPlacementPayload(data.placement));
+
+  console.log('[CesiumBridge] Placements updated:', operation, placements.length);
+  sendToFlutter('placementsUpdated', { operation: operation, placements: placements });
+}
+
+/**
+ * 選択中の配置物をまとめて移動（ロック中の配置物は除く）
+ * 高さのみの移動はoperationを'height'として通知する
+ * @param {Object} params - {east, north, up}（メートル）
+ */
+function moveSelectedPlacements(params) {
+  const members = getSelectedPlacementData();
+  if (members.length === 0) return;
+
+  const ids = members.map(data => data.placement.id);
+  const operation = params.east || params.north ? 'move' : 'height';
+  const before = capturePlacementSnapshot(ids);
+
+  // 表面からの相対高さの配置物は、高さの変更をオフセットに反映する
+  if (params.up) {
+    members.forEach(data => {
+      if (data.placement.heightMode === 'relativeToGround') {
+        data.placement = { ...data.placement, heightOffset: (data.placement.heightOffset || 0) + params.up };
+      }
+    });
+  }
+
+  const pivotStart = getPlacementGroupPivot(members);
+  const center = Cesium.Cartesian3.fromDegrees(
+    pivotStart.position.longitude, pivotStart.position.latitude, pivotStart.position.height
+  );
+  const moved = Cesium.Cartographic.fromCartesian(Cesium.Matrix4.multiplyByPoint(
+    Cesium.Transforms.eastNorthUpToFixedFrame(center),
+    new Cesium.Cartesian3(params.east || 0, params.north || 0, 0),
+    new Cesium.Cartesian3()
+  ));
+  const pivotEnd = {
+    position: {
+      longitude: Cesium.Math.toDegrees(moved.longitude),
+      latitude: Cesium.Math.toDegrees(moved.latitude),
+      height: pivotStart.position.height + (params.up || 0),
+    },
+  };
+
+  commitPlacementTransforms(computeGroupTransforms(
+    members.map(data => ({ id: data.placement.id, start: getPlacementTransform(data.placement) })),
+    pivotStart, pivotEnd, 0
+  ));
+  pushPlacementHistory(operation, before);
+  showPlacementGizmo();
+  notifyPlacementsUpdated(operation, ids);
+  settleMovedPlacements(ids);
+}
+
+/**
+ * 選択中の配置物を重心まわりにまとめて回転（ロック中の配置物は除く）
+ * @param {Object} params - {angle}（度、時計回り）
+ */
+function rotateSelectedPlacements(params) {
+  const members = getSelectedPlacementData();
+  if (members.length === 0) return;
+
+  const before = capturePlacementSnapshot(members.map(data => data.placement.id));
+  const pivot = getPlacementGroupPivot(members);
+  commitPlacementTransforms(computeGroupTransforms(
+    members.map(data => ({ id: data.placement.id, start: getPlacementTransform(data.placement) })),
+    pivot, pivot, params.angle || 0
+  ));
+  pushPlacementHistory('rotate', before);
+  showPlacementGizmo();
+  notifyPlacementsUpdated('rotate', members.map(data => data.placement.id));
+  settleMovedPlacements(members.map(data => data.placement.id));
+}
+
+/**
+ * 移動・回転した配置物のうち接地しているものを移動先の表面に置き直す
+ * @param {Array<string>} ids - 配置物ID
+ */
+function settleMovedPlacements(ids) {
+  const settledIds = ids.filter(id => isPlacementSettled(placementEntities.get(id).placement));
+  if (settledIds.length > 0) {
+    settlePlacements(settledIds, { notifyAll: true });
+  }
+}
+
+/**
+ * 選択中の配置物をまとめて削除（ロック中の配置物は除く）
+ */
+function deleteSelectedPlacements() {
+  const ids = getSelectedPlacementData().map(data => data.placement.id);
+  if (ids.length === 0) return;
+
+  const before = capturePlacementSnapshot(ids);
+  ids.forEach(id => removePlacementEntity(id));
+  pushPlacementHistory('remove', before);
+
+  console.log('[CesiumBridge] Placements deleted:', ids.length);
+  sendToFlutter('placementsDeleted', { ids: ids });
+}
+
+/**
+ * 選択中の配置物の表示/非表示をまとめて切り替え
+ * @param {Object} params - {visible}
+ */
+function setSelectedPlacementsVisible(params) {
+  const members = getSelectedPlacementData(true);
+  const before = capturePlacementSnapshot(members.map(data => data.placement.id));
+  members.forEach(data => {
+    data.placement = { ...data.placement, visible: params.visible };
+    data.entity.show = params.visible;
+    updatePlacementZones(data.placement.id, data.placement);
+  });
+  schedulePlacementCollisionCheck();
+  pushPlacementHistory('visibility', before);
+  notifyPlacementsUpdated('visibility', members.map(data => data.placement.id));
+}
+
+/**
+ * 選択中の配置物のロック状態をまとめて切り替え
+ * @param {Object} params - {locked}
+ */
+function setSelectedPlacementsLocked(params) {
+  const members = getSelectedPlacementData(true);
+  const before = capturePlacementSnapshot(members.map(data => data.placement.id));
+  members.forEach(data => {
+    data.placement = { ...data.placement, locked: params.locked };
+  });
+  pushPlacementHistory('lock', before);
+  showPlacementGizmo();
+  notifyPlacementsUpdated('lock', members.map(data => data.placement.id));
+}
+
+// ============================================
+// 配置物の変形ギズモ
+// ============================================
+
+// ギズモのハンドルID → 操作モード
+const GIZMO_HANDLE_MODES = {
+  gizmo_move: 'move',
+  gizmo_rotate: 'rotate',
+  gizmo_height: 'height',
+  gizmo_scale: 'scale',
+};
+
+// ギズモの最小半径（メートル）と最小スケール
+const GIZMO_MIN_RADIUS = 2.0;
+const GIZMO_MIN_SCALE = 0.01;
+
+/**
+ * 変形ギズモ設定を更新
+ * @param {Object} settings - 設定 {enabled}
+ */
+function updateGizmoSettings(settings) {
+  Object.assign(gizmoSettings, settings);
+  
+  if (!gizmoSettings.enabled) {
+    hidePlacementGizmo();
+  } else if (!placementGizmo) {
+    showPlacementGizmo();
+  }
+  console.log('[CesiumBridge] Gizmo settings updated:', gizmoSettings);
+}
+
+/**
+ * 配置物の位置・回転・スケールを取得（ギズモ操作用のコピー）
+ * @param {Object} placement - 配置物データ
+ * @returns {Object} {position, rotation, scale}
+ */
+function getPlacementTransform(placement) {
+  return {
+    position: {
+      longitude: placement.position.longitude,
+      latitude: placement.position.latitude,
+      height: placement.position.height || 0,
+    },
+    rotation: {
+      heading: placement.rotation?.heading || 0,
+      pitch: placement.rotation?.pitch || 0,
+      roll: placement.rotation?.roll || 0,
+    },
+    scale: {
+      x: placement.scale?.x || 1.0,
+      y: placement.scale?.y || 1.0,
+      z: placement.scale?.z || 1.0,
+    },
+  };
+}
+
+/**
+ * 選択中の配置物に変形ギズモを表示（選択が変わるたびに作り直す）
+ * 中心（地表面上の移動）、リング上（ヘディング回転）、上方（高さ）、斜め（スケール）のハンドルを持つ。
+ * 複数選択時は重心を基準点とし、スケールのハンドルは表示しない。ロック中の配置物は対象外。
+ */
+function showPlacementGizmo() {
+  hidePlacementGizmo();
+  if (!gizmoSettings.enabled) return;
+  
+  const members = getSelectedPlacementData();
+  if (members.length === 0) return;
+  
+  const single = members.length === 1;
+  const pivot = single ? getPlacementTransform(members[0].placement) : getPlacementGroupPivot(members);
+  
+  placementGizmo = {
+    placementIds: members.map(data => data.placement.id),
+    transform: pivot,
+    groupRadius: single ? null : getPlacementGroupRadius(members, pivot),
+    entities: [],
+    handler: null,
+    drag: null,
+  };
+  
+  createGizmoEntities(placementGizmo);
+  setupGizmoDragHandler(placementGizmo);
+}
+
+/**
+ * 複数選択時のギズモ半径（重心から最も遠い配置物の外周まで）を計算
+ * @param {Array<Object>} members - placementEntitiesの値の配列
+ * @param {Object} pivot - 基準点 {position}
+ * @returns {number} 半径（メートル）
+ */
+function getPlacementGroupRadius(members, pivot) {
+  const center = Cesium.Cartesian3.fromDegrees(
+    pivot.position.longitude, pivot.position.latitude, pivot.position.height
+  );
+  let radius = GIZMO_MIN_RADIUS;
+  members.forEach(data => {
+    const p = data.placement.position;
+    const dimensions = getPlacementDimensions(data.placement);
+    const size = dimensions
+      ? Math.max(
+        (dimensions.width || 0) * (data.placement.scale?.x || 1.0),
+        (dimensions.depth || 0) * (data.placement.scale?.y || 1.0)
+      ) / 2
+      : 1.0;
+    const distance = Cesium.Cartesian3.distance(
+      center, Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, pivot.position.height)
+    );
+    radius = Math.max(radius, distance + size + 1.0);
+  });
+  return radius;
+}
+
+/**
+ * 変形ギズモを非表示
+ */
+function hidePlacementGizmo() {
+  if (!placementGizmo) return;
+  
+  if (placementGizmo.drag) {
+    // ドラッグ中に解除された場合はカメラ操作を戻す
+    setCameraDragEnabled(true);
+    placementMode = null;
+  }
+  if (placementGizmo.handler) {
+    placementGizmo.handler.destroy();
+  }
+  placementGizmo.entities.forEach(entity => viewer.entities.remove(entity));
+  placementGizmo = null;
+}
+
+/**
+ * ギズモの基準座標系を計算
+ * @param {Object} gizmo - ギズモ
+ * @returns {Object} {center, enuToFixed, radius, height, heading（ラジアン）}
+ */
+function getGizmoFrame(gizmo) {
+  const t = gizmo.transform;
+  const center = Cesium.Cartesian3.fromDegrees(
+    t.position.longitude, t.position.latitude, t.position.height || 0
+  );
+  
+  // 複数選択時は全体を囲む半径、単独の場合は寸法が分かればモデルの外周に合わせる
+  const data = gizmo.groupRadius ? null : placementEntities.get(gizmo.placementIds[0]);
+  const dimensions = data ? getPlacementDimensions(data.placement) : null;
+  let radius = 5.0;
+  if (gizmo.groupRadius) {
+    radius = gizmo.groupRadius;
+  } else if (dimensions) {
+    radius = Math.max(GIZMO_MIN_RADIUS, Math.max(
+      (dimensions.width || 0) * (t.scale.x || 1.0),
+      (dimensions.depth || 0) * (t.scale.y || 1.0)
+    ) * 0.75);
+  }
+  const height = dimensions && dimensions.height
+    ? dimensions.height * (t.scale.z || 1.0) + radius * 0.25
+    : (gizmo.groupRadius ? radius * 0.5 : radius);
+  
+  return {
+    center: center,
+    enuToFixed: Cesium.Transforms.eastNorthUpToFixedFrame(center),
+    radius: radius,
+    height: height,
+    heading: Cesium.Math.toRadians(t.rotation.heading || 0),
+  };
+}
+
+/**
+ * ギズモの局所座標（東・北・上、メートル）を地球固定座標に変換
+ * @param {Object} frame - getGizmoFrameの結果
+ * @param {number} east - 東方向
+ * @param {number} north - 北方向
+ * @param {number} up - 上方向
+ * @returns {Cesium.Cartesian3} 位置
+ */
+function gizmoLocalToFixed(frame, east, north, up) {
+  return Cesium.Matrix4.multiplyByPoint(
+    frame.enuToFixed,
+    new Cesium.Cartesian3(east, north, up),
+    new Cesium.Cartesian3()
+  );
+}
+
+/**
+ * モデル座標系の方向（X, Y）にあるリング上の点を取得
+ * ヘディングは北から時計回り（モデルX軸を東から時計回りに回転）
+ * @param {Object} frame - getGizmoFrameの結果
+ * @param {number} x - モデルX方向の成分
+ * @param {number} y - モデルY方向の成分
+ * @returns {Cesium.Cartesian3} 位置
+ */
+function gizmoRingPoint(frame, x, y) {
+  const cosH = Math.cos(frame.heading);
+  const sinH = Math.sin(frame.heading);
+  return gizmoLocalToFixed(
+    frame,
+    (x * cosH + y * sinH) * frame.radius,
+    (-x * sinH + y * cosH) * frame.radius,
+    0
+  );
+}
+
+/**
+ * ギズモのエンティティを作成
+ * 位置はCallbackPropertyで操作中の変形に追従させる
+ * @param {Object} gizmo - ギズモ
+ */
+function createGizmoEntities(gizmo) {
+  const frameProperty = (compute) => new Cesium.CallbackProperty(
+    () => compute(getGizmoFrame(gizmo)), false
+  );
+  const handle = (id, color, pixelSize, compute) => ({
+    id: id,
+    position: frameProperty(compute),
+    point: {
+      pixelSize: pixelSize,
+      color: color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+  
+  const definitions = [
+    // 回転リング
+    {
+      id: 'gizmo_ring',
+      polyline: {
+        positions: frameProperty(frame => {
+          const positions = [];
+          for (let i = 0; i <= 64; i++) {
+            const angle = (i / 64) * Math.PI * 2;
+            positions.push(gizmoRingPoint(frame, Math.cos(angle), Math.sin(angle)));
+          }
+          return positions;
+        }),
+        width: 3,
+        material: Cesium.Color.YELLOW.withAlpha(0.8),
+        depthFailMaterial: Cesium.Color.YELLOW.withAlpha(0.3),
+        arcType: Cesium.ArcType.NONE,
+      },
+    },
+    // 高さの軸
+    {
+      id: 'gizmo_height_axis',
+      polyline: {
+        positions: frameProperty(frame => [
+          frame.center,
+          gizmoLocalToFixed(frame, 0, 0, frame.height),
+        ]),
+        width: 2,
+        material: Cesium.Color.LIME.withAlpha(0.8),
+        depthFailMaterial: Cesium.Color.LIME.withAlpha(0.3),
+        arcType: Cesium.ArcType.NONE,
+      },
+    },
+    handle('gizmo_move', Cesium.Color.WHITE, 16, frame => frame.center),
+    handle('gizmo_rotate', Cesium.Color.YELLOW, 14, frame => gizmoRingPoint(frame, 1, 0)),
+    handle('gizmo_height', Cesium.Color.LIME, 14, frame => gizmoLocalToFixed(frame, 0, 0, frame.height)),
+  ];
+  if (gizmo.placementIds.length === 1) {
+    definitions.push(
+      handle('gizmo_scale', Cesium.Color.CYAN, 12, frame => gizmoRingPoint(frame, Math.SQRT1_2, Math.SQRT1_2))
+    );
+  }
+  
+  definitions.forEach(definition => {
+    gizmo.entities.push(viewer.entities.add(definition));
+  });
+}
+
+/**
+ * ギズモのドラッグハンドラを設定
+ * @param {Object} gizmo - ギズモ
+ */
+function setupGizmoDragHandler(gizmo) {
+  const handler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+  gizmo.handler = handler;
+  
+  // マウスダウン - ハンドルのドラッグ開始
+  handler.setInputAction((click) => {
+    const pickedObject = viewer.scene.pick(click.position);
+    if (!Cesium.defined(pickedObject) || !pickedObject.id) return;
+    
+    const entityId = pickedObject.id.id || pickedObject.id;
+    const mode = GIZMO_HANDLE_MODES[entityId];
+    if (mode) {
+      beginGizmoDrag(gizmo, mode, click.position);
+    }
+  }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  
+  // マウス移動 - ドラッグ中
+  handler.setInputAction((movement) => {
+    if (!gizmo.drag) return;
+    updateGizmoDrag(gizmo, movement.endPosition);
+  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  
+  // マウスアップ - ドラッグ終了
+  handler.setInputAction(() => {
+    if (!gizmo.drag) return;
+    endGizmoDrag(gizmo);
+  }, Cesium.ScreenSpaceEventType.LEFT_UP);
+}
+
+/**
+ * ギズモのドラッグを開始
+ * @param {Object} gizmo - ギズモ
+ * @param {string} mode - 'move' | 'rotate' | 'height' | 'scale'
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ */
+function beginGizmoDrag(gizmo, mode, screenPosition) {
+  const frame = getGizmoFrame(gizmo);
+  const drag = {
+    mode: mode,
+    start: getPlacementTransform(gizmo.transform),
+    startScreen: Cesium.Cartesian2.clone(screenPosition),
+    frame: frame,
+    moved: false,
+    hit: null,
+    members: gizmo.placementIds
+      .map(id => placementEntities.get(id))
+      .filter(data => data)
+      .map(data => ({ id: data.placement.id, start: getPlacementTransform(data.placement) })),
+    results: [],
+  };
+  
+  if (mode === 'move') {
+    // 地表からの高さを保ったまま移動する
+    const surfaceHeight = sampleSurfaceHeight(
+      Cesium.Cartographic.fromDegrees(drag.start.position.longitude, drag.start.position.latitude),
+      [
+        ...drag.members.map(member => placementEntities.get(member.id).entity),
+        ...getTransientPickEntities(),
+      ]
+    );
+    drag.heightOffset = surfaceHeight !== undefined ? drag.start.position.height - surfaceHeight : 0;
+    
+    // オブジェクトスナップ用に、基準点から見た全配置物のフットプリント頂点を求める
+    const fixedToEnu = Cesium.Matrix4.inverseTransformation(frame.enuToFixed, new Cesium.Matrix4());
+    drag.snapOffsets = [];
+    drag.members.forEach(member => {
+      const footprint = getPlacementFootprint({
+        ...placementEntities.get(member.id).placement,
+        ...member.start,
+      });
+      const points = footprint.corners.length > 0 ? footprint.corners : [footprint.center];
+      points.forEach(point => {
+        const enu = Cesium.Matrix4.multiplyByPoint(fixedToEnu, point, new Cesium.Cartesian3());
+        drag.snapOffsets.push({ east: enu.x, north: enu.y });
+      });
+    });
+  } else if (mode === 'rotate' || mode === 'scale') {
+    const local = pickGizmoPlane(frame, screenPosition);
+    if (!local) return;
+    drag.startAngle = Math.atan2(local.x, local.y);
+    drag.startDistance = Math.max(Math.hypot(local.x, local.y), 0.01);
+  } else if (mode === 'height') {
+    drag.metersPerPixel = viewer.camera.getPixelSize(
+      new Cesium.BoundingSphere(frame.center, frame.radius),
+      viewer.scene.drawingBufferWidth,
+      viewer.scene.drawingBufferHeight
+    );
+  }
+  
+  gizmo.drag = drag;
+  placementMode = mode === 'height' ? 'move' : mode;
+  setCameraDragEnabled(false);
+  
+  console.log('[CesiumBridge] Gizmo drag started:', mode, gizmo.placementIds.length, 'placements');
 }
 
 /**
- * 計測ポイント編集モードを開始
- * @param {string} measurementId - 計測ID
+ * ギズモのドラッグ中の変形を反映し、Flutterに途中経過を通知
+ * @param {Object} gizmo - ギズモ
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
  */
-function startMeasurementEditMode(measurementId) {
-  console.log('[CesiumBridge] Starting edit mode for:', measurementId);
+function updateGizmoDrag(gizmo, screenPosition) {
+  const drag = gizmo.drag;
+  const t = gizmo.transform;
+  const start = drag.start;
   
-  // 既存の編集モードを終了
-  if (editingMeasurementId) {
-    endMeasurementEditMode();
+  switch (drag.mode) {
+    case 'move': {
+      // ドラッグ中の配置物自身に当たらないよう除外する
+      const hit = pickSurface(
+        screenPosition,
+        drag.members
+          .map(member => placementEntities.get(member.id))
+          .filter(data => data)
+          .map(data => data.entity)
+      );
+      if (!hit) return;
+      const snapped = applyObjectSnap(
+        applyGridSnap(hit.position),
+        drag.snapOffsets,
+        drag.members.map(member => member.id)
+      );
+      const cartographic = Cesium.Cartographic.fromCartesian(snapped.position);
+      t.position = {
+        longitude: Cesium.Math.toDegrees(cartographic.longitude),
+        latitude: Cesium.Math.toDegrees(cartographic.latitude),
+        height: cartographic.height + drag.heightOffset,
+      };
+      drag.hit = hit;
+      break;
+    }
+    case 'rotate': {
+      const local = pickGizmoPlane(drag.frame, screenPosition);
+      if (!local) return;
+      const delta = Cesium.Math.toDegrees(Math.atan2(local.x, local.y) - drag.startAngle);
+      const heading = applyAngleSnap(start.rotation.heading + delta);
+      t.rotation.heading = ((heading % 360) + 360) % 360;
+      break;
+    }
+    case 'height': {
+      const deltaPixels = drag.startScreen.y - screenPosition.y;
+      t.position.height = start.position.height + deltaPixels * drag.metersPerPixel;
+      break;
+    }
+    case 'scale': {
+      const local = pickGizmoPlane(drag.frame, screenPosition);
+      if (!local) return;
+      const factor = Math.hypot(local.x, local.y) / drag.startDistance;
+      t.scale = {
+        x: Math.max(GIZMO_MIN_SCALE, start.scale.x * factor),
+        y: Math.max(GIZMO_MIN_SCALE, start.scale.y * factor),
+        z: Math.max(GIZMO_MIN_SCALE, start.scale.z * factor),
+      };
+      break;
+    }
   }
   
-  const entity = measurementEntities.get(measurementId);
-  if (!entity) {
-    console.warn('[CesiumBridge] Measurement not found:', measurementId);
-    return;
-  }
+  drag.moved = true;
   
-  editingMeasurementId = measurementId;
+  // 基準点の変形を各配置物に適用（単独選択の場合は基準点＝配置物）
+  drag.results = computeGroupTransforms(
+    drag.members, start, t,
+    t.rotation.heading - start.rotation.heading,
+    t.scale.x / start.scale.x
+  );
+  drag.results.forEach(({ id, transform }) => {
+    const data = placementEntities.get(id);
+    if (data) applyPlacementPose(data.entity, transform);
+  });
+  checkPlacementCollisions(new Map(drag.results.map(({ id, transform }) => [id, transform])));
   
-  // 編集用のポイントマーカーをハイライト
-  let i = 0;
-  while (true) {
-    const pointEntity = viewer.entities.getById(`${measurementId}_point_${i}`);
-    if (!pointEntity) break;
-    if (pointEntity.point) {
-      pointEntity.point.pixelSize = 14;
-      pointEntity.point.outlineColor = Cesium.Color.CYAN;
-      pointEntity.point.outlineWidth = 3;
-    }
-    i++;
+  if (drag.members.length === 1) {
+    sendToFlutter('placementTransforming', getGizmoTransformPayload(gizmo));
+  } else {
+    sendToFlutter('placementsTransforming', {
+      mode: drag.mode,
+      placements: drag.results.map(({ id, transform }) => ({ id, ...transform })),
+    });
   }
-  
-  // ドラッグハンドラを設定
-  setupPointDragHandler(measurementId);
-  
-  sendToFlutter('measurementEditModeStarted', { measurementId });
 }
 
 /**
- * 計測ポイント編集モードを終了
+ * ギズモのドラッグを終了し、確定した変形をFlutterに通知
+ * @param {Object} gizmo - ギズモ
  */
-function endMeasurementEditMode() {
-  console.log('[CesiumBridge] Ending edit mode');
+function endGizmoDrag(gizmo) {
+  const drag = gizmo.drag;
+  const payload = getGizmoTransformPayload(gizmo);
   
-  if (editingMeasurementId) {
-    // ポイントマーカーを通常に戻す
-    let i = 0;
-    while (true) {
-      const pointEntity = viewer.entities.getById(`${editingMeasurementId}_point_${i}`);
-      if (!pointEntity) break;
-      if (pointEntity.point) {
-        pointEntity.point.pixelSize = 8;
-        pointEntity.point.outlineColor = Cesium.Color.WHITE;
-        pointEntity.point.outlineWidth = 2;
+  gizmo.drag = null;
+  placementMode = null;
+  setCameraDragEnabled(true);
+  clearAlignmentGuides();
+  
+  if (!drag.moved) return;
+  
+  const before = capturePlacementSnapshot(drag.members.map(member => member.id));
+  
+  // 表面からの相対高さの配置物は、高さの変更をオフセットに反映する
+  if (drag.mode === 'height') {
+    const delta = gizmo.transform.position.height - drag.start.position.height;
+    drag.members.forEach(member => {
+      const data = placementEntities.get(member.id);
+      if (data && data.placement.heightMode === 'relativeToGround') {
+        data.placement = { ...data.placement, heightOffset: (data.placement.heightOffset || 0) + delta };
       }
-      i++;
-    }
+    });
   }
   
-  // ドラッグハンドラを削除
-  if (editDragHandler) {
-    editDragHandler.destroy();
-    editDragHandler = null;
-  }
+  commitPlacementTransforms(drag.results);
+  pushPlacementHistory(drag.mode, before);
   
-  // キーボードハンドラを削除
-  removeEditKeyboardHandler();
+  // 接地している配置物は移動先の表面に置き直す
+  settleMovedPlacements(drag.members.map(member => member.id));
   
-  // カメラコントロールを確実に有効に戻す
-  viewer.scene.screenSpaceCameraController.enableRotate = true;
-  viewer.scene.screenSpaceCameraController.enableTranslate = true;
-  viewer.scene.screenSpaceCameraController.enableZoom = true;
-  viewer.scene.screenSpaceCameraController.enableTilt = true;
-  viewer.scene.screenSpaceCameraController.enableLook = true;
+  if (drag.members.length === 1) {
+    console.log('[CesiumBridge] Placement transformed:', gizmo.placementIds[0], drag.mode);
+    sendToFlutter('placementTransformed', payload);
+  } else {
+    notifyPlacementsUpdated(drag.mode, drag.members.map(member => member.id));
+  }
+}
+
+/**
+ * ギズモ操作の通知データを作成
+ * @param {Object} gizmo - ギズモ
+ * @returns {Object} {id, mode, position, rotation, scale, source, tilesetId}
+ */
+function getGizmoTransformPayload(gizmo) {
+  const drag = gizmo.drag;
+  return {
+    id: gizmo.placementIds[0],
+    mode: drag ? drag.mode : null,
+    position: { ...gizmo.transform.position },
+    rotation: { ...gizmo.transform.rotation },
+    scale: { ...gizmo.transform.scale },
+    source: drag && drag.hit ? drag.hit.source : null,
+    tilesetId: drag && drag.hit ? drag.hit.tilesetId : null,
+  };
+}
+
+/**
+ * スクリーン座標をギズモ中心の水平面上の局所座標に変換
+ * @param {Object} frame - getGizmoFrameの結果
+ * @param {Cesium.Cartesian2} screenPosition - スクリーン座標
+ * @returns {{x: number, y: number}|null} 東・北方向の距離（メートル）
+ */
+function pickGizmoPlane(frame, screenPosition) {
+  const ray = viewer.camera.getPickRay(screenPosition);
+  if (!ray) return null;
   
-  const wasEditing = editingMeasurementId;
-  editingMeasurementId = null;
-  editingPointIndex = null;
+  const normal = Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(frame.center, new Cesium.Cartesian3());
+  const plane = Cesium.Plane.fromPointNormal(frame.center, normal);
+  const intersection = Cesium.IntersectionTests.rayPlane(ray, plane);
+  if (!intersection) return null;
   
-  if (wasEditing) {
-    sendToFlutter('measurementEditModeEnded', { measurementId: wasEditing });
-  }
+  const local = Cesium.Matrix4.multiplyByPoint(
+    Cesium.Matrix4.inverseTransformation(frame.enuToFixed, new Cesium.Matrix4()),
+    intersection,
+    new Cesium.Cartesian3()
+  );
+  return { x: local.x, y: local.y };
 }
 
 /**
- * ポイントドラッグハンドラを設定
- * @param {string} measurementId - 計測ID
+ * ドラッグ操作のためにカメラ操作を切り替え
+ * @param {boolean} enabled - 有効にするか
  */
-function setupPointDragHandler(measurementId) {
-  if (editDragHandler) {
-    editDragHandler.destroy();
+function setCameraDragEnabled(enabled) {
+  viewer.scene.screenSpaceCameraController.enableRotate = enabled;
+  viewer.scene.screenSpaceCameraController.enableTranslate = enabled;
+  viewer.scene.screenSpaceCameraController.enableZoom = enabled;
+}
+
+// ============================================
+// 配置物の干渉チェック
+// ============================================
+
+/**
+ * 干渉チェック設定を更新
+ * @param {Object} settings - 設定 {enabled}
+ */
+function updateCollisionSettings(settings) {
+  Object.assign(collisionSettings, settings);
+  console.log('[CesiumBridge] Collision settings updated:', collisionSettings);
+  checkPlacementCollisions();
+}
+
+/**
+ * 計測結果（面）を立入禁止区域として扱うか設定
+ * @param {Object} params - {measurementId, keepOut}
+ */
+function setMeasurementKeepOut(params) {
+  const measurement = measurementData.get(params.measurementId);
+  if (!measurement) {
+    console.warn('[CesiumBridge] Measurement not found:', params.measurementId);
+    return;
   }
+  measurement.keepOut = !!params.keepOut;
+  checkPlacementCollisions();
+}
+
+/**
+ * 干渉チェックを次のタイミングでまとめて実行
+ * 配置物の連続追加などで何度も計算しないようにする
+ */
+function schedulePlacementCollisionCheck() {
+  if (collisionCheckScheduled) return;
+  collisionCheckScheduled = true;
+  setTimeout(() => {
+    collisionCheckScheduled = false;
+    checkPlacementCollisions();
+  }, 0);
+}
+
+/**
+ * 配置物同士、および配置物と立入禁止区域の干渉を判定
+ * 
+ * アセット寸法・ヘディング・スケールから求めた向き付きのフットプリントを
+ * 共通の水平面（全体の重心のENU平面）に投影して重なりを調べる。
+ * 寸法が不明な配置物と非表示の配置物は対象外。結果が変化した場合のみFlutterに通知する。
+ * 
+ * @param {Map<string, Object>} [overrides] - 配置物ID → 変形（ドラッグ中の未確定の位置など）
+ * @returns {Array<Object>} 干渉の組 [{type: 'placement'|'keepOut', a, b}]
+ */
+function checkPlacementCollisions(overrides) {
+  if (!viewer) return [];
   
-  editDragHandler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+  const footprints = [];
+  if (collisionSettings.enabled) {
+    placementEntities.forEach((data, id) => {
+      if (data.entity.show === false) return;
+      const transform = overrides && overrides.get(id);
+      const placement = transform ? { ...data.placement, ...transform } : data.placement;
+      const footprint = getPlacementFootprint(placement);
+      if (footprint && footprint.corners.length === 4) {
+        footprints.push({ id: id, center: footprint.center, corners: footprint.corners });
+      }
+    });
+  }
   
-  let draggedEntity = null;
-  let draggedPointIndex = null;
+  const keepOuts = [];
+  if (collisionSettings.enabled) {
+    measurementData.forEach((measurement, id) => {
+      if (!measurement.keepOut || !isPolygonMeasurement(measurement.type) || measurement.points.length < 3) return;
+      const entity = measurementEntities.get(id);
+      if (entity && entity.show === false) return;
+      keepOuts.push({
+        id: id,
+        corners: measurement.points.map(p =>
+          Cesium.Cartesian3.fromDegrees(p.longitude, p.latitude, p.height || 0)
+        ),
+      });
+    });
+  }
   
-  // マウスダウン - ドラッグ開始
-  editDragHandler.setInputAction((click) => {
-    const pickedObject = viewer.scene.pick(click.position);
+  const pairs = [];
+  if (footprints.length > 0) {
+    const project = createPlanarProjector(footprints.map(f => f.center));
+    const projected = footprints.map(f => project(f.id, f.corners));
+    const projectedKeepOuts = keepOuts.map(k => project(k.id, k.corners));
     
-    if (Cesium.defined(pickedObject) && pickedObject.id) {
-      const entityId = pickedObject.id.id || pickedObject.id;
-      
-      // 計測ポイントかチェック
-      if (typeof entityId === 'string' && entityId.startsWith(measurementId + '_point_')) {
-        const pointIndex = parseInt(entityId.split('_point_')[1]);
-        draggedEntity = pickedObject.id;
-        draggedPointIndex = pointIndex;
-        editingPointIndex = pointIndex;
-        
-        // カメラの操作を無効化
-        viewer.scene.screenSpaceCameraController.enableRotate = false;
-        viewer.scene.screenSpaceCameraController.enableTranslate = false;
-        viewer.scene.screenSpaceCameraController.enableZoom = false;
-        
-        console.log('[CesiumBridge] Started dragging point:', pointIndex);
+    for (let i = 0; i < projected.length; i++) {
+      for (let j = i + 1; j < projected.length; j++) {
+        if (planarPolygonsOverlap(projected[i], projected[j])) {
+          pairs.push({ type: 'placement', a: projected[i].id, b: projected[j].id });
+        }
       }
+      projectedKeepOuts.forEach(keepOut => {
+        if (planarPolygonsOverlap(projected[i], keepOut)) {
+          pairs.push({ type: 'keepOut', a: projected[i].id, b: keepOut.id });
+        }
+      });
     }
-  }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  }
   
-  // マウス移動 - ドラッグ中
-  editDragHandler.setInputAction((movement) => {
-    if (!draggedEntity) return;
-    
-    const position = getGroundPosition(movement.endPosition);
-    if (position) {
-      draggedEntity.position = position;
-    }
-  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  // シルエットを更新
+  const colliding = new Set();
+  pairs.forEach(pair => {
+    colliding.add(pair.a);
+    if (pair.type === 'placement') colliding.add(pair.b);
+  });
+  const changed = new Set([...collidingPlacementIds, ...colliding]);
+  collidingPlacementIds.clear();
+  colliding.forEach(id => collidingPlacementIds.add(id));
+  changed.forEach(id => setPlacementHighlight(id, selectedPlacementIds.has(id)));
   
-  // マウスアップ - ドラッグ終了
-  editDragHandler.setInputAction((click) => {
-    // カメラの操作を常に有効化（ドラッグ中でなくても）
-    viewer.scene.screenSpaceCameraController.enableRotate = true;
-    viewer.scene.screenSpaceCameraController.enableTranslate = true;
-    viewer.scene.screenSpaceCameraController.enableZoom = true;
-    
-    if (!draggedEntity) return;
-    
-    // 新しい位置を取得
-    const position = draggedEntity.position.getValue(Cesium.JulianDate.now());
-    if (position) {
-      const cartographic = Cesium.Cartographic.fromCartesian(position);
-      const newPoint = {
-        longitude: Cesium.Math.toDegrees(cartographic.longitude),
-        latitude: Cesium.Math.toDegrees(cartographic.latitude),
-        height: cartographic.height || 0,
-      };
-      
-      console.log('[CesiumBridge] Point moved to:', newPoint);
-      
-      sendToFlutter('measurementPointMoved', {
-        measurementId: measurementId,
-        pointIndex: draggedPointIndex,
-        newPoint: newPoint,
-      });
-    }
-    
-    draggedEntity = null;
-    draggedPointIndex = null;
-  }, Cesium.ScreenSpaceEventType.LEFT_UP);
+  const key = JSON.stringify(pairs);
+  if (key !== lastCollisionKey) {
+    lastCollisionKey = key;
+    console.log('[CesiumBridge] Placement collisions:', pairs.length);
+    sendToFlutter('placementCollisions', {
+      pairs: pairs,
+      placementIds: Array.from(colliding),
+    });
+  }
   
-  // 右クリック - ポイント削除
-  editDragHandler.setInputAction((click) => {
-    const pickedObject = viewer.scene.pick(click.position);
-    
-    if (Cesium.defined(pickedObject) && pickedObject.id) {
-      const entityId = pickedObject.id.id || pickedObject.id;
-      
-      // 計測ポイントかチェック
-      if (typeof entityId === 'string' && entityId.startsWith(measurementId + '_point_')) {
-        const pointIndex = parseInt(entityId.split('_point_')[1]);
-        
-        console.log('[CesiumBridge] Deleting point:', pointIndex);
-        
-        sendToFlutter('measurementPointDeleted', {
-          measurementId: measurementId,
-          pointIndex: pointIndex,
-        });
-      }
+  checkClearanceConflicts(overrides);
+  return pairs;
+}
+
+/**
+ * 複数の地点の重心を原点とする水平面への投影関数を作成
+ * @param {Array<Cesium.Cartesian3>} centers - 対象の中心点
+ * @returns {Function} (id, corners) => {id, polygon, minX, maxX, minY, maxY}
+ */
+function createPlanarProjector(centers) {
+  const origin = new Cesium.Cartesian3();
+  centers.forEach(center => Cesium.Cartesian3.add(origin, center, origin));
+  Cesium.Cartesian3.divideByScalar(origin, Math.max(centers.length, 1), origin);
+  const toLocal = Cesium.Matrix4.inverseTransformation(
+    Cesium.Transforms.eastNorthUpToFixedFrame(origin),
+    new Cesium.Matrix4()
+  );
+
+  return (id, corners) => {
+    const polygon = corners.map(c => {
+      const local = Cesium.Matrix4.multiplyByPoint(toLocal, c, new Cesium.Cartesian3());
+      return { x: local.x, y: local.y };
+    });
+    const xs = polygon.map(p => p.x);
+    const ys = polygon.map(p => p.y);
+    return {
+      id: id,
+      polygon: polygon,
+      minX: Math.min(...xs), maxX: Math.max(...xs),
+      minY: Math.min(...ys), maxY: Math.max(...ys),
+    };
+  };
+}
+
+/**
+ * 投影済みの2つの多角形が重なるか判定（外接矩形で絞り込んでから判定）
+ * @param {Object} a - createPlanarProjectorの結果
+ * @param {Object} b - createPlanarProjectorの結果
+ * @returns {boolean} 重なる場合true
+ */
+function planarPolygonsOverlap(a, b) {
+  return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY
+    && polygonsIntersect2D(a.polygon, b.polygon);
+}
+
+/**
+ * 現在の干渉結果をFlutterに通知（変化の有無に関わらず）
+ */
+function requestPlacementCollisions() {
+  lastCollisionKey = null;
+  checkPlacementCollisions();
+}
+
+/**
+ * 2つの多角形（平面座標）が重なるか判定
+ * 辺同士の交差、または一方の頂点が他方の内部にあれば重なりとする（凹多角形にも対応）
+ * @param {Array<{x: number, y: number}>} a - 多角形A
+ * @param {Array<{x: number, y: number}>} b - 多角形B
+ * @returns {boolean} 重なる場合true
+ */
+function polygonsIntersect2D(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const a1 = a[i];
+    const a2 = a[(i + 1) % a.length];
+    for (let j = 0; j < b.length; j++) {
+      if (segmentsIntersect2D(a1, a2, b[j], b[(j + 1) % b.length])) return true;
+    }
+  }
+  return pointInPolygon2D(a[0], b) || pointInPolygon2D(b[0], a);
+}
+
+/**
+ * 2つの線分が交差するか判定
+ * @returns {boolean} 交差する場合true
+ */
+function segmentsIntersect2D(p1, p2, q1, q2) {
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0))
+    && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * 点が多角形の内部にあるか判定（レイキャスティング法）
+ * @param {{x: number, y: number}} point - 点
+ * @param {Array<{x: number, y: number}>} polygon - 多角形
+ * @returns {boolean} 内部にある場合true
+ */
+function pointInPolygon2D(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const pi = polygon[i];
+    const pj = polygon[j];
+    if ((pi.y > point.y) !== (pj.y > point.y)
+        && point.x < (pj.x - pi.x) * (point.y - pi.y) / (pj.y - pi.y) + pi.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// ============================================
+// 配置物のフットプリント・離隔範囲
+// ============================================
+
+/**
+ * フットプリント・離隔範囲の設定を更新し、表示を作り直す
+ * @param {Object} settings - 設定 {showFootprints, showClearances, footprintColor, clearances}
+ */
+function updateClearanceSettings(settings) {
+  Object.assign(clearanceSettings, settings);
+  placementEntities.forEach((data, id) => updatePlacementZones(id, data.placement));
+  console.log('[CesiumBridge] Clearance settings updated:', clearanceSettings);
+  requestClearanceConflicts();
+}
+
+/**
+ * 配置物に適用する離隔範囲（個別指定があればそれを優先）
+ * @param {Object} placement - 配置物データ
+ * @returns {Array<{name: string, distance: number, color: string}>} 距離の小さい順
+ */
+function getPlacementClearances(placement) {
+  const clearances = Array.isArray(placement.clearances) ? placement.clearances : clearanceSettings.clearances;
+  return clearances
+    .filter(clearance => clearance.distance > 0)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * 配置物の離隔範囲の外形（フットプリントを距離だけ外側に広げた矩形）を取得
+ * @param {Object} placement - 配置物データ
+ * @param {number} distance - 離隔距離（メートル、0はフットプリント）
+ * @returns {Array<Cesium.Cartesian3>} 四隅（寸法が不明な場合は空）
+ */
+function getPlacementZoneCorners(placement, distance) {
+  const dimensions = getPlacementDimensions(placement);
+  if (!dimensions) return [];
+
+  const center = Cesium.Cartesian3.fromDegrees(
+    placement.position.longitude,
+    placement.position.latitude,
+    placement.position.height || 0
+  );
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(center);
+  return getFootprintOffsets(
+    dimensions,
+    placement.rotation?.heading || 0,
+    placement.scale,
+    distance
+  ).map(offset => Cesium.Matrix4.multiplyByPoint(
+    enuToFixed,
+    new Cesium.Cartesian3(offset.east, offset.north, 0),
+    new Cesium.Cartesian3()
+  ));
+}
+
+/**
+ * 配置物のフットプリント・離隔範囲の表示を更新
+ * 
+ * 形状は定数プロパティとし、配置物が変わるたびに置き換える。配置プレビューと
+ * ギズモでドラッグ中の配置物のみCallbackPropertyで参照し、移動中に追従させる。
+ * 表示する範囲の構成（表示設定・離隔範囲の数）が変わった場合のみエンティティを作り直す。
+ * 
+ * @param {string} zoneId - 配置物ID（プレビューは'preview'）
+ * @param {Object} placement - 配置物データ（移動中の変形を反映したもの）
+ */
+function updatePlacementZones(zoneId, placement) {
+  if (!viewer) return;
+
+  const visible = placement.visible !== false && !!getPlacementDimensions(placement);
+  const clearances = clearanceSettings.showClearances ? getPlacementClearances(placement) : [];
+  const layers = [];
+  if (visible && clearanceSettings.showFootprints) {
+    layers.push({ key: 'footprint', distance: 0, color: clearanceSettings.footprintColor, alpha: 0.35 });
+  }
+  if (visible) {
+    clearances.forEach((clearance, i) => {
+      layers.push({ key: 'clearance_' + i, distance: clearance.distance, color: clearance.color, alpha: 0.2 });
+    });
+  }
+
+  // 構成が変わった場合は作り直す
+  const signature = layers.map(layer => `${layer.key}:${layer.color}`).join(',');
+  let zone = placementZones.get(zoneId);
+  if (zone && zone.signature !== signature) {
+    removePlacementZones(zoneId);
+    zone = null;
+  }
+  if (layers.length === 0) return;
+
+  if (!zone) {
+    zone = { signature: signature, entities: [], hierarchies: [], dynamic: false };
+    // 外側の範囲から描画して内側が上に重なるようにする
+    layers.slice().reverse().forEach(layer => {
+      zone.hierarchies.push(new Cesium.PolygonHierarchy([]));
+      const color = Cesium.Color.fromCssColorString(layer.color);
+      zone.entities.push(viewer.entities.add({
+        id: `${zoneId}_${layer.key}`,
+        polygon: {
+          material: color.withAlpha(layer.alpha),
+          classificationType: Cesium.ClassificationType.BOTH,
+        },
+        polyline: {
+          width: 2,
+          material: color,
+          clampToGround: true,
+        },
+      }));
+    });
+    zone.layers = layers.slice().reverse();
+    placementZones.set(zoneId, zone);
+  }
+
+  zone.layers.forEach((layer, i) => {
+    zone.hierarchies[i] = new Cesium.PolygonHierarchy(getPlacementZoneCorners(placement, layer.distance));
+  });
+
+  // 追従中はCallbackPropertyが新しい形状を参照する
+  const dynamic = isPlacementZoneDynamic(zoneId);
+  if (dynamic && zone.dynamic) return;
+
+  const outline = positions => (positions.length > 0 ? [...positions, positions[0]] : []);
+  zone.entities.forEach((entity, i) => {
+    if (dynamic) {
+      entity.polygon.hierarchy = new Cesium.CallbackProperty(() => zone.hierarchies[i], false);
+      entity.polyline.positions = new Cesium.CallbackProperty(() => outline(zone.hierarchies[i].positions), false);
+    } else {
+      entity.polygon.hierarchy = new Cesium.ConstantProperty(zone.hierarchies[i]);
+      entity.polyline.positions = new Cesium.ConstantProperty(outline(zone.hierarchies[i].positions));
     }
-  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
-  
-  // キーボードイベント - Enterで編集終了
-  setupEditKeyboardHandler();
+  });
+  zone.dynamic = dynamic;
 }
 
-// キーボードハンドラ
-let editKeyboardHandler = null;
+/**
+ * フットプリント・離隔範囲の形状を毎フレーム参照するか
+ * @param {string} zoneId - 配置物ID（プレビューは'preview'）
+ * @returns {boolean} 配置プレビュー・ギズモでドラッグ中の配置物の場合true
+ */
+function isPlacementZoneDynamic(zoneId) {
+  if (zoneId === 'preview') return true;
+  const drag = placementGizmo && placementGizmo.drag;
+  return !!drag && drag.members.some(member => member.id === zoneId);
+}
 
 /**
- * 編集用キーボードハンドラを設定
+ * 配置プレビューのフットプリント・離隔範囲を更新
+ * @param {Cesium.Cartesian3} position - プレビューの位置
  */
-function setupEditKeyboardHandler() {
-  // 既存のハンドラを削除
-  if (editKeyboardHandler) {
-    document.removeEventListener('keydown', editKeyboardHandler);
-  }
-  
-  editKeyboardHandler = (event) => {
-    if (event.key === 'Enter' && editingMeasurementId) {
-      console.log('[CesiumBridge] Enter pressed - ending edit mode');
-      endMeasurementEditMode();
-    }
-  };
-  
-  document.addEventListener('keydown', editKeyboardHandler);
+function updatePreviewZones(position) {
+  const cartographic = Cesium.Cartographic.fromCartesian(position);
+  updatePlacementZones('preview', {
+    assetId: currentPlacementAssetId,
+    position: {
+      longitude: Cesium.Math.toDegrees(cartographic.longitude),
+      latitude: Cesium.Math.toDegrees(cartographic.latitude),
+      height: cartographic.height,
+    },
+    rotation: { heading: placementPreviewHeading, pitch: 0, roll: 0 },
+  });
 }
 
 /**
- * 編集用キーボードハンドラを削除
+ * 配置物のフットプリント・離隔範囲の表示を削除
+ * @param {string} zoneId - 配置物ID（プレビューは'preview'）
  */
-function removeEditKeyboardHandler() {
-  if (editKeyboardHandler) {
-    document.removeEventListener('keydown', editKeyboardHandler);
-    editKeyboardHandler = null;
-  }
+function removePlacementZones(zoneId) {
+  const zone = placementZones.get(zoneId);
+  if (!zone) return;
+  zone.entities.forEach(entity => viewer.entities.remove(entity));
+  placementZones.delete(zoneId);
 }
 
 /**
- * カメラコントロールをリセット（有効化）
- * マップ操作ができなくなった場合の緊急リセット用
+ * 離隔範囲の重なりを判定し、変化した場合にFlutterに通知
+ * 
+ * 同じ名前の離隔範囲同士が重なる組を報告する。相手のフットプリントが
+ * 離隔範囲に入り込んでいる場合はintrusionをtrueとする。
+ * 
+ * @param {Map<string, Object>} [overrides] - 配置物ID → 変形（ドラッグ中の未確定の位置など）
+ * @returns {Array<Object>} [{a, b, clearance, distance, intrusion}]
  */
-function resetCameraControls() {
-  console.log('[CesiumBridge] Resetting camera controls');
-  viewer.scene.screenSpaceCameraController.enableRotate = true;
-  viewer.scene.screenSpaceCameraController.enableTranslate = true;
-  viewer.scene.screenSpaceCameraController.enableZoom = true;
-  viewer.scene.screenSpaceCameraController.enableTilt = true;
-  viewer.scene.screenSpaceCameraController.enableLook = true;
-  
-  // 編集モードも終了
-  if (editingMeasurementId) {
-    endMeasurementEditMode();
+function checkClearanceConflicts(overrides) {
+  const items = [];
+  placementEntities.forEach((data, id) => {
+    if (data.entity.show === false) return;
+    const transform = overrides && overrides.get(id);
+    const placement = transform ? { ...data.placement, ...transform } : data.placement;
+    if (!getPlacementDimensions(placement)) return;
+    items.push({ id: id, placement: placement, clearances: getPlacementClearances(placement) });
+  });
+
+  const conflicts = [];
+  if (items.length > 1 && items.some(item => item.clearances.length > 0)) {
+    const project = createPlanarProjector(items.map(item => Cesium.Cartesian3.fromDegrees(
+      item.placement.position.longitude, item.placement.position.latitude, item.placement.position.height || 0
+    )));
+    items.forEach(item => {
+      item.footprint = project(item.id, getPlacementZoneCorners(item.placement, 0));
+      item.zones = new Map(item.clearances.map(clearance => [
+        clearance.name,
+        { distance: clearance.distance, polygon: project(item.id, getPlacementZoneCorners(item.placement, clearance.distance)) },
+      ]));
+    });
+
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i];
+        const b = items[j];
+        a.zones.forEach((zoneA, name) => {
+          const zoneB = b.zones.get(name);
+          if (!zoneB || !planarPolygonsOverlap(zoneA.polygon, zoneB.polygon)) return;
+          conflicts.push({
+            a: a.id,
+            b: b.id,
+            clearance: name,
+            distance: Math.max(zoneA.distance, zoneB.distance),
+            intrusion: planarPolygonsOverlap(zoneA.polygon, b.footprint)
+              || planarPolygonsOverlap(zoneB.polygon, a.footprint),
+          });
+        });
+      }
+    }
   }
-  
-  sendToFlutter('cameraControlsReset', {});
+
+  const key = JSON.stringify(conflicts);
+  if (key !== lastClearanceKey) {
+    lastClearanceKey = key;
+    console.log('[CesiumBridge] Clearance conflicts:', conflicts.length);
+    sendToFlutter('clearanceConflicts', { conflicts: conflicts });
+  }
+  return conflicts;
 }
 
 /**
- * 中点を取得
- * @param {Array} positions - 位置配列
- * @returns {Cesium.Cartesian3} 中点
+ * 現在の離隔範囲の重なりをFlutterに通知（変化の有無に関わらず）
  */
-function getMidpoint(positions) {
-  if (positions.length === 0) return Cesium.Cartesian3.ZERO;
-  if (positions.length === 1) return positions[0];
-  
-  const midIndex = Math.floor((positions.length - 1) / 2);
-  return positions[midIndex];
+function requestClearanceConflicts() {
+  lastClearanceKey = null;
+  checkClearanceConflicts();
 }
 
+// ============================================
+// ドローンフォーメーション管理機能
+// ============================================
+
 /**
- * 重心を取得
- * @param {Array} positions - 位置配列
- * @returns {Cesium.Cartesian3} 重心
+ * 輝度を適用した色を計算（ソリッドカラー）
+ * シンプルな明るさ調整、アルファは常に1.0
+ * @param {Cesium.Color} baseColor - 元の色
+ * @param {number} intensity - 輝度（0.2-2.0、1.0が基準）
+ * @returns {Cesium.Color} 輝度適用後の色
  */
-function getCentroid(positions) {
-  if (positions.length === 0) return Cesium.Cartesian3.ZERO;
+function applyGlowIntensity(baseColor, intensity) {
+  let r = baseColor.red;
+  let g = baseColor.green;
+  let b = baseColor.blue;
   
-  let x = 0, y = 0, z = 0;
-  positions.forEach(p => {
-    x += p.x;
-    y += p.y;
-    z += p.z;
-  });
+  if (intensity < 1.0) {
+    // 暗くする（RGB全体を乗算）
+    r *= intensity;
+    g *= intensity;
+    b *= intensity;
+  } else if (intensity > 1.0) {
+    // 明るくする（RGBに加算、元の色の比率を保持）
+    const boost = (intensity - 1.0) * 0.5; // 控えめに加算
+    r = Math.min(r + boost * (1 - r), 1.0);
+    g = Math.min(g + boost * (1 - g), 1.0);
+    b = Math.min(b + boost * (1 - b), 1.0);
+  }
   
-  return new Cesium.Cartesian3(
-    x / positions.length,
-    y / positions.length,
-    z / positions.length
-  );
+  // アルファは常に1.0（完全不透明）でソリッドに
+  return new Cesium.Color(r, g, b, 1.0);
 }
 
-// ============================================
-// 配置物管理機能
-// ============================================
+/**
+ * HSVからCesium.Colorに変換
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} v - Value (0-1)
+ * @param {number} a - Alpha (0-1)
+ * @returns {Cesium.Color}
+ */
+function hsvToColor(h, s, v, a) {
+  const c = v * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = v - c;
+  
+  let r, g, b;
+  if (h < 60) {
+    [r, g, b] = [c, x, 0];
+  } else if (h < 120) {
+    [r, g, b] = [x, c, 0];
+  } else if (h < 180) {
+    [r, g, b] = [0, c, x];
+  } else if (h < 240) {
+    [r, g, b] = [0, x, c];
+  } else if (h < 300) {
+    [r, g, b] = [x, 0, c];
+  } else {
+    [r, g, b] = [c, 0, x];
+  }
+  
+  return new Cesium.Color(r + m, g + m, b + m, a);
+}
 
 /**
- * 配置物を追加
- * @param {Object} placement - 配置物データ
- * @param {string} modelUrl - モデルURL
+ * ドローンフォーメーションを追加（光る球として描画）
+ * @param {Object} config - 設定
+ * @param {string} config.id - フォーメーションID
+ * @param {string} config.name - フォーメーション名
+ * @param {Array} config.drones - ドローンデータ配列 [{id, x, y, r, g, b, a}, ...]
+ * @param {Object} config.basePosition - 基準位置 {longitude, latitude}
+ * @param {number} config.altitude - 高度（メートル）
+ * @param {number} config.heading - 方位角（度、水平回転）
+ * @param {number} config.tilt - チルト（度、垂直回転、-90〜90）
+ * @param {number} config.scale - スケール
+ * @param {number} config.pointSize - ポイントサイズ（ピクセル）
+ * @param {number} config.glowIntensity - 輝度（発光の濃さ、0.2-2.0）
+ * @param {string} config.customColor - カスタム色（HEX、nullの場合は個別色）
+ * @param {boolean} config.useIndividualColors - 個別色を使用するか
  */
-function addPlacement(placement, modelUrl) {
+function addDroneFormation(config) {
   if (!viewer) return;
 
-  const position = Cesium.Cartesian3.fromDegrees(
-    placement.position.longitude,
-    placement.position.latitude,
-    placement.position.height || 0
-  );
+  console.log('[CesiumBridge] Adding drone formation:', config.id, 'drones:', config.drones.length);
 
-  const heading = Cesium.Math.toRadians(placement.rotation?.heading || 0);
-  const pitch = Cesium.Math.toRadians(placement.rotation?.pitch || 0);
-  const roll = Cesium.Math.toRadians(placement.rotation?.roll || 0);
-  const orientation = Cesium.Transforms.headingPitchRollQuaternion(
-    position,
-    new Cesium.HeadingPitchRoll(heading, pitch, roll)
-  );
+  const basePosition = config.basePosition;
+  const altitude = config.altitude || 50;
+  const heading = Cesium.Math.toRadians(config.heading || 0);
+  const tilt = Cesium.Math.toRadians(config.tilt || 0); // 垂直回転
+  const scale = config.scale || 1.0;
+  const pointSize = config.pointSize || 5;
+  const glowIntensity = config.glowIntensity || 1.0;
+  const useIndividualColors = config.useIndividualColors !== false;
+
+  // カスタム色をパース
+  let customColor = null;
+  if (config.customColor) {
+    customColor = Cesium.Color.fromCssColorString(config.customColor);
+  }
+
+  // エンティティコレクションを作成
+  const entities = [];
+  const cosHeading = Math.cos(heading);
+  const sinHeading = Math.sin(heading);
+  const cosTilt = Math.cos(tilt);
+  const sinTilt = Math.sin(tilt);
+
+  // 緯度経度の1メートルあたりの度数を計算
+  const baseLatRad = Cesium.Math.toRadians(basePosition.latitude);
+  const metersPerDegreeLon = 111320 * Math.cos(baseLatRad);
+  const metersPerDegreeLat = 110540;
+
+  for (const drone of config.drones) {
+    // 相対座標をスケール適用
+    let x = drone.x * scale;
+    let y = drone.y * scale;
+    let z = 0; // 初期z座標は0
+
+    // チルト（垂直回転）を適用（Y軸周り）
+    const tiltedY = y * cosTilt - z * sinTilt;
+    const tiltedZ = y * sinTilt + z * cosTilt;
+    y = tiltedY;
+    z = tiltedZ;
+
+    // 方位角（水平回転）を適用
+    const rotatedX = x * cosHeading - y * sinHeading;
+    const rotatedY = x * sinHeading + y * cosHeading;
+
+    // 経度・緯度・高度に変換
+    const lon = basePosition.longitude + (rotatedX / metersPerDegreeLon);
+    const lat = basePosition.latitude + (rotatedY / metersPerDegreeLat);
+    const droneAltitude = altitude + z;
+
+    // 色を決定
+    let baseColor;
+    if (useIndividualColors && !customColor) {
+      baseColor = Cesium.Color.fromBytes(drone.r, drone.g, drone.b, drone.a || 255);
+    } else if (customColor) {
+      baseColor = customColor;
+    } else {
+      baseColor = Cesium.Color.WHITE;
+    }
+
+    // 輝度を適用（HSV色空間でValue調整、彩度も考慮して白飛びを防ぐ）
+    const glowColor = applyGlowIntensity(baseColor, glowIntensity);
 
-  const scale = placement.scale?.x || 1.0;
+    const entity = viewer.entities.add({
+      id: `${config.id}_drone_${drone.id}`,
+      position: Cesium.Cartesian3.fromDegrees(lon, lat, droneAltitude),
+      point: {
+        pixelSize: pointSize,
+        color: glowColor,
+        outlineColor: Cesium.Color.TRANSPARENT,
+        outlineWidth: 0,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        scaleByDistance: new Cesium.NearFarScalar(50, 1.2, 2000, 0.3),
+      },
+    });
 
-  const entity = viewer.entities.add({
-    id: placement.id,
-    name: placement.name,
-    position: position,
-    orientation: orientation,
-    model: {
-      uri: modelUrl,
-      scale: scale,
-      minimumPixelSize: 64,
-      maximumScale: 20000,
-    },
-    show: placement.visible !== false,
-  });
+    entities.push({ main: entity, glow: null, droneData: drone, originalPos: { x: drone.x, y: drone.y } });
+  }
 
-  placementEntities.set(placement.id, {
-    entity: entity,
-    placement: placement,
-    modelUrl: modelUrl,
+  // フォーメーション情報を保存
+  droneFormations.set(config.id, {
+    config: config,
+    entities: entities,
+    glowIntensity: glowIntensity,
+    tilt: config.tilt || 0,
   });
 
-  console.log('[CesiumBridge] Placement added:', placement.id);
-  sendToFlutter('placementAdded', { id: placement.id });
+  console.log('[CesiumBridge] Drone formation added:', config.id, 'entities:', entities.length);
+  sendToFlutter('droneFormationAdded', { 
+    id: config.id, 
+    droneCount: entities.length 
+  });
 }
 
 /**
- * 配置物を削除
- * @param {string} placementId - 配置物ID
+ * ドローンフォーメーションを削除
+ * @param {string} formationId - フォーメーションID
  */
-function removePlacement(placementId) {
+function removeDroneFormation(formationId) {
   if (!viewer) return;
 
-  const data = placementEntities.get(placementId);
+  const data = droneFormations.get(formationId);
   if (data) {
-    viewer.entities.remove(data.entity);
-    placementEntities.delete(placementId);
-    console.log('[CesiumBridge] Placement removed:', placementId);
+    // 全エンティティを削除
+    for (const entityData of data.entities) {
+      if (entityData.main) {
+        try { viewer.entities.remove(entityData.main); } catch (e) {}
+      }
+      if (entityData.glow) {
+        try { viewer.entities.remove(entityData.glow); } catch (e) {}
+      }
+    }
+    droneFormations.delete(formationId);
+    console.log('[CesiumBridge] Drone formation removed:', formationId);
+    sendToFlutter('droneFormationRemoved', { id: formationId });
   }
 }
 
 /**
- * 配置物を更新
- * @param {Object} placement - 配置物データ
+ * ドローンフォーメーションを更新
+ * @param {Object} config - 設定（addDroneFormationと同じ形式）
  */
-function updatePlacement(placement) {
-  const data = placementEntities.get(placement.id);
-  if (!data) return;
-
-  const position = Cesium.Cartesian3.fromDegrees(
-    placement.position.longitude,
-    placement.position.latitude,
-    placement.position.height || 0
-  );
-
-  const heading = Cesium.Math.toRadians(placement.rotation?.heading || 0);
-  const pitch = Cesium.Math.toRadians(placement.rotation?.pitch || 0);
-  const roll = Cesium.Math.toRadians(placement.rotation?.roll || 0);
-  const orientation = Cesium.Transforms.headingPitchRollQuaternion(
-    position,
-    new Cesium.HeadingPitchRoll(heading, pitch, roll)
-  );
+function updateDroneFormation(config) {
+  const previous = droneFormations.get(config.id);
 
-  data.entity.position = position;
-  data.entity.orientation = orientation;
-  data.entity.model.scale = placement.scale?.x || 1.0;
-  data.entity.show = placement.visible !== false;
-  data.placement = placement;
+  // 既存のフォーメーションを削除して再作成
+  removeDroneFormation(config.id);
+  addDroneFormation(config);
 
-  console.log('[CesiumBridge] Placement updated:', placement.id);
+  if (previous) {
+    recordDroneFormationTransform(config.id, previous.config, config);
+  }
 }
 
 /**
- * 配置モードを開始
- * @param {string} assetId - アセットID
- * @param {string} modelUrl - モデルURL
+ * ドローンフォーメーションのスタイルを更新
+ * @param {string} formationId - フォーメーションID
+ * @param {Object} options - オプション
+ * @param {number} options.pointSize - ポイントサイズ（1-10px）
+ * @param {number} options.glowIntensity - 輝度（発光の濃さ、0.2-2.0）
+ * @param {string} options.customColor - カスタム色
+ * @param {boolean} options.useIndividualColors - 個別色を使用
+ * @param {boolean} options.visible - 表示フラグ
  */
-function startPlacementMode(assetId, modelUrl) {
-  if (!viewer) return;
+function updateDroneFormationStyle(formationId, options) {
+  const data = droneFormations.get(formationId);
+  if (!data) return;
 
-  // 既存のプレビューを削除
-  if (previewEntity) {
-    viewer.entities.remove(previewEntity);
+  let customColor = null;
+  if (options.customColor) {
+    customColor = Cesium.Color.fromCssColorString(options.customColor);
   }
 
-  placementMode = 'place';
-  currentPlacementAssetId = assetId;
-
-  // プレビューエンティティを作成
-  previewEntity = viewer.entities.add({
-    id: 'preview_' + assetId,
-    position: Cesium.Cartesian3.ZERO,
-    model: {
-      uri: modelUrl,
-      scale: 1.0,
-      color: Cesium.Color.WHITE.withAlpha(0.7),
-      silhouetteColor: Cesium.Color.LIME,
-      silhouetteSize: 2,
-    },
-    show: false,
-  });
+  const config = data.config;
+  const useIndividualColors = options.useIndividualColors !== undefined 
+    ? options.useIndividualColors 
+    : config.useIndividualColors;
+  const glowIntensity = options.glowIntensity !== undefined
+    ? options.glowIntensity
+    : (data.glowIntensity || 1.0);
+  const pointSize = options.pointSize !== undefined
+    ? options.pointSize
+    : config.pointSize;
 
-  // マウス移動イベント
-  viewer.screenSpaceEventHandler.setInputAction((movement) => {
-    if (placementMode !== 'place') return;
+  for (let i = 0; i < data.entities.length; i++) {
+    const entityData = data.entities[i];
+    const drone = entityData.droneData || config.drones[i];
 
-    const position = getGroundPosition(movement.endPosition);
-    if (position) {
-      const snappedPosition = applyGridSnap(position);
-      previewEntity.position = snappedPosition;
-      previewEntity.show = true;
+    // 表示/非表示
+    if (options.visible !== undefined) {
+      if (entityData.main) entityData.main.show = options.visible;
+      if (entityData.glow) entityData.glow.show = options.visible;
     }
-  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
-
-  // クリックイベントで配置確定
-  viewer.screenSpaceEventHandler.setInputAction((click) => {
-    if (placementMode !== 'place') return;
 
-    const position = getGroundPosition(click.position);
-    if (position) {
-      const snappedPosition = applyGridSnap(position);
-      const cartographic = Cesium.Cartographic.fromCartesian(snappedPosition);
-
-      sendToFlutter('placementConfirmed', {
-        assetId: currentPlacementAssetId,
-        position: {
-          longitude: Cesium.Math.toDegrees(cartographic.longitude),
-          latitude: Cesium.Math.toDegrees(cartographic.latitude),
-          height: cartographic.height,
-        }
-      });
+    // 色を決定
+    let baseColor;
+    if (customColor) {
+      baseColor = customColor;
+    } else if (useIndividualColors && drone) {
+      baseColor = Cesium.Color.fromBytes(drone.r, drone.g, drone.b, drone.a || 255);
+    } else {
+      baseColor = Cesium.Color.WHITE;
     }
-  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
 
-  // 右クリックでキャンセル
-  viewer.screenSpaceEventHandler.setInputAction(() => {
-    cancelPlacementMode();
-    sendToFlutter('placementCancelled', {});
-  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+    // 輝度を適用（HSV色空間でValue調整、彩度も考慮して白飛びを防ぐ）
+    const glowColor = applyGlowIntensity(baseColor, glowIntensity);
 
-  console.log('[CesiumBridge] Placement mode started:', assetId);
-  sendToFlutter('placementModeStarted', { assetId: assetId });
-}
+    // メインポイント更新（サイズは変えない、色のみ調整）
+    if (entityData.main && entityData.main.point) {
+      entityData.main.point.pixelSize = pointSize;
+      entityData.main.point.color = glowColor;
+    }
+  }
 
-/**
- * 配置モードをキャンセル
- */
-function cancelPlacementMode() {
-  if (previewEntity) {
-    viewer.entities.remove(previewEntity);
-    previewEntity = null;
+  // 設定を更新
+  if (options.pointSize !== undefined) {
+    config.pointSize = options.pointSize;
+  }
+  if (options.glowIntensity !== undefined) {
+    data.glowIntensity = options.glowIntensity;
+  }
+  if (options.customColor !== undefined) {
+    config.customColor = options.customColor;
+  }
+  if (options.useIndividualColors !== undefined) {
+    config.useIndividualColors = options.useIndividualColors;
   }
-  placementMode = null;
-  currentPlacementAssetId = null;
 
-  // イベントハンドラを通常に戻す
-  resetPlacementEventHandlers();
-  console.log('[CesiumBridge] Placement mode cancelled');
+  console.log('[CesiumBridge] Drone formation style updated:', formationId);
 }
 
 /**
- * 配置イベントハンドラをリセット
+ * ドローンフォーメーションの表示/非表示を切り替え
+ * @param {string} formationId - フォーメーションID
+ * @param {boolean} visible - 表示フラグ
  */
-function resetPlacementEventHandlers() {
-  if (!viewer) return;
-
-  // クリックイベントを通常のmapClickedに戻す
-  viewer.screenSpaceEventHandler.setInputAction((click) => {
-    // 配置物のピック
-    const pickedObject = viewer.scene.pick(click.position);
-    if (Cesium.defined(pickedObject) && pickedObject.id) {
-      const entityId = pickedObject.id.id || pickedObject.id;
-      if (placementEntities.has(entityId)) {
-        selectPlacement(entityId);
-        return;
-      }
-    }
-
-    // 選択解除
-    deselectPlacement();
-
-    // 通常のマップクリック
-    const cartesian = viewer.camera.pickEllipsoid(click.position);
-    if (cartesian) {
-      const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
-      sendToFlutter('mapClicked', {
-        longitude: Cesium.Math.toDegrees(cartographic.longitude),
-        latitude: Cesium.Math.toDegrees(cartographic.latitude),
-        height: cartographic.height || 0
-      });
-    }
-  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+function setDroneFormationVisible(formationId, visible) {
+  const data = droneFormations.get(formationId);
+  if (!data) return;
 
-  // 移動イベントを削除
-  viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.MOUSE_MOVE);
-  viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+  for (const entityData of data.entities) {
+    if (entityData.main) entityData.main.show = visible;
+    if (entityData.glow) entityData.glow.show = visible;
+  }
+
+  console.log('[CesiumBridge] Drone formation visibility:', formationId, visible);
 }
 
 /**
- * 配置物を選択
- * @param {string} placementId - 配置物ID
+ * ドローンフォーメーションにズーム
+ * @param {string} formationId - フォーメーションID
  */
-function selectPlacement(placementId) {
-  // 既存の選択を解除
-  if (selectedPlacementId) {
-    const prevData = placementEntities.get(selectedPlacementId);
-    if (prevData && prevData.entity.model) {
-      prevData.entity.model.silhouetteColor = Cesium.Color.TRANSPARENT;
-      prevData.entity.model.silhouetteSize = 0;
-    }
-  }
+function zoomToDroneFormation(formationId) {
+  if (!viewer) return;
 
-  selectedPlacementId = placementId;
+  const data = droneFormations.get(formationId);
+  if (!data || data.entities.length === 0) return;
 
-  // 新しい選択をハイライト
-  const data = placementEntities.get(placementId);
-  if (data && data.entity.model) {
-    data.entity.model.silhouetteColor = Cesium.Color.YELLOW;
-    data.entity.model.silhouetteSize = 3;
-  }
+  // 全ドローンを含むバウンディングスフィアを計算
+  const positions = data.entities
+    .filter(e => e.main)
+    .map(e => e.main.position.getValue(Cesium.JulianDate.now()));
+  const boundingSphere = Cesium.BoundingSphere.fromPoints(positions);
 
-  sendToFlutter('placementSelected', { id: placementId });
+  viewer.camera.flyToBoundingSphere(boundingSphere, {
+    duration: 1.5,
+    offset: new Cesium.HeadingPitchRange(0, -0.5, boundingSphere.radius * 2)
+  });
 }
 
+// ============================================
+// 配置物のキーボード操作
+// ============================================
+
+// キーボードショートカット設定
+// テキスト入力中などFlutter側でキー入力を使う間はenabledをfalseにする
+const keyboardShortcutSettings = {
+  enabled: true,
+};
+let placementKeyboardHandler = null;
+
+// 矢印キー → 移動方向（グリッドの軸方向の単位量）
+const NUDGE_DIRECTIONS = {
+  ArrowRight: { x: 1, y: 0 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowUp: { x: 0, y: 1 },
+  ArrowDown: { x: 0, y: -1 },
+};
+
 /**
- * 配置物の選択を解除
+ * キーボードショートカット設定を更新
+ * @param {Object} settings - 設定 {enabled}
  */
-function deselectPlacement() {
-  if (selectedPlacementId) {
-    const data = placementEntities.get(selectedPlacementId);
-    if (data && data.entity.model) {
-      data.entity.model.silhouetteColor = Cesium.Color.TRANSPARENT;
-      data.entity.model.silhouetteSize = 0;
-    }
-    selectedPlacementId = null;
-    sendToFlutter('placementDeselected', {});
-  }
+function updateKeyboardShortcutSettings(settings) {
+  Object.assign(keyboardShortcutSettings, settings);
+  console.log('[CesiumBridge] Keyboard shortcut settings updated:', keyboardShortcutSettings);
 }
 
 /**
- * 配置物にズーム
- * @param {string} placementId - 配置物ID
+ * キーボードショートカットを処理できる状態か
+ * テキスト入力中・計測中は処理しない
+ * @param {KeyboardEvent} event - キーイベント
+ * @returns {boolean}
  */
-function zoomToPlacement(placementId) {
-  if (!viewer) return;
-
-  const data = placementEntities.get(placementId);
-  if (data) {
-    viewer.flyTo(data.entity, {
-      duration: 1.5,
-      offset: new Cesium.HeadingPitchRange(0, -0.5, 50)
-    });
-  }
+function canHandleShortcut(event) {
+  return keyboardShortcutSettings.enabled
+    && !isTextInputFocused(event.target)
+    && !measurementMode
+    && !editingMeasurementId;
 }
 
 /**
- * スナップ設定を更新
- * @param {Object} settings - 設定
+ * 配置物のキーボードハンドラを設定
+ * 
+ * 配置モード中: R / Shift+Rでプレビューを回転、Escでキャンセル
+ * 選択中: R / Shift+Rで回転、矢印キーでグリッド間隔の移動、PageUp / PageDownで高さ変更、
+ * Delete / Backspaceで削除、Ctrl+Dで複製、Escで選択解除（ドラッグ中はドラッグを取り消す）
+ * いずれもマウス操作と同じイベントをFlutterに通知する。
  */
-function updateSnapSettings(settings) {
-  Object.assign(snapSettings, settings);
-  console.log('[CesiumBridge] Snap settings updated:', snapSettings);
+function setupPlacementKeyboardHandler() {
+  if (placementKeyboardHandler) {
+    document.removeEventListener('keydown', placementKeyboardHandler);
+  }
+
+  placementKeyboardHandler = (event) => {
+    if (!canHandleShortcut(event)) return;
+    if (handlePlacementShortcut(event)) {
+      event.preventDefault();
+    }
+  };
+
+  document.addEventListener('keydown', placementKeyboardHandler);
 }
 
 /**
- * グリッドスナップを適用
- * @param {Cesium.Cartesian3} position - 元の位置
- * @returns {Cesium.Cartesian3} スナップ後の位置
+ * 配置物のキーボードショートカットを実行
+ * @param {KeyboardEvent} event - キーイベント
+ * @returns {boolean} 処理した場合true
  */
-function applyGridSnap(position) {
-  if (!snapSettings.gridEnabled) return position;
-
-  const cartographic = Cesium.Cartographic.fromCartesian(position);
-
-  // メートル単位でスナップ
-  const latRad = cartographic.latitude;
-  const metersPerDegreeLon = 111320 * Math.cos(latRad);
-  const metersPerDegreeLat = 110540;
+function handlePlacementShortcut(event) {
+  const key = event.key;
+  const modifier = event.ctrlKey || event.metaKey;
+  const isRotateKey = !modifier && key.toLowerCase() === 'r';
+  const angle = (event.shiftKey ? -1 : 1) * snapSettings.angleStep;
+
+  // 配置モード中
+  if (placementMode === 'place' || placementMode === 'bulk') {
+    if (key === 'Escape') {
+      cancelPlacementMode();
+      sendToFlutter('placementCancelled', {});
+      return true;
+    }
+    if (isRotateKey) {
+      rotatePlacementPreview(angle);
+      return true;
+    }
+    return false;
+  }
 
-  const gridSize = snapSettings.gridSize;
-  const lonStep = gridSize / metersPerDegreeLon;
-  const latStep = gridSize / metersPerDegreeLat;
+  // ギズモのドラッグ中はEscで取り消しのみ
+  if (placementGizmo && placementGizmo.drag) {
+    if (key === 'Escape') {
+      cancelGizmoDrag(placementGizmo);
+      return true;
+    }
+    return false;
+  }
 
-  const snappedLon = Math.round(cartographic.longitude / lonStep) * lonStep;
-  const snappedLat = Math.round(cartographic.latitude / latStep) * latStep;
+  if (selectedPlacementIds.size === 0) return false;
 
-  return Cesium.Cartesian3.fromRadians(
-    snappedLon,
-    snappedLat,
-    cartographic.height
-  );
+  if (key === 'Escape') {
+    deselectPlacement();
+  } else if (isRotateKey) {
+    rotateSelectedPlacements({ angle: angle });
+  } else if (!modifier && NUDGE_DIRECTIONS[key]) {
+    nudgeSelectedPlacements(NUDGE_DIRECTIONS[key]);
+  } else if (!modifier && (key === 'PageUp' || key === 'PageDown')) {
+    moveSelectedPlacements({ up: (key === 'PageUp' ? 1 : -1) * snapSettings.gridSize });
+  } else if (!modifier && (key === 'Delete' || key === 'Backspace')) {
+    deleteSelectedPlacements();
+  } else if (modifier && key.toLowerCase() === 'd') {
+    requestDuplicateSelectedPlacements();
+  } else {
+    return false;
+  }
+  return true;
 }
 
 /**
- * 角度スナップを適用
- * @param {number} angle - 元の角度（度）
- * @returns {number} スナップ後の角度
+ * 選択中の配置物をグリッドの軸方向にグリッド間隔だけ移動
+ * 回転グリッドが設定されている場合はその軸に沿って移動する
+ * @param {Object} direction - {x, y}（グリッドのX軸・Y軸方向の単位量）
  */
-function applyAngleSnap(angle) {
-  if (!snapSettings.angleEnabled) return angle;
-  const step = snapSettings.angleStep;
-  return Math.round(angle / step) * step;
+function nudgeSelectedPlacements(direction) {
+  const heading = Cesium.Math.toRadians(
+    snapSettings.localGrid && snapSettings.localGrid.origin ? snapSettings.localGrid.heading || 0 : 0
+  );
+  const x = direction.x * snapSettings.gridSize;
+  const y = direction.y * snapSettings.gridSize;
+  moveSelectedPlacements({
+    east: x * Math.cos(heading) + y * Math.sin(heading),
+    north: -x * Math.sin(heading) + y * Math.cos(heading),
+  });
 }
 
-// ============================================
-// ドローンフォーメーション管理機能
-// ============================================
-
 /**
- * 輝度を適用した色を計算（ソリッドカラー）
- * シンプルな明るさ調整、アルファは常に1.0
- * @param {Cesium.Color} baseColor - 元の色
- * @param {number} intensity - 輝度（0.2-2.0、1.0が基準）
- * @returns {Cesium.Color} 輝度適用後の色
+ * 配置プレビューの向きを回転
+ * 一括配置中は配置物のヘディングの補正を変更する
+ * @param {number} angle - 回転角（度、時計回り）
  */
-function applyGlowIntensity(baseColor, intensity) {
-  let r = baseColor.red;
-  let g = baseColor.green;
-  let b = baseColor.blue;
-  
-  if (intensity < 1.0) {
-    // 暗くする（RGB全体を乗算）
-    r *= intensity;
-    g *= intensity;
-    b *= intensity;
-  } else if (intensity > 1.0) {
-    // 明るくする（RGBに加算、元の色の比率を保持）
-    const boost = (intensity - 1.0) * 0.5; // 控えめに加算
-    r = Math.min(r + boost * (1 - r), 1.0);
-    g = Math.min(g + boost * (1 - g), 1.0);
-    b = Math.min(b + boost * (1 - b), 1.0);
+function rotatePlacementPreview(angle) {
+  if (placementMode === 'bulk') {
+    bulkPlacementSettings.headingOffset = (((bulkPlacementSettings.headingOffset || 0) + angle) % 360 + 360) % 360;
+    updateBulkPlacementPreview();
+    return;
+  }
+
+  placementPreviewHeading = ((placementPreviewHeading + angle) % 360 + 360) % 360;
+  updatePreviewOrientation();
+  if (previewEntity && previewEntity.show) {
+    updatePreviewZones(previewEntity.position.getValue(Cesium.JulianDate.now()));
   }
-  
-  // アルファは常に1.0（完全不透明）でソリッドに
-  return new Cesium.Color(r, g, b, 1.0);
 }
 
 /**
- * HSVからCesium.Colorに変換
- * @param {number} h - Hue (0-360)
- * @param {number} s - Saturation (0-1)
- * @param {number} v - Value (0-1)
- * @param {number} a - Alpha (0-1)
- * @returns {Cesium.Color}
+ * 配置プレビューに現在の向きを反映
  */
-function hsvToColor(h, s, v, a) {
-  const c = v * s;
-  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-  const m = v - c;
-  
-  let r, g, b;
-  if (h < 60) {
-    [r, g, b] = [c, x, 0];
-  } else if (h < 120) {
-    [r, g, b] = [x, c, 0];
-  } else if (h < 180) {
-    [r, g, b] = [0, c, x];
-  } else if (h < 240) {
-    [r, g, b] = [0, x, c];
-  } else if (h < 300) {
-    [r, g, b] = [x, 0, c];
-  } else {
-    [r, g, b] = [c, 0, x];
-  }
-  
-  return new Cesium.Color(r + m, g + m, b + m, a);
+function updatePreviewOrientation() {
+  if (!previewEntity || !previewEntity.position) return;
+
+  const position = previewEntity.position.getValue(Cesium.JulianDate.now());
+  if (!position || Cesium.Cartesian3.equals(position, Cesium.Cartesian3.ZERO)) return;
+
+  previewEntity.orientation = Cesium.Transforms.headingPitchRollQuaternion(
+    position,
+    new Cesium.HeadingPitchRoll(Cesium.Math.toRadians(placementPreviewHeading), 0, 0)
+  );
 }
 
 /**
- * ドローンフォーメーションを追加（光る球として描画）
- * @param {Object} config - 設定
- * @param {string} config.id - フォーメーションID
- * @param {string} config.name - フォーメーション名
- * @param {Array} config.drones - ドローンデータ配列 [{id, x, y, r, g, b, a}, ...]
- * @param {Object} config.basePosition - 基準位置 {longitude, latitude}
- * @param {number} config.altitude - 高度（メートル）
- * @param {number} config.heading - 方位角（度、水平回転）
- * @param {number} config.tilt - チルト（度、垂直回転、-90〜90）
- * @param {number} config.scale - スケール
- * @param {number} config.pointSize - ポイントサイズ（ピクセル）
- * @param {number} config.glowIntensity - 輝度（発光の濃さ、0.2-2.0）
- * @param {string} config.customColor - カスタム色（HEX、nullの場合は個別色）
- * @param {boolean} config.useIndividualColors - 個別色を使用するか
+ * ギズモのドラッグを取り消し、配置物を元の位置に戻す
+ * @param {Object} gizmo - ギズモ
  */
-function addDroneFormation(config) {
-  if (!viewer) return;
+function cancelGizmoDrag(gizmo) {
+  const members = gizmo.drag.members;
+  gizmo.drag = null;
+
+  // ドラッグ終了後に戻すことで、フットプリント・離隔範囲も定数の形状に戻る
+  members.forEach(member => {
+    const data = placementEntities.get(member.id);
+    if (data) applyPlacementPose(data.entity, data.placement);
+  });
 
-  console.log('[CesiumBridge] Adding drone formation:', config.id, 'drones:', config.drones.length);
+  placementMode = null;
+  setCameraDragEnabled(true);
+  clearAlignmentGuides();
+  checkPlacementCollisions();
+  showPlacementGizmo();
+  console.log('[CesiumBridge] Gizmo drag cancelled');
+}
 
-  const basePosition = config.basePosition;
-  const altitude = config.altitude || 50;
-  const heading = Cesium.Math.toRadians(config.heading || 0);
-  const tilt = Cesium.Math.toRadians(config.tilt || 0); // 垂直回転
-  const scale = config.scale || 1.0;
-  const pointSize = config.pointSize || 5;
-  const glowIntensity = config.glowIntensity || 1.0;
-  const useIndividualColors = config.useIndividualColors !== false;
+/**
+ * 選択中の配置物の複製をFlutterに要求
+ * 配置物のIDはFlutter側で採番するため、複製の作成はFlutterが行う。
+ * 追加された複製はひとつの操作として履歴に積む。
+ */
+function requestDuplicateSelectedPlacements() {
+  const members = getSelectedPlacementData(true);
+  if (members.length === 0) return;
+
+  // 複製全体をひとつの操作として履歴に積む
+  const counts = new Map();
+  members.forEach(data => {
+    counts.set(data.placement.assetId, (counts.get(data.placement.assetId) || 0) + 1);
+  });
+  expectConfirmedPlacementGroup(counts);
 
-  // カスタム色をパース
-  let customColor = null;
-  if (config.customColor) {
-    customColor = Cesium.Color.fromCssColorString(config.customColor);
-  }
+  const ids = members.map(data => data.placement.id);
+  console.log('[CesiumBridge] Placement duplicate requested:', ids.length);
+  sendToFlutter('placementDuplicateRequested', { ids: ids });
+}
 
-  // エンティティコレクションを作成
-  const entities = [];
-  const cosHeading = Math.cos(heading);
-  const sinHeading = Math.sin(heading);
-  const cosTilt = Math.cos(tilt);
-  const sinTilt = Math.sin(tilt);
+// ============================================
+// 操作履歴（元に戻す・やり直し）
+// ============================================
 
-  // 緯度経度の1メートルあたりの度数を計算
-  const baseLatRad = Cesium.Math.toRadians(basePosition.latitude);
-  const metersPerDegreeLon = 111320 * Math.cos(baseLatRad);
-  const metersPerDegreeLat = 110540;
+// 履歴のスタック（{label, measurementId, undo, redo}）
+const historyUndoStack = [];
+const historyRedoStack = [];
+let historyReplaying = false; // 元に戻す・やり直しの実行中（この間の変更は履歴に積まない）
+let historyKeyboardHandler = null;
+let pendingPlacementHistory = []; // 配置確定後にFlutterから追加される配置物の待ち受け [{remaining: Map<アセットID, 数>, ids}]
 
-  for (const drone of config.drones) {
-    // 相対座標をスケール適用
-    let x = drone.x * scale;
-    let y = drone.y * scale;
-    let z = 0; // 初期z座標は0
+// 履歴の最大件数
+const HISTORY_LIMIT = 100;
 
-    // チルト（垂直回転）を適用（Y軸周り）
-    const tiltedY = y * cosTilt - z * sinTilt;
-    const tiltedZ = y * sinTilt + z * cosTilt;
-    y = tiltedY;
-    z = tiltedZ;
+// 同じmergeKeyの操作を1件にまとめる間隔（ミリ秒、スライダー操作の連続更新など）
+const HISTORY_MERGE_INTERVAL = 1000;
 
-    // 方位角（水平回転）を適用
-    const rotatedX = x * cosHeading - y * sinHeading;
-    const rotatedY = x * sinHeading + y * cosHeading;
+// 履歴に積むドローンフォーメーションの変形の項目
+const DRONE_FORMATION_TRANSFORM_KEYS = ['basePosition', 'altitude', 'heading', 'tilt', 'scale'];
 
-    // 経度・緯度・高度に変換
-    const lon = basePosition.longitude + (rotatedX / metersPerDegreeLon);
-    const lat = basePosition.latitude + (rotatedY / metersPerDegreeLat);
-    const droneAltitude = altitude + z;
+/**
+ * 操作を履歴に積み、やり直しの履歴を破棄する
+ * 元に戻す・やり直しの実行中は積まない
+ * 直前の操作と mergeKey が同じで間隔が短い場合は、直前の操作の redo を差し替えて1件にまとめる
+ * @param {Object} command - {label, undo, redo, measurementId, mergeKey}
+ */
+function pushHistory(command) {
+  if (historyReplaying) return;
+
+  const now = Date.now();
+  const top = historyUndoStack[historyUndoStack.length - 1];
+  if (command.mergeKey && top && top.mergeKey === command.mergeKey &&
+      historyRedoStack.length === 0 && now - top.time <= HISTORY_MERGE_INTERVAL) {
+    top.redo = command.redo;
+    top.time = now;
+    return;
+  }
 
-    // 色を決定
-    let baseColor;
-    if (useIndividualColors && !customColor) {
-      baseColor = Cesium.Color.fromBytes(drone.r, drone.g, drone.b, drone.a || 255);
-    } else if (customColor) {
-      baseColor = customColor;
-    } else {
-      baseColor = Cesium.Color.WHITE;
-    }
+  command.time = now;
+  historyUndoStack.push(command);
+  if (historyUndoStack.length > HISTORY_LIMIT) {
+    historyUndoStack.shift();
+  }
+  historyRedoStack.length = 0;
+  notifyHistoryChanged();
+}
+
+/**
+ * 直前の操作を元に戻す
+ * @returns {boolean} 元に戻した場合true
+ */
+function undo() {
+  const command = historyUndoStack.pop();
+  if (!command) {
+    console.log('[CesiumBridge] Nothing to undo');
+    return false;
+  }
 
-    // 輝度を適用（HSV色空間でValue調整、彩度も考慮して白飛びを防ぐ）
-    const glowColor = applyGlowIntensity(baseColor, glowIntensity);
+  replayHistory(command.undo);
+  historyRedoStack.push(command);
+  notifyHistoryChanged();
+  console.log('[CesiumBridge] Undone:', command.label);
+  return true;
+}
 
-    const entity = viewer.entities.add({
-      id: `${config.id}_drone_${drone.id}`,
-      position: Cesium.Cartesian3.fromDegrees(lon, lat, droneAltitude),
-      point: {
-        pixelSize: pointSize,
-        color: glowColor,
-        outlineColor: Cesium.Color.TRANSPARENT,
-        outlineWidth: 0,
-        disableDepthTestDistance: Number.POSITIVE_INFINITY,
-        scaleByDistance: new Cesium.NearFarScalar(50, 1.2, 2000, 0.3),
-      },
-    });
+/**
+ * 元に戻した操作をやり直す
+ * @returns {boolean} やり直した場合true
+ */
+function redo() {
+  const command = historyRedoStack.pop();
+  if (!command) {
+    console.log('[CesiumBridge] Nothing to redo');
+    return false;
+  }
 
-    entities.push({ main: entity, glow: null, droneData: drone, originalPos: { x: drone.x, y: drone.y } });
+  replayHistory(command.redo);
+  historyUndoStack.push(command);
+  notifyHistoryChanged();
+  console.log('[CesiumBridge] Redone:', command.label);
+  return true;
+}
+
+/**
+ * 履歴の操作を履歴に積まずに実行
+ * @param {Function} action - 実行する処理
+ */
+function replayHistory(action) {
+  historyReplaying = true;
+  try {
+    action();
+  } catch (error) {
+    console.error('[CesiumBridge] Error replaying history:', error);
+  } finally {
+    historyReplaying = false;
   }
+}
 
-  // フォーメーション情報を保存
-  droneFormations.set(config.id, {
-    config: config,
-    entities: entities,
-    glowIntensity: glowIntensity,
-    tilt: config.tilt || 0,
-  });
+/**
+ * 操作履歴を消去（プロジェクトの読み込み時など）
+ */
+function clearHistory() {
+  historyUndoStack.length = 0;
+  historyRedoStack.length = 0;
+  pendingPlacementHistory = [];
+  notifyHistoryChanged();
+}
 
-  console.log('[CesiumBridge] Drone formation added:', config.id, 'entities:', entities.length);
-  sendToFlutter('droneFormationAdded', { 
-    id: config.id, 
-    droneCount: entities.length 
+/**
+ * 操作履歴の状態をFlutterに通知
+ */
+function notifyHistoryChanged() {
+  const undoCommand = historyUndoStack[historyUndoStack.length - 1];
+  const redoCommand = historyRedoStack[historyRedoStack.length - 1];
+  sendToFlutter('historyChanged', {
+    canUndo: !!undoCommand,
+    canRedo: !!redoCommand,
+    undoLabel: undoCommand ? undoCommand.label : null,
+    redoLabel: redoCommand ? redoCommand.label : null,
   });
 }
 
 /**
- * ドローンフォーメーションを削除
- * @param {string} formationId - フォーメーションID
+ * 元に戻す・やり直しのキーボードハンドラを設定
+ * Ctrl+Z（Macは⌘+Z）で元に戻す、Ctrl+YまたはCtrl+Shift+Zでやり直す
+ * テキスト入力中は処理しない
  */
-function removeDroneFormation(formationId) {
-  if (!viewer) return;
+function setupHistoryKeyboardHandler() {
+  if (historyKeyboardHandler) {
+    document.removeEventListener('keydown', historyKeyboardHandler);
+  }
 
-  const data = droneFormations.get(formationId);
-  if (data) {
-    // 全エンティティを削除
-    for (const entityData of data.entities) {
-      if (entityData.main) {
-        try { viewer.entities.remove(entityData.main); } catch (e) {}
-      }
-      if (entityData.glow) {
-        try { viewer.entities.remove(entityData.glow); } catch (e) {}
-      }
+  historyKeyboardHandler = (event) => {
+    if (!(event.ctrlKey || event.metaKey) || !keyboardShortcutSettings.enabled
+        || isTextInputFocused(event.target)) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      redo();
     }
-    droneFormations.delete(formationId);
-    console.log('[CesiumBridge] Drone formation removed:', formationId);
-    sendToFlutter('droneFormationRemoved', { id: formationId });
-  }
+  };
+
+  document.addEventListener('keydown', historyKeyboardHandler);
 }
 
 /**
- * ドローンフォーメーションを更新
- * @param {Object} config - 設定（addDroneFormationと同じ形式）
+ * キー入力の対象がテキスト入力欄か
+ * @param {EventTarget} target - キーイベントの対象
+ * @returns {boolean}
  */
-function updateDroneFormation(config) {
-  // 既存のフォーメーションを削除して再作成
-  removeDroneFormation(config.id);
-  addDroneFormation(config);
+function isTextInputFocused(target) {
+  if (!target) return false;
+  const tagName = (target.tagName || '').toLowerCase();
+  return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || !!target.isContentEditable;
 }
 
 /**
- * ドローンフォーメーションのスタイルを更新
- * @param {string} formationId - フォーメーションID
- * @param {Object} options - オプション
- * @param {number} options.pointSize - ポイントサイズ（1-10px）
- * @param {number} options.glowIntensity - 輝度（発光の濃さ、0.2-2.0）
- * @param {string} options.customColor - カスタム色
- * @param {boolean} options.useIndividualColors - 個別色を使用
- * @param {boolean} options.visible - 表示フラグ
+ * 配置物の現在の状態を記録
+ * @param {Array<string>} ids - 配置物ID
+ * @returns {Map<string, Object|null>} 配置物ID → {placement, modelUrl}（存在しない場合null）
  */
-function updateDroneFormationStyle(formationId, options) {
-  const data = droneFormations.get(formationId);
-  if (!data) return;
+function capturePlacementSnapshot(ids) {
+  const snapshot = new Map();
+  ids.forEach(id => {
+    const data = placementEntities.get(id);
+    snapshot.set(id, data
+      ? { placement: JSON.parse(JSON.stringify(data.placement)), modelUrl: data.modelUrl }
+      : null);
+  });
+  return snapshot;
+}
 
-  let customColor = null;
-  if (options.customColor) {
-    customColor = Cesium.Color.fromCssColorString(options.customColor);
-  }
+/**
+ * 配置物の変更を履歴に積む
+ * 変更後の状態は呼び出し時点の状態を記録する。変化がない場合は積まない
+ * @param {string} label - 操作名
+ * @param {Map<string, Object|null>} before - 変更前の状態（capturePlacementSnapshotの結果）
+ * @param {string} [mergeKey] - 連続した変更を1件にまとめるキー
+ */
+function pushPlacementHistory(label, before, mergeKey) {
+  if (historyReplaying || before.size === 0) return;
 
-  const config = data.config;
-  const useIndividualColors = options.useIndividualColors !== undefined 
-    ? options.useIndividualColors 
-    : config.useIndividualColors;
-  const glowIntensity = options.glowIntensity !== undefined
-    ? options.glowIntensity
-    : (data.glowIntensity || 1.0);
-  const pointSize = options.pointSize !== undefined
-    ? options.pointSize
-    : config.pointSize;
+  const after = capturePlacementSnapshot(Array.from(before.keys()));
+  const unchanged = Array.from(before.keys()).every(id =>
+    JSON.stringify(before.get(id)) === JSON.stringify(after.get(id))
+  );
+  if (unchanged) return;
 
-  for (let i = 0; i < data.entities.length; i++) {
-    const entityData = data.entities[i];
-    const drone = entityData.droneData || config.drones[i];
+  pushHistory({
+    label: label,
+    mergeKey: mergeKey,
+    undo: () => restorePlacementSnapshot(before),
+    redo: () => restorePlacementSnapshot(after),
+  });
+}
 
-    // 表示/非表示
-    if (options.visible !== undefined) {
-      if (entityData.main) entityData.main.show = options.visible;
-      if (entityData.glow) entityData.glow.show = options.visible;
+/**
+ * 配置物を記録した状態に戻し、Flutterに通知
+ * 
+ * 記録時に存在しなかった配置物は削除し（placementsDeleted）、
+ * それ以外は追加または更新する（placementsRestored）。
+ * 
+ * @param {Map<string, Object|null>} snapshot - capturePlacementSnapshotの結果
+ */
+function restorePlacementSnapshot(snapshot) {
+  const deletedIds = [];
+  const restored = [];
+
+  snapshot.forEach((state, id) => {
+    if (!state) {
+      if (placementEntities.has(id)) {
+        removePlacementEntity(id);
+        deletedIds.push(id);
+      }
+      return;
     }
 
-    // 色を決定
-    let baseColor;
-    if (customColor) {
-      baseColor = customColor;
-    } else if (useIndividualColors && drone) {
-      baseColor = Cesium.Color.fromBytes(drone.r, drone.g, drone.b, drone.a || 255);
+    const placement = JSON.parse(JSON.stringify(state.placement));
+    if (placementEntities.has(id)) {
+      applyPlacementUpdate(placement);
     } else {
-      baseColor = Cesium.Color.WHITE;
-    }
-
-    // 輝度を適用（HSV色空間でValue調整、彩度も考慮して白飛びを防ぐ）
-    const glowColor = applyGlowIntensity(baseColor, glowIntensity);
-
-    // メインポイント更新（サイズは変えない、色のみ調整）
-    if (entityData.main && entityData.main.point) {
-      entityData.main.point.pixelSize = pointSize;
-      entityData.main.point.color = glowColor;
+      addPlacement(placement, state.modelUrl);
     }
-  }
+    restored.push(placement);
+  });
 
-  // 設定を更新
-  if (options.pointSize !== undefined) {
-    config.pointSize = options.pointSize;
+  if (deletedIds.length > 0) {
+    sendToFlutter('placementsDeleted', { ids: deletedIds });
   }
-  if (options.glowIntensity !== undefined) {
-    data.glowIntensity = options.glowIntensity;
+  if (restored.length > 0) {
+    sendToFlutter('placementsRestored', { placements: restored });
   }
-  if (options.customColor !== undefined) {
-    config.customColor = options.customColor;
+}
+
+/**
+ * 配置確定の通知後にFlutterから追加される配置物を待ち受ける
+ * 追加がそろった時点でひとつの操作として履歴に積む
+ * @param {string} assetId - アセットID
+ * @param {number} count - 追加される配置物の数
+ */
+function expectConfirmedPlacements(assetId, count) {
+  expectConfirmedPlacementGroup(new Map([[assetId, count]]));
+}
+
+/**
+ * 複数アセットの配置物の追加をまとめて待ち受ける（選択中の配置物の複製など）
+ * すべての追加がそろった時点でひとつの操作として履歴に積む
+ * @param {Map<string, number>} counts - アセットID → 追加される配置物の数
+ */
+function expectConfirmedPlacementGroup(counts) {
+  const remaining = new Map(Array.from(counts).filter(([, count]) => count > 0));
+  if (remaining.size === 0) return;
+  pendingPlacementHistory.push({ remaining: remaining, ids: [] });
+}
+
+/**
+ * 待ち受け中の配置物の残り数を減らし、すべてそろった場合は履歴に積む
+ * @param {Object} pending - 待ち受け {remaining, ids}
+ * @param {string} assetId - アセットID
+ * @param {number} count - 減らす数
+ */
+function settleConfirmedPlacements(pending, assetId, count) {
+  const left = pending.remaining.get(assetId) - count;
+  if (left > 0) {
+    pending.remaining.set(assetId, left);
+  } else {
+    pending.remaining.delete(assetId);
   }
-  if (options.useIndividualColors !== undefined) {
-    config.useIndividualColors = options.useIndividualColors;
+  if (pending.remaining.size > 0) return;
+
+  pendingPlacementHistory = pendingPlacementHistory.filter(entry => entry !== pending);
+  if (pending.ids.length > 0) {
+    pushPlacementHistory('add', new Map(pending.ids.map(id => [id, null])));
   }
+}
 
-  console.log('[CesiumBridge] Drone formation style updated:', formationId);
+/**
+ * Flutterが追加しなかった配置確定の待ち受けを取り消す
+ * 取り消し後にそろった配置物があれば、その分だけを履歴に積む
+ * @param {Object} params - {assetId, count}
+ */
+function cancelConfirmedPlacements(params) {
+  const pending = pendingPlacementHistory.find(entry => entry.remaining.has(params.assetId));
+  if (!pending) return;
+
+  settleConfirmedPlacements(pending, params.assetId, params.count || pending.remaining.get(params.assetId));
+  console.log('[CesiumBridge] Confirmed placements cancelled:', params.assetId);
 }
 
 /**
- * ドローンフォーメーションの表示/非表示を切り替え
- * @param {string} formationId - フォーメーションID
- * @param {boolean} visible - 表示フラグ
+ * 追加された配置物が配置確定によるものであれば履歴に記録
+ * （プロジェクトの読み込みなどによる追加は記録しない）
+ * @param {Object} placement - 配置物データ
  */
-function setDroneFormationVisible(formationId, visible) {
-  const data = droneFormations.get(formationId);
-  if (!data) return;
+function recordConfirmedPlacement(placement) {
+  if (historyReplaying) return;
 
-  for (const entityData of data.entities) {
-    if (entityData.main) entityData.main.show = visible;
-    if (entityData.glow) entityData.glow.show = visible;
-  }
+  const pending = pendingPlacementHistory.find(entry => entry.remaining.has(placement.assetId));
+  if (!pending) return;
 
-  console.log('[CesiumBridge] Drone formation visibility:', formationId, visible);
+  pending.ids.push(placement.id);
+  settleConfirmedPlacements(pending, placement.assetId, 1);
 }
 
 /**
- * ドローンフォーメーションにズーム
+ * ドローンフォーメーションの変形（位置・高度・方位・チルト・スケール）の変更を履歴に積む
  * @param {string} formationId - フォーメーションID
+ * @param {Object} before - 変更前の設定
+ * @param {Object} after - 変更後の設定
  */
-function zoomToDroneFormation(formationId) {
-  if (!viewer) return;
+function recordDroneFormationTransform(formationId, before, after) {
+  const pick = (config) => {
+    const transform = {};
+    DRONE_FORMATION_TRANSFORM_KEYS.forEach(key => {
+      transform[key] = config[key] && typeof config[key] === 'object' ? { ...config[key] } : config[key];
+    });
+    return transform;
+  };
+  const beforeTransform = pick(before);
+  const afterTransform = pick(after);
+  if (JSON.stringify(beforeTransform) === JSON.stringify(afterTransform)) return;
+
+  pushHistory({
+    label: 'droneFormation',
+    undo: () => restoreDroneFormationTransform(formationId, beforeTransform),
+    redo: () => restoreDroneFormationTransform(formationId, afterTransform),
+  });
+}
 
+/**
+ * ドローンフォーメーションの変形を記録した状態に戻し、Flutterに通知
+ * 色などの変形以外の設定は現在のものを維持する
+ * @param {string} formationId - フォーメーションID
+ * @param {Object} transform - {basePosition, altitude, heading, tilt, scale}
+ */
+function restoreDroneFormationTransform(formationId, transform) {
   const data = droneFormations.get(formationId);
-  if (!data || data.entities.length === 0) return;
+  if (!data) return;
 
-  // 全ドローンを含むバウンディングスフィアを計算
-  const positions = data.entities
-    .filter(e => e.main)
-    .map(e => e.main.position.getValue(Cesium.JulianDate.now()));
-  const boundingSphere = Cesium.BoundingSphere.fromPoints(positions);
+  updateDroneFormation({ ...data.config, ...transform });
+  sendToFlutter('droneFormationRestored', { id: formationId, ...transform });
+}
 
-  viewer.camera.flyToBoundingSphere(boundingSphere, {
-    duration: 1.5,
-    offset: new Cesium.HeadingPitchRange(0, -0.5, boundingSphere.radius * 2)
-  });
+/**
+ * Tilesetの位置調整を記録した状態に戻し、Flutterに通知
+ * @param {Object} adjustment - adjustTilesetPositionのパラメータ
+ */
+function restoreTilesetAdjustment(adjustment) {
+  if (!tilesets.has(adjustment.id)) return;
+
+  adjustTilesetPosition(adjustment);
+  sendToFlutter('tilesetPositionRestored', { ...adjustment });
 }
 
 // ============================================
@@ -2573,11 +10040,23 @@ function handleFlutterMessage(method, params) {
       flyToTileset(params.id);
       break;
     case 'setGoogleTilesetClipping':
-      setGoogleTilesetClipping(params.tilesetId);
+      setGoogleTilesetClipping(params.tilesetId, params.mode, params.buffer);
       break;
     case 'removeGoogleTilesetClipping':
       removeGoogleTilesetClipping(params.tilesetId);
       break;
+    case 'updateGoogleTilesetMaskSettings':
+      updateGoogleTilesetMaskSettings(params);
+      break;
+    case 'addGoogleTilesetMask':
+      addGoogleTilesetMask(params);
+      break;
+    case 'removeGoogleTilesetMask':
+      removeGoogleTilesetMask(params.id);
+      break;
+    case 'clearGoogleTilesetMasks':
+      clearGoogleTilesetMasks();
+      break;
     case 'adjustTilesetPosition':
       adjustTilesetPosition(params);
       break;
@@ -2587,6 +10066,30 @@ function handleFlutterMessage(method, params) {
     case 'setPointCloudStyle':
       setPointCloudStyle(params);
       break;
+    case 'setPointCloudShading':
+      setPointCloudShading(params);
+      break;
+    case 'getPointCloudShading':
+      getPointCloudShading(params.id);
+      break;
+    case 'updateControlPointSettings':
+      updateControlPointSettings(params);
+      break;
+    case 'startControlPointAlignment':
+      startControlPointAlignment(params);
+      break;
+    case 'setControlPointTarget':
+      setControlPointTarget(params);
+      break;
+    case 'removeControlPointPair':
+      removeControlPointPair(params.index);
+      break;
+    case 'applyControlPointAlignment':
+      applyControlPointAlignment();
+      break;
+    case 'cancelControlPointAlignment':
+      cancelControlPointAlignment();
+      break;
     
     // 計測関連
     case 'startMeasurementMode':
@@ -2607,21 +10110,78 @@ function handleFlutterMessage(method, params) {
     case 'clearAllMeasurements':
       clearAllMeasurements();
       break;
+    case 'setMeasurementUnits':
+      setMeasurementUnits(params);
+      break;
+    case 'exportMeasurements':
+      exportMeasurements(params);
+      break;
+    case 'importMeasurements':
+      importMeasurements(params);
+      break;
     case 'updateMeasurementStyle':
       updateMeasurementStyle(params);
       break;
     case 'updateMeasurementDisplay':
       updateMeasurementDisplay(params);
       break;
+    case 'setMeasurementPoints':
+      restoreMeasurementPoints(params.measurementId, params.points, 'measurementPointsRestored');
+      break;
     case 'startMeasurementEditMode':
       startMeasurementEditMode(params.measurementId);
       break;
     case 'endMeasurementEditMode':
       endMeasurementEditMode();
       break;
+    case 'undoMeasurementEdit':
+      undoMeasurementEdit();
+      break;
+    case 'undo':
+      undo();
+      break;
+    case 'redo':
+      redo();
+      break;
+    case 'clearHistory':
+      clearHistory();
+      break;
+    case 'updateKeyboardShortcutSettings':
+      updateKeyboardShortcutSettings(params);
+      break;
     case 'resetCameraControls':
       resetCameraControls();
       break;
+    case 'updateMeasurementSnapSettings':
+      updateMeasurementSnapSettings(params);
+      break;
+    case 'updateProfileSettings':
+      updateProfileSettings(params);
+      break;
+    case 'updateVolumeSettings':
+      updateVolumeSettings(params);
+      break;
+    case 'requestElevationProfile':
+      requestElevationProfile(params);
+      break;
+    case 'updateLineOfSightSettings':
+      updateLineOfSightSettings(params);
+      break;
+    case 'startLineOfSightMode':
+      startLineOfSightMode(params);
+      break;
+    case 'analyzeLineOfSight':
+      analyzeLineOfSight(params).catch(error => {
+        console.error('[CesiumBridge] Error analyzing line of sight:', error);
+        sendToFlutter('measurementError', { error: error.message });
+      });
+      break;
+    case 'removeLineOfSight':
+      removeLineOfSight(params.id);
+      break;
+    case 'clearLineOfSights':
+      clearLineOfSights();
+      break;
     
     // 配置物関連
     case 'addPlacement':
@@ -2648,9 +10208,81 @@ function handleFlutterMessage(method, params) {
     case 'zoomToPlacement':
       zoomToPlacement(params.placementId);
       break;
+    case 'togglePlacementSelection':
+      togglePlacementSelection(params.placementId);
+      break;
+    case 'selectPlacements':
+      selectPlacements(params);
+      break;
+    case 'moveSelectedPlacements':
+      moveSelectedPlacements(params);
+      break;
+    case 'rotateSelectedPlacements':
+      rotateSelectedPlacements(params);
+      break;
+    case 'deleteSelectedPlacements':
+      deleteSelectedPlacements();
+      break;
+    case 'setSelectedPlacementsVisible':
+      setSelectedPlacementsVisible(params);
+      break;
+    case 'setSelectedPlacementsLocked':
+      setSelectedPlacementsLocked(params);
+      break;
+    case 'updateCollisionSettings':
+      updateCollisionSettings(params);
+      break;
+    case 'setMeasurementKeepOut':
+      setMeasurementKeepOut(params);
+      break;
+    case 'requestPlacementCollisions':
+      requestPlacementCollisions();
+      break;
+    case 'updateClearanceSettings':
+      updateClearanceSettings(params);
+      break;
+    case 'requestClearanceConflicts':
+      requestClearanceConflicts();
+      break;
+    case 'cancelConfirmedPlacements':
+      cancelConfirmedPlacements(params);
+      break;
+    case 'updateGizmoSettings':
+      updateGizmoSettings(params);
+      break;
     case 'updateSnapSettings':
       updateSnapSettings(params);
       break;
+    case 'updatePlacementHeightSettings':
+      updatePlacementHeightSettings(params);
+      break;
+    case 'setPlacementHeightMode':
+      setPlacementHeightMode(params);
+      break;
+    case 'updatePlacementDisplaySettings':
+      updatePlacementDisplaySettings(params);
+      break;
+    case 'scalePlacementToDimensions':
+      scalePlacementToDimensions(params);
+      break;
+    case 'updateBulkPlacementSettings':
+      updateBulkPlacementSettings(params);
+      break;
+    case 'startBulkPlacementMode':
+      startBulkPlacementMode(params);
+      break;
+    case 'finishBulkPlacement':
+      finishBulkPlacement();
+      break;
+    case 'cancelBulkPlacementMode':
+      cancelBulkPlacementMode();
+      break;
+    case 'setLocalGrid':
+      updateSnapSettings({ localGrid: params && params.origin ? params : null });
+      break;
+    case 'setAssetDimensions':
+      setAssetDimensions(params.assets);
+      break;
     
     // ドローンフォーメーション関連
     case 'addDroneFormation':
@@ -1,4 +1,5 @@
 import 'package:json_annotation/json_annotation.dart';
+import 'package:uuid/uuid.dart';
 
 import 'geo_position.dart';
 
@@ -9,13 +10,152 @@ enum MeasurementType {
   distance('距離', 'm'),
   area('面積', 'm²'),
   height('高さ', 'm'),
-  angle('角度', '°');
+  angle('角度', '°'),
+  profile('断面', 'm'),
+  volume('土量', 'm³'),
+  lineOfSight('見通し', 'm');
 
   final String displayName;
   final String unit;
   const MeasurementType(this.displayName, this.unit);
 }
 
+/// 計測値の表示単位系（計測データ自体は常にメートル法で保持）
+///
+/// CesiumJS側（unitSettings.system）の単位系に対応する
+enum MeasurementUnitSystem {
+  metric('メートル法'),
+  imperial('ヤード・ポンド法'),
+  japanese('尺貫法（坪）');
+
+  final String displayName;
+  const MeasurementUnitSystem(this.displayName);
+}
+
+/// 計測値の表示単位設定
+///
+/// 単位の係数と単位系ごとの自動選択候補はCesiumJS側（UNIT_DEFINITIONS / UNIT_SYSTEMS）を
+/// measurementUnitsChanged イベントで受け取り、計測ラベルと同じ規則で表示する
+class MeasurementUnitSettings {
+  /// 単位系
+  final MeasurementUnitSystem system;
+
+  /// 量（'length' | 'area' | 'volume'）ごとの固定単位（'auto' = 単位系から自動選択）
+  final Map<String, String> units;
+
+  /// 量（'length' | 'area' | 'volume' | 'angle'）ごとの小数点以下の桁数
+  final Map<String, int> precision;
+
+  /// 量ごとの単位定義（単位 → メートル法の基準単位あたりの係数）
+  final Map<String, Map<String, double>> definitions;
+
+  /// 単位系ごとの自動選択候補（量 → 小さい順の単位）
+  final Map<String, Map<String, List<String>>> systems;
+
+  const MeasurementUnitSettings({
+    this.system = MeasurementUnitSystem.metric,
+    this.units = const {},
+    this.precision = const {'length': 2, 'area': 2, 'volume': 2, 'angle': 1},
+    this.definitions = const {},
+    this.systems = const {},
+  });
+
+  /// measurementUnitsChanged イベントのペイロードから生成
+  factory MeasurementUnitSettings.fromJson(Map<String, dynamic> json) {
+    final definitions = json['definitions'] as Map<String, dynamic>? ?? {};
+    final systems = json['systems'] as Map<String, dynamic>? ?? {};
+    return MeasurementUnitSettings(
+      system: MeasurementUnitSystem.values.asNameMap()[json['system']] ??
+          MeasurementUnitSystem.metric,
+      units: {
+        for (final quantity in quantities)
+          if (json[quantity] is String) quantity: json[quantity] as String,
+      },
+      precision: (json['precision'] as Map<String, dynamic>? ?? {})
+          .map((key, value) => MapEntry(key, (value as num).toInt())),
+      definitions: definitions.map((quantity, units) => MapEntry(
+            quantity,
+            (units as Map<String, dynamic>)
+                .map((unit, factor) => MapEntry(unit, (factor as num).toDouble())),
+          )),
+      systems: systems.map((system, candidates) => MapEntry(
+            system,
+            (candidates as Map<String, dynamic>).map((quantity, units) =>
+                MapEntry(quantity, List<String>.from(units as List<dynamic>))),
+          )),
+    );
+  }
+
+  /// 単位を選択できる量
+  static const quantities = ['length', 'area', 'volume'];
+
+  /// メートル法の単位と量の対応
+  static const _quantityOfUnit = {'m': 'length', 'm²': 'area', 'm³': 'volume'};
+
+  /// 量の固定単位（'auto' = 単位系から自動選択）
+  String unitOf(String quantity) => units[quantity] ?? 'auto';
+
+  /// 量で選択できる単位
+  List<String> unitsOf(String quantity) =>
+      definitions[quantity]?.keys.toList() ?? const [];
+
+  /// 量の小数点以下の桁数
+  int precisionOf(String quantity) => precision[quantity] ?? 2;
+
+  /// メートル法の値（単位 'm' / 'm²' / 'm³' / '°'）を表示用の文字列に変換
+  ///
+  /// CesiumJS側のformatMeasurementValueと同じ規則。単位定義を受け取る前はメートル法で表示する
+  String format(double value, String unit) {
+    if (unit == '°') {
+      return '${value.toStringAsFixed(precisionOf('angle'))}°';
+    }
+
+    final quantity = _quantityOfUnit[unit];
+    if (quantity == null) {
+      return '${value.toStringAsFixed(2)} $unit';
+    }
+
+    final factors = definitions[quantity];
+    final displayUnit = _resolveDisplayUnit(quantity, value);
+    final factor = factors?[displayUnit];
+    if (factor == null) {
+      return '${value.toStringAsFixed(precisionOf(quantity))} $unit';
+    }
+    return '${(value / factor).toStringAsFixed(precisionOf(quantity))} $displayUnit';
+  }
+
+  /// 表示単位を決定（CesiumJS側のresolveDisplayUnitと同じ規則）
+  String? _resolveDisplayUnit(String quantity, double value) {
+    final factors = definitions[quantity] ?? const {};
+    final fixed = unitOf(quantity);
+    if (fixed != 'auto' && factors.containsKey(fixed)) return fixed;
+
+    final candidates = (systems[system.name] ?? systems['metric'])?[quantity];
+    if (candidates == null || candidates.isEmpty) return null;
+    var displayUnit = candidates.first;
+    for (final candidate in candidates) {
+      if (value.abs() >= (factors[candidate] ?? double.infinity)) {
+        displayUnit = candidate;
+      }
+    }
+    return displayUnit;
+  }
+
+  MeasurementUnitSettings copyWith({
+    MeasurementUnitSystem? system,
+    Map<String, String>? units,
+    Map<String, int>? precision,
+  }) {
+    return MeasurementUnitSettings(
+      system: system ?? this.system,
+      units: units ?? this.units,
+      precision: precision ?? this.precision,
+      definitions: definitions,
+      systems: systems,
+    );
+  }
+}
+
 /// 計測データ
 @JsonSerializable()
 class Measurement {
@@ -46,9 +186,15 @@ class Measurement {
   /// 表示フラグ
   final bool visible;
 
+  /// 立入禁止区域として配置物との干渉を判定するか（面積・土量計測のみ）
+  final bool keepOut;
+
   /// メモ
   final String? note;
 
+  /// 計測タイプ固有の付加情報（CesiumJSで計算した表面積・周長など）
+  final Map<String, dynamic>? details;
+
   /// 作成日時
   final DateTime createdAt;
 
@@ -62,7 +208,9 @@ class Measurement {
     this.color = '#FF0000',
     this.lineWidth = 2.0,
     this.visible = true,
+    this.keepOut = false,
     this.note,
+    this.details,
     required this.createdAt,
   });
 
@@ -71,27 +219,104 @@ class Measurement {
 
   Map<String, dynamic> toJson() => _$MeasurementToJson(this);
 
-  /// 計測値のフォーマット済み文字列
-  String get formattedValue {
-    if (value == null) return '-';
+  /// インポートしたファイルの計測データ（CesiumJSで読み込んだ値）から生成
+  ///
+  /// KML・CSVは型を持たないため、真偽値・文字列が文字列・数値で届いても読み込む。
+  /// 扱えない計測タイプの場合はnullを返す
+  static Measurement? fromImport(Map<String, dynamic> json) {
+    final type = $enumDecodeNullable(
+      _$MeasurementTypeEnumMap,
+      json['type'],
+      unknownValue: JsonKey.nullForUndefinedEnumValue,
+    );
+    if (type == null) return null;
+
+    final details = Map<String, dynamic>.from(json)
+      ..removeWhere((key, _) => _importFields.contains(key));
+    final visible = json['visible'];
+    final keepOut = json['keepOut'];
+
+    return Measurement(
+      id: json['id']?.toString() ?? const Uuid().v4(),
+      type: type,
+      name: json['name']?.toString() ?? type.displayName,
+      points: (json['points'] as List<dynamic>)
+          .map((p) => GeoPosition.fromJson(p as Map<String, dynamic>))
+          .toList(),
+      value: _doubleFromImport(json['value']),
+      unit: json['unit']?.toString() ?? type.unit,
+      color: json['color']?.toString() ?? '#FF0000',
+      lineWidth: _doubleFromImport(json['lineWidth']) ?? 2.0,
+      visible: visible is bool ? visible : visible?.toString() != 'false',
+      keepOut: keepOut is bool ? keepOut : keepOut?.toString() == 'true',
+      note: json['note']?.toString(),
+      details: details.isEmpty ? null : details,
+      createdAt: DateTime.tryParse(json['createdAt']?.toString() ?? '') ??
+          DateTime.now(),
+    );
+  }
+
+  /// インポート時にフィールドとして読み込むキー（それ以外はdetailsに残す）
+  static const _importFields = {
+    'id',
+    'type',
+    'name',
+    'points',
+    'value',
+    'unit',
+    'color',
+    'lineWidth',
+    'visible',
+    'keepOut',
+    'note',
+    'createdAt',
+  };
+
+  static double? _doubleFromImport(Object? value) {
+    if (value is num) return value.toDouble();
+    return double.tryParse(value?.toString() ?? '');
+  }
+
+  /// 表面積（面積計測、m²）
+  double? get surfaceArea => (details?['surfaceArea'] as num?)?.toDouble();
+
+  /// 周長（面積計測、m）
+  double? get perimeter => (details?['perimeter'] as num?)?.toDouble();
+
+  /// 付加情報の要約（一覧表示用）
+  String? formatDetails([
+    MeasurementUnitSettings units = const MeasurementUnitSettings(),
+  ]) {
+    final details = this.details;
+    if (details == null) return null;
     switch (type) {
-      case MeasurementType.distance:
-        if (value! >= 1000) {
-          return '${(value! / 1000).toStringAsFixed(2)} km';
-        }
-        return '${value!.toStringAsFixed(2)} m';
-      case MeasurementType.area:
-        if (value! >= 10000) {
-          return '${(value! / 10000).toStringAsFixed(2)} ha';
-        }
-        return '${value!.toStringAsFixed(2)} m²';
-      case MeasurementType.height:
-        return '${value!.toStringAsFixed(2)} m';
-      case MeasurementType.angle:
-        return '${value!.toStringAsFixed(1)}°';
+      case MeasurementType.profile:
+        final min = (details['min'] as Map<String, dynamic>?)?['height'] as num?;
+        final max = (details['max'] as Map<String, dynamic>?)?['height'] as num?;
+        final maxSlope = details['maxSlope'] as num?;
+        if (min == null || max == null || maxSlope == null) return null;
+        return '最高 ${units.format(max.toDouble(), 'm')}'
+            ' / 最低 ${units.format(min.toDouble(), 'm')}'
+            ' / 最大勾配 ${maxSlope.toStringAsFixed(1)}%';
+      case MeasurementType.volume:
+        final cut = details['cutVolume'] as num?;
+        final fill = details['fillVolume'] as num?;
+        if (cut == null || fill == null) return null;
+        return '切土 ${units.format(cut.toDouble(), 'm³')}'
+            ' / 盛土 ${units.format(fill.toDouble(), 'm³')}';
+      default:
+        return null;
     }
   }
 
+  /// 表示単位設定でフォーマットした計測値
+  String formatValue([
+    MeasurementUnitSettings units = const MeasurementUnitSettings(),
+  ]) {
+    if (value == null) return '-';
+    return units.format(value!, type.unit);
+  }
+
   Measurement copyWith({
     String? id,
     MeasurementType? type,
@@ -102,20 +327,26 @@ class Measurement {
     String? color,
     double? lineWidth,
     bool? visible,
+    bool? keepOut,
     String? note,
+    Map<String, dynamic>? details,
     DateTime? createdAt,
+    bool clearValue = false,
+    bool clearDetails = false,
   }) {
     return Measurement(
       id: id ?? this.id,
       type: type ?? this.type,
       name: name ?? this.name,
       points: points ?? this.points,
-      value: value ?? this.value,
+      value: clearValue ? null : (value ?? this.value),
       unit: unit ?? this.unit,
       color: color ?? this.color,
       lineWidth: lineWidth ?? this.lineWidth,
       visible: visible ?? this.visible,
+      keepOut: keepOut ?? this.keepOut,
       note: note ?? this.note,
+      details: clearDetails ? null : (details ?? this.details),
       createdAt: createdAt ?? this.createdAt,
     );
   }
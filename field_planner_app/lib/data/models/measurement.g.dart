@@ -18,7 +18,9 @@ Measurement _$MeasurementFromJson(Map<String, dynamic> json) => Measurement(
   color: json['color'] as String? ?? '#FF0000',
   lineWidth: (json['lineWidth'] as num?)?.toDouble() ?? 2.0,
   visible: json['visible'] as bool? ?? true,
+  keepOut: json['keepOut'] as bool? ?? false,
   note: json['note'] as String?,
+  details: json['details'] as Map<String, dynamic>?,
   createdAt: DateTime.parse(json['createdAt'] as String),
 );
 
@@ -33,7 +35,9 @@ Map<String, dynamic> _$MeasurementToJson(Measurement instance) =>
       'color': instance.color,
       'lineWidth': instance.lineWidth,
       'visible': instance.visible,
+      'keepOut': instance.keepOut,
       'note': instance.note,
+      'details': instance.details,
       'createdAt': instance.createdAt.toIso8601String(),
     };
 
@@ -42,4 +46,7 @@ const _$MeasurementTypeEnumMap = {
   MeasurementType.area: 'area',
   MeasurementType.height: 'height',
   MeasurementType.angle: 'angle',
+  MeasurementType.profile: 'profile',
+  MeasurementType.volume: 'volume',
+  MeasurementType.lineOfSight: 'lineOfSight',
 };
@@ -31,6 +31,18 @@ class Placement {
   /// ロック状態
   final bool locked;
 
+  /// 高さモード
+  ///
+  /// 'absolute'（position.heightそのまま）/ 'clampToTerrain'（地形に接地）/
+  /// 'clampToTileset'（3D Tilesの表面に接地）/ 'relativeToGround'（表面からheightOffset上）
+  final String heightMode;
+
+  /// 表面からの高さ（relativeToGroundの場合、メートル）
+  final double heightOffset;
+
+  /// 表面の傾きにピッチ・ロールを合わせる
+  final bool alignToSurface;
+
   /// グループID
   final String? groupId;
 
@@ -55,6 +67,9 @@ class Placement {
     this.scale = const PlacementScale(),
     this.visible = true,
     this.locked = false,
+    this.heightMode = 'absolute',
+    this.heightOffset = 0,
+    this.alignToSurface = false,
     this.groupId,
     this.tags = const [],
     this.properties,
@@ -76,6 +91,9 @@ class Placement {
     PlacementScale? scale,
     bool? visible,
     bool? locked,
+    String? heightMode,
+    double? heightOffset,
+    bool? alignToSurface,
     String? groupId,
     List<String>? tags,
     Map<String, dynamic>? properties,
@@ -91,6 +109,9 @@ class Placement {
       scale: scale ?? this.scale,
       visible: visible ?? this.visible,
       locked: locked ?? this.locked,
+      heightMode: heightMode ?? this.heightMode,
+      heightOffset: heightOffset ?? this.heightOffset,
+      alignToSurface: alignToSurface ?? this.alignToSurface,
       groupId: groupId ?? this.groupId,
       tags: tags ?? this.tags,
       properties: properties ?? this.properties,
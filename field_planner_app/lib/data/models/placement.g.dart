@@ -19,6 +19,9 @@ Placement _$PlacementFromJson(Map<String, dynamic> json) => Placement(
       : PlacementScale.fromJson(json['scale'] as Map<String, dynamic>),
   visible: json['visible'] as bool? ?? true,
   locked: json['locked'] as bool? ?? false,
+  heightMode: json['heightMode'] as String? ?? 'absolute',
+  heightOffset: (json['heightOffset'] as num?)?.toDouble() ?? 0,
+  alignToSurface: json['alignToSurface'] as bool? ?? false,
   groupId: json['groupId'] as String?,
   tags:
       (json['tags'] as List<dynamic>?)?.map((e) => e as String).toList() ??
@@ -37,6 +40,9 @@ Map<String, dynamic> _$PlacementToJson(Placement instance) => <String, dynamic>{
   'scale': instance.scale,
   'visible': instance.visible,
   'locked': instance.locked,
+  'heightMode': instance.heightMode,
+  'heightOffset': instance.heightOffset,
+  'alignToSurface': instance.alignToSurface,
   'groupId': instance.groupId,
   'tags': instance.tags,
   'properties': instance.properties,
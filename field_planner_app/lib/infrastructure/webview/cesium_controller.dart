@@ -51,18 +51,87 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
       onMeasurementPointAdded;
 
   /// 計測完了時のコールバック
-  Function(String type, List<GeoPosition> points, double value, String unit)?
-      onMeasurementCompleted;
+  ///
+  /// [details] 計測タイプ固有の付加情報（面積計測の表面積・周長など）
+  Function(
+    String type,
+    List<GeoPosition> points,
+    double value,
+    String unit,
+    Map<String, dynamic> details,
+  )? onMeasurementCompleted;
 
   /// 計測キャンセル時のコールバック
   Function()? onMeasurementCancelled;
 
   /// 計測ポイント移動時のコールバック
-  Function(String measurementId, int pointIndex, GeoPosition newPoint)?
-      onMeasurementPointMoved;
+  ///
+  /// [value] [details] はCesiumJSで再計算した計測値と付加情報
+  Function(
+    String measurementId,
+    int pointIndex,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  )? onMeasurementPointMoved;
 
   /// 計測ポイント削除時のコールバック
-  Function(String measurementId, int pointIndex)? onMeasurementPointDeleted;
+  Function(
+    String measurementId,
+    int pointIndex,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  )? onMeasurementPointDeleted;
+
+  /// 計測ポイント挿入・編集取り消しなどで頂点列が置き換わった時のコールバック
+  Function(
+    String measurementId,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  )? onMeasurementPointsReplaced;
+
+  /// 断面の再サンプリング完了時のコールバック
+  ///
+  /// [profile] samples / length / interval / min / max / maxSlope
+  Function(String? measurementId, Map<String, dynamic> profile)?
+      onElevationProfileSampled;
+
+  /// 編集した面積・土量計測の表面の再サンプリング完了時のコールバック
+  ///
+  /// [details] 表面積、または切土・盛土量などの土量の付加情報
+  Function(String measurementId, double? value, Map<String, dynamic> details)?
+      onMeasurementSurfaceSampled;
+
+  /// 計測結果のエクスポート完了時のコールバック
+  Function(String format, String content, String fileExtension, int count)?
+      onMeasurementsExported;
+
+  /// 計測結果のインポート完了時のコールバック（CesiumJSで表示済みの計測データ）
+  Function(String format, List<Map<String, dynamic>> measurements)?
+      onMeasurementsImported;
+
+  /// 計測結果のエクスポート・インポート失敗時のコールバック
+  Function(String format, String error)? onMeasurementTransferFailed;
+
+  /// 計測値の表示単位の変更時（初期化時を含む）のコールバック
+  ///
+  /// settingsは system / length / area / volume / precision と、
+  /// 単位定義 definitions・単位系ごとの候補 systems
+  Function(Map<String, dynamic> settings)? onMeasurementUnitsChanged;
+
+  /// 計測のサンプリング・解析失敗時のコールバック
+  Function(String error)? onMeasurementError;
+
+  /// 見通し解析完了時のコールバック
+  ///
+  /// resultは id / visible / observer / target / eyeHeight / targetHeight /
+  /// distance / clearDistance / obstruction（最初の遮蔽地点、見通せる場合null）
+  Function(Map<String, dynamic> result)? onLineOfSightAnalyzed;
+
+  /// 見通し解析の結果削除時のコールバック
+  Function(String id)? onLineOfSightRemoved;
 
   /// 計測編集モード開始時のコールバック
   Function(String measurementId)? onMeasurementEditModeStarted;
@@ -75,7 +144,16 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   // ============================================
 
   /// 配置確定時のコールバック
-  Function(String assetId, GeoPosition position)? onPlacementConfirmed;
+  ///
+  /// headingはプレビューの向き（度、キーボードのRで回転）
+  Function(String assetId, GeoPosition position, double heading)?
+      onPlacementConfirmed;
+
+  /// 一括配置確定時のコールバック
+  ///
+  /// placementsは position / rotation のJSON
+  Function(String assetId, List<Map<String, dynamic>> placements)?
+      onPlacementsConfirmed;
 
   /// 配置キャンセル時のコールバック
   Function()? onPlacementCancelled;
@@ -86,6 +164,45 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   /// 配置物選択解除時のコールバック
   Function()? onPlacementDeselected;
 
+  /// 配置物の選択状態（複数選択を含む）の変更時のコールバック
+  ///
+  /// [primaryId] ギズモ・インスペクターの対象となる配置物（選択なしの場合null）
+  Function(List<String> placementIds, String? primaryId)?
+      onPlacementSelectionChanged;
+
+  /// ギズモによる配置物の変形確定時のコールバック
+  ///
+  /// transformは position / rotation / scale のJSON
+  Function(String placementId, Map<String, dynamic> transform)?
+      onPlacementTransformed;
+
+  /// 複数の配置物の一括更新時のコールバック（グループ移動・回転・表示・ロック）
+  ///
+  /// placementsは id / position / rotation / scale / visible / locked のJSON
+  Function(String operation, List<Map<String, dynamic>> placements)?
+      onPlacementsUpdated;
+
+  /// 複数の配置物の一括削除時のコールバック
+  Function(List<String> placementIds)? onPlacementsDeleted;
+
+  /// キーボード（Ctrl+D）で配置物の複製が要求された時のコールバック
+  Function(List<String> placementIds)? onPlacementDuplicateRequested;
+
+  /// 元に戻す・やり直しで配置物が復元された時のコールバック
+  ///
+  /// placementsは配置物の全項目のJSON（追加または更新）
+  Function(List<Map<String, dynamic>> placements)? onPlacementsRestored;
+
+  /// 配置物の干渉状態が変化した時のコールバック
+  ///
+  /// pairsは type（placement / keepOut）/ a / b のJSON
+  Function(List<Map<String, dynamic>> pairs)? onPlacementCollisions;
+
+  /// 離隔範囲の重なりが変化した時のコールバック
+  ///
+  /// conflictsは a / b / clearance / distance / intrusion のJSON
+  Function(List<Map<String, dynamic>> conflicts)? onClearanceConflicts;
+
   /// 配置モード開始時のコールバック
   Function(String assetId)? onPlacementModeStarted;
 
@@ -102,6 +219,12 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   /// ドローンフォーメーション削除時のコールバック
   Function(String formationId)? onDroneFormationRemoved;
 
+  /// 元に戻す・やり直しでドローンフォーメーションの変形が復元された時のコールバック
+  ///
+  /// transformは basePosition / altitude / heading / tilt / scale のJSON
+  Function(String formationId, Map<String, dynamic> transform)?
+      onDroneFormationRestored;
+
   /// 3D Tileset追加完了時のコールバック
   Function(String id, String name, GeoPosition center, double radius)? onTilesetAdded;
 
@@ -114,6 +237,57 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   /// Google 3D Tiles表示/非表示変更時のコールバック
   Function(bool visible)? onGoogleTilesetVisibilityChanged;
 
+  /// Tilesetの位置調整の適用時のコールバック
+  ///
+  /// transformは調整値と center（調整後の中心）/ modelMatrix（列優先の16要素）のJSON
+  Function(String id, Map<String, dynamic> transform)? onTilesetPositionAdjusted;
+
+  /// 点群のシェーディング設定の通知時のコールバック
+  ///
+  /// shadingは各設定値と eyeDomeLightingSupported / eyeDomeLightingActive のJSON
+  Function(String id, Map<String, dynamic> shading)? onPointCloudShadingChanged;
+
+  /// 点群スタイルの適用時のコールバック
+  ///
+  /// styleは各設定値と range（実際に使った色分けの範囲 {min, max}、ランプでない場合はnull）のJSON
+  Function(String id, Map<String, dynamic> style)? onPointCloudStyleApplied;
+
+  /// 分類コードの既定の色を受信した時のコールバック
+  ///
+  /// [palette] 分類コード → 色（CSS形式）、[defaultColor] パレットにない分類の色
+  Function(Map<int, String> palette, String defaultColor)? onClassificationPaletteChanged;
+
+  /// Google 3D Tilesのマスクが変化した時のコールバック
+  ///
+  /// masksは各マスクの id / tilesetId / buffer / polygon（広げた後の外形）のJSON
+  Function(List<Map<String, dynamic>> masks)? onGoogleTilesetMasksChanged;
+
+  /// 元に戻す・やり直しでTilesetの位置調整が復元された時のコールバック
+  ///
+  /// adjustmentは adjustTilesetPosition のパラメータのJSON
+  Function(String id, Map<String, dynamic> adjustment)? onTilesetPositionRestored;
+
+  /// 既知点合わせの点の組・解が更新された時のコールバック
+  ///
+  /// alignmentは tilesetId / minPairs / pendingSource / pairs（各組の source・target・残差）/
+  /// rms / transform（adjustTilesetPosition のパラメータ）/ error のJSON
+  Function(Map<String, dynamic> alignment)? onControlPointAlignmentUpdated;
+
+  /// 既知点合わせをTilesetに適用した時のコールバック
+  ///
+  /// resultは transform / rms / pairs のJSON
+  Function(String tilesetId, Map<String, dynamic> result)? onControlPointAlignmentApplied;
+
+  /// 既知点合わせのエラー時のコールバック
+  Function(String error)? onControlPointAlignmentError;
+
+  // ============================================
+  // 操作履歴コールバック
+  // ============================================
+
+  /// 元に戻す・やり直しの可否が変化した時のコールバック
+  Function(bool canUndo, bool canRedo)? onHistoryChanged;
+
   /// コンストラクタ（JavaScriptチャネルを自動設定）
   CesiumController(this._webViewController) {
     _setupJavaScriptChannels();
@@ -210,7 +384,10 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
                 .toList();
             final value = (payload['value'] as num).toDouble();
             final unit = payload['unit'] as String;
-            onMeasurementCompleted?.call(type, points, value, unit);
+            final details = Map<String, dynamic>.from(payload)
+              ..removeWhere((key, _) =>
+                  const {'type', 'points', 'value', 'unit'}.contains(key));
+            onMeasurementCompleted?.call(type, points, value, unit, details);
             logInfo('Measurement completed: $type, value: $value $unit');
           }
           break;
@@ -224,9 +401,9 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
           if (payload != null) {
             final measurementId = payload['measurementId'] as String;
             final pointIndex = payload['pointIndex'] as int;
-            final newPointJson = payload['newPoint'] as Map<String, dynamic>;
-            final newPoint = GeoPosition.fromJson(newPointJson);
-            onMeasurementPointMoved?.call(measurementId, pointIndex, newPoint);
+            final (points, value, details) = _parseMeasurementEdit(payload);
+            onMeasurementPointMoved?.call(
+                measurementId, pointIndex, points, value, details);
             logInfo('Measurement point moved: $measurementId, index: $pointIndex');
           }
           break;
@@ -235,11 +412,107 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
           if (payload != null) {
             final measurementId = payload['measurementId'] as String;
             final pointIndex = payload['pointIndex'] as int;
-            onMeasurementPointDeleted?.call(measurementId, pointIndex);
+            final (points, value, details) = _parseMeasurementEdit(payload);
+            onMeasurementPointDeleted?.call(
+                measurementId, pointIndex, points, value, details);
             logInfo('Measurement point deleted: $measurementId, index: $pointIndex');
           }
           break;
 
+        case 'measurementPointInserted':
+        case 'measurementEditUndone':
+        case 'measurementPointsRestored':
+          if (payload != null) {
+            final measurementId = payload['measurementId'] as String;
+            final (points, value, details) = _parseMeasurementEdit(payload);
+            onMeasurementPointsReplaced?.call(
+                measurementId, points, value, details);
+            logInfo('Measurement points replaced ($event): $measurementId');
+          }
+          break;
+
+        case 'elevationProfileSampled':
+          if (payload != null) {
+            final measurementId = payload['measurementId'] as String?;
+            final profile = Map<String, dynamic>.from(payload)
+              ..remove('measurementId');
+            onElevationProfileSampled?.call(measurementId, profile);
+            logInfo('Elevation profile sampled: $measurementId');
+          }
+          break;
+
+        case 'measurementSurfaceSampled':
+          if (payload != null) {
+            final measurementId = payload['measurementId'] as String;
+            final value = (payload['value'] as num?)?.toDouble();
+            final details = Map<String, dynamic>.from(payload)
+              ..remove('measurementId')
+              ..remove('value');
+            onMeasurementSurfaceSampled?.call(measurementId, value, details);
+            logInfo('Measurement surface sampled: $measurementId');
+          }
+          break;
+
+        case 'measurementsExported':
+          if (payload != null) {
+            final format = payload['format'] as String;
+            final content = payload['content'] as String;
+            final fileExtension = payload['fileExtension'] as String? ?? format;
+            final count = payload['count'] as int? ?? 0;
+            onMeasurementsExported?.call(format, content, fileExtension, count);
+            logInfo('Measurements exported: $format, $count');
+          }
+          break;
+
+        case 'measurementsImported':
+          if (payload != null) {
+            final format = payload['format'] as String;
+            final measurements = (payload['measurements'] as List<dynamic>)
+                .map((m) => m as Map<String, dynamic>)
+                .toList();
+            onMeasurementsImported?.call(format, measurements);
+            logInfo('Measurements imported: $format, ${measurements.length}');
+          }
+          break;
+
+        case 'measurementExportError':
+        case 'measurementImportError':
+          if (payload != null) {
+            final format = payload['format'] as String? ?? '';
+            final error = payload['error'] as String? ?? 'Unknown error';
+            onMeasurementTransferFailed?.call(format, error);
+            logError('Measurement $event: $format, $error');
+          }
+          break;
+
+        case 'measurementError':
+          final error = payload?['error'] as String? ?? 'Unknown error';
+          onMeasurementError?.call(error);
+          logError('Measurement error: $error');
+          break;
+
+        case 'lineOfSightAnalyzed':
+          if (payload != null) {
+            onLineOfSightAnalyzed?.call(payload);
+            logInfo('Line of sight analyzed: ${payload['id']}, visible: ${payload['visible']}');
+          }
+          break;
+
+        case 'lineOfSightRemoved':
+          if (payload != null) {
+            final id = payload['id'] as String;
+            onLineOfSightRemoved?.call(id);
+            logInfo('Line of sight removed: $id');
+          }
+          break;
+
+        case 'measurementUnitsChanged':
+          if (payload != null) {
+            onMeasurementUnitsChanged?.call(payload);
+            logInfo('Measurement units changed: ${payload['system']}');
+          }
+          break;
+
         case 'measurementEditModeStarted':
           if (payload != null) {
             final measurementId = payload['measurementId'] as String;
@@ -296,17 +569,114 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
           }
           break;
 
+        case 'pointCloudShadingChanged':
+          if (payload != null) {
+            final id = payload['id'] as String;
+            onPointCloudShadingChanged?.call(id, payload);
+            logInfo('Point cloud shading: $id, EDL active: ${payload['eyeDomeLightingActive']}');
+          }
+          break;
+
+        case 'pointCloudStyleApplied':
+          if (payload != null) {
+            final id = payload['id'] as String;
+            onPointCloudStyleApplied?.call(id, payload);
+            logInfo('Point cloud style applied: $id, mode: ${payload['colorMode']}');
+          }
+          break;
+
+        case 'classificationPaletteChanged':
+          if (payload != null) {
+            final palette = (payload['palette'] as Map<String, dynamic>).map(
+              (code, color) => MapEntry(int.parse(code), color as String),
+            );
+            onClassificationPaletteChanged?.call(
+              palette,
+              payload['defaultColor'] as String,
+            );
+            logInfo('Classification palette received: ${palette.length} codes');
+          }
+          break;
+
+        case 'pointCloudStyleError':
+          final message = payload?['error'] as String? ?? 'Unknown error';
+          logError('Point cloud style error: ${payload?['id']} - $message');
+          break;
+
+        case 'googleTilesetMasksChanged':
+          if (payload != null) {
+            final masks = (payload['masks'] as List<dynamic>? ?? [])
+                .map((e) => e as Map<String, dynamic>)
+                .toList();
+            onGoogleTilesetMasksChanged?.call(masks);
+            logInfo('Google tileset masks changed: ${masks.length}');
+          }
+          break;
+
+        case 'tilesetPositionAdjusted':
+          if (payload != null) {
+            final id = payload['id'] as String;
+            onTilesetPositionAdjusted?.call(id, payload);
+            logInfo('Tileset position adjusted: $id');
+          }
+          break;
+
+        case 'tilesetPositionRestored':
+          if (payload != null) {
+            final id = payload['id'] as String;
+            onTilesetPositionRestored?.call(id, payload);
+            logInfo('Tileset position restored: $id');
+          }
+          break;
+
+        case 'controlPointAlignmentStarted':
+          logInfo('Control point alignment started: ${payload?['tilesetId']}');
+          break;
+
+        case 'controlPointAlignmentUpdated':
+          if (payload != null) {
+            onControlPointAlignmentUpdated?.call(payload);
+          }
+          break;
+
+        case 'controlPointAlignmentApplied':
+          if (payload != null) {
+            final tilesetId = payload['tilesetId'] as String;
+            onControlPointAlignmentApplied?.call(tilesetId, payload);
+            logInfo('Control point alignment applied: $tilesetId, RMS: ${payload['rms']}');
+          }
+          break;
+
+        case 'controlPointAlignmentError':
+          final message = payload?['error'] as String? ?? 'Unknown error';
+          onControlPointAlignmentError?.call(message);
+          logWarning('Control point alignment error: $message');
+          break;
+
         // 配置物イベント
         case 'placementConfirmed':
           if (payload != null) {
             final assetId = payload['assetId'] as String;
             final positionJson = payload['position'] as Map<String, dynamic>;
             final position = GeoPosition.fromJson(positionJson);
-            onPlacementConfirmed?.call(assetId, position);
+            final rotationJson = payload['rotation'] as Map<String, dynamic>?;
+            final heading = (rotationJson?['heading'] as num?)?.toDouble() ?? 0;
+            onPlacementConfirmed?.call(assetId, position, heading);
             logInfo('Placement confirmed: $assetId at ${position.latitude}, ${position.longitude}');
           }
           break;
 
+        case 'placementsConfirmed':
+          if (payload != null) {
+            final assetId = payload['assetId'] as String;
+            final placements = (payload['placements'] as List<dynamic>)
+                .map((p) => p as Map<String, dynamic>)
+                .toList();
+            onPlacementsConfirmed?.call(assetId, placements);
+            logInfo('Placements confirmed: $assetId x ${placements.length}');
+          }
+          break;
+
         case 'placementCancelled':
           onPlacementCancelled?.call();
           logInfo('Placement cancelled');
@@ -320,6 +690,89 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
           }
           break;
 
+        case 'placementSelectionChanged':
+          if (payload != null) {
+            final ids = (payload['ids'] as List<dynamic>).cast<String>();
+            final primaryId = payload['primaryId'] as String?;
+            onPlacementSelectionChanged?.call(ids, primaryId);
+            logDebug('Placement selection changed: ${ids.length}');
+          }
+          break;
+
+        case 'placementTransforming':
+        case 'placementsTransforming':
+          // ドラッグ中の途中経過。確定後の placementTransformed / placementsUpdated で反映する
+          break;
+
+        case 'bulkPlacementPreviewUpdated':
+          // 一括配置プレビューの個数。確定後の placementsConfirmed で反映する
+          break;
+
+        case 'placementTransformed':
+          if (payload != null) {
+            final placementId = payload['id'] as String;
+            onPlacementTransformed?.call(placementId, payload);
+            logInfo('Placement transformed: $placementId (${payload['mode']})');
+          }
+          break;
+
+        case 'placementsUpdated':
+          if (payload != null) {
+            final operation = payload['operation'] as String;
+            final placements = (payload['placements'] as List<dynamic>)
+                .map((p) => p as Map<String, dynamic>)
+                .toList();
+            onPlacementsUpdated?.call(operation, placements);
+            logInfo('Placements updated ($operation): ${placements.length}');
+          }
+          break;
+
+        case 'placementsDeleted':
+          if (payload != null) {
+            final ids = (payload['ids'] as List<dynamic>).cast<String>();
+            onPlacementsDeleted?.call(ids);
+            logInfo('Placements deleted: ${ids.length}');
+          }
+          break;
+
+        case 'placementDuplicateRequested':
+          if (payload != null) {
+            final ids = (payload['ids'] as List<dynamic>).cast<String>();
+            onPlacementDuplicateRequested?.call(ids);
+            logInfo('Placement duplicate requested: ${ids.length}');
+          }
+          break;
+
+        case 'placementsRestored':
+          if (payload != null) {
+            final placements = (payload['placements'] as List<dynamic>)
+                .map((p) => p as Map<String, dynamic>)
+                .toList();
+            onPlacementsRestored?.call(placements);
+            logInfo('Placements restored: ${placements.length}');
+          }
+          break;
+
+        case 'placementCollisions':
+          if (payload != null) {
+            final pairs = (payload['pairs'] as List<dynamic>)
+                .map((p) => p as Map<String, dynamic>)
+                .toList();
+            onPlacementCollisions?.call(pairs);
+            logInfo('Placement collisions: ${pairs.length}');
+          }
+          break;
+
+        case 'clearanceConflicts':
+          if (payload != null) {
+            final conflicts = (payload['conflicts'] as List<dynamic>)
+                .map((c) => c as Map<String, dynamic>)
+                .toList();
+            onClearanceConflicts?.call(conflicts);
+            logInfo('Clearance conflicts: ${conflicts.length}');
+          }
+          break;
+
         case 'placementDeselected':
           onPlacementDeselected?.call();
           logInfo('Placement deselected');
@@ -359,6 +812,24 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
           }
           break;
 
+        case 'droneFormationRestored':
+          if (payload != null) {
+            final formationId = payload['id'] as String;
+            onDroneFormationRestored?.call(formationId, payload);
+            logInfo('Drone formation restored: $formationId');
+          }
+          break;
+
+        // 操作履歴イベント
+        case 'historyChanged':
+          if (payload != null) {
+            final canUndo = payload['canUndo'] as bool? ?? false;
+            final canRedo = payload['canRedo'] as bool? ?? false;
+            onHistoryChanged?.call(canUndo, canRedo);
+            logInfo('History changed: undo=$canUndo, redo=$canRedo');
+          }
+          break;
+
         default:
           logWarning('Unknown event: $event');
       }
@@ -367,6 +838,29 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     }
   }
 
+  /// 計測編集イベントから頂点・再計算後の計測値・付加情報を取り出す
+  (List<GeoPosition>, double?, Map<String, dynamic>) _parseMeasurementEdit(
+    Map<String, dynamic> payload,
+  ) {
+    final points = (payload['points'] as List<dynamic>)
+        .map((p) => GeoPosition.fromJson(p as Map<String, dynamic>))
+        .toList();
+    final value = (payload['value'] as num?)?.toDouble();
+    final details = Map<String, dynamic>.from(payload)
+      ..removeWhere((key, _) => const {
+            'measurementId',
+            'pointIndex',
+            'newPoint',
+            'points',
+            'value',
+            'unit',
+            'source',
+            'tilesetId',
+            'canUndo',
+          }.contains(key));
+    return (points, value, details);
+  }
+
   /// CesiumJSを初期化
   ///
   /// [ionToken] Cesium Ionアクセストークン（オプション）
@@ -515,6 +1009,16 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     });
   }
 
+  /// 計測結果（面積・土量）を立入禁止区域として扱うか設定
+  ///
+  /// 配置物が区域に入ると onPlacementCollisions で 'keepOut' の干渉が通知される
+  Future<void> setMeasurementKeepOut(String measurementId, bool keepOut) async {
+    await executeMethod('setMeasurementKeepOut', {
+      'measurementId': measurementId,
+      'keepOut': keepOut,
+    });
+  }
+
   /// すべての計測結果をクリア
   Future<void> clearAllMeasurements() async {
     await executeMethod('clearAllMeasurements', {});
@@ -547,6 +1051,171 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     await executeMethod('updateMeasurementDisplay', measurement);
   }
 
+  /// 計測の頂点を置き換えて再計算（操作履歴に積む）
+  ///
+  /// 表面の高さを使う計測値・付加情報は onMeasurementPointsReplaced で通知される
+  Future<void> setMeasurementPoints(
+    String measurementId,
+    List<GeoPosition> points,
+  ) async {
+    await executeMethod('setMeasurementPoints', {
+      'measurementId': measurementId,
+      'points': points.map((p) => p.toJson()).toList(),
+    });
+  }
+
+  /// 計測結果をエクスポート（onMeasurementsExported で内容が通知される）
+  ///
+  /// [format] 'geojson' | 'kml' | 'csv'
+  /// [measurementIds] 対象の計測ID（省略時は表示中のすべて）
+  Future<void> exportMeasurements({
+    required String format,
+    List<String>? measurementIds,
+  }) async {
+    await executeMethod('exportMeasurements', {
+      'format': format,
+      if (measurementIds != null) 'measurementIds': measurementIds,
+    });
+  }
+
+  /// 計測結果をインポートして表示（onMeasurementsImported で計測データが通知される）
+  ///
+  /// [format] 'geojson' | 'kml' | 'csv'
+  /// [content] ファイル内容
+  Future<void> importMeasurements({
+    required String format,
+    required String content,
+  }) async {
+    await executeMethod('importMeasurements', {
+      'format': format,
+      'content': content,
+    });
+  }
+
+  /// 計測値の表示単位を設定（表示中の計測ラベルも更新される）
+  ///
+  /// [system] 'metric' | 'imperial' | 'japanese'
+  /// [length] [area] [volume] 固定する単位（'auto'で単位系から自動選択）
+  /// [precision] length / area / volume / angle ごとの小数点以下の桁数
+  Future<void> setMeasurementUnits({
+    String? system,
+    String? length,
+    String? area,
+    String? volume,
+    Map<String, int>? precision,
+  }) async {
+    await executeMethod('setMeasurementUnits', {
+      if (system != null) 'system': system,
+      if (length != null) 'length': length,
+      if (area != null) 'area': area,
+      if (volume != null) 'volume': volume,
+      if (precision != null) 'precision': precision,
+    });
+  }
+
+  /// 計測点のスナップ設定を更新
+  ///
+  /// [measurementPoints] 既存の計測ポイント / [placements] 配置物の角・中心 /
+  /// [drones] ドローン位置 / [grid] グリッド点 にスナップするか。
+  /// [tolerance] スナップ判定距離（ピクセル）
+  Future<void> updateMeasurementSnapSettings({
+    bool? enabled,
+    bool? measurementPoints,
+    bool? placements,
+    bool? drones,
+    bool? grid,
+    double? tolerance,
+  }) async {
+    await executeMethod('updateMeasurementSnapSettings', {
+      if (enabled != null) 'enabled': enabled,
+      if (measurementPoints != null) 'measurementPoints': measurementPoints,
+      if (placements != null) 'placements': placements,
+      if (drones != null) 'drones': drones,
+      if (grid != null) 'grid': grid,
+      if (tolerance != null) 'tolerance': tolerance,
+    });
+  }
+
+  /// 断面計測の設定を更新
+  ///
+  /// [interval] サンプリング間隔（メートル）
+  Future<void> updateProfileSettings({double? interval}) async {
+    await executeMethod('updateProfileSettings', {
+      if (interval != null) 'interval': interval,
+    });
+  }
+
+  /// 土量計測の設定を更新
+  ///
+  /// [referenceMode] 基準面（'lowest': 最低頂点 / 'bestFit': 近似平面 / 'fixed': 指定標高）
+  /// [referenceHeight] 'fixed'の場合の基準標高（メートル）
+  Future<void> updateVolumeSettings({
+    String? referenceMode,
+    double? referenceHeight,
+  }) async {
+    await executeMethod('updateVolumeSettings', {
+      if (referenceMode != null) 'referenceMode': referenceMode,
+      if (referenceHeight != null) 'referenceHeight': referenceHeight,
+    });
+  }
+
+  /// 見通し解析の設定を更新
+  ///
+  /// [eyeHeight] 観測者の目の高さ（選択地点からのメートル）
+  /// [targetHeight] 対象の高さ（選択地点からのメートル）
+  Future<void> updateLineOfSightSettings({
+    double? eyeHeight,
+    double? targetHeight,
+  }) async {
+    await executeMethod('updateLineOfSightSettings', {
+      if (eyeHeight != null) 'eyeHeight': eyeHeight,
+      if (targetHeight != null) 'targetHeight': targetHeight,
+    });
+  }
+
+  /// 見通し解析モードを開始（観測点 → 対象点の順にクリック）
+  ///
+  /// 結果は onLineOfSightAnalyzed で通知される
+  Future<void> startLineOfSightMode({
+    double? eyeHeight,
+    double? targetHeight,
+  }) async {
+    await executeMethod('startLineOfSightMode', {
+      if (eyeHeight != null) 'eyeHeight': eyeHeight,
+      if (targetHeight != null) 'targetHeight': targetHeight,
+    });
+    logInfo('Starting line of sight mode');
+  }
+
+  /// 2点間の見通しを解析
+  ///
+  /// [observer] [target] 地表上の観測点・対象点（目の高さ・対象の高さは設定値を加算）
+  Future<void> analyzeLineOfSight({
+    String? id,
+    required GeoPosition observer,
+    required GeoPosition target,
+    double? eyeHeight,
+    double? targetHeight,
+  }) async {
+    await executeMethod('analyzeLineOfSight', {
+      if (id != null) 'id': id,
+      'observer': observer.toJson(),
+      'target': target.toJson(),
+      if (eyeHeight != null) 'eyeHeight': eyeHeight,
+      if (targetHeight != null) 'targetHeight': targetHeight,
+    });
+  }
+
+  /// 見通し解析の結果を削除
+  Future<void> removeLineOfSight(String id) async {
+    await executeMethod('removeLineOfSight', {'id': id});
+  }
+
+  /// すべての見通し解析の結果を削除
+  Future<void> clearLineOfSights() async {
+    await executeMethod('clearLineOfSights', {});
+  }
+
   /// 計測ポイント編集モードを開始
   ///
   /// [measurementId] 計測ID
@@ -645,19 +1314,96 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     logInfo('Setting terrain enabled: $enabled');
   }
 
+  /// 点群のシェーディングを設定
+  ///
+  /// [id] TilesetのID
+  /// [shading] attenuation / geometricErrorScale / maximumAttenuation / eyeDomeLighting /
+  /// eyeDomeLightingStrength / eyeDomeLightingRadius / backFaceCulling など（指定した項目のみ変更）
+  ///
+  /// 設定後の値は onPointCloudShadingChanged で通知される。
+  Future<void> setPointCloudShading(String id, Map<String, dynamic> shading) async {
+    await executeMethod('setPointCloudShading', {'id': id, ...shading});
+    logInfo('Setting point cloud shading: $id');
+  }
+
+  /// 点群スタイルを設定
+  ///
+  /// [id] TilesetのID
+  /// [style] pointSize / colorMode / colorRamp / minHeight / maxHeight / minIntensity /
+  /// maxIntensity / classificationPalette / hiddenClassifications（指定した項目のみ変更、
+  /// 範囲のnullは自動）
+  ///
+  /// 適用結果は onPointCloudStyleApplied で通知される。
+  Future<void> setPointCloudStyle(String id, Map<String, dynamic> style) async {
+    await executeMethod('setPointCloudStyle', {'id': id, ...style});
+    logInfo('Setting point cloud style: $id');
+  }
+
+  /// 点群の現在のシェーディング設定を要求（onPointCloudShadingChanged で通知される）
+  Future<void> getPointCloudShading(String id) async {
+    await executeMethod('getPointCloudShading', {'id': id});
+  }
+
   /// Google 3D Tilesにクリッピングを設定
   ///
-  /// インポートしたTilesetの範囲でGoogle 3D Tilesをクリップ
+  /// インポートしたTilesetの範囲でGoogle 3D Tilesを非表示にする
   /// [tilesetId] クリップ元のTilesetのID
-  Future<void> setGoogleTilesetClipping(String tilesetId) async {
-    await executeMethod('setGoogleTilesetClipping', {'tilesetId': tilesetId});
-    logInfo('Setting Google tileset clipping for: $tilesetId');
+  /// [mode] 'mask'（フットプリントの範囲のみ）| 'hide'（全体）
+  /// [buffer] 'mask'でフットプリントを外側に広げる距離（メートル、省略時は設定値）
+  Future<void> setGoogleTilesetClipping(
+    String tilesetId, {
+    String mode = 'mask',
+    double? buffer,
+  }) async {
+    await executeMethod('setGoogleTilesetClipping', {
+      'tilesetId': tilesetId,
+      'mode': mode,
+      if (buffer != null) 'buffer': buffer,
+    });
+    logInfo('Setting Google tileset clipping for: $tilesetId ($mode)');
   }
 
   /// Google 3D Tilesのクリッピングを解除
-  Future<void> removeGoogleTilesetClipping() async {
-    await executeMethod('removeGoogleTilesetClipping', {});
-    logInfo('Removing Google tileset clipping');
+  ///
+  /// [tilesetId] 解除するTilesetのID（省略時はすべてのTileset）
+  Future<void> removeGoogleTilesetClipping([String? tilesetId]) async {
+    await executeMethod('removeGoogleTilesetClipping', {
+      if (tilesetId != null) 'tilesetId': tilesetId,
+    });
+    logInfo('Removing Google tileset clipping: ${tilesetId ?? 'all'}');
+  }
+
+  /// Google 3D Tilesのマスク設定を更新
+  ///
+  /// [buffer] マスクの範囲を外側に広げる距離の既定値（メートル）
+  Future<void> updateGoogleTilesetMaskSettings({double? buffer}) async {
+    await executeMethod('updateGoogleTilesetMaskSettings', {
+      if (buffer != null) 'buffer': buffer,
+    });
+  }
+
+  /// 多角形の範囲のGoogle 3D Tilesを非表示にするマスクを追加（同じIDは置き換え）
+  ///
+  /// [id] マスクID
+  /// [polygon] 多角形の頂点（3点以上）
+  /// [buffer] 外側に広げる距離（メートル、省略時は設定値）
+  Future<void> addGoogleTilesetMask({
+    required String id,
+    required List<GeoPosition> polygon,
+    double? buffer,
+  }) async {
+    await executeMethod('addGoogleTilesetMask', {
+      'id': id,
+      'polygon': polygon.map((p) => p.toJson()).toList(),
+      if (buffer != null) 'buffer': buffer,
+    });
+    logInfo('Adding Google tileset mask: $id');
+  }
+
+  /// Google 3D Tilesのマスクを削除
+  Future<void> removeGoogleTilesetMask(String id) async {
+    await executeMethod('removeGoogleTilesetMask', {'id': id});
+    logInfo('Removing Google tileset mask: $id');
   }
 
   /// Tilesetの位置を調整
@@ -669,6 +1415,11 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   /// [heading] 方位角（度）
   /// [pitch] ピッチ（度）
   /// [roll] ロール（度）
+  /// [scale] 一様スケール
+  /// [recordHistory] 操作履歴に積むか（保存済みの調整の再適用ではfalse）
+  ///
+  /// 値は読み込み時の位置からの絶対値で、省略した項目は0（スケールは1）になる。
+  /// 結果の中心座標とモデル行列は onTilesetPositionAdjusted で通知される。
   Future<void> adjustTilesetPosition({
     required String id,
     double? heightOffset,
@@ -677,15 +1428,19 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     double? heading,
     double? pitch,
     double? roll,
+    double? scale,
+    bool recordHistory = true,
   }) async {
     await executeMethod('adjustTilesetPosition', {
       'id': id,
+      if (!recordHistory) 'recordHistory': false,
       if (heightOffset != null) 'heightOffset': heightOffset,
       if (longitude != null) 'longitude': longitude,
       if (latitude != null) 'latitude': latitude,
       if (heading != null) 'heading': heading,
       if (pitch != null) 'pitch': pitch,
       if (roll != null) 'roll': roll,
+      if (scale != null) 'scale': scale,
     });
   }
 
@@ -704,6 +1459,60 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     logInfo('Adjusting tileset quality: $id, SSE: $screenSpaceError');
   }
 
+  /// 既知点合わせ設定を更新
+  ///
+  /// [fixScale] スケールを1に固定するか
+  /// [headingOnly] 回転を鉛直軸まわりのみに限定するか（2組から解ける）
+  Future<void> updateControlPointSettings({
+    bool? fixScale,
+    bool? headingOnly,
+  }) async {
+    await executeMethod('updateControlPointSettings', {
+      if (fixScale != null) 'fixScale': fixScale,
+      if (headingOnly != null) 'headingOnly': headingOnly,
+    });
+  }
+
+  /// 既知点合わせモードを開始
+  ///
+  /// クリックでTileset上の点と背景地図・地形上の対応点を交互に指定する。
+  /// 右クリックで直前の点を取り消す。
+  Future<void> startControlPointAlignment(
+    String tilesetId, {
+    bool? fixScale,
+    bool? headingOnly,
+  }) async {
+    await executeMethod('startControlPointAlignment', {
+      'tilesetId': tilesetId,
+      if (fixScale != null) 'fixScale': fixScale,
+      if (headingOnly != null) 'headingOnly': headingOnly,
+    });
+    logInfo('Starting control point alignment: $tilesetId');
+  }
+
+  /// 既知点合わせの対応点を座標で指定（測量済みの既知点など）
+  Future<void> setControlPointTarget(int index, GeoPosition position) async {
+    await executeMethod('setControlPointTarget', {
+      'index': index,
+      ...position.toJson(),
+    });
+  }
+
+  /// 既知点合わせの点の組を削除
+  Future<void> removeControlPointPair(int index) async {
+    await executeMethod('removeControlPointPair', {'index': index});
+  }
+
+  /// 既知点合わせの結果をTilesetに適用してモードを終了
+  Future<void> applyControlPointAlignment() async {
+    await executeMethod('applyControlPointAlignment', {});
+  }
+
+  /// 既知点合わせモードを終了（Tilesetは変更しない）
+  Future<void> cancelControlPointAlignment() async {
+    await executeMethod('cancelControlPointAlignment', {});
+  }
+
   // ============================================
   // 配置物機能
   // ============================================
@@ -748,6 +1557,37 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     logInfo('Starting placement mode: $assetId');
   }
 
+  /// 一括配置モードを開始
+  ///
+  /// [pattern]は 'linear' / 'grid' / 'path'
+  Future<void> startBulkPlacementMode(
+    String assetId,
+    String modelUrl, {
+    String pattern = 'linear',
+    double spacing = 2.0,
+    int rows = 0,
+    int columns = 0,
+    double? rowSpacing,
+    double headingOffset = 0,
+  }) async {
+    await executeMethod('startBulkPlacementMode', {
+      'assetId': assetId,
+      'modelUrl': modelUrl,
+      'pattern': pattern,
+      'spacing': spacing,
+      'rows': rows,
+      'columns': columns,
+      'rowSpacing': rowSpacing,
+      'headingOffset': headingOffset,
+    });
+    logInfo('Starting bulk placement mode: $assetId ($pattern)');
+  }
+
+  /// 一括配置を確定（ポリライン沿いの配置）
+  Future<void> finishBulkPlacement() async {
+    await executeMethod('finishBulkPlacement', {});
+  }
+
   /// 配置モードをキャンセル
   Future<void> cancelPlacementMode() async {
     await executeMethod('cancelPlacementMode', {});
@@ -766,6 +1606,45 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     await executeMethod('deselectPlacement', {});
   }
 
+  /// 選択中の配置物をまとめて移動（ロック中の配置物は除く）
+  ///
+  /// [east] [north] [up] 移動量（メートル）。結果は onPlacementsUpdated で通知される
+  Future<void> moveSelectedPlacements({
+    double east = 0,
+    double north = 0,
+    double up = 0,
+  }) async {
+    await executeMethod('moveSelectedPlacements', {
+      'east': east,
+      'north': north,
+      'up': up,
+    });
+  }
+
+  /// 選択中の配置物を重心まわりにまとめて回転（ロック中の配置物は除く）
+  ///
+  /// [angle] 回転角（度、時計回り）。結果は onPlacementsUpdated で通知される
+  Future<void> rotateSelectedPlacements(double angle) async {
+    await executeMethod('rotateSelectedPlacements', {'angle': angle});
+  }
+
+  /// 選択中の配置物をまとめて削除（ロック中の配置物は除く）
+  ///
+  /// 結果は onPlacementsDeleted で通知される
+  Future<void> deleteSelectedPlacements() async {
+    await executeMethod('deleteSelectedPlacements', {});
+  }
+
+  /// 選択中の配置物の表示/非表示をまとめて切り替え
+  Future<void> setSelectedPlacementsVisible(bool visible) async {
+    await executeMethod('setSelectedPlacementsVisible', {'visible': visible});
+  }
+
+  /// 選択中の配置物のロック状態をまとめて切り替え
+  Future<void> setSelectedPlacementsLocked(bool locked) async {
+    await executeMethod('setSelectedPlacementsLocked', {'locked': locked});
+  }
+
   /// 配置物にズーム
   ///
   /// [placementId] 配置物ID
@@ -781,12 +1660,20 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
   /// [groundEnabled] 地面スナップ有効
   /// [angleEnabled] 角度スナップ有効
   /// [angleStep] 角度スナップのステップ（度）
+  /// [objectEnabled] 他の配置物の辺・中心へのスナップ有効
+  /// [objectTolerance] 配置物へスナップする距離（メートル）
+  /// [localGrid] 回転グリッド {origin: {longitude, latitude, height}, heading（度）}
+  /// [clearLocalGrid] trueの場合は回転グリッドを解除して経緯度グリッドに戻す
   Future<void> updateSnapSettings({
     bool? gridEnabled,
     double? gridSize,
     bool? groundEnabled,
     bool? angleEnabled,
     double? angleStep,
+    bool? objectEnabled,
+    double? objectTolerance,
+    Map<String, dynamic>? localGrid,
+    bool clearLocalGrid = false,
   }) async {
     await executeMethod('updateSnapSettings', {
       if (gridEnabled != null) 'gridEnabled': gridEnabled,
@@ -794,6 +1681,114 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
       if (groundEnabled != null) 'groundEnabled': groundEnabled,
       if (angleEnabled != null) 'angleEnabled': angleEnabled,
       if (angleStep != null) 'angleStep': angleStep,
+      if (objectEnabled != null) 'objectEnabled': objectEnabled,
+      if (objectTolerance != null) 'objectTolerance': objectTolerance,
+      if (localGrid != null || clearLocalGrid) 'localGrid': localGrid,
+    });
+  }
+
+  /// 新規配置時の高さモードを設定
+  ///
+  /// [heightMode] 'absolute' / 'clampToTerrain' / 'clampToTileset' / 'relativeToGround'
+  Future<void> updatePlacementHeightSettings({
+    String? heightMode,
+    double? heightOffset,
+    bool? alignToSurface,
+  }) async {
+    await executeMethod('updatePlacementHeightSettings', {
+      if (heightMode != null) 'heightMode': heightMode,
+      if (heightOffset != null) 'heightOffset': heightOffset,
+      if (alignToSurface != null) 'alignToSurface': alignToSurface,
+    });
+  }
+
+  /// 配置物の高さモードを変更し、表面に置き直す
+  ///
+  /// 結果は onPlacementsUpdated（operation: 'heightMode'）で通知される。
+  Future<void> setPlacementHeightMode(
+    List<String> placementIds, {
+    String? heightMode,
+    double? heightOffset,
+    bool? alignToSurface,
+  }) async {
+    await executeMethod('setPlacementHeightMode', {
+      'ids': placementIds,
+      if (heightMode != null) 'heightMode': heightMode,
+      if (heightOffset != null) 'heightOffset': heightOffset,
+      if (alignToSurface != null) 'alignToSurface': alignToSurface,
+    });
+  }
+
+  /// アセットの寸法を登録
+  ///
+  /// 干渉チェック・配置物へのスナップ・フットプリント表示・実寸スケールに使われる。
+  /// [assets] id / dimensions（width・depth・height、メートル）のJSON
+  Future<void> setAssetDimensions(List<Map<String, dynamic>> assets) async {
+    await executeMethod('setAssetDimensions', {'assets': assets});
+    logInfo('Asset dimensions registered: ${assets.length}');
+  }
+
+  /// 現在の干渉状態を要求（onPlacementCollisions で通知される）
+  Future<void> requestPlacementCollisions() async {
+    await executeMethod('requestPlacementCollisions', {});
+  }
+
+  /// 現在の離隔範囲の重なりを要求（onClearanceConflicts で通知される）
+  Future<void> requestClearanceConflicts() async {
+    await executeMethod('requestClearanceConflicts', {});
+  }
+
+  /// 配置確定を通知された配置物を追加しなかったことをCesiumJSに伝える
+  ///
+  /// 操作履歴の待ち受けを取り消す（[count] 省略時はそのアセットの待ち受けをすべて取り消す）
+  Future<void> cancelConfirmedPlacements(String assetId, {int? count}) async {
+    await executeMethod('cancelConfirmedPlacements', {
+      'assetId': assetId,
+      if (count != null) 'count': count,
+    });
+  }
+
+  /// フットプリント・離隔範囲の表示設定を更新
+  ///
+  /// [clearances] は name / distance（メートル）/ color（HEX）のリスト
+  Future<void> updateClearanceSettings({
+    bool? showFootprints,
+    bool? showClearances,
+    List<Map<String, dynamic>>? clearances,
+  }) async {
+    await executeMethod('updateClearanceSettings', {
+      if (showFootprints != null) 'showFootprints': showFootprints,
+      if (showClearances != null) 'showClearances': showClearances,
+      if (clearances != null) 'clearances': clearances,
+    });
+  }
+
+  /// 配置物の表示設定を更新
+  ///
+  /// [trueSize] 実寸表示（遠景でも最小表示サイズまで拡大しない）
+  Future<void> updatePlacementDisplaySettings({bool? trueSize}) async {
+    await executeMethod('updatePlacementDisplaySettings', {
+      if (trueSize != null) 'trueSize': trueSize,
+    });
+  }
+
+  /// 配置物をアセット寸法から指定の実寸（メートル）にスケール
+  ///
+  /// 指定しなかった軸は現在のスケールを保つ。
+  /// 結果は onPlacementTransformed で通知される。
+  Future<void> scalePlacementToDimensions(
+    String placementId, {
+    double? width,
+    double? depth,
+    double? height,
+    bool keepAspect = false,
+  }) async {
+    await executeMethod('scalePlacementToDimensions', {
+      'id': placementId,
+      if (width != null) 'width': width,
+      if (depth != null) 'depth': depth,
+      if (height != null) 'height': height,
+      'keepAspect': keepAspect,
     });
   }
 
@@ -909,4 +1904,30 @@ class CesiumController extends ChangeNotifier with LoggableMixin {
     await executeMethod('zoomToDroneFormation', {'formationId': formationId});
     logInfo('Zooming to drone formation: $formationId');
   }
+
+  // ============================================
+  // 操作履歴
+  // ============================================
+
+  /// 直前の操作を元に戻す
+  Future<void> undo() async {
+    await executeMethod('undo', {});
+  }
+
+  /// 元に戻した操作をやり直す
+  Future<void> redo() async {
+    await executeMethod('redo', {});
+  }
+
+  /// 操作履歴を消去
+  Future<void> clearHistory() async {
+    await executeMethod('clearHistory', {});
+  }
+
+  /// キーボードショートカット（配置物の回転・移動・削除・複製、元に戻すなど）の有効/無効を切り替え
+  ///
+  /// Flutterのテキスト入力欄にフォーカスがある間は無効にする
+  Future<void> setKeyboardShortcutsEnabled(bool enabled) async {
+    await executeMethod('updateKeyboardShortcutSettings', {'enabled': enabled});
+  }
 }
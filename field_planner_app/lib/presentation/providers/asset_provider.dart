@@ -15,6 +15,7 @@ import '../../data/models/asset.dart';
 import '../../data/models/drone_formation.dart';
 import '../../data/repositories/asset_repository.dart';
 import '../../data/repositories/drone_formation_repository.dart';
+import 'cesium_provider.dart';
 import 'project_provider.dart';
 
 /// AssetRepositoryのプロバイダー
@@ -33,6 +34,23 @@ final allAssetsProvider = FutureProvider<List<Asset>>((ref) async {
   return repository.getAllAssets();
 });
 
+/// アセットの寸法をCesiumJSに登録するプロバイダー
+///
+/// コントローラの作成時とアセット一覧の再読込時に、全アセットの寸法を送る。
+/// 干渉チェック・スナップ・フットプリント表示はこの寸法を使う。
+final assetDimensionsSyncProvider = Provider<void>((ref) {
+  final cesiumController = ref.watch(cesiumControllerProvider);
+  final assets = ref.watch(allAssetsProvider).valueOrNull;
+  if (cesiumController == null || assets == null) return;
+
+  cesiumController.setAssetDimensions(assets
+      .map((asset) => {
+            'id': asset.id,
+            'dimensions': asset.dimensions.toJson(),
+          })
+      .toList());
+});
+
 /// カテゴリ別アセットのプロバイダー
 final assetsByCategoryProvider = FutureProvider.family<List<Asset>, AssetCategory>(
   (ref, category) async {
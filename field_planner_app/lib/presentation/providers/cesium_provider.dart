@@ -47,3 +47,21 @@ final cameraPositionProvider =
 
 /// CesiumJSの初期化状態
 final cesiumInitializedProvider = StateProvider<bool>((ref) => false);
+
+/// 元に戻す・やり直しの可否
+class EditHistoryState {
+  /// 元に戻せるか
+  final bool canUndo;
+
+  /// やり直せるか
+  final bool canRedo;
+
+  const EditHistoryState({
+    this.canUndo = false,
+    this.canRedo = false,
+  });
+}
+
+/// 操作履歴の状態（CesiumJSのhistoryChangedで更新）
+final editHistoryProvider =
+    StateProvider<EditHistoryState>((ref) => const EditHistoryState());
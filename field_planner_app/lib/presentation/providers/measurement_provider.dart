@@ -1,3 +1,4 @@
+import 'dart:async';
 import 'dart:convert';
 import 'dart:io';
 import 'dart:math';
@@ -11,6 +12,59 @@ import '../../data/models/geo_position.dart';
 import '../../infrastructure/webview/cesium_controller.dart';
 import 'cesium_provider.dart';
 
+/// 見通し解析の結果
+class LineOfSightResult {
+  /// 解析ID
+  final String id;
+
+  /// 観測点から対象点まで見通せるか
+  final bool visible;
+
+  /// 観測点（地表上）
+  final GeoPosition observer;
+
+  /// 対象点（地表上）
+  final GeoPosition target;
+
+  /// 視点から対象点までの距離（メートル）
+  final double distance;
+
+  /// 視点から最初の遮蔽地点までの距離（見通せる場合はdistance）
+  final double clearDistance;
+
+  /// 最初の遮蔽地点（見通せる場合null）
+  final GeoPosition? obstruction;
+
+  /// 遮蔽物の種類（'terrain' | 'tileset' | 'placement' | 'object'）
+  final String? obstructionSource;
+
+  const LineOfSightResult({
+    required this.id,
+    required this.visible,
+    required this.observer,
+    required this.target,
+    required this.distance,
+    required this.clearDistance,
+    this.obstruction,
+    this.obstructionSource,
+  });
+
+  factory LineOfSightResult.fromJson(Map<String, dynamic> json) {
+    final obstruction = json['obstruction'] as Map<String, dynamic>?;
+    return LineOfSightResult(
+      id: json['id'] as String,
+      visible: json['visible'] as bool,
+      observer: GeoPosition.fromJson(json['observer'] as Map<String, dynamic>),
+      target: GeoPosition.fromJson(json['target'] as Map<String, dynamic>),
+      distance: (json['distance'] as num).toDouble(),
+      clearDistance: (json['clearDistance'] as num).toDouble(),
+      obstruction:
+          obstruction != null ? GeoPosition.fromJson(obstruction) : null,
+      obstructionSource: obstruction?['source'] as String?,
+    );
+  }
+}
+
 /// 計測状態
 class MeasurementState {
   /// アクティブな計測モード（null = 計測中ではない）
@@ -34,6 +88,30 @@ class MeasurementState {
   /// 編集中の計測ID（null = 編集中ではない）
   final String? editingMeasurementId;
 
+  /// 計測点を既存の計測ポイント・配置物などにスナップするか
+  final bool snapEnabled;
+
+  /// 計測値の表示単位設定
+  final MeasurementUnitSettings unitSettings;
+
+  /// 断面計測のサンプリング間隔（メートル）
+  final double profileInterval;
+
+  /// 土量計測の基準面（'lowest' | 'bestFit' | 'fixed'）
+  final String volumeReferenceMode;
+
+  /// 土量計測の基準標高（'fixed'の場合、メートル）
+  final double volumeReferenceHeight;
+
+  /// 見通し解析の結果一覧
+  final List<LineOfSightResult> lineOfSightResults;
+
+  /// 見通し解析の観測者の目の高さ（メートル）
+  final double lineOfSightEyeHeight;
+
+  /// 見通し解析の対象の高さ（メートル）
+  final double lineOfSightTargetHeight;
+
   const MeasurementState({
     this.activeMode,
     this.tempPoints = const [],
@@ -42,6 +120,14 @@ class MeasurementState {
     this.measurements = const [],
     this.isLoading = false,
     this.editingMeasurementId,
+    this.snapEnabled = true,
+    this.unitSettings = const MeasurementUnitSettings(),
+    this.profileInterval = 1.0,
+    this.volumeReferenceMode = 'lowest',
+    this.volumeReferenceHeight = 0,
+    this.lineOfSightResults = const [],
+    this.lineOfSightEyeHeight = 1.6,
+    this.lineOfSightTargetHeight = 0,
   });
 
   /// 計測中かどうか
@@ -50,6 +136,9 @@ class MeasurementState {
   /// 編集中かどうか
   bool get isEditing => editingMeasurementId != null;
 
+  /// 計測値の表示単位系
+  MeasurementUnitSystem get unitSystem => unitSettings.system;
+
   MeasurementState copyWith({
     MeasurementType? activeMode,
     List<GeoPosition>? tempPoints,
@@ -58,6 +147,14 @@ class MeasurementState {
     List<Measurement>? measurements,
     bool? isLoading,
     String? editingMeasurementId,
+    bool? snapEnabled,
+    MeasurementUnitSettings? unitSettings,
+    double? profileInterval,
+    String? volumeReferenceMode,
+    double? volumeReferenceHeight,
+    List<LineOfSightResult>? lineOfSightResults,
+    double? lineOfSightEyeHeight,
+    double? lineOfSightTargetHeight,
     bool clearActiveMode = false,
     bool clearEditingId = false,
   }) {
@@ -71,6 +168,16 @@ class MeasurementState {
       editingMeasurementId: clearEditingId
           ? null
           : (editingMeasurementId ?? this.editingMeasurementId),
+      snapEnabled: snapEnabled ?? this.snapEnabled,
+      unitSettings: unitSettings ?? this.unitSettings,
+      profileInterval: profileInterval ?? this.profileInterval,
+      volumeReferenceMode: volumeReferenceMode ?? this.volumeReferenceMode,
+      volumeReferenceHeight:
+          volumeReferenceHeight ?? this.volumeReferenceHeight,
+      lineOfSightResults: lineOfSightResults ?? this.lineOfSightResults,
+      lineOfSightEyeHeight: lineOfSightEyeHeight ?? this.lineOfSightEyeHeight,
+      lineOfSightTargetHeight:
+          lineOfSightTargetHeight ?? this.lineOfSightTargetHeight,
     );
   }
 }
@@ -80,6 +187,10 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
   CesiumController? _cesiumController;
   String? _projectPath;
 
+  /// CesiumJSでのエクスポート・インポートの完了待ち
+  Completer<String>? _pendingExport;
+  Completer<int>? _pendingImport;
+
   MeasurementNotifier(this._cesiumController)
       : super(const MeasurementState()) {
     _setupCallbacks();
@@ -101,6 +212,16 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     _cesiumController!.onMeasurementCancelled = _onMeasurementCancelled;
     _cesiumController!.onMeasurementPointMoved = _onMeasurementPointMoved;
     _cesiumController!.onMeasurementPointDeleted = _onMeasurementPointDeleted;
+    _cesiumController!.onMeasurementPointsReplaced = _onMeasurementPointsReplaced;
+    _cesiumController!.onElevationProfileSampled = _onElevationProfileSampled;
+    _cesiumController!.onMeasurementSurfaceSampled = _onMeasurementSurfaceSampled;
+    _cesiumController!.onMeasurementsExported = _onMeasurementsExported;
+    _cesiumController!.onMeasurementsImported = _onMeasurementsImported;
+    _cesiumController!.onMeasurementTransferFailed = _onMeasurementTransferFailed;
+    _cesiumController!.onMeasurementUnitsChanged = _onMeasurementUnitsChanged;
+    _cesiumController!.onMeasurementError = _onMeasurementError;
+    _cesiumController!.onLineOfSightAnalyzed = _onLineOfSightAnalyzed;
+    _cesiumController!.onLineOfSightRemoved = _onLineOfSightRemoved;
     _cesiumController!.onMeasurementEditModeStarted = _onMeasurementEditModeStarted;
     _cesiumController!.onMeasurementEditModeEnded = _onMeasurementEditModeEnded;
   }
@@ -144,6 +265,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     List<GeoPosition> points,
     double value,
     String unit,
+    Map<String, dynamic> details,
   ) {
     final measurementType = _typeFromString(type);
     if (measurementType == null) return;
@@ -156,6 +278,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       points: points,
       value: value,
       unit: unit,
+      details: details.isEmpty ? null : details,
       createdAt: DateTime.now(),
     );
 
@@ -190,21 +313,60 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
   void _onMeasurementPointMoved(
     String measurementId,
     int pointIndex,
-    GeoPosition newPoint,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
   ) {
-    final index = state.measurements.indexWhere((m) => m.id == measurementId);
-    if (index == -1) return;
+    _applyEditedMeasurement(measurementId, points, value, details);
+  }
 
-    final measurement = state.measurements[index];
-    final newPoints = [...measurement.points];
-    newPoints[pointIndex] = newPoint;
+  void _onMeasurementPointDeleted(
+    String measurementId,
+    int pointIndex,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  ) {
+    if (!_applyEditedMeasurement(measurementId, points, value, details)) return;
 
-    // 計測値を再計算
-    final newValue = _recalculateMeasurement(measurement.type, newPoints);
+    // 編集モードを再開始（ポイントインデックスが変わるため）
+    final controller = _cesiumController;
+    if (controller != null) {
+      controller.endMeasurementEditMode();
+      controller.startMeasurementEditMode(measurementId);
+    }
+  }
 
+  void _onMeasurementPointsReplaced(
+    String measurementId,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  ) {
+    _applyEditedMeasurement(measurementId, points, value, details);
+  }
+
+  /// CesiumJSで頂点を編集・再計算した結果を反映して保存
+  ///
+  /// 表示はCesiumJS側で更新済みのため送り返さない。
+  /// 計測値・付加情報（表面積・土量など）は表面の高さを使うCesiumJSの値を採用する。
+  /// 計測が見つかった場合はtrueを返す
+  bool _applyEditedMeasurement(
+    String measurementId,
+    List<GeoPosition> points,
+    double? value,
+    Map<String, dynamic> details,
+  ) {
+    final index = state.measurements.indexWhere((m) => m.id == measurementId);
+    if (index == -1) return false;
+
+    final measurement = state.measurements[index];
+    final newValue = value ?? _recalculateMeasurement(measurement.type, points);
     final updatedMeasurement = measurement.copyWith(
-      points: newPoints,
+      points: points,
       value: newValue,
+      clearValue: newValue == null,
+      details: {...?measurement.details, ...details},
     );
 
     final newMeasurements = [...state.measurements];
@@ -212,40 +374,51 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
 
     state = state.copyWith(measurements: newMeasurements);
 
-    // 表示を更新
-    _updateMeasurementInCesium(updatedMeasurement);
-
     // 保存
     if (_projectPath != null) {
       _saveMeasurements();
     }
+    return true;
   }
 
-  void _onMeasurementPointDeleted(
-    String measurementId,
-    int pointIndex,
+  /// 編集した断面計測の再サンプリング結果を反映
+  void _onElevationProfileSampled(
+    String? measurementId,
+    Map<String, dynamic> profile,
   ) {
     final index = state.measurements.indexWhere((m) => m.id == measurementId);
     if (index == -1) return;
 
     final measurement = state.measurements[index];
-    
-    // 最小ポイント数をチェック（距離:2, 面積:3, 高さ:2）
-    final minPoints = measurement.type == MeasurementType.area ? 3 : 2;
-    if (measurement.points.length <= minPoints) {
-      // ポイントが少なすぎる場合は削除しない
-      return;
-    }
+    final updatedMeasurement = measurement.copyWith(
+      value: (profile['length'] as num?)?.toDouble(),
+      details: {...?measurement.details, ...profile},
+    );
 
-    final newPoints = [...measurement.points];
-    newPoints.removeAt(pointIndex);
+    final newMeasurements = [...state.measurements];
+    newMeasurements[index] = updatedMeasurement;
 
-    // 計測値を再計算
-    final newValue = _recalculateMeasurement(measurement.type, newPoints);
+    state = state.copyWith(measurements: newMeasurements);
 
+    // 表示はCesiumJS側で更新済み
+    if (_projectPath != null) {
+      _saveMeasurements();
+    }
+  }
+
+  /// 編集後に再サンプリングした表面積・土量を反映して保存
+  void _onMeasurementSurfaceSampled(
+    String measurementId,
+    double? value,
+    Map<String, dynamic> details,
+  ) {
+    final index = state.measurements.indexWhere((m) => m.id == measurementId);
+    if (index == -1) return;
+
+    final measurement = state.measurements[index];
     final updatedMeasurement = measurement.copyWith(
-      points: newPoints,
-      value: newValue,
+      value: value,
+      details: {...?measurement.details, ...details},
     );
 
     final newMeasurements = [...state.measurements];
@@ -253,20 +426,90 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
 
     state = state.copyWith(measurements: newMeasurements);
 
-    // 表示を更新
-    _updateMeasurementInCesium(updatedMeasurement);
+    // 表示はCesiumJS側で更新済み
+    if (_projectPath != null) {
+      _saveMeasurements();
+    }
+  }
 
-    // 編集モードを再開始（ポイントインデックスが変わるため）
-    final controller = _cesiumController;
-    if (controller != null) {
-      controller.endMeasurementEditMode();
-      controller.startMeasurementEditMode(measurementId);
+  void _onMeasurementsExported(
+    String format,
+    String content,
+    String fileExtension,
+    int count,
+  ) {
+    _pendingExport?.complete(content);
+    _pendingExport = null;
+  }
+
+  /// CesiumJSで読み込んだ計測結果を追加して保存（同じIDの計測は置き換える）
+  void _onMeasurementsImported(
+    String format,
+    List<Map<String, dynamic>> measurements,
+  ) {
+    final imported = <Measurement>[];
+    for (final json in measurements) {
+      final measurement = Measurement.fromImport(json);
+      if (measurement == null) {
+        // 扱えない計測タイプは表示も残さない
+        _cesiumController?.removeMeasurementDisplay(json['id'].toString());
+        continue;
+      }
+      imported.add(measurement);
     }
 
-    // 保存
+    final importedIds = imported.map((m) => m.id).toSet();
+    state = state.copyWith(measurements: [
+      ...state.measurements.where((m) => !importedIds.contains(m.id)),
+      ...imported,
+    ]);
+
     if (_projectPath != null) {
       _saveMeasurements();
     }
+
+    _pendingImport?.complete(imported.length);
+    _pendingImport = null;
+  }
+
+  void _onMeasurementTransferFailed(String format, String error) {
+    final exception = Exception(error);
+    _pendingExport?.completeError(exception);
+    _pendingExport = null;
+    _pendingImport?.completeError(exception);
+    _pendingImport = null;
+  }
+
+  void _onMeasurementError(String error) {
+    // 見通し解析はCesiumJS側で計測モードを終了済み
+    if (state.activeMode == MeasurementType.lineOfSight) {
+      state = state.copyWith(clearActiveMode: true, tempPoints: []);
+    }
+  }
+
+  void _onLineOfSightAnalyzed(Map<String, dynamic> json) {
+    final result = LineOfSightResult.fromJson(json);
+    state = state.copyWith(
+      lineOfSightResults: [
+        ...state.lineOfSightResults.where((r) => r.id != result.id),
+        result,
+      ],
+      clearActiveMode: state.activeMode == MeasurementType.lineOfSight,
+      tempPoints: state.activeMode == MeasurementType.lineOfSight ? [] : null,
+    );
+  }
+
+  void _onLineOfSightRemoved(String id) {
+    state = state.copyWith(
+      lineOfSightResults:
+          state.lineOfSightResults.where((r) => r.id != id).toList(),
+    );
+  }
+
+  void _onMeasurementUnitsChanged(Map<String, dynamic> settings) {
+    state = state.copyWith(
+      unitSettings: MeasurementUnitSettings.fromJson(settings),
+    );
   }
 
   void _onMeasurementEditModeStarted(String measurementId) {
@@ -291,9 +534,108 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       await cancelMeasurement();
     }
 
+    if (type == MeasurementType.lineOfSight) {
+      await controller.startLineOfSightMode(
+        eyeHeight: state.lineOfSightEyeHeight,
+        targetHeight: state.lineOfSightTargetHeight,
+      );
+      return;
+    }
+
     await controller.startMeasurementMode(type.name);
   }
 
+  /// 計測値の表示単位系を設定
+  Future<void> setUnitSystem(MeasurementUnitSystem system) async {
+    state = state.copyWith(
+      unitSettings: state.unitSettings.copyWith(system: system),
+    );
+    await _cesiumController?.setMeasurementUnits(system: system.name);
+  }
+
+  /// 計測値の表示単位を固定
+  ///
+  /// [quantity] 'length' | 'area' | 'volume'
+  /// [unit] 単位（'auto'で単位系から自動選択）
+  Future<void> setDisplayUnit(String quantity, String unit) async {
+    state = state.copyWith(
+      unitSettings: state.unitSettings.copyWith(
+        units: {...state.unitSettings.units, quantity: unit},
+      ),
+    );
+    await _cesiumController?.setMeasurementUnits(
+      length: quantity == 'length' ? unit : null,
+      area: quantity == 'area' ? unit : null,
+      volume: quantity == 'volume' ? unit : null,
+    );
+  }
+
+  /// 計測値の小数点以下の桁数を設定
+  ///
+  /// [quantity] 'length' | 'area' | 'volume' | 'angle'
+  Future<void> setPrecision(String quantity, int digits) async {
+    state = state.copyWith(
+      unitSettings: state.unitSettings.copyWith(
+        precision: {...state.unitSettings.precision, quantity: digits},
+      ),
+    );
+    await _cesiumController?.setMeasurementUnits(
+      precision: {quantity: digits},
+    );
+  }
+
+  /// 計測点のスナップを切り替え
+  Future<void> setSnapEnabled(bool enabled) async {
+    state = state.copyWith(snapEnabled: enabled);
+    await _cesiumController?.updateMeasurementSnapSettings(enabled: enabled);
+  }
+
+  /// 断面計測のサンプリング間隔を設定
+  Future<void> setProfileInterval(double interval) async {
+    state = state.copyWith(profileInterval: interval);
+    await _cesiumController?.updateProfileSettings(interval: interval);
+  }
+
+  /// 見通し解析の目の高さ・対象の高さを設定
+  Future<void> setLineOfSightHeights({
+    double? eyeHeight,
+    double? targetHeight,
+  }) async {
+    state = state.copyWith(
+      lineOfSightEyeHeight: eyeHeight,
+      lineOfSightTargetHeight: targetHeight,
+    );
+    await _cesiumController?.updateLineOfSightSettings(
+      eyeHeight: eyeHeight,
+      targetHeight: targetHeight,
+    );
+  }
+
+  /// 見通し解析の結果を削除
+  Future<void> removeLineOfSight(String id) async {
+    await _cesiumController?.removeLineOfSight(id);
+  }
+
+  /// すべての見通し解析の結果を削除
+  Future<void> clearLineOfSights() async {
+    await _cesiumController?.clearLineOfSights();
+  }
+
+  /// 土量計測の基準面を設定
+  Future<void> setVolumeReference({
+    String? referenceMode,
+    double? referenceHeight,
+  }) async {
+    state = state.copyWith(
+      volumeReferenceMode: referenceMode,
+      volumeReferenceHeight: referenceHeight,
+    );
+    await _cesiumController?.updateVolumeSettings(
+      referenceMode: referenceMode,
+      referenceHeight: referenceHeight,
+    );
+  }
+
   /// 計測をキャンセル
   Future<void> cancelMeasurement() async {
     final controller = _cesiumController;
@@ -375,6 +717,23 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     }
   }
 
+  /// 計測結果（面積・土量）を立入禁止区域として扱うか切り替え
+  Future<void> setMeasurementKeepOut(String measurementId, bool keepOut) async {
+    final index = state.measurements.indexWhere((m) => m.id == measurementId);
+    if (index == -1) return;
+
+    await _cesiumController?.setMeasurementKeepOut(measurementId, keepOut);
+
+    final newMeasurements = [...state.measurements];
+    newMeasurements[index] = state.measurements[index].copyWith(keepOut: keepOut);
+
+    state = state.copyWith(measurements: newMeasurements);
+
+    if (_projectPath != null) {
+      await _saveMeasurements();
+    }
+  }
+
   /// 計測のスタイルを更新（色、不透明度、線幅）
   Future<void> updateMeasurementStyle({
     required String measurementId,
@@ -450,12 +809,15 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     final newPoints = [...measurement.points];
     newPoints[pointIndex] = newPoint;
 
-    // 計測値を再計算
+    // 計測値を再計算（土量などFlutter側で計算できない値と付加情報は
+    // CesiumJSの再計算結果が onMeasurementPointsReplaced で届くまで未計算とする）
     final newValue = _recalculateMeasurement(measurement.type, newPoints);
 
     final updatedMeasurement = measurement.copyWith(
       points: newPoints,
       value: newValue,
+      clearValue: newValue == null,
+      clearDetails: true,
     );
 
     final newMeasurements = [...state.measurements];
@@ -463,8 +825,8 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
 
     state = state.copyWith(measurements: newMeasurements);
 
-    // 表示を更新
-    await _updateMeasurementInCesium(updatedMeasurement);
+    // 表示の更新と再計算はCesiumJS側で行う
+    await _cesiumController?.setMeasurementPoints(measurementId, newPoints);
 
     if (_projectPath != null) {
       await _saveMeasurements();
@@ -501,6 +863,39 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     }
   }
 
+  /// CesiumJSで計測結果をエクスポートし、ファイル内容を返す
+  ///
+  /// [format] 'geojson' | 'kml' | 'csv'（表示中の計測が対象）
+  Future<String> exportMeasurements(String format) async {
+    final controller = _cesiumController;
+    if (controller == null) {
+      throw StateError('CesiumJSが初期化されていません');
+    }
+
+    final completer = Completer<String>();
+    _pendingExport = completer;
+    await controller.exportMeasurements(
+      format: format,
+      measurementIds: state.measurements.map((m) => m.id).toList(),
+    );
+    return completer.future.timeout(const Duration(seconds: 30));
+  }
+
+  /// ファイル内容をCesiumJSで読み込んで計測結果に追加し、追加した件数を返す
+  ///
+  /// [format] 'geojson' | 'kml' | 'csv'
+  Future<int> importMeasurements(String format, String content) async {
+    final controller = _cesiumController;
+    if (controller == null) {
+      throw StateError('CesiumJSが初期化されていません');
+    }
+
+    final completer = Completer<int>();
+    _pendingImport = completer;
+    await controller.importMeasurements(format: format, content: content);
+    return completer.future.timeout(const Duration(seconds: 30));
+  }
+
   /// CSVとしてエクスポート
   Future<String> exportToCsv() async {
     final buffer = StringBuffer();
@@ -531,7 +926,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     final features = state.measurements.map((m) {
       Map<String, dynamic> geometry;
 
-      if (m.type == MeasurementType.area) {
+      if (m.type == MeasurementType.area || m.type == MeasurementType.volume) {
         // ポリゴン
         geometry = {
           'type': 'Polygon',
@@ -596,13 +991,21 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
         return MeasurementType.height;
       case 'angle':
         return MeasurementType.angle;
+      case 'profile':
+        return MeasurementType.profile;
+      case 'volume':
+        return MeasurementType.volume;
+      case 'lineOfSight':
+        return MeasurementType.lineOfSight;
       default:
         return null;
     }
   }
 
   /// 計測値を再計算
-  double _recalculateMeasurement(MeasurementType type, List<GeoPosition> points) {
+  ///
+  /// 土量は表面の高さが必要なためCesiumJSで計算し、ここではnull（値を変更しない）を返す
+  double? _recalculateMeasurement(MeasurementType type, List<GeoPosition> points) {
     if (points.length < 2) return 0;
 
     switch (type) {
@@ -613,12 +1016,23 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       case MeasurementType.height:
         return _calculateHeight(points);
       case MeasurementType.angle:
-        return 0; // 未実装
+        return _calculateAngle(points);
+      case MeasurementType.profile:
+        return _calculateDistance(points, horizontal: true);
+      case MeasurementType.volume:
+        return null;
+      case MeasurementType.lineOfSight:
+        return _calculateDistance(points);
     }
   }
 
   /// 距離を計算（メートル）
-  double _calculateDistance(List<GeoPosition> points) {
+  ///
+  /// [horizontal] trueの場合は高さの差を含めない（断面の水平距離）
+  double _calculateDistance(
+    List<GeoPosition> points, {
+    bool horizontal = false,
+  }) {
     double totalDistance = 0;
 
     for (int i = 0; i < points.length - 1; i++) {
@@ -638,7 +1052,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       final horizontalDistance = earthRadius * c;
 
       // 高さの差
-      final heightDiff = p2.height - p1.height;
+      final heightDiff = horizontal ? 0.0 : p2.height - p1.height;
 
       // 3D距離
       totalDistance +=
@@ -671,6 +1085,31 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     return area.abs() / 2;
   }
 
+  /// 角度を計算（度）
+  ///
+  /// 2点目を頂点として、水平面上で1点目・3点目へ向かう方向がなす角（0〜180度）
+  double _calculateAngle(List<GeoPosition> points) {
+    if (points.length < 3) return 0;
+
+    final vertex = points[1];
+    final cosLat = cos(vertex.latitude * pi / 180);
+
+    // 頂点を原点とする東・北方向のメートル座標（近似）
+    (double, double) toLocal(GeoPosition p) => (
+          (p.longitude - vertex.longitude) * 111320 * cosLat,
+          (p.latitude - vertex.latitude) * 110540,
+        );
+
+    final (ax, ay) = toLocal(points[0]);
+    final (bx, by) = toLocal(points[2]);
+    final lengthA = sqrt(ax * ax + ay * ay);
+    final lengthB = sqrt(bx * bx + by * by);
+    if (lengthA == 0 || lengthB == 0) return 0;
+
+    final cosAngle = ((ax * bx + ay * by) / (lengthA * lengthB)).clamp(-1.0, 1.0);
+    return acos(cosAngle) * 180 / pi;
+  }
+
   /// 高さ/標高差を計算（メートル）
   double _calculateHeight(List<GeoPosition> points) {
     if (points.length < 2) return 0;
@@ -683,6 +1122,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     if (controller == null) return;
 
     await controller.updateMeasurementDisplay({
+      ...?measurement.details,
       'id': measurement.id,
       'type': measurement.type.name,
       'name': measurement.name,
@@ -692,6 +1132,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       'color': measurement.color,
       'lineWidth': measurement.lineWidth,
       'visible': measurement.visible,
+      'keepOut': measurement.keepOut,
     });
   }
 
@@ -700,6 +1141,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
     if (controller == null) return;
 
     await controller.addMeasurementDisplay({
+      ...?measurement.details,
       'id': measurement.id,
       'type': measurement.type.name,
       'name': measurement.name,
@@ -709,6 +1151,7 @@ class MeasurementNotifier extends StateNotifier<MeasurementState> {
       'color': measurement.color,
       'lineWidth': measurement.lineWidth,
       'visible': measurement.visible,
+      'keepOut': measurement.keepOut,
     });
   }
 
@@ -79,6 +79,122 @@ final placementModeStateProvider = StateProvider<PlacementModeState>((ref) {
 /// 配置中のアセットIDのプロバイダー
 final placingAssetIdProvider = StateProvider<String?>((ref) => null);
 
+/// 配置物の干渉
+class PlacementCollision {
+  /// 種類（'placement': 配置物同士 / 'keepOut': 立入禁止区域への侵入）
+  final String type;
+
+  /// 配置物ID
+  final String a;
+
+  /// 相手の配置物ID、または立入禁止区域の計測ID
+  final String b;
+
+  const PlacementCollision({
+    required this.type,
+    required this.a,
+    required this.b,
+  });
+
+  /// JSONからPlacementCollisionを生成
+  factory PlacementCollision.fromJson(Map<String, dynamic> json) {
+    return PlacementCollision(
+      type: json['type'] as String? ?? 'placement',
+      a: json['a'] as String,
+      b: json['b'] as String,
+    );
+  }
+
+  /// 指定した配置物が関わる干渉か
+  bool involves(String placementId) => a == placementId || b == placementId;
+
+  /// 指定した配置物から見た相手のID
+  String otherOf(String placementId) => a == placementId ? b : a;
+}
+
+/// 配置物のフットプリントの外側に確保する離隔範囲
+class ClearanceZone {
+  /// 名前（'service': メンテナンス通路 / 'fireLane': 消防通路）
+  final String name;
+
+  /// フットプリントからの距離（メートル）
+  final double distance;
+
+  /// 表示色（HEX）
+  final String color;
+
+  const ClearanceZone({
+    required this.name,
+    required this.distance,
+    required this.color,
+  });
+
+  /// 表示名
+  String get label => switch (name) {
+        'service' => 'メンテナンス通路',
+        'fireLane' => '消防通路',
+        _ => name,
+      };
+
+  ClearanceZone copyWith({double? distance}) {
+    return ClearanceZone(
+      name: name,
+      distance: distance ?? this.distance,
+      color: color,
+    );
+  }
+
+  /// JSONに変換
+  Map<String, dynamic> toJson() => {
+        'name': name,
+        'distance': distance,
+        'color': color,
+      };
+}
+
+/// 離隔範囲の重なり
+class ClearanceConflict {
+  /// 配置物ID
+  final String a;
+
+  /// 相手の配置物ID
+  final String b;
+
+  /// 重なった離隔範囲の名前
+  final String clearance;
+
+  /// 必要な離隔距離（メートル）
+  final double distance;
+
+  /// 離隔範囲が相手のフットプリントまで入り込んでいるか
+  final bool intrusion;
+
+  const ClearanceConflict({
+    required this.a,
+    required this.b,
+    required this.clearance,
+    required this.distance,
+    required this.intrusion,
+  });
+
+  /// JSONからClearanceConflictを生成
+  factory ClearanceConflict.fromJson(Map<String, dynamic> json) {
+    return ClearanceConflict(
+      a: json['a'] as String,
+      b: json['b'] as String,
+      clearance: json['clearance'] as String? ?? '',
+      distance: (json['distance'] as num?)?.toDouble() ?? 0,
+      intrusion: json['intrusion'] as bool? ?? false,
+    );
+  }
+
+  /// 指定した配置物が関わる重なりか
+  bool involves(String placementId) => a == placementId || b == placementId;
+
+  /// 指定した配置物から見た相手のID
+  String otherOf(String placementId) => a == placementId ? b : a;
+}
+
 /// 配置物管理コントローラ
 class PlacementController extends ChangeNotifier {
   final CesiumController _cesiumController;
@@ -89,8 +205,44 @@ class PlacementController extends ChangeNotifier {
   final List<Placement> _placements = [];
   final List<PlacementGroup> _groups = [];
   String? _selectedPlacementId;
+  List<String> _selectedPlacementIds = const [];
   String? _currentAssetIdForPlacement;
 
+  /// 干渉している配置物の組（CesiumJSから通知）
+  List<PlacementCollision> _collisions = [];
+
+  /// 離隔範囲が重なっている配置物の組（CesiumJSから通知）
+  List<ClearanceConflict> _clearanceConflicts = [];
+
+  /// フットプリント・離隔範囲の表示設定
+  bool _showFootprints = false;
+  bool _showClearances = false;
+  List<ClearanceZone> _clearances = const [
+    ClearanceZone(name: 'service', distance: 1.0, color: '#FFC107'),
+    ClearanceZone(name: 'fireLane', distance: 3.0, color: '#F44336'),
+  ];
+
+  /// 他の配置物の辺・中心へのスナップ
+  bool _objectSnapEnabled = true;
+  double _objectSnapTolerance = 0.5;
+
+  /// 一括配置中のパターン
+  String? _bulkPlacementPattern;
+
+  /// グリッドスナップ（原点を指定した場合は原点・向きに合わせた回転グリッド）
+  bool _gridEnabled = true;
+  double _gridSize = 1.0;
+  GeoPosition? _localGridOrigin;
+  double _localGridHeading = 0;
+
+  /// 実寸表示（遠景でも最小表示サイズまで拡大しない）
+  bool _trueSize = false;
+
+  /// 新規配置時の高さモード
+  String _heightMode = 'absolute';
+  double _heightOffset = 0;
+  bool _alignToSurface = false;
+
   /// ドローン配置モード用の一時データ
   DroneFormation? _pendingDroneFormation;
   Map<String, dynamic>? _pendingDroneSettings;
@@ -99,12 +251,53 @@ class PlacementController extends ChangeNotifier {
   String? _positionPickTargetId;
   void Function(GeoPosition)? _onPositionPicked;
 
+  /// 位置ピックの対象（回転グリッドの原点）
+  static const _localGridPickTarget = 'localGrid';
+
   /// UUIDジェネレータ
   final Uuid _uuid = const Uuid();
 
   List<Placement> get placements => List.unmodifiable(_placements);
   List<PlacementGroup> get groups => List.unmodifiable(_groups);
+  List<PlacementCollision> get collisions => List.unmodifiable(_collisions);
+  bool get objectSnapEnabled => _objectSnapEnabled;
+  double get objectSnapTolerance => _objectSnapTolerance;
+  /// 新規配置時の高さモード・表面からの高さ・表面への傾き合わせ
+  String get heightMode => _heightMode;
+  double get heightOffset => _heightOffset;
+  bool get alignToSurface => _alignToSurface;
+
+  /// 一括配置中のパターン（'linear' / 'grid' / 'path'、一括配置中でなければnull）
+  String? get bulkPlacementPattern => _bulkPlacementPattern;
+  bool get gridEnabled => _gridEnabled;
+  double get gridSize => _gridSize;
+  GeoPosition? get localGridOrigin => _localGridOrigin;
+  double get localGridHeading => _localGridHeading;
+
+  /// 地図のクリックで回転グリッドの原点を指定中か
+  bool get isPickingLocalGridOrigin =>
+      _positionPickTargetId == _localGridPickTarget;
+  bool get trueSize => _trueSize;
+  List<ClearanceConflict> get clearanceConflicts =>
+      List.unmodifiable(_clearanceConflicts);
+  bool get showFootprints => _showFootprints;
+  bool get showClearances => _showClearances;
+  List<ClearanceZone> get clearances => List.unmodifiable(_clearances);
+
+  /// 指定した配置物が関わる干渉
+  List<PlacementCollision> collisionsOf(String placementId) =>
+      _collisions.where((c) => c.involves(placementId)).toList();
+
+  /// 指定した配置物が関わる離隔範囲の重なり
+  List<ClearanceConflict> clearanceConflictsOf(String placementId) =>
+      _clearanceConflicts.where((c) => c.involves(placementId)).toList();
   String? get selectedPlacementId => _selectedPlacementId;
+
+  /// 選択中の配置物ID（複数選択を含む）
+  List<String> get selectedPlacementIds => _selectedPlacementIds;
+
+  /// 複数の配置物を選択中か
+  bool get hasMultipleSelection => _selectedPlacementIds.length > 1;
   
   Placement? get selectedPlacement {
     if (_selectedPlacementId == null) return null;
@@ -127,10 +320,24 @@ class PlacementController extends ChangeNotifier {
   /// コールバックを設定
   void _setupCallbacks() {
     _cesiumController.onPlacementConfirmed = _onPlacementConfirmed;
+    _cesiumController.onPlacementsConfirmed = _onPlacementsConfirmed;
     _cesiumController.onPlacementSelected = _onPlacementSelected;
     _cesiumController.onPlacementDeselected = _onPlacementDeselected;
+    _cesiumController.onPlacementSelectionChanged = _onPlacementSelectionChanged;
+    _cesiumController.onPlacementTransformed = _onPlacementTransformed;
+    _cesiumController.onPlacementsUpdated = _onPlacementsUpdated;
+    _cesiumController.onPlacementsDeleted = _onPlacementsDeleted;
+    _cesiumController.onPlacementsRestored = _onPlacementsRestored;
+    _cesiumController.onPlacementDuplicateRequested = _onPlacementDuplicateRequested;
+    _cesiumController.onPlacementCollisions = _onPlacementCollisions;
+    _cesiumController.onClearanceConflicts = _onClearanceConflicts;
+    _cesiumController.onDroneFormationRestored = _onDroneFormationRestored;
     _cesiumController.onPlacementCancelled = _onPlacementCancelled;
     _cesiumController.onMapClicked = _onMapClicked;
+
+    // コールバック設定前に通知された干渉・離隔範囲の状態を取り直す
+    _cesiumController.requestPlacementCollisions();
+    _cesiumController.requestClearanceConflicts();
   }
 
   /// プロジェクトパスを取得
@@ -157,23 +364,98 @@ class PlacementController extends ChangeNotifier {
       await _addPlacementToCesium(placement);
     }
 
+    // 前のプロジェクトの操作は元に戻せないようにする
+    await _cesiumController.clearHistory();
+
     notifyListeners();
   }
 
   /// 配置モードを開始
   Future<void> startPlacementMode(String assetId, String modelUrl) async {
     _currentAssetIdForPlacement = assetId;
+    _bulkPlacementPattern = null;
     _ref.read(placementModeStateProvider.notifier).state = PlacementModeState.placing;
     _ref.read(placingAssetIdProvider.notifier).state = assetId;
+    notifyListeners();
 
     await _cesiumController.startPlacementMode(assetId, modelUrl);
   }
 
+  /// 一括配置モードを開始（直線・グリッド・ポリライン沿い）
+  Future<void> startBulkPlacementMode(
+    String assetId,
+    String modelUrl, {
+    String pattern = 'linear',
+    double spacing = 2.0,
+    int rows = 0,
+    int columns = 0,
+    double? rowSpacing,
+    double headingOffset = 0,
+  }) async {
+    _currentAssetIdForPlacement = assetId;
+    _bulkPlacementPattern = pattern;
+    _ref.read(placementModeStateProvider.notifier).state = PlacementModeState.placing;
+    _ref.read(placingAssetIdProvider.notifier).state = assetId;
+    notifyListeners();
+
+    await _cesiumController.startBulkPlacementMode(
+      assetId,
+      modelUrl,
+      pattern: pattern,
+      spacing: spacing,
+      rows: rows,
+      columns: columns,
+      rowSpacing: rowSpacing,
+      headingOffset: headingOffset,
+    );
+  }
+
+  /// ポリライン沿いの一括配置を確定（モードは継続する）
+  Future<void> finishBulkPlacement() async {
+    if (_bulkPlacementPattern == null) return;
+    await _cesiumController.finishBulkPlacement();
+  }
+
+  /// 新規配置時の高さモードを設定
+  Future<void> setPlacementHeightSettings({
+    required String heightMode,
+    double heightOffset = 0,
+    bool alignToSurface = false,
+  }) async {
+    _heightMode = heightMode;
+    _heightOffset = heightOffset;
+    _alignToSurface = alignToSurface;
+    notifyListeners();
+
+    await _cesiumController.updatePlacementHeightSettings(
+      heightMode: heightMode,
+      heightOffset: heightOffset,
+      alignToSurface: alignToSurface,
+    );
+  }
+
+  /// 配置物の高さモードを変更（結果は onPlacementsUpdated で保存される）
+  Future<void> setPlacementHeightMode(
+    List<String> placementIds, {
+    String? heightMode,
+    double? heightOffset,
+    bool? alignToSurface,
+  }) async {
+    await _cesiumController.setPlacementHeightMode(
+      placementIds,
+      heightMode: heightMode,
+      heightOffset: heightOffset,
+      alignToSurface: alignToSurface,
+    );
+  }
+
   /// 配置モードをキャンセル
   Future<void> cancelPlacementMode() async {
     _currentAssetIdForPlacement = null;
+    _bulkPlacementPattern = null;
     _ref.read(placementModeStateProvider.notifier).state = PlacementModeState.idle;
     _ref.read(placingAssetIdProvider.notifier).state = null;
+    notifyListeners();
 
     await _cesiumController.cancelPlacementMode();
   }
@@ -194,6 +476,39 @@ class PlacementController extends ChangeNotifier {
     notifyListeners();
   }
 
+  /// 選択中の配置物をまとめて削除（結果は onPlacementsDeleted で保存される）
+  Future<void> deleteSelectedPlacements() async {
+    await _cesiumController.deleteSelectedPlacements();
+  }
+
+  /// 選択中の配置物の表示/非表示をまとめて切り替え（結果は onPlacementsUpdated で保存される）
+  Future<void> setSelectedPlacementsVisible(bool visible) async {
+    await _cesiumController.setSelectedPlacementsVisible(visible);
+  }
+
+  /// 選択中の配置物のロック状態をまとめて切り替え（結果は onPlacementsUpdated で保存される）
+  Future<void> setSelectedPlacementsLocked(bool locked) async {
+    await _cesiumController.setSelectedPlacementsLocked(locked);
+  }
+
+  /// 選択中の配置物をまとめて移動（結果は onPlacementsUpdated で保存される）
+  Future<void> moveSelectedPlacements({
+    double east = 0,
+    double north = 0,
+    double up = 0,
+  }) async {
+    await _cesiumController.moveSelectedPlacements(
+      east: east,
+      north: north,
+      up: up,
+    );
+  }
+
+  /// 選択中の配置物をまとめて回転（結果は onPlacementsUpdated で保存される）
+  Future<void> rotateSelectedPlacements(double angle) async {
+    await _cesiumController.rotateSelectedPlacements(angle);
+  }
+
   /// 配置物を削除
   Future<void> deletePlacement(String placementId) async {
     final projectPath = _projectPath;
@@ -239,6 +554,9 @@ class PlacementController extends ChangeNotifier {
       ),
       rotation: original.rotation,
       scale: original.scale,
+      heightMode: original.heightMode,
+      heightOffset: original.heightOffset,
+      alignToSurface: original.alignToSurface,
       tags: List.from(original.tags),
       createdAt: DateTime.now(),
       updatedAt: DateTime.now(),
@@ -282,13 +600,108 @@ class PlacementController extends ChangeNotifier {
     bool? groundEnabled,
     bool? angleEnabled,
     double? angleStep,
+    bool? objectEnabled,
+    double? objectTolerance,
   }) async {
+    _objectSnapEnabled = objectEnabled ?? _objectSnapEnabled;
+    _objectSnapTolerance = objectTolerance ?? _objectSnapTolerance;
+    _gridEnabled = gridEnabled ?? _gridEnabled;
+    _gridSize = gridSize ?? _gridSize;
+    notifyListeners();
+
     await _cesiumController.updateSnapSettings(
       gridEnabled: gridEnabled,
       gridSize: gridSize,
       groundEnabled: groundEnabled,
       angleEnabled: angleEnabled,
       angleStep: angleStep,
+      objectEnabled: objectEnabled,
+      objectTolerance: objectTolerance,
+    );
+  }
+
+  /// 回転グリッドの原点・向きを設定（省略した値は現在の設定を使う）
+  ///
+  /// [heading] グリッドのX軸の方位角（度、北から時計回り）
+  Future<void> setLocalGrid({GeoPosition? origin, double? heading}) async {
+    _localGridOrigin = origin ?? _localGridOrigin;
+    _localGridHeading = heading ?? _localGridHeading;
+    notifyListeners();
+
+    final localGridOrigin = _localGridOrigin;
+    if (localGridOrigin == null) return;
+    await _cesiumController.updateSnapSettings(localGrid: {
+      'origin': localGridOrigin.toJson(),
+      'heading': _localGridHeading,
+    });
+  }
+
+  /// 回転グリッドを解除して経緯度グリッドに戻す
+  Future<void> clearLocalGrid() async {
+    _localGridOrigin = null;
+    _localGridHeading = 0;
+    notifyListeners();
+
+    await _cesiumController.updateSnapSettings(clearLocalGrid: true);
+  }
+
+  /// 地図のクリックで回転グリッドの原点を指定するモードを開始
+  void startLocalGridOriginPickMode() {
+    _positionPickTargetId = _localGridPickTarget;
+    _onPositionPicked = (position) => setLocalGrid(origin: position);
+    notifyListeners();
+  }
+
+  /// フットプリント・離隔範囲の表示設定を更新
+  Future<void> updateClearanceSettings({
+    bool? showFootprints,
+    bool? showClearances,
+    List<ClearanceZone>? clearances,
+  }) async {
+    if (showFootprints != null) _showFootprints = showFootprints;
+    if (showClearances != null) _showClearances = showClearances;
+    if (clearances != null) _clearances = clearances;
+    notifyListeners();
+
+    await _cesiumController.updateClearanceSettings(
+      showFootprints: showFootprints,
+      showClearances: showClearances,
+      clearances: clearances?.map((c) => c.toJson()).toList(),
+    );
+  }
+
+  /// 離隔距離を変更
+  Future<void> setClearanceDistance(String name, double distance) async {
+    await updateClearanceSettings(
+      clearances: _clearances
+          .map((c) => c.name == name ? c.copyWith(distance: distance) : c)
+          .toList(),
+    );
+  }
+
+  /// 実寸表示を切り替え
+  Future<void> setTrueSize(bool trueSize) async {
+    _trueSize = trueSize;
+    notifyListeners();
+    await _cesiumController.updatePlacementDisplaySettings(trueSize: trueSize);
+  }
+
+  /// 配置物をアセットの寸法から指定の実寸（メートル）にスケール
+  ///
+  /// 結果は onPlacementTransformed で保存される。
+  Future<void> scalePlacementToDimensions(
+    String placementId, {
+    double? width,
+    double? depth,
+    double? height,
+    bool keepAspect = false,
+  }) async {
+    await _cesiumController.scalePlacementToDimensions(
+      placementId,
+      width: width,
+      depth: depth,
+      height: height,
+      keepAspect: keepAspect,
     );
   }
 
@@ -530,17 +943,27 @@ class PlacementController extends ChangeNotifier {
   // コールバックハンドラ
   // ============================================
 
-  void _onPlacementConfirmed(String assetId, GeoPosition position) async {
-    if (_currentAssetIdForPlacement == null) return;
-
+  void _onPlacementConfirmed(
+    String assetId,
+    GeoPosition position,
+    double heading,
+  ) async {
     final projectPath = _projectPath;
-    if (projectPath == null) return;
+    if (_currentAssetIdForPlacement == null || projectPath == null) {
+      await _cesiumController.cancelConfirmedPlacements(assetId, count: 1);
+      return;
+    }
 
+    final name = await _assetName(assetId);
     final placement = Placement(
       id: _uuid.v4(),
       assetId: assetId,
-      name: assetId, // TODO: アセット名を取得
+      name: name,
       position: position,
+      rotation: PlacementRotation(heading: heading),
+      heightMode: _heightMode,
+      heightOffset: _heightOffset,
+      alignToSurface: _alignToSurface,
       createdAt: DateTime.now(),
       updatedAt: DateTime.now(),
     );
@@ -556,6 +979,53 @@ class PlacementController extends ChangeNotifier {
     notifyListeners();
   }
 
+  void _onPlacementsConfirmed(
+    String assetId,
+    List<Map<String, dynamic>> placements,
+  ) async {
+    final projectPath = _projectPath;
+    if (_currentAssetIdForPlacement == null || projectPath == null) {
+      await _cesiumController.cancelConfirmedPlacements(assetId, count: placements.length);
+      return;
+    }
+
+    final name = await _assetName(assetId);
+    final now = DateTime.now();
+    for (final data in placements) {
+      final placement = Placement(
+        id: _uuid.v4(),
+        assetId: assetId,
+        name: name,
+        position: GeoPosition.fromJson(data['position'] as Map<String, dynamic>),
+        rotation: PlacementRotation.fromJson(data['rotation'] as Map<String, dynamic>),
+        heightMode: _heightMode,
+        heightOffset: _heightOffset,
+        alignToSurface: _alignToSurface,
+        createdAt: now,
+        updatedAt: now,
+      );
+      _placements.add(placement);
+      await _addPlacementToCesium(placement);
+    }
+    await _placementRepository.savePlacements(projectPath, _placements, groups: _groups);
+
+    // 使用回数をインクリメント
+    _ref.read(assetNotifierProvider.notifier).incrementUsage(assetId);
+
+    _ref.invalidate(placementsProvider);
+    notifyListeners();
+  }
+
+  /// 配置物の名前に使うアセット名（見つからなければアセットID）
+  Future<String> _assetName(String assetId) async {
+    try {
+      final assets = await _ref.read(allAssetsProvider.future);
+      return assets.where((a) => a.id == assetId).firstOrNull?.name ?? assetId;
+    } catch (_) {
+      return assetId;
+    }
+  }
+
   void _onPlacementSelected(String placementId) {
     _selectedPlacementId = placementId;
     _ref.read(selectedPlacementIdProvider.notifier).state = placementId;
@@ -568,8 +1038,155 @@ class PlacementController extends ChangeNotifier {
     notifyListeners();
   }
 
+  void _onPlacementSelectionChanged(List<String> placementIds, String? primaryId) {
+    _selectedPlacementIds = List.unmodifiable(placementIds);
+    _selectedPlacementId = primaryId;
+    _ref.read(selectedPlacementIdProvider.notifier).state = primaryId;
+    notifyListeners();
+  }
+
+  void _onPlacementTransformed(
+    String placementId,
+    Map<String, dynamic> transform,
+  ) async {
+    final projectPath = _projectPath;
+    if (projectPath == null) return;
+
+    final index = _placements.indexWhere((p) => p.id == placementId);
+    if (index == -1) return;
+
+    // CesiumJS側では反映済みのため保存のみ行う
+    _placements[index] = _placements[index].copyWith(
+      position: GeoPosition.fromJson(transform['position'] as Map<String, dynamic>),
+      rotation: PlacementRotation.fromJson(transform['rotation'] as Map<String, dynamic>),
+      scale: PlacementScale.fromJson(transform['scale'] as Map<String, dynamic>),
+      updatedAt: DateTime.now(),
+    );
+    await _placementRepository.savePlacements(projectPath, _placements, groups: _groups);
+
+    _ref.invalidate(placementsProvider);
+    notifyListeners();
+  }
+
+  void _onPlacementsUpdated(
+    String operation,
+    List<Map<String, dynamic>> placements,
+  ) async {
+    final projectPath = _projectPath;
+    if (projectPath == null) return;
+
+    // CesiumJS側では反映済みのため保存のみ行う
+    for (final json in placements) {
+      final index = _placements.indexWhere((p) => p.id == json['id']);
+      if (index == -1) continue;
+
+      _placements[index] = _placements[index].copyWith(
+        position: GeoPosition.fromJson(json['position'] as Map<String, dynamic>),
+        rotation: PlacementRotation.fromJson(json['rotation'] as Map<String, dynamic>),
+        scale: PlacementScale.fromJson(json['scale'] as Map<String, dynamic>),
+        visible: json['visible'] as bool?,
+        locked: json['locked'] as bool?,
+        heightMode: json['heightMode'] as String?,
+        heightOffset: (json['heightOffset'] as num?)?.toDouble(),
+        alignToSurface: json['alignToSurface'] as bool?,
+        updatedAt: DateTime.now(),
+      );
+    }
+    await _placementRepository.savePlacements(projectPath, _placements, groups: _groups);
+
+    _ref.invalidate(placementsProvider);
+    notifyListeners();
+  }
+
+  void _onPlacementsDeleted(List<String> placementIds) async {
+    final projectPath = _projectPath;
+    if (projectPath == null) return;
+
+    _placements.removeWhere((p) => placementIds.contains(p.id));
+    await _placementRepository.savePlacements(projectPath, _placements, groups: _groups);
+
+    if (placementIds.contains(_selectedPlacementId)) {
+      _selectedPlacementId = null;
+      _ref.read(selectedPlacementIdProvider.notifier).state = null;
+    }
+
+    _ref.invalidate(placementsProvider);
+    notifyListeners();
+  }
+
+  void _onPlacementDuplicateRequested(List<String> placementIds) async {
+    for (final placementId in placementIds) {
+      final original = _placements.where((p) => p.id == placementId).firstOrNull;
+      if (original == null) continue;
+      if (_projectPath == null) {
+        await _cesiumController.cancelConfirmedPlacements(original.assetId, count: 1);
+        continue;
+      }
+      await duplicatePlacement(placementId);
+    }
+  }
+
+  void _onPlacementsRestored(List<Map<String, dynamic>> placements) async {
+    final projectPath = _projectPath;
+    if (projectPath == null) return;
+
+    // CesiumJS側では反映済みのため保存のみ行う
+    for (final json in placements) {
+      final placement = Placement.fromJson(json).copyWith(updatedAt: DateTime.now());
+      final index = _placements.indexWhere((p) => p.id == placement.id);
+      if (index == -1) {
+        _placements.add(placement);
+      } else {
+        _placements[index] = placement;
+      }
+    }
+    await _placementRepository.savePlacements(projectPath, _placements, groups: _groups);
+
+    _ref.invalidate(placementsProvider);
+    notifyListeners();
+  }
+
+  void _onPlacementCollisions(List<Map<String, dynamic>> pairs) {
+    _collisions = pairs.map(PlacementCollision.fromJson).toList();
+    notifyListeners();
+  }
+
+  void _onClearanceConflicts(List<Map<String, dynamic>> conflicts) {
+    _clearanceConflicts = conflicts.map(ClearanceConflict.fromJson).toList();
+    notifyListeners();
+  }
+
+  void _onDroneFormationRestored(
+    String formationId,
+    Map<String, dynamic> transform,
+  ) async {
+    final projectPath = _projectPath;
+    if (projectPath == null) return;
+
+    final placedFormations = await _droneFormationRepository.loadPlacedFormations(projectPath);
+    final index = placedFormations.indexWhere((f) => f.id == formationId);
+    if (index == -1) return;
+
+    // CesiumJS側では反映済みのため保存のみ行う
+    final basePosition = transform['basePosition'] as Map<String, dynamic>?;
+    final updated = placedFormations[index].copyWith(
+      baseLongitude: (basePosition?['longitude'] as num?)?.toDouble(),
+      baseLatitude: (basePosition?['latitude'] as num?)?.toDouble(),
+      altitude: (transform['altitude'] as num?)?.toDouble(),
+      heading: (transform['heading'] as num?)?.toDouble(),
+      tilt: (transform['tilt'] as num?)?.toDouble(),
+      scale: (transform['scale'] as num?)?.toDouble(),
+      updatedAt: DateTime.now(),
+    );
+    await _droneFormationRepository.updatePlacedFormation(projectPath, updated);
+
+    _ref.invalidate(placedDroneFormationsProvider);
+    notifyListeners();
+  }
+
   void _onPlacementCancelled() {
     _currentAssetIdForPlacement = null;
+    _bulkPlacementPattern = null;
     _pendingDroneFormation = null;
     _pendingDroneSettings = null;
     _ref.read(placementModeStateProvider.notifier).state = PlacementModeState.idle;
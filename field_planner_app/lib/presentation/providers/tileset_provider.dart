@@ -1,6 +1,7 @@
 import 'dart:convert';
 import 'dart:io';
 
+import 'package:flutter/foundation.dart' show listEquals;
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 import 'package:uuid/uuid.dart';
 
@@ -9,6 +10,7 @@ import '../../data/models/geo_position.dart';
 import '../../data/models/layer.dart';
 import '../../data/services/local_file_server.dart';
 import '../../infrastructure/webview/cesium_controller.dart';
+import 'measurement_provider.dart';
 
 /// 3D Tilesレイヤー情報
 class TilesetLayer {
@@ -39,6 +41,30 @@ class TilesetLayer {
   /// 高さオフセット（メートル）
   final double heightOffset;
 
+  /// 経度オフセット（度）
+  final double longitudeOffset;
+
+  /// 緯度オフセット（度）
+  final double latitudeOffset;
+
+  /// 方位角（度、中心まわりに時計回り）
+  final double heading;
+
+  /// ピッチ（度）
+  final double pitch;
+
+  /// ロール（度）
+  final double roll;
+
+  /// 一様スケール
+  final double scale;
+
+  /// 既知点合わせに使った点の組（空の場合は未実施）
+  final List<ControlPointPair> controlPoints;
+
+  /// 既知点合わせの残差（RMS、メートル）
+  final double? alignmentRms;
+
   /// 画質設定（Screen Space Error、1-64、小さいほど高画質）
   final double screenSpaceError;
 
@@ -48,6 +74,21 @@ class TilesetLayer {
   /// 点群データかどうか
   final bool isPointCloud;
 
+  /// 点群のシェーディング設定（点群データのみ）
+  final PointCloudShading pointCloudShading;
+
+  /// 点群の色分け・分類の表示設定（点群データのみ）
+  final PointCloudStyle pointCloudStyle;
+
+  /// 点群の色分けに実際に使われた範囲（自動の場合はCesiumJS側で求めた値、保存しない）
+  final ({double min, double max})? pointCloudColorRange;
+
+  /// 位置調整を適用した後の中心座標（CesiumJS側で求めた値、保存しない）
+  final GeoPosition? adjustedCenter;
+
+  /// 位置調整を適用した後のモデル行列（列優先の16要素、保存しない）
+  final List<double>? modelMatrix;
+
   /// レイヤーに変換
   Layer toLayer() {
     return Layer(
@@ -62,13 +103,31 @@ class TilesetLayer {
         if (center != null) 'center': center!.toJson(),
         if (radius != null) 'radius': radius,
         'heightOffset': heightOffset,
+        'longitudeOffset': longitudeOffset,
+        'latitudeOffset': latitudeOffset,
+        'heading': heading,
+        'pitch': pitch,
+        'roll': roll,
+        'scale': scale,
         'screenSpaceError': screenSpaceError,
         'clipGoogleTiles': clipGoogleTiles,
         'isPointCloud': isPointCloud,
+        if (isPointCloud) 'pointCloudShading': pointCloudShading.toJson(),
+        if (isPointCloud) 'pointCloudStyle': pointCloudStyle.toJson(),
       },
     );
   }
 
+  /// 位置・向き・スケールの調整があるか
+  bool get hasPositionAdjustment =>
+      heightOffset != 0 ||
+      longitudeOffset != 0 ||
+      latitudeOffset != 0 ||
+      heading != 0 ||
+      pitch != 0 ||
+      roll != 0 ||
+      scale != 1.0;
+
   TilesetLayer({
     required this.id,
     required this.name,
@@ -79,9 +138,22 @@ class TilesetLayer {
     this.center,
     this.radius,
     this.heightOffset = 0.0,
+    this.longitudeOffset = 0.0,
+    this.latitudeOffset = 0.0,
+    this.heading = 0.0,
+    this.pitch = 0.0,
+    this.roll = 0.0,
+    this.scale = 1.0,
+    this.controlPoints = const [],
+    this.alignmentRms,
     this.screenSpaceError = 2.0,
     this.clipGoogleTiles = true,
     this.isPointCloud = false,
+    this.pointCloudShading = const PointCloudShading(),
+    this.pointCloudStyle = const PointCloudStyle(),
+    this.pointCloudColorRange,
+    this.adjustedCenter,
+    this.modelMatrix,
   });
 
   TilesetLayer copyWith({
@@ -94,9 +166,23 @@ class TilesetLayer {
     GeoPosition? center,
     double? radius,
     double? heightOffset,
+    double? longitudeOffset,
+    double? latitudeOffset,
+    double? heading,
+    double? pitch,
+    double? roll,
+    double? scale,
+    List<ControlPointPair>? controlPoints,
+    double? alignmentRms,
     double? screenSpaceError,
     bool? clipGoogleTiles,
     bool? isPointCloud,
+    PointCloudShading? pointCloudShading,
+    PointCloudStyle? pointCloudStyle,
+    ({double min, double max})? pointCloudColorRange,
+    bool clearPointCloudColorRange = false,
+    GeoPosition? adjustedCenter,
+    List<double>? modelMatrix,
   }) {
     return TilesetLayer(
       id: id ?? this.id,
@@ -108,9 +194,24 @@ class TilesetLayer {
       center: center ?? this.center,
       radius: radius ?? this.radius,
       heightOffset: heightOffset ?? this.heightOffset,
+      longitudeOffset: longitudeOffset ?? this.longitudeOffset,
+      latitudeOffset: latitudeOffset ?? this.latitudeOffset,
+      heading: heading ?? this.heading,
+      pitch: pitch ?? this.pitch,
+      roll: roll ?? this.roll,
+      scale: scale ?? this.scale,
+      controlPoints: controlPoints ?? this.controlPoints,
+      alignmentRms: alignmentRms ?? this.alignmentRms,
       screenSpaceError: screenSpaceError ?? this.screenSpaceError,
       clipGoogleTiles: clipGoogleTiles ?? this.clipGoogleTiles,
       isPointCloud: isPointCloud ?? this.isPointCloud,
+      pointCloudShading: pointCloudShading ?? this.pointCloudShading,
+      pointCloudStyle: pointCloudStyle ?? this.pointCloudStyle,
+      pointCloudColorRange: clearPointCloudColorRange
+          ? null
+          : (pointCloudColorRange ?? this.pointCloudColorRange),
+      adjustedCenter: adjustedCenter ?? this.adjustedCenter,
+      modelMatrix: modelMatrix ?? this.modelMatrix,
     );
   }
 
@@ -128,9 +229,26 @@ class TilesetLayer {
           : null,
       radius: (json['radius'] as num?)?.toDouble(),
       heightOffset: (json['heightOffset'] as num?)?.toDouble() ?? 0.0,
+      longitudeOffset: (json['longitudeOffset'] as num?)?.toDouble() ?? 0.0,
+      latitudeOffset: (json['latitudeOffset'] as num?)?.toDouble() ?? 0.0,
+      heading: (json['heading'] as num?)?.toDouble() ?? 0.0,
+      pitch: (json['pitch'] as num?)?.toDouble() ?? 0.0,
+      roll: (json['roll'] as num?)?.toDouble() ?? 0.0,
+      scale: (json['scale'] as num?)?.toDouble() ?? 1.0,
+      controlPoints: (json['controlPoints'] as List<dynamic>?)
+              ?.map((e) => ControlPointPair.fromJson(e as Map<String, dynamic>))
+              .toList() ??
+          const [],
+      alignmentRms: (json['alignmentRms'] as num?)?.toDouble(),
       screenSpaceError: (json['screenSpaceError'] as num?)?.toDouble() ?? 2.0,
       clipGoogleTiles: json['clipGoogleTiles'] as bool? ?? true,
       isPointCloud: json['isPointCloud'] as bool? ?? false,
+      pointCloudShading: json['pointCloudShading'] != null
+          ? PointCloudShading.fromJson(json['pointCloudShading'] as Map<String, dynamic>)
+          : const PointCloudShading(),
+      pointCloudStyle: json['pointCloudStyle'] != null
+          ? PointCloudStyle.fromJson(json['pointCloudStyle'] as Map<String, dynamic>)
+          : const PointCloudStyle(),
     );
   }
 
@@ -146,13 +264,412 @@ class TilesetLayer {
       if (center != null) 'center': center!.toJson(),
       if (radius != null) 'radius': radius,
       'heightOffset': heightOffset,
+      'longitudeOffset': longitudeOffset,
+      'latitudeOffset': latitudeOffset,
+      'heading': heading,
+      'pitch': pitch,
+      'roll': roll,
+      'scale': scale,
+      if (controlPoints.isNotEmpty)
+        'controlPoints': controlPoints.map((p) => p.toJson()).toList(),
+      if (alignmentRms != null) 'alignmentRms': alignmentRms,
       'screenSpaceError': screenSpaceError,
       'clipGoogleTiles': clipGoogleTiles,
       'isPointCloud': isPointCloud,
+      if (isPointCloud) 'pointCloudShading': pointCloudShading.toJson(),
+      if (isPointCloud) 'pointCloudStyle': pointCloudStyle.toJson(),
+    };
+  }
+}
+
+/// 点群のシェーディング設定
+///
+/// CesiumJSのPointCloudShadingに対応する。アイドームライティング（EDL）は
+/// 減衰が有効な場合のみ描画に反映される。
+class PointCloudShading {
+  /// 幾何誤差に応じて点を大きくするか（減衰）
+  final bool attenuation;
+
+  /// 幾何誤差の倍率
+  final double geometricErrorScale;
+
+  /// 減衰時の点サイズの上限（ピクセル、nullはTilesetの画質設定に従う）
+  final double? maximumAttenuation;
+
+  /// アイドームライティングを使うか
+  final bool eyeDomeLighting;
+
+  /// EDLの強さ
+  final double eyeDomeLightingStrength;
+
+  /// EDLの半径（ピクセル）
+  final double eyeDomeLightingRadius;
+
+  /// 裏向きの点を描画しないか（法線を持つ点群のみ）
+  final bool backFaceCulling;
+
+  const PointCloudShading({
+    this.attenuation = true,
+    this.geometricErrorScale = 1.0,
+    this.maximumAttenuation,
+    this.eyeDomeLighting = true,
+    this.eyeDomeLightingStrength = 1.0,
+    this.eyeDomeLightingRadius = 1.0,
+    this.backFaceCulling = false,
+  });
+
+  /// [clearMaximumAttenuation] trueの場合、点サイズの上限をnullに戻す
+  PointCloudShading copyWith({
+    bool? attenuation,
+    double? geometricErrorScale,
+    double? maximumAttenuation,
+    bool clearMaximumAttenuation = false,
+    bool? eyeDomeLighting,
+    double? eyeDomeLightingStrength,
+    double? eyeDomeLightingRadius,
+    bool? backFaceCulling,
+  }) {
+    return PointCloudShading(
+      attenuation: attenuation ?? this.attenuation,
+      geometricErrorScale: geometricErrorScale ?? this.geometricErrorScale,
+      maximumAttenuation: clearMaximumAttenuation
+          ? null
+          : (maximumAttenuation ?? this.maximumAttenuation),
+      eyeDomeLighting: eyeDomeLighting ?? this.eyeDomeLighting,
+      eyeDomeLightingStrength: eyeDomeLightingStrength ?? this.eyeDomeLightingStrength,
+      eyeDomeLightingRadius: eyeDomeLightingRadius ?? this.eyeDomeLightingRadius,
+      backFaceCulling: backFaceCulling ?? this.backFaceCulling,
+    );
+  }
+
+  /// JSONからPointCloudShadingを生成
+  factory PointCloudShading.fromJson(Map<String, dynamic> json) {
+    return PointCloudShading(
+      attenuation: json['attenuation'] as bool? ?? true,
+      geometricErrorScale: (json['geometricErrorScale'] as num?)?.toDouble() ?? 1.0,
+      maximumAttenuation: (json['maximumAttenuation'] as num?)?.toDouble(),
+      eyeDomeLighting: json['eyeDomeLighting'] as bool? ?? true,
+      eyeDomeLightingStrength: (json['eyeDomeLightingStrength'] as num?)?.toDouble() ?? 1.0,
+      eyeDomeLightingRadius: (json['eyeDomeLightingRadius'] as num?)?.toDouble() ?? 1.0,
+      backFaceCulling: json['backFaceCulling'] as bool? ?? false,
+    );
+  }
+
+  /// PointCloudShadingをJSONに変換
+  Map<String, dynamic> toJson() {
+    return {
+      'attenuation': attenuation,
+      'geometricErrorScale': geometricErrorScale,
+      'maximumAttenuation': maximumAttenuation,
+      'eyeDomeLighting': eyeDomeLighting,
+      'eyeDomeLightingStrength': eyeDomeLightingStrength,
+      'eyeDomeLightingRadius': eyeDomeLightingRadius,
+      'backFaceCulling': backFaceCulling,
+    };
+  }
+}
+
+/// 点群の高さ・強度の色分けに使うカラーランプ
+enum PointCloudColorRamp {
+  viridis('Viridis'),
+  terrain('地形'),
+  grayscale('グレー'),
+  rainbow('虹色');
+
+  final String displayName;
+  const PointCloudColorRamp(this.displayName);
+}
+
+/// 点群の色分け・分類の表示設定
+///
+/// 高さ・強度の範囲がnullの場合は、CesiumJS側でTilesetの範囲から自動で求める。
+class PointCloudStyle {
+  /// 色モード
+  final ColorMode colorMode;
+
+  /// 高さ・強度のカラーランプ
+  final PointCloudColorRamp colorRamp;
+
+  /// 点サイズ（ピクセル、nullは既定）
+  final double? pointSize;
+
+  /// 高さの色分けの最小値（楕円体高、nullは自動）
+  final double? minHeight;
+
+  /// 高さの色分けの最大値（楕円体高、nullは自動）
+  final double? maxHeight;
+
+  /// 強度の色分けの最小値（nullは自動）
+  final double? minIntensity;
+
+  /// 強度の色分けの最大値（nullは自動）
+  final double? maxIntensity;
+
+  /// 分類コードごとの色（CSS形式、既定のパレットを上書き）
+  final Map<int, String> classificationPalette;
+
+  /// 非表示にする分類コード
+  final List<int> hiddenClassifications;
+
+  const PointCloudStyle({
+    this.colorMode = ColorMode.rgb,
+    this.colorRamp = PointCloudColorRamp.viridis,
+    this.pointSize,
+    this.minHeight,
+    this.maxHeight,
+    this.minIntensity,
+    this.maxIntensity,
+    this.classificationPalette = const {},
+    this.hiddenClassifications = const [],
+  });
+
+  /// 既定のまま（点群の元の見た目）か
+  bool get isDefault =>
+      colorMode == ColorMode.rgb && pointSize == null && hiddenClassifications.isEmpty;
+
+  /// [clearHeightRange] / [clearIntensityRange] trueの場合、範囲を自動に戻す
+  PointCloudStyle copyWith({
+    ColorMode? colorMode,
+    PointCloudColorRamp? colorRamp,
+    double? pointSize,
+    double? minHeight,
+    double? maxHeight,
+    bool clearHeightRange = false,
+    double? minIntensity,
+    double? maxIntensity,
+    bool clearIntensityRange = false,
+    Map<int, String>? classificationPalette,
+    List<int>? hiddenClassifications,
+  }) {
+    return PointCloudStyle(
+      colorMode: colorMode ?? this.colorMode,
+      colorRamp: colorRamp ?? this.colorRamp,
+      pointSize: pointSize ?? this.pointSize,
+      minHeight: clearHeightRange ? null : (minHeight ?? this.minHeight),
+      maxHeight: clearHeightRange ? null : (maxHeight ?? this.maxHeight),
+      minIntensity: clearIntensityRange ? null : (minIntensity ?? this.minIntensity),
+      maxIntensity: clearIntensityRange ? null : (maxIntensity ?? this.maxIntensity),
+      classificationPalette: classificationPalette ?? this.classificationPalette,
+      hiddenClassifications: hiddenClassifications ?? this.hiddenClassifications,
+    );
+  }
+
+  /// JSONからPointCloudStyleを生成
+  factory PointCloudStyle.fromJson(Map<String, dynamic> json) {
+    return PointCloudStyle(
+      colorMode: ColorMode.values.asNameMap()[json['colorMode']] ?? ColorMode.rgb,
+      colorRamp: PointCloudColorRamp.values.asNameMap()[json['colorRamp']] ??
+          PointCloudColorRamp.viridis,
+      pointSize: (json['pointSize'] as num?)?.toDouble(),
+      minHeight: (json['minHeight'] as num?)?.toDouble(),
+      maxHeight: (json['maxHeight'] as num?)?.toDouble(),
+      minIntensity: (json['minIntensity'] as num?)?.toDouble(),
+      maxIntensity: (json['maxIntensity'] as num?)?.toDouble(),
+      classificationPalette: (json['classificationPalette'] as Map<String, dynamic>?)
+              ?.map((code, color) => MapEntry(int.parse(code), color as String)) ??
+          const {},
+      hiddenClassifications: (json['hiddenClassifications'] as List<dynamic>?)
+              ?.map((code) => (code as num).toInt())
+              .toList() ??
+          const [],
+    );
+  }
+
+  /// PointCloudStyleをJSONに変換
+  Map<String, dynamic> toJson() {
+    return {
+      'colorMode': colorMode.name,
+      'colorRamp': colorRamp.name,
+      'pointSize': pointSize,
+      'minHeight': minHeight,
+      'maxHeight': maxHeight,
+      'minIntensity': minIntensity,
+      'maxIntensity': maxIntensity,
+      'classificationPalette':
+          classificationPalette.map((code, color) => MapEntry(code.toString(), color)),
+      'hiddenClassifications': hiddenClassifications,
+    };
+  }
+}
+
+/// 多角形の範囲のGoogle 3D Tilesを非表示にするマスク
+class GoogleTilesetMask {
+  /// マスクID（計測から作成した場合は計測ID）
+  final String id;
+
+  /// 多角形の頂点
+  final List<GeoPosition> polygon;
+
+  /// 外側に広げる距離（メートル、nullはマスクの余白の設定値）
+  final double? buffer;
+
+  const GoogleTilesetMask({
+    required this.id,
+    required this.polygon,
+    this.buffer,
+  });
+
+  /// JSONからGoogleTilesetMaskを生成
+  factory GoogleTilesetMask.fromJson(Map<String, dynamic> json) {
+    return GoogleTilesetMask(
+      id: json['id'] as String,
+      polygon: (json['polygon'] as List<dynamic>)
+          .map((e) => GeoPosition.fromJson(e as Map<String, dynamic>))
+          .toList(),
+      buffer: (json['buffer'] as num?)?.toDouble(),
+    );
+  }
+
+  /// GoogleTilesetMaskをJSONに変換
+  Map<String, dynamic> toJson() {
+    return {
+      'id': id,
+      'polygon': polygon.map((p) => p.toJson()).toList(),
+      if (buffer != null) 'buffer': buffer,
     };
   }
 }
 
+/// CesiumJS側で求めたGoogle 3D Tilesのマスクの範囲（保存しない）
+class GoogleTilesetMaskArea {
+  /// マスクID
+  final String id;
+
+  /// フットプリントを使うTilesetのID（多角形のマスクの場合はnull）
+  final String? tilesetId;
+
+  /// 外側に広げた距離（メートル）
+  final double buffer;
+
+  /// 広げた後の外形
+  final List<GeoPosition> polygon;
+
+  const GoogleTilesetMaskArea({
+    required this.id,
+    this.tilesetId,
+    required this.buffer,
+    required this.polygon,
+  });
+
+  /// JSONからGoogleTilesetMaskAreaを生成
+  factory GoogleTilesetMaskArea.fromJson(Map<String, dynamic> json) {
+    return GoogleTilesetMaskArea(
+      id: json['id'] as String,
+      tilesetId: json['tilesetId'] as String?,
+      buffer: (json['buffer'] as num?)?.toDouble() ?? 0.0,
+      polygon: (json['polygon'] as List<dynamic>? ?? [])
+          .map((e) => GeoPosition.fromJson(e as Map<String, dynamic>))
+          .toList(),
+    );
+  }
+}
+
+/// 既知点合わせの点の組
+class ControlPointPair {
+  /// Tileset上の点（位置調整前の座標）
+  final GeoPosition source;
+
+  /// 背景地図・地形上の対応点
+  final GeoPosition target;
+
+  /// 残差（メートル、未計算の場合はnull）
+  final double? residual;
+
+  /// 水平方向の残差（メートル）
+  final double? horizontalResidual;
+
+  /// 鉛直方向の残差（メートル、上向きが正）
+  final double? verticalResidual;
+
+  const ControlPointPair({
+    required this.source,
+    required this.target,
+    this.residual,
+    this.horizontalResidual,
+    this.verticalResidual,
+  });
+
+  /// JSONからControlPointPairを生成
+  factory ControlPointPair.fromJson(Map<String, dynamic> json) {
+    return ControlPointPair(
+      source: GeoPosition.fromJson(json['source'] as Map<String, dynamic>),
+      target: GeoPosition.fromJson(json['target'] as Map<String, dynamic>),
+      residual: (json['residual'] as num?)?.toDouble(),
+      horizontalResidual: (json['horizontalResidual'] as num?)?.toDouble(),
+      verticalResidual: (json['verticalResidual'] as num?)?.toDouble(),
+    );
+  }
+
+  /// ControlPointPairをJSONに変換
+  Map<String, dynamic> toJson() {
+    return {
+      'source': source.toJson(),
+      'target': target.toJson(),
+      if (residual != null) 'residual': residual,
+      if (horizontalResidual != null) 'horizontalResidual': horizontalResidual,
+      if (verticalResidual != null) 'verticalResidual': verticalResidual,
+    };
+  }
+}
+
+/// 実行中の既知点合わせの状態
+class ControlPointAlignmentState {
+  /// 対象のTileset ID
+  final String tilesetId;
+
+  /// 指定済みの点の組
+  final List<ControlPointPair> pairs;
+
+  /// Tileset上の点を指定して対応点の指定待ちか
+  final bool hasPendingSource;
+
+  /// 解くのに必要な組数
+  final int minPairs;
+
+  /// 残差（RMS、メートル、未計算の場合はnull）
+  final double? rms;
+
+  /// エラーメッセージ
+  final String? error;
+
+  const ControlPointAlignmentState({
+    required this.tilesetId,
+    this.pairs = const [],
+    this.hasPendingSource = false,
+    this.minPairs = 3,
+    this.rms,
+    this.error,
+  });
+
+  /// 適用できるか
+  bool get canApply => rms != null;
+
+  /// CesiumJSからの通知から生成
+  factory ControlPointAlignmentState.fromJson(Map<String, dynamic> json) {
+    return ControlPointAlignmentState(
+      tilesetId: json['tilesetId'] as String,
+      pairs: (json['pairs'] as List<dynamic>? ?? [])
+          .map((e) => ControlPointPair.fromJson(e as Map<String, dynamic>))
+          .toList(),
+      hasPendingSource: json['pendingSource'] != null,
+      minPairs: (json['minPairs'] as num?)?.toInt() ?? 3,
+      rms: (json['rms'] as num?)?.toDouble(),
+      error: json['error'] as String?,
+    );
+  }
+
+  ControlPointAlignmentState copyWith({String? error}) {
+    return ControlPointAlignmentState(
+      tilesetId: tilesetId,
+      pairs: pairs,
+      hasPendingSource: hasPendingSource,
+      minPairs: minPairs,
+      rms: rms,
+      error: error ?? this.error,
+    );
+  }
+}
+
 /// Tilesetプロバイダーの状態
 class TilesetState {
   /// 3D Tilesレイヤー一覧
@@ -167,11 +684,37 @@ class TilesetState {
   /// 選択中のTileset ID
   final String? selectedTilesetId;
 
+  /// 実行中の既知点合わせ（実行していない場合はnull）
+  final ControlPointAlignmentState? controlPointAlignment;
+
+  /// 多角形によるGoogle 3D Tilesのマスク
+  final List<GoogleTilesetMask> googleTilesetMasks;
+
+  /// 非表示になっているGoogle 3D Tilesの範囲（Tilesetのフットプリントと多角形のマスク）
+  final List<GoogleTilesetMaskArea> googleTilesetMaskAreas;
+
+  /// マスクの範囲を外側に広げる距離の既定値（メートル）
+  ///
+  /// Tilesetのフットプリントと、距離を指定していない多角形のマスクに使う
+  final double googleTilesetMaskBuffer;
+
+  /// 分類コードの既定の色（CesiumJS側のパレット、CSS形式）
+  final Map<int, String> defaultClassificationPalette;
+
+  /// 既定のパレットにない分類コードの色
+  final String defaultClassificationColor;
+
   const TilesetState({
     this.layers = const [],
     this.showGoogleTileset = true,
     this.showTerrain = false,
     this.selectedTilesetId,
+    this.controlPointAlignment,
+    this.googleTilesetMasks = const [],
+    this.googleTilesetMaskAreas = const [],
+    this.googleTilesetMaskBuffer = 2.0,
+    this.defaultClassificationPalette = const {},
+    this.defaultClassificationColor = '#FFFFFF',
   });
 
   /// 選択中のTilesetを取得
@@ -184,18 +727,44 @@ class TilesetState {
     }
   }
 
+  /// 指定Tilesetのフットプリントによるマスクの範囲を取得
+  GoogleTilesetMaskArea? maskAreaOfTileset(String tilesetId) {
+    return googleTilesetMaskAreas.where((a) => a.tilesetId == tilesetId).firstOrNull;
+  }
+
+  /// 分類コードの既定の色
+  String defaultClassificationColorOf(int code) {
+    return defaultClassificationPalette[code] ?? defaultClassificationColor;
+  }
+
   TilesetState copyWith({
     List<TilesetLayer>? layers,
     bool? showGoogleTileset,
     bool? showTerrain,
     String? selectedTilesetId,
     bool clearSelection = false,
+    ControlPointAlignmentState? controlPointAlignment,
+    bool clearControlPointAlignment = false,
+    List<GoogleTilesetMask>? googleTilesetMasks,
+    List<GoogleTilesetMaskArea>? googleTilesetMaskAreas,
+    double? googleTilesetMaskBuffer,
+    Map<int, String>? defaultClassificationPalette,
+    String? defaultClassificationColor,
   }) {
     return TilesetState(
       layers: layers ?? this.layers,
       showGoogleTileset: showGoogleTileset ?? this.showGoogleTileset,
       showTerrain: showTerrain ?? this.showTerrain,
       selectedTilesetId: clearSelection ? null : (selectedTilesetId ?? this.selectedTilesetId),
+      controlPointAlignment: clearControlPointAlignment
+          ? null
+          : (controlPointAlignment ?? this.controlPointAlignment),
+      googleTilesetMasks: googleTilesetMasks ?? this.googleTilesetMasks,
+      googleTilesetMaskAreas: googleTilesetMaskAreas ?? this.googleTilesetMaskAreas,
+      googleTilesetMaskBuffer: googleTilesetMaskBuffer ?? this.googleTilesetMaskBuffer,
+      defaultClassificationPalette:
+          defaultClassificationPalette ?? this.defaultClassificationPalette,
+      defaultClassificationColor: defaultClassificationColor ?? this.defaultClassificationColor,
     );
   }
 }
@@ -221,6 +790,15 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
     controller.onTilesetRemoved = _onTilesetRemoved;
     controller.onTilesetError = _onTilesetError;
     controller.onGoogleTilesetVisibilityChanged = _onGoogleTilesetVisibilityChanged;
+    controller.onGoogleTilesetMasksChanged = _onGoogleTilesetMasksChanged;
+    controller.onTilesetPositionAdjusted = _onTilesetPositionAdjusted;
+    controller.onTilesetPositionRestored = _onTilesetPositionRestored;
+    controller.onControlPointAlignmentUpdated = _onControlPointAlignmentUpdated;
+    controller.onControlPointAlignmentApplied = _onControlPointAlignmentApplied;
+    controller.onControlPointAlignmentError = _onControlPointAlignmentError;
+    controller.onPointCloudShadingChanged = _onPointCloudShadingChanged;
+    controller.onPointCloudStyleApplied = _onPointCloudStyleApplied;
+    controller.onClassificationPaletteChanged = _onClassificationPaletteChanged;
   }
 
   /// 3D Tilesを追加
@@ -297,8 +875,8 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
   // クリッピング待ちのTileset
   final Map<String, bool> _pendingClipping = {};
 
-  // 高さオフセット待ちのTileset
-  final Map<String, double> _pendingHeightOffset = {};
+  // 位置調整待ちのTileset
+  final Set<String> _pendingPositionAdjustment = {};
 
   // 画質設定待ちのTileset
   final Map<String, double> _pendingScreenSpaceError = {};
@@ -411,26 +989,65 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
 
   /// Tilesetの高さオフセットを調整
   Future<void> adjustTilesetHeight(String id, double heightOffset) async {
+    await adjustTilesetPosition(id, heightOffset: heightOffset);
+  }
+
+  /// Tilesetの位置・向き・スケールを調整
+  ///
+  /// 指定しなかった項目は現在の値を保つ。値は読み込み時の位置からの絶対値
+  Future<void> adjustTilesetPosition(
+    String id, {
+    double? heightOffset,
+    double? longitudeOffset,
+    double? latitudeOffset,
+    double? heading,
+    double? pitch,
+    double? roll,
+    double? scale,
+  }) async {
     if (_cesiumController == null) return;
 
-    await _cesiumController!.adjustTilesetPosition(
-      id: id,
+    final index = state.layers.indexWhere((l) => l.id == id);
+    if (index == -1) return;
+
+    final updated = state.layers[index].copyWith(
       heightOffset: heightOffset,
+      longitudeOffset: longitudeOffset,
+      latitudeOffset: latitudeOffset,
+      heading: heading,
+      pitch: pitch,
+      roll: roll,
+      scale: scale,
     );
+    final layers = [...state.layers];
+    layers[index] = updated;
+    state = state.copyWith(layers: layers);
 
-    state = state.copyWith(
-      layers: state.layers.map((l) {
-        if (l.id == id) {
-          return l.copyWith(heightOffset: heightOffset);
-        }
-        return l;
-      }).toList(),
-    );
+    // 調整後の中心・モデル行列は onTilesetPositionAdjusted で状態に反映される
+    await _applyTilesetPosition(updated);
 
     // プロジェクトに保存
     await saveTilesets();
 
-    logInfo('Tileset height adjusted: $id, offset: $heightOffset');
+    logInfo('Tileset position adjusted: $id');
+  }
+
+  /// レイヤーの位置・向き・スケールをCesiumJSに反映
+  Future<void> _applyTilesetPosition(
+    TilesetLayer layer, {
+    bool recordHistory = true,
+  }) async {
+    await _cesiumController?.adjustTilesetPosition(
+      id: layer.id,
+      heightOffset: layer.heightOffset,
+      longitude: layer.longitudeOffset,
+      latitude: layer.latitudeOffset,
+      heading: layer.heading,
+      pitch: layer.pitch,
+      roll: layer.roll,
+      scale: layer.scale,
+      recordHistory: recordHistory,
+    );
   }
 
   /// Tilesetの画質を調整
@@ -457,7 +1074,93 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
     logInfo('Tileset quality adjusted: $id, SSE: $screenSpaceError');
   }
 
-  /// Google 3D Tilesのクリッピングを設定
+  /// 点群のシェーディングを設定
+  Future<void> setPointCloudShading(String id, PointCloudShading shading) async {
+    if (_cesiumController == null) return;
+
+    await _cesiumController!.setPointCloudShading(id, shading.toJson());
+
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return l.copyWith(pointCloudShading: shading);
+        }
+        return l;
+      }).toList(),
+    );
+
+    // プロジェクトに保存
+    await saveTilesets();
+
+    logInfo('Point cloud shading updated: $id');
+  }
+
+  void _onPointCloudShadingChanged(String id, Map<String, dynamic> shading) {
+    if (shading['eyeDomeLighting'] == true && shading['eyeDomeLightingActive'] != true) {
+      logWarning(shading['eyeDomeLightingSupported'] == true
+          ? 'Eye dome lighting needs attenuation enabled: $id'
+          : 'Eye dome lighting is not supported on this device: $id');
+    }
+
+    // CesiumJS側で反映された値に合わせる
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return l.copyWith(pointCloudShading: PointCloudShading.fromJson(shading));
+        }
+        return l;
+      }).toList(),
+    );
+  }
+
+  /// 点群の色分け・分類の表示を設定
+  Future<void> setPointCloudStyle(String id, PointCloudStyle style) async {
+    if (_cesiumController == null) return;
+
+    await _cesiumController!.setPointCloudStyle(id, style.toJson());
+
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return l.copyWith(pointCloudStyle: style);
+        }
+        return l;
+      }).toList(),
+    );
+
+    // プロジェクトに保存
+    await saveTilesets();
+
+    logInfo('Point cloud style updated: $id, mode: ${style.colorMode.name}');
+  }
+
+  void _onPointCloudStyleApplied(String id, Map<String, dynamic> style) {
+    final range = style['range'] as Map<String, dynamic>?;
+
+    // 自動で求めた範囲を表示用に保持
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return range != null
+              ? l.copyWith(pointCloudColorRange: (
+                  min: (range['min'] as num).toDouble(),
+                  max: (range['max'] as num).toDouble(),
+                ))
+              : l.copyWith(clearPointCloudColorRange: true);
+        }
+        return l;
+      }).toList(),
+    );
+  }
+
+  void _onClassificationPaletteChanged(Map<int, String> palette, String defaultColor) {
+    state = state.copyWith(
+      defaultClassificationPalette: palette,
+      defaultClassificationColor: defaultColor,
+    );
+  }
+
+  /// Google 3D Tilesのクリッピングを設定（Tilesetのフットプリントの範囲を非表示）
   Future<void> setGoogleTilesetClipping(String tilesetId) async {
     if (_cesiumController == null) return;
 
@@ -471,23 +1174,97 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
         return l;
       }).toList(),
     );
+    await saveTilesets();
 
     logInfo('Google tileset clipping set for: $tilesetId');
   }
 
   /// Google 3D Tilesのクリッピングを解除
-  Future<void> removeGoogleTilesetClipping() async {
+  Future<void> removeGoogleTilesetClipping(String tilesetId) async {
     if (_cesiumController == null) return;
 
-    await _cesiumController!.removeGoogleTilesetClipping();
+    await _cesiumController!.removeGoogleTilesetClipping(tilesetId);
 
     state = state.copyWith(
       layers: state.layers.map((l) {
-        return l.copyWith(clipGoogleTiles: false);
+        if (l.id == tilesetId) {
+          return l.copyWith(clipGoogleTiles: false);
+        }
+        return l;
       }).toList(),
     );
+    await saveTilesets();
+
+    logInfo('Google tileset clipping removed for: $tilesetId');
+  }
+
+  /// 多角形の範囲のGoogle 3D Tilesを非表示にする（同じIDのマスクは置き換え）
+  ///
+  /// [id] マスクID（計測から作成する場合は計測ID）
+  /// [polygon] 多角形の頂点（3点以上）
+  /// [buffer] 外側に広げる距離（メートル、省略時はマスクの余白の設定値）
+  Future<void> addGoogleTilesetMask(
+    String id,
+    List<GeoPosition> polygon, {
+    double? buffer,
+  }) async {
+    if (_cesiumController == null || polygon.length < 3) return;
+
+    final mask = GoogleTilesetMask(id: id, polygon: polygon, buffer: buffer);
+    await _cesiumController!.addGoogleTilesetMask(
+      id: id,
+      polygon: polygon,
+      buffer: buffer,
+    );
+
+    state = state.copyWith(
+      googleTilesetMasks: [
+        ...state.googleTilesetMasks.where((m) => m.id != id),
+        mask,
+      ],
+    );
+    await saveTilesets();
+
+    logInfo('Google tileset mask added: $id');
+  }
+
+  /// マスクの余白（外側に広げる距離の既定値、メートル）を設定
+  ///
+  /// Tilesetのフットプリントと、距離を指定していない多角形のマスクに反映される
+  Future<void> setGoogleTilesetMaskBuffer(double buffer) async {
+    if (_cesiumController == null) return;
+
+    await _cesiumController!.updateGoogleTilesetMaskSettings(buffer: buffer);
+
+    state = state.copyWith(googleTilesetMaskBuffer: buffer);
+    await saveTilesets();
+  }
+
+  /// 計測から作成したマスクを計測の頂点に合わせる（頂点が変わったマスクのみ送り直す）
+  ///
+  /// [measurementPolygons] 計測ID → 頂点
+  Future<void> syncGoogleTilesetMaskPolygons(
+    Map<String, List<GeoPosition>> measurementPolygons,
+  ) async {
+    for (final mask in state.googleTilesetMasks) {
+      final polygon = measurementPolygons[mask.id];
+      if (polygon == null || listEquals(polygon, mask.polygon)) continue;
+      await addGoogleTilesetMask(mask.id, polygon, buffer: mask.buffer);
+    }
+  }
+
+  /// Google 3D Tilesのマスクを削除
+  Future<void> removeGoogleTilesetMask(String id) async {
+    if (_cesiumController == null) return;
+
+    await _cesiumController!.removeGoogleTilesetMask(id);
+
+    state = state.copyWith(
+      googleTilesetMasks: state.googleTilesetMasks.where((m) => m.id != id).toList(),
+    );
+    await saveTilesets();
 
-    logInfo('Google tileset clipping removed');
+    logInfo('Google tileset mask removed: $id');
   }
 
   // コールバック処理
@@ -505,14 +1282,11 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
       }).toList(),
     );
 
-    // 高さオフセットを適用（保存されていた場合）
-    final heightOffset = _pendingHeightOffset.remove(id);
-    if (heightOffset != null && heightOffset != 0) {
-      logInfo('Applying pending height offset: $id, offset: $heightOffset');
-      _cesiumController?.adjustTilesetPosition(
-        id: id,
-        heightOffset: heightOffset,
-      );
+    // 位置・向き・スケールの調整を適用（保存されていた場合）
+    if (_pendingPositionAdjustment.remove(id)) {
+      final layer = state.layers.firstWhere((l) => l.id == id);
+      logInfo('Applying pending position adjustment: $id');
+      _applyTilesetPosition(layer, recordHistory: false);
     }
 
     // 画質設定を適用（保存されていた場合）
@@ -525,6 +1299,15 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
       );
     }
 
+    // 点群のシェーディング・スタイルを適用
+    final added = state.layers.where((l) => l.id == id).firstOrNull;
+    if (added != null && added.isPointCloud) {
+      _cesiumController?.setPointCloudShading(id, added.pointCloudShading.toJson());
+      if (!added.pointCloudStyle.isDefault) {
+        _cesiumController?.setPointCloudStyle(id, added.pointCloudStyle.toJson());
+      }
+    }
+
     // Google 3D Tilesをクリッピング（オプションに応じて）
     final shouldClip = _pendingClipping.remove(id) ?? true;
     if (shouldClip) {
@@ -556,6 +1339,156 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
     state = state.copyWith(showGoogleTileset: visible);
   }
 
+  void _onGoogleTilesetMasksChanged(List<Map<String, dynamic>> masks) {
+    state = state.copyWith(
+      googleTilesetMaskAreas: masks.map(GoogleTilesetMaskArea.fromJson).toList(),
+    );
+  }
+
+  void _onTilesetPositionAdjusted(String id, Map<String, dynamic> transform) {
+    final centerJson = transform['center'] as Map<String, dynamic>?;
+    final modelMatrix = (transform['modelMatrix'] as List<dynamic>?)
+        ?.map((e) => (e as num).toDouble())
+        .toList();
+
+    // 調整値は呼び出し元・_onTilesetPositionRestoredで反映済みのため、結果のみ保持する
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return l.copyWith(
+            adjustedCenter: centerJson != null ? GeoPosition.fromJson(centerJson) : null,
+            modelMatrix: modelMatrix,
+          );
+        }
+        return l;
+      }).toList(),
+    );
+  }
+
+  void _onTilesetPositionRestored(String id, Map<String, dynamic> adjustment) {
+    double value(String key, [double defaultValue = 0.0]) =>
+        (adjustment[key] as num?)?.toDouble() ?? defaultValue;
+
+    // CesiumJS側では反映済みのため状態の更新と保存のみ行う
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == id) {
+          return l.copyWith(
+            heightOffset: value('heightOffset'),
+            longitudeOffset: value('longitude'),
+            latitudeOffset: value('latitude'),
+            heading: value('heading'),
+            pitch: value('pitch'),
+            roll: value('roll'),
+            scale: value('scale', 1.0),
+          );
+        }
+        return l;
+      }).toList(),
+    );
+    saveTilesets();
+  }
+
+  // ============================================
+  // 既知点合わせ
+  // ============================================
+
+  /// 既知点合わせを開始
+  ///
+  /// [fixScale] スケールを1に固定するか
+  /// [headingOnly] 回転を鉛直軸まわりのみに限定するか（2組から解ける）
+  Future<void> startControlPointAlignment(
+    String id, {
+    bool fixScale = false,
+    bool headingOnly = false,
+  }) async {
+    if (_cesiumController == null) return;
+
+    state = state.copyWith(
+      controlPointAlignment: ControlPointAlignmentState(tilesetId: id),
+    );
+    await _cesiumController!.startControlPointAlignment(
+      id,
+      fixScale: fixScale,
+      headingOnly: headingOnly,
+    );
+  }
+
+  /// 既知点合わせの設定を変更（指定済みの点で解き直す）
+  Future<void> updateControlPointSettings({bool? fixScale, bool? headingOnly}) async {
+    await _cesiumController?.updateControlPointSettings(
+      fixScale: fixScale,
+      headingOnly: headingOnly,
+    );
+  }
+
+  /// 対応点を座標で指定
+  Future<void> setControlPointTarget(int index, GeoPosition position) async {
+    await _cesiumController?.setControlPointTarget(index, position);
+  }
+
+  /// 点の組を削除
+  Future<void> removeControlPointPair(int index) async {
+    await _cesiumController?.removeControlPointPair(index);
+  }
+
+  /// 既知点合わせの結果をTilesetに適用
+  Future<void> applyControlPointAlignment() async {
+    await _cesiumController?.applyControlPointAlignment();
+  }
+
+  /// 既知点合わせを中止
+  Future<void> cancelControlPointAlignment() async {
+    await _cesiumController?.cancelControlPointAlignment();
+    state = state.copyWith(clearControlPointAlignment: true);
+  }
+
+  void _onControlPointAlignmentUpdated(Map<String, dynamic> alignment) {
+    state = state.copyWith(
+      controlPointAlignment: ControlPointAlignmentState.fromJson(alignment),
+    );
+  }
+
+  void _onControlPointAlignmentError(String error) {
+    final alignment = state.controlPointAlignment;
+    if (alignment == null) return;
+    state = state.copyWith(controlPointAlignment: alignment.copyWith(error: error));
+  }
+
+  void _onControlPointAlignmentApplied(String tilesetId, Map<String, dynamic> result) {
+    final transform = result['transform'] as Map<String, dynamic>;
+    double value(String key, [double defaultValue = 0.0]) =>
+        (transform[key] as num?)?.toDouble() ?? defaultValue;
+
+    final controlPoints = (result['pairs'] as List<dynamic>? ?? [])
+        .map((e) => ControlPointPair.fromJson(e as Map<String, dynamic>))
+        .toList();
+
+    // CesiumJS側では反映済みのため状態の更新と保存のみ行う
+    state = state.copyWith(
+      layers: state.layers.map((l) {
+        if (l.id == tilesetId) {
+          return l.copyWith(
+            heightOffset: value('heightOffset'),
+            longitudeOffset: value('longitude'),
+            latitudeOffset: value('latitude'),
+            heading: value('heading'),
+            pitch: value('pitch'),
+            roll: value('roll'),
+            scale: value('scale', 1.0),
+            controlPoints: controlPoints,
+            alignmentRms: (result['rms'] as num?)?.toDouble(),
+          );
+        }
+        return l;
+      }).toList(),
+      clearControlPointAlignment: true,
+    );
+    saveTilesets();
+
+    logInfo('Control point alignment applied: $tilesetId');
+  }
+
   // ============================================
   // 永続化
   // ============================================
@@ -571,6 +1504,9 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
     final file = File('$_projectPath/tilesets.json');
     final data = {
       'tilesets': state.layers.map((l) => l.toJson()).toList(),
+      if (state.googleTilesetMasks.isNotEmpty)
+        'googleTilesetMasks': state.googleTilesetMasks.map((m) => m.toJson()).toList(),
+      'googleTilesetMaskBuffer': state.googleTilesetMaskBuffer,
     };
     await file.writeAsString(const JsonEncoder.withIndent('  ').convert(data));
     logInfo('Tilesets saved: ${state.layers.length} layers to ${file.path}');
@@ -595,6 +1531,13 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
       final data = jsonDecode(content) as Map<String, dynamic>;
       final tilesetsJson = data['tilesets'] as List<dynamic>? ?? [];
 
+      // マスクの余白（フットプリントのマスクより先に設定する）
+      final maskBuffer = (data['googleTilesetMaskBuffer'] as num?)?.toDouble();
+      if (maskBuffer != null) {
+        await _cesiumController!.updateGoogleTilesetMaskSettings(buffer: maskBuffer);
+        state = state.copyWith(googleTilesetMaskBuffer: maskBuffer);
+      }
+
       logInfo('Loading ${tilesetsJson.length} tilesets...');
 
       for (final json in tilesetsJson) {
@@ -625,10 +1568,10 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
         _pendingFlyTo[layer.id] = false;
         _pendingClipping[layer.id] = layer.clipGoogleTiles;
 
-        // 高さオフセットと画質設定を保留（タイルセットロード完了後に適用）
-        if (layer.heightOffset != 0) {
-          _pendingHeightOffset[layer.id] = layer.heightOffset;
-          logInfo('Pending height offset for ${layer.id}: ${layer.heightOffset}');
+        // 位置調整と画質設定を保留（タイルセットロード完了後に適用）
+        if (layer.hasPositionAdjustment) {
+          _pendingPositionAdjustment.add(layer.id);
+          logInfo('Pending position adjustment for ${layer.id}');
         }
         if (layer.screenSpaceError != 2.0) {
           _pendingScreenSpaceError[layer.id] = layer.screenSpaceError;
@@ -646,12 +1589,40 @@ class TilesetNotifier extends StateNotifier<TilesetState> with LoggableMixin {
 
         logInfo('Tileset loaded: ${layer.name}');
       }
+
+      // 多角形によるGoogle 3D Tilesのマスク
+      final masksJson = data['googleTilesetMasks'] as List<dynamic>? ?? [];
+      final masks = masksJson
+          .map((e) => GoogleTilesetMask.fromJson(e as Map<String, dynamic>))
+          .toList();
+      for (final mask in masks) {
+        await _cesiumController!.addGoogleTilesetMask(
+          id: mask.id,
+          polygon: mask.polygon,
+          buffer: mask.buffer,
+        );
+      }
+      state = state.copyWith(googleTilesetMasks: masks);
     } catch (e) {
       logError('Failed to load tilesets: $e');
     }
   }
 }
 
+/// 計測から作成したGoogle 3D Tilesのマスクを計測の頂点に追従させるプロバイダー
+///
+/// マスクは作成時の頂点を保存しているため、計測の頂点が編集されたら送り直す。
+final googleTilesetMaskSyncProvider = Provider<void>((ref) {
+  final masks = ref.watch(tilesetProvider.select((s) => s.googleTilesetMasks));
+  if (masks.isEmpty) return;
+
+  final measurements = ref.watch(measurementProvider.select((s) => s.measurements));
+  ref.read(tilesetProvider.notifier).syncGoogleTilesetMaskPolygons({
+    for (final measurement in measurements)
+      if (measurement.points.length >= 3) measurement.id: measurement.points,
+  });
+});
+
 /// Tilesetプロバイダー
 final tilesetProvider = StateNotifierProvider<TilesetNotifier, TilesetState>(
   (ref) => TilesetNotifier(),
@@ -58,18 +58,34 @@ class _MainScreenState extends ConsumerState<MainScreen>
   // プレゼンテーションモード開始時のカメラ位置
   CameraPosition? _savedCameraPosition;
 
+  // テキスト入力中か（CesiumJSのキーボードショートカットを無効にする）
+  bool _isEditingText = false;
+
   @override
   void initState() {
     super.initState();
     _leftPanelTabController = TabController(length: 4, vsync: this);
+    FocusManager.instance.addListener(_onFocusChanged);
   }
 
   @override
   void dispose() {
+    FocusManager.instance.removeListener(_onFocusChanged);
     _leftPanelTabController.dispose();
     super.dispose();
   }
 
+  /// フォーカスの変化に合わせてCesiumJSのキーボードショートカットを切り替え
+  void _onFocusChanged() {
+    final focusedContext = FocusManager.instance.primaryFocus?.context;
+    final isEditingText =
+        focusedContext?.findAncestorWidgetOfExactType<EditableText>() != null;
+    if (isEditingText == _isEditingText) return;
+
+    _isEditingText = isEditingText;
+    ref.read(cesiumControllerProvider)?.setKeyboardShortcutsEnabled(!isEditingText);
+  }
+
   /// プレゼンテーションモードの切り替え
   void _togglePresentationMode() {
     if (!_presentationMode) {
@@ -91,6 +107,12 @@ class _MainScreenState extends ConsumerState<MainScreen>
       tilesetNotifier.setProjectPath(projectState.projectPath);
     }
 
+    // アセットの寸法をCesiumJSに登録（コントローラ作成時・アセット再読込時）
+    ref.watch(assetDimensionsSyncProvider);
+
+    // 計測から作成したGoogle 3D Tilesのマスクを計測の頂点に追従させる
+    ref.watch(googleTilesetMaskSyncProvider);
+
     return KeyboardListener(
       focusNode: FocusNode()..requestFocus(),
       onKeyEvent: _handleKeyEvent,
@@ -165,6 +187,8 @@ class _MainScreenState extends ConsumerState<MainScreen>
 
   /// ツールバーを構築
   Widget _buildToolbar() {
+    final editHistory = ref.watch(editHistoryProvider);
+
     return Container(
       height: 48,
       padding: const EdgeInsets.symmetric(horizontal: 8),
@@ -200,6 +224,24 @@ class _MainScreenState extends ConsumerState<MainScreen>
 
           const VerticalDivider(),
 
+          // 元に戻す・やり直し
+          IconButton(
+            icon: const Icon(Icons.undo),
+            tooltip: '元に戻す (Ctrl+Z)',
+            onPressed: editHistory.canUndo
+                ? () => ref.read(cesiumControllerProvider)?.undo()
+                : null,
+          ),
+          IconButton(
+            icon: const Icon(Icons.redo),
+            tooltip: 'やり直し (Ctrl+Y)',
+            onPressed: editHistory.canRedo
+                ? () => ref.read(cesiumControllerProvider)?.redo()
+                : null,
+          ),
+
+          const VerticalDivider(),
+
           // ベースマップ切り替え
           PopupMenuButton<BaseMapProvider>(
             icon: const Icon(Icons.map),
@@ -411,6 +453,11 @@ class _MainScreenState extends ConsumerState<MainScreen>
               ref.read(cameraPositionProvider.notifier).updatePosition(position);
             };
 
+            controller.onHistoryChanged = (canUndo, canRedo) {
+              ref.read(editHistoryProvider.notifier).state =
+                  EditHistoryState(canUndo: canUndo, canRedo: canRedo);
+            };
+
             // 計測プロバイダーにCesiumControllerを設定
             ref.read(measurementProvider.notifier).updateController(controller);
 
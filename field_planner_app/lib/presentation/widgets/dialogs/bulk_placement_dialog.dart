@@ -0,0 +1,227 @@
+/// 一括配置設定ダイアログ
+///
+/// アセットを直線・グリッド・ポリライン沿いにまとめて配置する際の設定ダイアログ。
+///
+/// 主な機能:
+/// - 配置パターンの選択（直線・グリッド・ポリライン沿い）
+/// - 配置間隔の設定
+/// - グリッドの行数・列数・行間隔の設定
+/// - 向きの補正
+
+import 'package:flutter/material.dart';
+
+import '../../../data/models/asset.dart';
+
+/// 一括配置設定ダイアログ
+///
+/// 「配置開始」で設定のMapを返す
+/// {pattern, spacing, rows, columns, rowSpacing, headingOffset}
+class BulkPlacementSettingsDialog extends StatefulWidget {
+  final Asset asset;
+
+  const BulkPlacementSettingsDialog({
+    super.key,
+    required this.asset,
+  });
+
+  @override
+  State<BulkPlacementSettingsDialog> createState() =>
+      _BulkPlacementSettingsDialogState();
+}
+
+class _BulkPlacementSettingsDialogState
+    extends State<BulkPlacementSettingsDialog> {
+  String _pattern = 'linear';
+  double _spacing = 2.0;
+  double _rowSpacing = 2.0;
+  bool _sameRowSpacing = true;
+  int _rows = 0;
+  int _columns = 0;
+  double _headingOffset = 0;
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+
+    return AlertDialog(
+      title: Text('${widget.asset.name}を一括配置'),
+      content: SizedBox(
+        width: 400,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            // 配置パターン
+            SegmentedButton<String>(
+              segments: const [
+                ButtonSegment(
+                  value: 'linear',
+                  icon: Icon(Icons.linear_scale),
+                  label: Text('直線'),
+                ),
+                ButtonSegment(
+                  value: 'grid',
+                  icon: Icon(Icons.grid_on),
+                  label: Text('グリッド'),
+                ),
+                ButtonSegment(
+                  value: 'path',
+                  icon: Icon(Icons.polyline),
+                  label: Text('ポリライン'),
+                ),
+              ],
+              selected: {_pattern},
+              onSelectionChanged: (value) =>
+                  setState(() => _pattern = value.first),
+            ),
+            const SizedBox(height: 8),
+            Text(
+              _patternDescription(),
+              style: theme.textTheme.bodySmall,
+            ),
+            const SizedBox(height: 16),
+
+            // 配置間隔
+            _buildSliderField(
+              label: _pattern == 'grid' ? '列の間隔' : '間隔',
+              value: _spacing,
+              min: 0.5,
+              max: 20,
+              suffix: 'm',
+              onChanged: (v) => setState(() => _spacing = v),
+            ),
+
+            // グリッドの行・列
+            if (_pattern == 'grid') ...[
+              SwitchListTile(
+                title: const Text('行の間隔を列と同じにする'),
+                value: _sameRowSpacing,
+                onChanged: (v) => setState(() => _sameRowSpacing = v),
+                contentPadding: EdgeInsets.zero,
+                dense: true,
+              ),
+              if (!_sameRowSpacing)
+                _buildSliderField(
+                  label: '行の間隔',
+                  value: _rowSpacing,
+                  min: 0.5,
+                  max: 20,
+                  suffix: 'm',
+                  onChanged: (v) => setState(() => _rowSpacing = v),
+                ),
+              _buildCountField(
+                label: '行数',
+                value: _rows,
+                onChanged: (v) => setState(() => _rows = v),
+              ),
+              _buildCountField(
+                label: '列数',
+                value: _columns,
+                onChanged: (v) => setState(() => _columns = v),
+              ),
+            ],
+
+            // 向きの補正
+            _buildSliderField(
+              label: '向きの補正',
+              value: _headingOffset,
+              min: -180,
+              max: 180,
+              divisions: 24,
+              suffix: '°',
+              onChanged: (v) => setState(() => _headingOffset = v),
+            ),
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: const Text('キャンセル'),
+        ),
+        ElevatedButton(
+          onPressed: () => Navigator.pop(context, _getSettings()),
+          child: const Text('配置開始'),
+        ),
+      ],
+    );
+  }
+
+  String _patternDescription() {
+    switch (_pattern) {
+      case 'grid':
+        return '地図上で対角の2点をクリックして範囲を指定します';
+      case 'path':
+        return '地図上をクリックしてポリラインを描き、ダブルクリックで確定します';
+      default:
+        return '地図上で始点と終点をクリックします';
+    }
+  }
+
+  Widget _buildSliderField({
+    required String label,
+    required double value,
+    required double min,
+    required double max,
+    required String suffix,
+    required ValueChanged<double> onChanged,
+    int? divisions,
+  }) {
+    return Row(
+      children: [
+        SizedBox(width: 100, child: Text(label)),
+        Expanded(
+          child: Slider(
+            value: value.clamp(min, max),
+            min: min,
+            max: max,
+            divisions: divisions,
+            onChanged: onChanged,
+          ),
+        ),
+        SizedBox(
+          width: 60,
+          child: Text('${value.toStringAsFixed(1)}$suffix'),
+        ),
+      ],
+    );
+  }
+
+  /// 行数・列数（0は範囲と間隔から決める）
+  Widget _buildCountField({
+    required String label,
+    required int value,
+    required ValueChanged<int> onChanged,
+  }) {
+    return Row(
+      children: [
+        SizedBox(width: 100, child: Text(label)),
+        Expanded(
+          child: Slider(
+            value: value.toDouble(),
+            min: 0,
+            max: 20,
+            divisions: 20,
+            onChanged: (v) => onChanged(v.round()),
+          ),
+        ),
+        SizedBox(
+          width: 60,
+          child: Text(value == 0 ? '自動' : '$value'),
+        ),
+      ],
+    );
+  }
+
+  Map<String, dynamic> _getSettings() {
+    return {
+      'pattern': _pattern,
+      'spacing': _spacing,
+      'rows': _pattern == 'grid' ? _rows : 0,
+      'columns': _pattern == 'grid' ? _columns : 0,
+      'rowSpacing':
+          _pattern == 'grid' && !_sameRowSpacing ? _rowSpacing : null,
+      'headingOffset': _headingOffset,
+    };
+  }
+}
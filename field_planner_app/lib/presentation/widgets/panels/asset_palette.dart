@@ -9,6 +9,7 @@
 /// - お気に入り・最近使用したアセット
 /// - ドローンフォーメーションタブ
 /// - 検索機能
+/// - 一括配置（直線・グリッド・ポリライン沿い）
 
 import 'package:flutter/material.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
@@ -17,6 +18,7 @@ import '../../../data/models/asset.dart';
 import '../../../data/models/drone_formation.dart';
 import '../../providers/asset_provider.dart';
 import '../../providers/placement_provider.dart';
+import '../dialogs/bulk_placement_dialog.dart';
 import '../dialogs/drone_import_dialog.dart';
 
 /// アセットパレット
@@ -64,6 +66,9 @@ class _AssetPaletteState extends ConsumerState<AssetPalette>
         // 検索バー
         _buildSearchBar(),
 
+        // 一括配置中の操作
+        _buildBulkPlacementBar(),
+
         // タブ
         TabBar(
           controller: _tabController,
@@ -125,6 +130,51 @@ class _AssetPaletteState extends ConsumerState<AssetPalette>
     );
   }
 
+  /// 一括配置中に表示するバー（ポリライン沿いの確定・一括配置の終了）
+  Widget _buildBulkPlacementBar() {
+    final controller = ref.watch(placementControllerProvider);
+    final pattern = controller?.bulkPlacementPattern;
+    if (controller == null || pattern == null) return const SizedBox.shrink();
+
+    final theme = Theme.of(context);
+    return Container(
+      color: theme.colorScheme.secondaryContainer,
+      padding: const EdgeInsets.symmetric(horizontal: 8, vertical: 4),
+      child: Row(
+        children: [
+          const Icon(Icons.grid_view, size: 16),
+          const SizedBox(width: 8),
+          Expanded(
+            child: Text(
+              '一括配置中（${_bulkPatternLabel(pattern)}）',
+              style: theme.textTheme.bodySmall,
+            ),
+          ),
+          if (pattern == 'path')
+            TextButton(
+              onPressed: controller.finishBulkPlacement,
+              child: const Text('確定'),
+            ),
+          TextButton(
+            onPressed: controller.cancelPlacementMode,
+            child: const Text('終了'),
+          ),
+        ],
+      ),
+    );
+  }
+
+  String _bulkPatternLabel(String pattern) {
+    switch (pattern) {
+      case 'grid':
+        return 'グリッド';
+      case 'path':
+        return 'ポリライン沿い';
+      default:
+        return '直線';
+    }
+  }
+
   Widget _buildCategoryView() {
     if (_searchQuery.isNotEmpty) {
       return _buildSearchResults();
@@ -327,6 +377,7 @@ class _AssetPaletteState extends ConsumerState<AssetPalette>
           asset: assets[index],
           onTap: () => _onAssetTap(assets[index]),
           onFavoriteToggle: () => _onFavoriteToggle(assets[index]),
+          onBulkPlace: () => _onAssetBulkPlace(assets[index]),
         );
       },
     );
@@ -356,6 +407,39 @@ class _AssetPaletteState extends ConsumerState<AssetPalette>
     ref.read(placementControllerProvider)?.startPlacementMode(asset.id, modelUrl);
   }
 
+  void _onAssetBulkPlace(Asset asset) async {
+    final settings = await showDialog<Map<String, dynamic>>(
+      context: context,
+      builder: (context) => BulkPlacementSettingsDialog(asset: asset),
+    );
+
+    if (settings == null || !mounted) return;
+
+    final controller = ref.read(placementControllerProvider);
+    if (controller == null) {
+      ScaffoldMessenger.of(context).showSnackBar(
+        const SnackBar(content: Text('マップが初期化されていません')),
+      );
+      return;
+    }
+
+    widget.onAssetSelected?.call(asset);
+
+    // 一括配置モードを開始
+    final repository = ref.read(assetRepositoryProvider);
+    final modelUrl = repository.getModelFullPath(asset);
+    controller.startBulkPlacementMode(
+      asset.id,
+      modelUrl,
+      pattern: settings['pattern'] as String,
+      spacing: settings['spacing'] as double,
+      rows: settings['rows'] as int,
+      columns: settings['columns'] as int,
+      rowSpacing: settings['rowSpacing'] as double?,
+      headingOffset: settings['headingOffset'] as double,
+    );
+  }
+
   void _onFavoriteToggle(Asset asset) {
     ref.read(assetNotifierProvider.notifier).toggleFavorite(asset.id);
   }
@@ -475,11 +559,13 @@ class _AssetCard extends StatelessWidget {
   final Asset asset;
   final VoidCallback onTap;
   final VoidCallback onFavoriteToggle;
+  final VoidCallback onBulkPlace;
 
   const _AssetCard({
     required this.asset,
     required this.onTap,
     required this.onFavoriteToggle,
+    required this.onBulkPlace,
   });
 
   @override
@@ -522,6 +608,24 @@ class _AssetCard extends StatelessWidget {
                       ),
                     ),
                   ),
+                  // 一括配置ボタン
+                  Positioned(
+                    top: 4,
+                    left: 4,
+                    child: IconButton(
+                      icon: const Icon(
+                        Icons.grid_view,
+                        color: Colors.white,
+                        size: 20,
+                      ),
+                      tooltip: '一括配置',
+                      onPressed: onBulkPlace,
+                      style: IconButton.styleFrom(
+                        backgroundColor: Colors.black38,
+                        padding: const EdgeInsets.all(4),
+                      ),
+                    ),
+                  ),
                 ],
               ),
             ),
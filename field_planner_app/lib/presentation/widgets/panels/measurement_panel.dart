@@ -7,11 +7,12 @@ import 'package:flutter_riverpod/flutter_riverpod.dart';
 
 import '../../../data/models/measurement.dart';
 import '../../providers/measurement_provider.dart';
+import '../../providers/tileset_provider.dart';
 
 /// 計測パネル
 ///
-/// 距離、面積、高さの計測機能を提供し、
-/// 計測結果の一覧表示、編集、エクスポートを行う
+/// 距離、面積、高さ、角度、断面、土量の計測機能を提供し、
+/// 計測結果の一覧表示、編集、エクスポート・インポートを行う
 class MeasurementPanel extends ConsumerWidget {
   const MeasurementPanel({super.key});
 
@@ -34,6 +35,14 @@ class MeasurementPanel extends ConsumerWidget {
         if (measurementState.isEditing)
           _buildEditingIndicator(context, ref, theme, measurementState),
 
+        // 見通し解析の結果
+        if (measurementState.lineOfSightResults.isNotEmpty)
+          _buildLineOfSightResults(ref, theme, measurementState),
+
+        // 計測から作成したGoogle 3D Tilesのマスクの余白
+        if (ref.watch(tilesetProvider).googleTilesetMasks.isNotEmpty)
+          _buildGoogleTilesetMaskSettings(ref, theme),
+
         // 計測リスト
         Expanded(
           child: measurementState.measurements.isEmpty
@@ -57,42 +66,201 @@ class MeasurementPanel extends ConsumerWidget {
   ) {
     return Padding(
       padding: const EdgeInsets.all(8),
-      child: Row(
+      child: Column(
         children: [
-          _buildToolButton(
-            context: context,
-            ref: ref,
-            theme: theme,
-            icon: Icons.straighten,
-            label: '距離',
-            type: MeasurementType.distance,
-            isActive: state.activeMode == MeasurementType.distance,
+          Row(
+            children: [
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.straighten,
+                label: '距離',
+                type: MeasurementType.distance,
+                isActive: state.activeMode == MeasurementType.distance,
+              ),
+              const SizedBox(width: 4),
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.square_foot,
+                label: '面積',
+                type: MeasurementType.area,
+                isActive: state.activeMode == MeasurementType.area,
+              ),
+              const SizedBox(width: 4),
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.height,
+                label: '高さ',
+                type: MeasurementType.height,
+                isActive: state.activeMode == MeasurementType.height,
+              ),
+              const SizedBox(width: 4),
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.architecture,
+                label: '角度',
+                type: MeasurementType.angle,
+                isActive: state.activeMode == MeasurementType.angle,
+              ),
+            ],
           ),
-          const SizedBox(width: 4),
-          _buildToolButton(
-            context: context,
-            ref: ref,
-            theme: theme,
-            icon: Icons.square_foot,
-            label: '面積',
-            type: MeasurementType.area,
-            isActive: state.activeMode == MeasurementType.area,
+          const SizedBox(height: 4),
+          Row(
+            children: [
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.show_chart,
+                label: '断面',
+                type: MeasurementType.profile,
+                isActive: state.activeMode == MeasurementType.profile,
+              ),
+              const SizedBox(width: 4),
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.landscape,
+                label: '土量',
+                type: MeasurementType.volume,
+                isActive: state.activeMode == MeasurementType.volume,
+              ),
+              const SizedBox(width: 4),
+              _buildToolButton(
+                context: context,
+                ref: ref,
+                theme: theme,
+                icon: Icons.visibility,
+                label: '見通し',
+                type: MeasurementType.lineOfSight,
+                isActive: state.activeMode == MeasurementType.lineOfSight,
+              ),
+            ],
           ),
-          const SizedBox(width: 4),
-          _buildToolButton(
-            context: context,
-            ref: ref,
-            theme: theme,
-            icon: Icons.height,
-            label: '高さ',
-            type: MeasurementType.height,
-            isActive: state.activeMode == MeasurementType.height,
+          const SizedBox(height: 4),
+          Row(
+            children: [
+              Text('単位', style: theme.textTheme.bodySmall),
+              const SizedBox(width: 8),
+              DropdownButton<MeasurementUnitSystem>(
+                value: state.unitSystem,
+                isDense: true,
+                style: theme.textTheme.bodySmall,
+                items: MeasurementUnitSystem.values
+                    .map((system) => DropdownMenuItem(
+                          value: system,
+                          child: Text(system.displayName),
+                        ))
+                    .toList(),
+                onChanged: (system) {
+                  if (system != null) {
+                    ref.read(measurementProvider.notifier).setUnitSystem(system);
+                  }
+                },
+              ),
+              IconButton(
+                icon: const Icon(Icons.tune, size: 16),
+                tooltip: '表示単位・桁数',
+                visualDensity: VisualDensity.compact,
+                onPressed: () => _showUnitSettingsDialog(context),
+              ),
+              const Spacer(),
+              TextButton.icon(
+                icon: const Icon(Icons.file_open, size: 16),
+                label: const Text('インポート', style: TextStyle(fontSize: 12)),
+                onPressed: () => _importMeasurements(context, ref),
+              ),
+            ],
           ),
         ],
       ),
     );
   }
 
+  /// 表示単位・小数点以下の桁数の設定ダイアログ
+  void _showUnitSettingsDialog(BuildContext context) {
+    const quantityLabels = {
+      'length': '長さ',
+      'area': '面積',
+      'volume': '体積',
+      'angle': '角度',
+    };
+
+    showDialog<void>(
+      context: context,
+      builder: (context) => Consumer(
+        builder: (context, ref, _) {
+          final units = ref.watch(measurementProvider).unitSettings;
+          final notifier = ref.read(measurementProvider.notifier);
+
+          return AlertDialog(
+            title: const Text('表示単位'),
+            content: Table(
+              defaultVerticalAlignment: TableCellVerticalAlignment.middle,
+              columnWidths: const {0: IntrinsicColumnWidth()},
+              children: quantityLabels.entries.map((entry) {
+                final quantity = entry.key;
+                final selectable = quantity != 'angle';
+                return TableRow(children: [
+                  Padding(
+                    padding: const EdgeInsets.only(right: 16),
+                    child: Text(entry.value),
+                  ),
+                  selectable
+                      ? DropdownButton<String>(
+                          value: units.unitOf(quantity),
+                          isDense: true,
+                          items: ['auto', ...units.unitsOf(quantity)]
+                              .map((unit) => DropdownMenuItem(
+                                    value: unit,
+                                    child: Text(unit == 'auto' ? '自動' : unit),
+                                  ))
+                              .toList(),
+                          onChanged: (unit) {
+                            if (unit != null) {
+                              notifier.setDisplayUnit(quantity, unit);
+                            }
+                          },
+                        )
+                      : const Text('°'),
+                  DropdownButton<int>(
+                    value: units.precisionOf(quantity),
+                    isDense: true,
+                    items: List.generate(5, (digits) => digits)
+                        .map((digits) => DropdownMenuItem(
+                              value: digits,
+                              child: Text('小数点以下$digits桁'),
+                            ))
+                        .toList(),
+                    onChanged: (digits) {
+                      if (digits != null) {
+                        notifier.setPrecision(quantity, digits);
+                      }
+                    },
+                  ),
+                ]);
+              }).toList(),
+            ),
+            actions: [
+              TextButton(
+                onPressed: () => Navigator.of(context).pop(),
+                child: const Text('閉じる'),
+              ),
+            ],
+          );
+        },
+      ),
+    );
+  }
+
   /// ツールボタンを構築
   Widget _buildToolButton({
     required BuildContext context,
@@ -157,6 +325,19 @@ class MeasurementPanel extends ConsumerWidget {
                 ),
               ),
               const Spacer(),
+              IconButton(
+                icon: Icon(
+                  Icons.filter_center_focus,
+                  size: 18,
+                  color: state.snapEnabled ? theme.colorScheme.primary : null,
+                ),
+                tooltip: state.snapEnabled ? 'スナップ: オン' : 'スナップ: オフ',
+                onPressed: () {
+                  ref
+                      .read(measurementProvider.notifier)
+                      .setSnapEnabled(!state.snapEnabled);
+                },
+              ),
               TextButton(
                 onPressed: () {
                   ref.read(measurementProvider.notifier).cancelMeasurement();
@@ -170,6 +351,12 @@ class MeasurementPanel extends ConsumerWidget {
             _getInstructions(activeMode),
             style: theme.textTheme.bodySmall,
           ),
+          if (activeMode == MeasurementType.profile)
+            _buildProfileSettings(ref, theme, state),
+          if (activeMode == MeasurementType.volume)
+            _buildVolumeSettings(ref, theme, state),
+          if (activeMode == MeasurementType.lineOfSight)
+            _buildLineOfSightSettings(ref, theme, state),
           if (state.tempPoints.isNotEmpty) ...[
             const SizedBox(height: 8),
             Container(
@@ -186,7 +373,7 @@ class MeasurementPanel extends ConsumerWidget {
                   ),
                   const Spacer(),
                   Text(
-                    _formatValue(state.currentValue, state.currentUnit),
+                    state.unitSettings.format(state.currentValue, state.currentUnit),
                     style: theme.textTheme.titleMedium?.copyWith(
                       fontWeight: FontWeight.bold,
                       color: theme.colorScheme.primary,
@@ -201,6 +388,224 @@ class MeasurementPanel extends ConsumerWidget {
     );
   }
 
+  /// 断面計測の設定
+  Widget _buildProfileSettings(
+    WidgetRef ref,
+    ThemeData theme,
+    MeasurementState state,
+  ) {
+    return Row(
+      children: [
+        Text('サンプリング間隔', style: theme.textTheme.bodySmall),
+        Expanded(
+          child: Slider(
+            value: state.profileInterval,
+            min: 0.5,
+            max: 10,
+            divisions: 19,
+            onChanged: (value) {
+              ref.read(measurementProvider.notifier).setProfileInterval(value);
+            },
+          ),
+        ),
+        Text(
+          '${state.profileInterval.toStringAsFixed(1)} m',
+          style: theme.textTheme.bodySmall,
+        ),
+      ],
+    );
+  }
+
+  /// 土量計測の基準面の設定
+  Widget _buildVolumeSettings(
+    WidgetRef ref,
+    ThemeData theme,
+    MeasurementState state,
+  ) {
+    final notifier = ref.read(measurementProvider.notifier);
+
+    return Row(
+      children: [
+        Text('基準面', style: theme.textTheme.bodySmall),
+        const SizedBox(width: 8),
+        DropdownButton<String>(
+          value: state.volumeReferenceMode,
+          isDense: true,
+          style: theme.textTheme.bodySmall,
+          items: const [
+            DropdownMenuItem(value: 'lowest', child: Text('最低頂点')),
+            DropdownMenuItem(value: 'bestFit', child: Text('近似平面')),
+            DropdownMenuItem(value: 'fixed', child: Text('指定標高')),
+          ],
+          onChanged: (value) {
+            if (value != null) {
+              notifier.setVolumeReference(referenceMode: value);
+            }
+          },
+        ),
+        if (state.volumeReferenceMode == 'fixed') ...[
+          const SizedBox(width: 8),
+          Expanded(
+            child: TextField(
+              controller: TextEditingController(
+                text: state.volumeReferenceHeight.toStringAsFixed(2),
+              ),
+              decoration: const InputDecoration(
+                isDense: true,
+                suffixText: 'm',
+              ),
+              style: theme.textTheme.bodySmall,
+              keyboardType: const TextInputType.numberWithOptions(
+                decimal: true,
+                signed: true,
+              ),
+              onSubmitted: (value) {
+                final height = double.tryParse(value);
+                if (height != null) {
+                  notifier.setVolumeReference(referenceHeight: height);
+                }
+              },
+            ),
+          ),
+        ],
+      ],
+    );
+  }
+
+  /// 見通し解析の設定
+  Widget _buildLineOfSightSettings(
+    WidgetRef ref,
+    ThemeData theme,
+    MeasurementState state,
+  ) {
+    final notifier = ref.read(measurementProvider.notifier);
+
+    Widget heightField(double value, void Function(double height) onSubmitted) {
+      return Expanded(
+        child: TextField(
+          controller: TextEditingController(text: value.toStringAsFixed(2)),
+          decoration: const InputDecoration(
+            isDense: true,
+            suffixText: 'm',
+          ),
+          style: theme.textTheme.bodySmall,
+          keyboardType: const TextInputType.numberWithOptions(decimal: true),
+          onSubmitted: (text) {
+            final height = double.tryParse(text);
+            if (height != null && height >= 0) {
+              onSubmitted(height);
+            }
+          },
+        ),
+      );
+    }
+
+    return Row(
+      children: [
+        Text('目の高さ', style: theme.textTheme.bodySmall),
+        const SizedBox(width: 8),
+        heightField(
+          state.lineOfSightEyeHeight,
+          (height) => notifier.setLineOfSightHeights(eyeHeight: height),
+        ),
+        const SizedBox(width: 16),
+        Text('対象の高さ', style: theme.textTheme.bodySmall),
+        const SizedBox(width: 8),
+        heightField(
+          state.lineOfSightTargetHeight,
+          (height) => notifier.setLineOfSightHeights(targetHeight: height),
+        ),
+      ],
+    );
+  }
+
+  /// Google 3D Tilesのマスクの余白（外側に広げる距離）
+  Widget _buildGoogleTilesetMaskSettings(WidgetRef ref, ThemeData theme) {
+    final buffer = ref.watch(tilesetProvider).googleTilesetMaskBuffer;
+
+    return Padding(
+      padding: const EdgeInsets.symmetric(horizontal: 12),
+      child: Row(
+        children: [
+          Text('3D Tilesマスクの余白', style: theme.textTheme.bodySmall),
+          Expanded(
+            child: Slider(
+              value: buffer.clamp(0, 20),
+              min: 0,
+              max: 20,
+              onChanged: (value) => ref
+                  .read(tilesetProvider.notifier)
+                  .setGoogleTilesetMaskBuffer(value),
+            ),
+          ),
+          Text('${buffer.toStringAsFixed(1)} m', style: theme.textTheme.bodySmall),
+        ],
+      ),
+    );
+  }
+
+  /// 見通し解析の結果一覧
+  Widget _buildLineOfSightResults(
+    WidgetRef ref,
+    ThemeData theme,
+    MeasurementState state,
+  ) {
+    final notifier = ref.read(measurementProvider.notifier);
+    const sourceLabels = {
+      'terrain': '地形',
+      'tileset': '3D Tiles',
+      'placement': '配置物',
+      'object': 'オブジェクト',
+    };
+
+    return Container(
+      padding: const EdgeInsets.fromLTRB(12, 4, 4, 4),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Row(
+            children: [
+              Text('見通し解析', style: theme.textTheme.titleSmall),
+              const Spacer(),
+              TextButton(
+                onPressed: notifier.clearLineOfSights,
+                child: const Text('すべて削除', style: TextStyle(fontSize: 12)),
+              ),
+            ],
+          ),
+          ...state.lineOfSightResults.map((result) {
+            final distance =
+                state.unitSettings.format(result.distance, 'm');
+            final detail = result.visible
+                ? distance
+                : '$distance / ${state.unitSettings.format(result.clearDistance, 'm')}地点で'
+                    '${sourceLabels[result.obstructionSource] ?? ''}に遮蔽';
+            return ListTile(
+              dense: true,
+              contentPadding: EdgeInsets.zero,
+              leading: Icon(
+                result.visible ? Icons.visibility : Icons.visibility_off,
+                size: 20,
+                color: result.visible ? Colors.green : theme.colorScheme.error,
+              ),
+              title: Text(
+                result.visible ? '見通し可' : '見通し不可',
+                style: const TextStyle(fontSize: 13),
+              ),
+              subtitle: Text(detail, style: theme.textTheme.bodySmall),
+              trailing: IconButton(
+                icon: const Icon(Icons.delete_outline, size: 18),
+                tooltip: '削除',
+                onPressed: () => notifier.removeLineOfSight(result.id),
+              ),
+            );
+          }),
+          const Divider(height: 1),
+        ],
+      ),
+    );
+  }
+
   /// 編集モードの表示
   Widget _buildEditingIndicator(
     BuildContext context,
@@ -290,12 +695,36 @@ class MeasurementPanel extends ConsumerWidget {
     ThemeData theme,
     MeasurementState state,
   ) {
+    final maskIds =
+        ref.watch(tilesetProvider).googleTilesetMasks.map((m) => m.id).toSet();
+
     return ListView.builder(
       itemCount: state.measurements.length,
       itemBuilder: (context, index) {
         final measurement = state.measurements[index];
+        final isMask = maskIds.contains(measurement.id);
         return _MeasurementTile(
           measurement: measurement,
+          unitSettings: state.unitSettings,
+          isGoogleTilesetMask: isMask,
+          onGoogleTilesetMaskToggle: measurement.type == MeasurementType.area
+              ? () {
+                  final notifier = ref.read(tilesetProvider.notifier);
+                  if (isMask) {
+                    notifier.removeGoogleTilesetMask(measurement.id);
+                  } else {
+                    notifier.addGoogleTilesetMask(measurement.id, measurement.points);
+                  }
+                }
+              : null,
+          onKeepOutToggle: measurement.type == MeasurementType.area ||
+                  measurement.type == MeasurementType.volume
+              ? () {
+                  ref
+                      .read(measurementProvider.notifier)
+                      .setMeasurementKeepOut(measurement.id, !measurement.keepOut);
+                }
+              : null,
           onVisibilityToggle: () {
             ref
                 .read(measurementProvider.notifier)
@@ -337,6 +766,14 @@ class MeasurementPanel extends ConsumerWidget {
               onPressed: () => _exportToGeoJson(context, ref),
             ),
           ),
+          const SizedBox(width: 8),
+          Expanded(
+            child: OutlinedButton.icon(
+              icon: const Icon(Icons.public, size: 16),
+              label: const Text('KML'),
+              onPressed: () => _exportToKml(context, ref),
+            ),
+          ),
         ],
       ),
     );
@@ -363,6 +800,13 @@ class MeasurementPanel extends ConsumerWidget {
               ref
                   .read(measurementProvider.notifier)
                   .deleteMeasurement(measurement.id);
+              // 計測から作成したGoogle 3D Tilesのマスクも削除
+              if (ref
+                  .read(tilesetProvider)
+                  .googleTilesetMasks
+                  .any((m) => m.id == measurement.id)) {
+                ref.read(tilesetProvider.notifier).removeGoogleTilesetMask(measurement.id);
+              }
               Navigator.of(context).pop();
             },
             child: const Text('削除'),
@@ -476,6 +920,70 @@ class MeasurementPanel extends ConsumerWidget {
     }
   }
 
+  /// KMLエクスポート（CesiumJSで変換）
+  Future<void> _exportToKml(BuildContext context, WidgetRef ref) async {
+    try {
+      final kml = await ref
+          .read(measurementProvider.notifier)
+          .exportMeasurements('kml');
+
+      final result = await FilePicker.platform.saveFile(
+        dialogTitle: 'KML保存先を選択',
+        fileName: 'measurements.kml',
+        type: FileType.custom,
+        allowedExtensions: ['kml'],
+      );
+
+      if (result != null) {
+        await File(result).writeAsString(kml);
+        if (context.mounted) {
+          ScaffoldMessenger.of(context).showSnackBar(
+            const SnackBar(content: Text('KMLを保存しました')),
+          );
+        }
+      }
+    } catch (e) {
+      if (context.mounted) {
+        ScaffoldMessenger.of(context).showSnackBar(
+          SnackBar(content: Text('エクスポートに失敗しました: $e')),
+        );
+      }
+    }
+  }
+
+  /// GeoJSON / KML / CSVから計測結果をインポート
+  Future<void> _importMeasurements(BuildContext context, WidgetRef ref) async {
+    try {
+      final result = await FilePicker.platform.pickFiles(
+        type: FileType.custom,
+        allowedExtensions: ['geojson', 'json', 'kml', 'csv'],
+        dialogTitle: '計測結果ファイルを選択',
+      );
+
+      final filePath = result?.files.single.path;
+      if (filePath == null) return;
+
+      final extension = filePath.split('.').last.toLowerCase();
+      final format = extension == 'json' ? 'geojson' : extension;
+      final content = await File(filePath).readAsString();
+      final count = await ref
+          .read(measurementProvider.notifier)
+          .importMeasurements(format, content);
+
+      if (context.mounted) {
+        ScaffoldMessenger.of(context).showSnackBar(
+          SnackBar(content: Text('$count件の計測結果を読み込みました')),
+        );
+      }
+    } catch (e) {
+      if (context.mounted) {
+        ScaffoldMessenger.of(context).showSnackBar(
+          SnackBar(content: Text('インポートに失敗しました: $e')),
+        );
+      }
+    }
+  }
+
   /// 計測タイプに対応するアイコンを取得
   IconData _getToolIcon(MeasurementType type) {
     switch (type) {
@@ -487,6 +995,12 @@ class MeasurementPanel extends ConsumerWidget {
         return Icons.height;
       case MeasurementType.angle:
         return Icons.architecture;
+      case MeasurementType.profile:
+        return Icons.show_chart;
+      case MeasurementType.volume:
+        return Icons.landscape;
+      case MeasurementType.lineOfSight:
+        return Icons.visibility;
     }
   }
 
@@ -501,18 +1015,14 @@ class MeasurementPanel extends ConsumerWidget {
         return 'マップ上で2点をクリックして高低差を計測。';
       case MeasurementType.angle:
         return 'マップ上で3点をクリックして角度を計測。';
+      case MeasurementType.profile:
+        return 'マップ上でクリックして断面の経路を追加。ダブルクリックで完了。';
+      case MeasurementType.volume:
+        return 'マップ上でクリックして範囲の頂点を追加。ダブルクリックで完了。';
+      case MeasurementType.lineOfSight:
+        return 'マップ上で観測点、対象点の順にクリックして見通しを解析。';
     }
   }
-
-  /// 計測値をフォーマット
-  String _formatValue(double value, String unit) {
-    if (unit == 'm²' && value >= 10000) {
-      return '${(value / 10000).toStringAsFixed(2)} ha';
-    } else if (unit == 'm' && value >= 1000) {
-      return '${(value / 1000).toStringAsFixed(2)} km';
-    }
-    return '${value.toStringAsFixed(2)} $unit';
-  }
 }
 
 /// 計測結果タイル
@@ -522,11 +1032,27 @@ class _MeasurementTile extends StatelessWidget {
   final VoidCallback onDelete;
   final VoidCallback onTap;
 
+  /// 面積の範囲でGoogle 3D Tilesを非表示にしているか
+  final bool isGoogleTilesetMask;
+
+  /// Google 3D Tilesのマスクの切り替え（面積計測のみ）
+  final VoidCallback? onGoogleTilesetMaskToggle;
+
+  /// 立入禁止区域の切り替え（面積・土量計測のみ）
+  final VoidCallback? onKeepOutToggle;
+
+  /// 計測値の表示単位設定
+  final MeasurementUnitSettings unitSettings;
+
   const _MeasurementTile({
     required this.measurement,
+    required this.unitSettings,
     required this.onVisibilityToggle,
     required this.onDelete,
     required this.onTap,
+    this.isGoogleTilesetMask = false,
+    this.onGoogleTilesetMaskToggle,
+    this.onKeepOutToggle,
   });
 
   @override
@@ -549,18 +1075,54 @@ class _MeasurementTile extends StatelessWidget {
           color: measurement.visible ? null : theme.disabledColor,
         ),
       ),
-      subtitle: Text(
-        measurement.formattedValue,
-        style: TextStyle(
-          fontWeight: FontWeight.bold,
-          color: measurement.visible
-              ? theme.colorScheme.primary
-              : theme.disabledColor,
-        ),
+      subtitle: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Text(
+            measurement.formatValue(unitSettings),
+            style: TextStyle(
+              fontWeight: FontWeight.bold,
+              color: measurement.visible
+                  ? theme.colorScheme.primary
+                  : theme.disabledColor,
+            ),
+          ),
+          if (measurement.formatDetails(unitSettings) != null)
+            Text(
+              measurement.formatDetails(unitSettings)!,
+              style: theme.textTheme.bodySmall?.copyWith(
+                color: measurement.visible ? null : theme.disabledColor,
+              ),
+            ),
+        ],
       ),
       trailing: Row(
         mainAxisSize: MainAxisSize.min,
         children: [
+          if (onGoogleTilesetMaskToggle != null)
+            IconButton(
+              icon: Icon(
+                isGoogleTilesetMask ? Icons.layers_clear : Icons.layers_clear_outlined,
+                size: 18,
+                color: isGoogleTilesetMask ? theme.colorScheme.primary : null,
+              ),
+              tooltip: isGoogleTilesetMask
+                  ? 'Google 3D Tilesのマスクを解除'
+                  : 'この範囲のGoogle 3D Tilesを非表示',
+              onPressed: onGoogleTilesetMaskToggle,
+            ),
+          if (onKeepOutToggle != null)
+            IconButton(
+              icon: Icon(
+                Icons.do_not_disturb_on_outlined,
+                size: 18,
+                color: measurement.keepOut ? theme.colorScheme.error : null,
+              ),
+              tooltip: measurement.keepOut
+                  ? '立入禁止区域を解除'
+                  : '立入禁止区域にする（配置物との干渉を判定）',
+              onPressed: onKeepOutToggle,
+            ),
           IconButton(
             icon: Icon(
               measurement.visible ? Icons.visibility : Icons.visibility_off,
@@ -588,6 +1150,12 @@ class _MeasurementTile extends StatelessWidget {
         return Icons.height;
       case MeasurementType.angle:
         return Icons.architecture;
+      case MeasurementType.profile:
+        return Icons.show_chart;
+      case MeasurementType.volume:
+        return Icons.landscape;
+      case MeasurementType.lineOfSight:
+        return Icons.visibility;
     }
   }
 }
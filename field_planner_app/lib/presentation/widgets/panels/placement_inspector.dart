@@ -6,13 +6,19 @@
 /// 
 /// 主な機能:
 /// - 位置・回転・スケールの編集
+/// - 高さモード（地形・3D Tilesへの接地、表面からの高さ、表面への傾き合わせ）
+/// - 干渉（重なり・立入禁止区域）の警告
+/// - 実寸（メートル）でのスケール指定
+/// - 離隔範囲の重なりの警告
+/// - 配置設定（新規配置の高さモード・スナップ・実寸表示・フットプリント/離隔範囲）
 /// - 表示/非表示・ロック設定
-/// - 複製・削除操作
+/// - 複製・削除操作（複数選択中は選択中の配置物すべてに適用）
 /// - ドローン固有設定（色、ポイントサイズ等）
 
 import 'package:flutter/material.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 
+import '../../../data/models/asset.dart';
 import '../../../data/models/drone_formation.dart';
 import '../../../data/models/placement.dart';
 import '../../providers/asset_provider.dart';
@@ -50,6 +56,9 @@ class PlacementInspector extends ConsumerStatefulWidget {
 }
 
 class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
+  /// 実寸指定で縦横比を保つか
+  bool _keepAspect = true;
+
   @override
   Widget build(BuildContext context) {
     final theme = Theme.of(context);
@@ -65,22 +74,34 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
 
     // 配置物がない場合
     if (placement == null) {
-      return Center(
+      return SingleChildScrollView(
+        padding: const EdgeInsets.all(12),
         child: Column(
-          mainAxisAlignment: MainAxisAlignment.center,
+          crossAxisAlignment: CrossAxisAlignment.start,
           children: [
-            Icon(
-              Icons.select_all,
-              size: 48,
-              color: theme.colorScheme.onSurfaceVariant.withValues(alpha: 0.5),
-            ),
-            const SizedBox(height: 8),
-            Text(
-              'オブジェクトを選択',
-              style: theme.textTheme.bodyMedium?.copyWith(
-                color: theme.colorScheme.onSurfaceVariant,
+            Center(
+              child: Padding(
+                padding: const EdgeInsets.symmetric(vertical: 32),
+                child: Column(
+                  children: [
+                    Icon(
+                      Icons.select_all,
+                      size: 48,
+                      color: theme.colorScheme.onSurfaceVariant.withValues(alpha: 0.5),
+                    ),
+                    const SizedBox(height: 8),
+                    Text(
+                      'オブジェクトを選択',
+                      style: theme.textTheme.bodyMedium?.copyWith(
+                        color: theme.colorScheme.onSurfaceVariant,
+                      ),
+                    ),
+                  ],
+                ),
               ),
             ),
+            const Divider(),
+            ..._buildPlacementSettings(),
           ],
         ),
       );
@@ -90,6 +111,14 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
   }
 
   Widget _buildPlacementInspector(ThemeData theme, Placement placement) {
+    final controller = ref.watch(placementControllerProvider);
+    final collisions = controller?.collisionsOf(placement.id) ?? const [];
+    final clearanceConflicts =
+        controller?.clearanceConflictsOf(placement.id) ?? const [];
+    final asset = ref.watch(allAssetsProvider).valueOrNull
+        ?.where((a) => a.id == placement.assetId)
+        .firstOrNull;
+
     return SingleChildScrollView(
       padding: const EdgeInsets.all(12),
       child: Column(
@@ -97,8 +126,28 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
         children: [
           // ヘッダー
           _buildHeader(theme, placement),
+          if (controller?.hasMultipleSelection ?? false)
+            Padding(
+              padding: const EdgeInsets.only(top: 4),
+              child: Text(
+                '${controller!.selectedPlacementIds.length}件を選択中'
+                '（表示・ロック・削除は選択中のすべてに適用）',
+                style: theme.textTheme.bodySmall?.copyWith(
+                  color: theme.colorScheme.primary,
+                ),
+              ),
+            ),
           const Divider(),
 
+          // 干渉の警告
+          if (collisions.isNotEmpty)
+            _buildCollisionWarning(theme, placement, collisions, controller!),
+
+          // 離隔範囲の警告
+          if (clearanceConflicts.isNotEmpty)
+            _buildClearanceWarning(
+                theme, placement, clearanceConflicts, controller!),
+
           // 名前
           _buildSection('名前', [
             TextField(
@@ -131,6 +180,23 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
             ),
           ]),
 
+          // 高さモード
+          _buildSection(
+            '高さ',
+            _buildHeightModeControls(
+              heightMode: placement.heightMode,
+              heightOffset: placement.heightOffset,
+              alignToSurface: placement.alignToSurface,
+              onChanged: ({heightMode, heightOffset, alignToSurface}) =>
+                  _setHeightMode(
+                placement,
+                heightMode: heightMode,
+                heightOffset: heightOffset,
+                alignToSurface: alignToSurface,
+              ),
+            ),
+          ),
+
           // 回転
           _buildSection('回転', [
             _buildSlider(
@@ -194,23 +260,23 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
             ),
           ]),
 
+          // 寸法
+          if (asset != null)
+            _buildSection('寸法', _buildDimensionControls(placement, asset)),
+
           // オプション
           _buildSection('オプション', [
             SwitchListTile(
               title: const Text('表示'),
               value: placement.visible,
-              onChanged: (value) {
-                _updatePlacement(placement.copyWith(visible: value));
-              },
+              onChanged: (value) => _setVisible(placement, value),
               contentPadding: EdgeInsets.zero,
               dense: true,
             ),
             SwitchListTile(
               title: const Text('ロック'),
               value: placement.locked,
-              onChanged: (value) {
-                _updatePlacement(placement.copyWith(locked: value));
-              },
+              onChanged: (value) => _setLocked(placement, value),
               contentPadding: EdgeInsets.zero,
               dense: true,
             ),
@@ -220,11 +286,312 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
 
           // アクションボタン
           _buildActions(theme, placement),
+          const Divider(height: 32),
+
+          // 配置設定（全配置物に共通）
+          ..._buildPlacementSettings(),
         ],
       ),
     );
   }
 
+  /// 実寸（メートル）の表示と指定
+  ///
+  /// アセットの寸法 × スケールを現在の実寸として表示し、入力した実寸になるようスケールする
+  List<Widget> _buildDimensionControls(Placement placement, Asset asset) {
+    final dimensions = asset.dimensions;
+    void scaleTo({double? width, double? depth, double? height}) {
+      ref.read(placementControllerProvider)?.scalePlacementToDimensions(
+            placement.id,
+            width: width,
+            depth: depth,
+            height: height,
+            keepAspect: _keepAspect,
+          );
+    }
+
+    return [
+      _buildDimensionField(
+        '幅',
+        dimensions.width * placement.scale.x,
+        placement.locked ? null : (v) => scaleTo(width: v),
+      ),
+      _buildDimensionField(
+        '奥行き',
+        dimensions.depth * placement.scale.y,
+        placement.locked ? null : (v) => scaleTo(depth: v),
+      ),
+      _buildDimensionField(
+        '高さ',
+        dimensions.height * placement.scale.z,
+        placement.locked ? null : (v) => scaleTo(height: v),
+      ),
+      SwitchListTile(
+        title: const Text('縦横比を保つ'),
+        value: _keepAspect,
+        onChanged: (value) => setState(() => _keepAspect = value),
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+      Text(
+        '元の寸法: $dimensions',
+        style: Theme.of(context).textTheme.bodySmall,
+      ),
+    ];
+  }
+
+  /// 高さモードの選択・表面からの高さ・表面への傾き合わせ
+  List<Widget> _buildHeightModeControls({
+    required String heightMode,
+    required double heightOffset,
+    required bool alignToSurface,
+    required void Function({
+      String? heightMode,
+      double? heightOffset,
+      bool? alignToSurface,
+    }) onChanged,
+  }) {
+    final theme = Theme.of(context);
+
+    return [
+      Row(
+        children: [
+          const SizedBox(
+            width: 80,
+            child: Text('高さモード', style: TextStyle(fontSize: 12)),
+          ),
+          Expanded(
+            child: DropdownButton<String>(
+              value: heightMode,
+              isDense: true,
+              isExpanded: true,
+              style: theme.textTheme.bodySmall,
+              items: const [
+                DropdownMenuItem(value: 'clampToTerrain', child: Text('地形に接地')),
+                DropdownMenuItem(value: 'clampToTileset', child: Text('3D Tilesに接地')),
+                DropdownMenuItem(value: 'relativeToGround', child: Text('表面からの高さ')),
+                DropdownMenuItem(value: 'absolute', child: Text('絶対高さ')),
+              ],
+              onChanged: (value) {
+                if (value != null) onChanged(heightMode: value);
+              },
+            ),
+          ),
+        ],
+      ),
+      if (heightMode == 'relativeToGround')
+        _buildSlider(
+          '表面から',
+          heightOffset,
+          -10,
+          50,
+          (value) => onChanged(heightOffset: value),
+          suffix: 'm',
+        ),
+      if (heightMode != 'absolute')
+        SwitchListTile(
+          title: const Text('表面の傾きに合わせる'),
+          value: alignToSurface,
+          onChanged: (value) => onChanged(alignToSurface: value),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+    ];
+  }
+
+  /// 回転グリッドの原点・向き
+  ///
+  /// 原点を指定すると、その地点を通り方位角の向きに揃えたグリッドにスナップする
+  List<Widget> _buildLocalGridControls(PlacementController controller) {
+    final theme = Theme.of(context);
+    final origin = controller.localGridOrigin;
+    final selected = controller.selectedPlacement;
+
+    return [
+      Text(
+        origin == null
+            ? 'ローカルグリッド: 未設定（経緯度に沿ったグリッド）'
+            : 'ローカルグリッド原点: ${origin.latitude.toStringAsFixed(6)}, '
+                '${origin.longitude.toStringAsFixed(6)}',
+        style: theme.textTheme.bodySmall,
+      ),
+      Wrap(
+        spacing: 4,
+        children: [
+          TextButton.icon(
+            icon: const Icon(Icons.ads_click, size: 16),
+            label: Text(
+              controller.isPickingLocalGridOrigin ? '地図をクリック…' : '地図で原点を指定',
+              style: const TextStyle(fontSize: 12),
+            ),
+            onPressed: controller.isPickingLocalGridOrigin
+                ? null
+                : controller.startLocalGridOriginPickMode,
+          ),
+          if (selected != null)
+            TextButton.icon(
+              icon: const Icon(Icons.view_in_ar, size: 16),
+              label: const Text('選択中の配置物に合わせる',
+                  style: TextStyle(fontSize: 12)),
+              onPressed: () => controller.setLocalGrid(
+                origin: selected.position,
+                heading: selected.rotation.heading,
+              ),
+            ),
+          if (origin != null)
+            TextButton.icon(
+              icon: const Icon(Icons.grid_off, size: 16),
+              label: const Text('解除', style: TextStyle(fontSize: 12)),
+              onPressed: controller.clearLocalGrid,
+            ),
+        ],
+      ),
+      if (origin != null)
+        _buildSlider(
+          'グリッドの向き',
+          controller.localGridHeading,
+          0,
+          360,
+          (value) => controller.setLocalGrid(heading: value),
+        ),
+    ];
+  }
+
+  Widget _buildDimensionField(
+    String label,
+    double value,
+    ValueChanged<double>? onChanged,
+  ) {
+    return Padding(
+      padding: const EdgeInsets.only(bottom: 8),
+      child: Row(
+        children: [
+          SizedBox(
+            width: 50,
+            child: Text(label, style: const TextStyle(fontSize: 12)),
+          ),
+          Expanded(
+            child: TextField(
+              decoration: const InputDecoration(
+                isDense: true,
+                suffixText: 'm',
+                contentPadding:
+                    EdgeInsets.symmetric(horizontal: 8, vertical: 8),
+              ),
+              controller: TextEditingController(
+                text: value.toStringAsFixed(2),
+              ),
+              enabled: onChanged != null,
+              style: const TextStyle(fontSize: 12),
+              keyboardType: const TextInputType.numberWithOptions(decimal: true),
+              onSubmitted: (v) {
+                final parsed = double.tryParse(v);
+                if (parsed != null && parsed > 0) onChanged?.call(parsed);
+              },
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+
+  /// 全配置物に共通の設定
+  List<Widget> _buildPlacementSettings() {
+    final controller = ref.watch(placementControllerProvider);
+    if (controller == null) return const [];
+
+    return [
+      _buildSection('表示', [
+        SwitchListTile(
+          title: const Text('実寸表示'),
+          subtitle: const Text('遠くから見ても拡大しない'),
+          value: controller.trueSize,
+          onChanged: controller.setTrueSize,
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+      ]),
+      _buildSection(
+        '新規配置の高さ',
+        _buildHeightModeControls(
+          heightMode: controller.heightMode,
+          heightOffset: controller.heightOffset,
+          alignToSurface: controller.alignToSurface,
+          onChanged: ({heightMode, heightOffset, alignToSurface}) =>
+              controller.setPlacementHeightSettings(
+            heightMode: heightMode ?? controller.heightMode,
+            heightOffset: heightOffset ?? controller.heightOffset,
+            alignToSurface: alignToSurface ?? controller.alignToSurface,
+          ),
+        ),
+      ),
+      _buildSection('スナップ', [
+        SwitchListTile(
+          title: const Text('他の配置物に揃える'),
+          subtitle: const Text('近くの配置物の辺・中心に合わせる'),
+          value: controller.objectSnapEnabled,
+          onChanged: (value) => controller.updateSnapSettings(objectEnabled: value),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+        if (controller.objectSnapEnabled)
+          _buildSlider(
+            '吸着距離',
+            controller.objectSnapTolerance,
+            0.1,
+            2.0,
+            (value) => controller.updateSnapSettings(objectTolerance: value),
+            suffix: 'm',
+          ),
+        SwitchListTile(
+          title: const Text('グリッドに揃える'),
+          value: controller.gridEnabled,
+          onChanged: (value) => controller.updateSnapSettings(gridEnabled: value),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+        if (controller.gridEnabled) ...[
+          _buildSlider(
+            'グリッド間隔',
+            controller.gridSize,
+            0.1,
+            10,
+            (value) => controller.updateSnapSettings(gridSize: value),
+            suffix: 'm',
+          ),
+          ..._buildLocalGridControls(controller),
+        ],
+      ]),
+      _buildSection('離隔範囲', [
+        SwitchListTile(
+          title: const Text('フットプリントを表示'),
+          value: controller.showFootprints,
+          onChanged: (value) =>
+              controller.updateClearanceSettings(showFootprints: value),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+        SwitchListTile(
+          title: const Text('離隔範囲を表示'),
+          value: controller.showClearances,
+          onChanged: (value) =>
+              controller.updateClearanceSettings(showClearances: value),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+        ...controller.clearances.map((clearance) => _buildSlider(
+              clearance.label,
+              clearance.distance,
+              0,
+              10,
+              (value) =>
+                  controller.setClearanceDistance(clearance.name, value),
+              suffix: 'm',
+            )),
+      ]),
+    ];
+  }
+
   Widget _buildDroneInspector(ThemeData theme, PlacedDroneFormation formation) {
     return SingleChildScrollView(
       padding: const EdgeInsets.all(12),
@@ -395,15 +762,113 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
             placement.locked ? Icons.lock : Icons.lock_open,
             color: placement.locked ? Colors.red : null,
           ),
-          onPressed: () {
-            _updatePlacement(placement.copyWith(locked: !placement.locked));
-          },
+          onPressed: () => _setLocked(placement, !placement.locked),
           tooltip: placement.locked ? 'ロック解除' : 'ロック',
         ),
       ],
     );
   }
 
+  /// 干渉している相手の一覧
+  Widget _buildCollisionWarning(
+    ThemeData theme,
+    Placement placement,
+    List<PlacementCollision> collisions,
+    PlacementController controller,
+  ) {
+    String describe(PlacementCollision collision) {
+      final otherId = collision.otherOf(placement.id);
+      if (collision.type == 'keepOut') {
+        return '立入禁止区域に入っています';
+      }
+      final other = controller.placements.where((p) => p.id == otherId).firstOrNull;
+      return '「${other?.name ?? otherId}」と重なっています';
+    }
+
+    return Container(
+      width: double.infinity,
+      margin: const EdgeInsets.only(bottom: 16),
+      padding: const EdgeInsets.all(8),
+      decoration: BoxDecoration(
+        color: theme.colorScheme.errorContainer,
+        borderRadius: BorderRadius.circular(4),
+      ),
+      child: Row(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Icon(Icons.warning_amber, size: 18, color: theme.colorScheme.error),
+          const SizedBox(width: 8),
+          Expanded(
+            child: Column(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              children: collisions
+                  .map((collision) => Text(
+                        describe(collision),
+                        style: TextStyle(
+                          fontSize: 12,
+                          color: theme.colorScheme.onErrorContainer,
+                        ),
+                      ))
+                  .toList(),
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildClearanceWarning(
+    ThemeData theme,
+    Placement placement,
+    List<ClearanceConflict> conflicts,
+    PlacementController controller,
+  ) {
+    String describe(ClearanceConflict conflict) {
+      final otherId = conflict.otherOf(placement.id);
+      final other = controller.placements.where((p) => p.id == otherId).firstOrNull;
+      final label = controller.clearances
+              .where((c) => c.name == conflict.clearance)
+              .firstOrNull
+              ?.label ??
+          conflict.clearance;
+      final distance = conflict.distance.toStringAsFixed(1);
+      return conflict.intrusion
+          ? '「${other?.name ?? otherId}」が$label（${distance}m）に入っています'
+          : '「${other?.name ?? otherId}」と$label（${distance}m）が重なっています';
+    }
+
+    return Container(
+      width: double.infinity,
+      margin: const EdgeInsets.only(bottom: 16),
+      padding: const EdgeInsets.all(8),
+      decoration: BoxDecoration(
+        color: theme.colorScheme.tertiaryContainer,
+        borderRadius: BorderRadius.circular(4),
+      ),
+      child: Row(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Icon(Icons.space_bar, size: 18, color: theme.colorScheme.tertiary),
+          const SizedBox(width: 8),
+          Expanded(
+            child: Column(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              children: conflicts
+                  .map((conflict) => Text(
+                        describe(conflict),
+                        style: TextStyle(
+                          fontSize: 12,
+                          color: theme.colorScheme.onTertiaryContainer,
+                        ),
+                      ))
+                  .toList(),
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+
   Widget _buildDroneHeader(ThemeData theme, PlacedDroneFormation formation) {
     return Row(
       children: [
@@ -585,6 +1050,7 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
 
   Widget _buildActions(ThemeData theme, Placement placement) {
     final controller = ref.read(placementControllerProvider);
+    final multiple = controller?.hasMultipleSelection ?? false;
 
     return Wrap(
       spacing: 8,
@@ -607,7 +1073,7 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
           label: const Text('ズーム'),
         ),
         OutlinedButton.icon(
-          onPressed: placement.locked
+          onPressed: placement.locked && !multiple
               ? null
               : () => _confirmDelete(placement),
           style: OutlinedButton.styleFrom(
@@ -667,17 +1133,62 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
     ));
   }
 
+  /// 表示/非表示を切り替え（複数選択中は選択中の配置物すべて）
+  void _setVisible(Placement placement, bool visible) {
+    final controller = ref.read(placementControllerProvider);
+    if (controller?.hasMultipleSelection ?? false) {
+      controller!.setSelectedPlacementsVisible(visible);
+      return;
+    }
+    _updatePlacement(placement.copyWith(visible: visible));
+  }
+
+  /// 高さモードを変更（複数選択中は選択中の配置物すべて）
+  void _setHeightMode(
+    Placement placement, {
+    String? heightMode,
+    double? heightOffset,
+    bool? alignToSurface,
+  }) {
+    final controller = ref.read(placementControllerProvider);
+    if (controller == null) return;
+    controller.setPlacementHeightMode(
+      controller.hasMultipleSelection
+          ? controller.selectedPlacementIds
+          : [placement.id],
+      heightMode: heightMode,
+      heightOffset: heightOffset,
+      alignToSurface: alignToSurface,
+    );
+  }
+
+  /// ロック状態を切り替え（複数選択中は選択中の配置物すべて）
+  void _setLocked(Placement placement, bool locked) {
+    final controller = ref.read(placementControllerProvider);
+    if (controller?.hasMultipleSelection ?? false) {
+      controller!.setSelectedPlacementsLocked(locked);
+      return;
+    }
+    _updatePlacement(placement.copyWith(locked: locked));
+  }
+
   void _updateDroneFormation(PlacedDroneFormation formation) {
     widget.onDroneFormationChanged?.call(formation);
     ref.read(placementControllerProvider)?.updatePlacedDroneFormation(formation);
   }
 
   void _confirmDelete(Placement placement) async {
+    final controller = ref.read(placementControllerProvider);
+    final count = controller?.selectedPlacementIds.length ?? 0;
+    final multiple = controller?.hasMultipleSelection ?? false;
+
     final confirmed = await showDialog<bool>(
       context: context,
       builder: (context) => AlertDialog(
         title: const Text('配置物を削除'),
-        content: Text('「${placement.name}」を削除しますか？'),
+        content: Text(multiple
+            ? '選択中の$count件の配置物を削除しますか？（ロック中の配置物は除く）'
+            : '「${placement.name}」を削除しますか？'),
         actions: [
           TextButton(
             onPressed: () => Navigator.pop(context, false),
@@ -692,9 +1203,12 @@ class _PlacementInspectorState extends ConsumerState<PlacementInspector> {
       ),
     );
 
-    if (confirmed == true) {
-      widget.onDelete?.call();
-      ref.read(placementControllerProvider)?.deletePlacement(placement.id);
+    if (confirmed != true) return;
+    widget.onDelete?.call();
+    if (multiple) {
+      controller!.deleteSelectedPlacements();
+    } else {
+      controller?.deletePlacement(placement.id);
     }
   }
 
@@ -1,12 +1,18 @@
+import 'dart:math' as math;
+
 import 'package:flutter/material.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 
+import '../../../data/models/layer.dart';
 import '../../providers/tileset_provider.dart';
 
 /// Tilesetインスペクター
 ///
 /// 選択された3D Tilesetのプロパティを編集
-/// - 高さオフセット
+/// - 位置合わせ（東西・南北・高さ・方位・ピッチ・ロール・スケール）
+/// - 既知点合わせ（対応点の組から位置合わせ）
+/// - 点群シェーディング（アイドームライティング・減衰）
+/// - 点群の色分け（高さ・強度のカラーランプ、分類ごとの色と表示/非表示）
 /// - 画質（LOD）設定
 /// - クリッピング設定
 class TilesetInspector extends ConsumerStatefulWidget {
@@ -16,7 +22,56 @@ class TilesetInspector extends ConsumerStatefulWidget {
   ConsumerState<TilesetInspector> createState() => _TilesetInspectorState();
 }
 
+/// LAS分類コードの名前（ASPRS LAS 1.4の標準分類）
+///
+/// 既定の色はCesiumJSから受け取ったパレット（TilesetState.defaultClassificationPalette）を使う
+const _classificationNames = {
+  0: '未分類（作成時）',
+  1: '未分類',
+  2: '地面',
+  3: '低植生',
+  4: '中植生',
+  5: '高植生',
+  6: '建物',
+  7: '低ノイズ',
+  8: 'モデルキーポイント',
+  9: '水面',
+  10: '鉄道',
+  11: '道路面',
+  13: '電線（ガード）',
+  14: '電線（導体）',
+  15: '送電鉄塔',
+  16: '電線の接続部',
+  17: '橋梁',
+  18: '高ノイズ',
+};
+
+/// 一覧に常に表示する分類コード（既定のパレットの分類に加えて表示）
+const _alwaysListedClassifications = [1];
+
+/// 分類の色として選べる色
+const _classificationColors = [
+  '#FFFFFF',
+  '#808080',
+  '#8B4513',
+  '#00FF00',
+  '#228B22',
+  '#006400',
+  '#FF0000',
+  '#FFA500',
+  '#FFFF00',
+  '#00FFFF',
+  '#0000FF',
+  '#FF00FF',
+];
+
 class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
+  /// 既知点合わせでスケールを1に固定するか
+  bool _fixScale = false;
+
+  /// 既知点合わせで回転を方位のみに限定するか
+  bool _headingOnly = false;
+
   @override
   Widget build(BuildContext context) {
     final theme = Theme.of(context);
@@ -53,6 +108,8 @@ class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
       );
     }
 
+    final maskArea = tilesetState.maskAreaOfTileset(selectedTileset.id);
+
     return SingleChildScrollView(
       padding: const EdgeInsets.all(12),
       child: Column(
@@ -70,24 +127,43 @@ class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
               _buildInfoRow('高度', '${selectedTileset.center!.height.toStringAsFixed(1)} m'),
               if (selectedTileset.radius != null)
                 _buildInfoRow('半径', '${selectedTileset.radius!.toStringAsFixed(1)} m'),
+              if (selectedTileset.hasPositionAdjustment &&
+                  selectedTileset.adjustedCenter != null) ...[
+                _buildInfoRow(
+                  '調整後の緯度',
+                  '${selectedTileset.adjustedCenter!.latitude.toStringAsFixed(6)}°',
+                ),
+                _buildInfoRow(
+                  '調整後の経度',
+                  '${selectedTileset.adjustedCenter!.longitude.toStringAsFixed(6)}°',
+                ),
+                _buildInfoRow(
+                  '調整後の高度',
+                  '${selectedTileset.adjustedCenter!.height.toStringAsFixed(1)} m',
+                ),
+              ],
             ]),
 
-          // 高さ調整
-          _buildSection('高さ調整', [
-            _buildSliderWithInput(
-              value: selectedTileset.heightOffset,
-              min: -100,
-              max: 100,
-              label: 'オフセット',
-              unit: 'm',
-              onChanged: (value) {
-                ref.read(tilesetProvider.notifier).adjustTilesetHeight(
-                      selectedTileset.id,
-                      value,
-                    );
-              },
+          // 位置合わせ
+          _buildSection('位置合わせ', _buildPositionControls(selectedTileset)),
+
+          // 既知点合わせ
+          _buildSection(
+            '既知点合わせ',
+            _buildControlPointAlignment(
+              theme,
+              selectedTileset,
+              tilesetState.controlPointAlignment,
             ),
-          ]),
+          ),
+
+          // 点群シェーディング
+          if (selectedTileset.isPointCloud)
+            _buildSection('点群シェーディング', _buildPointCloudShading(theme, selectedTileset)),
+
+          // 点群の色分け
+          if (selectedTileset.isPointCloud)
+            _buildSection('点群の色分け', _buildPointCloudStyle(theme, selectedTileset)),
 
           // 画質設定
           _buildSection('画質設定', [
@@ -104,7 +180,7 @@ class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
           // Google 3D Tiles表示設定
           _buildSection('Google 3D Tiles', [
             SwitchListTile(
-              title: const Text('非表示にする'),
+              title: const Text('モデルの範囲を非表示'),
               subtitle: const Text('モデルが埋まらないようにする'),
               value: selectedTileset.clipGoogleTiles,
               onChanged: (value) {
@@ -113,16 +189,36 @@ class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
                         selectedTileset.id,
                       );
                 } else {
-                  ref.read(tilesetProvider.notifier).removeGoogleTilesetClipping();
+                  ref.read(tilesetProvider.notifier).removeGoogleTilesetClipping(
+                        selectedTileset.id,
+                      );
                 }
               },
               contentPadding: EdgeInsets.zero,
               dense: true,
             ),
+            if (selectedTileset.clipGoogleTiles)
+              _buildSliderWithInput(
+                value: tilesetState.googleTilesetMaskBuffer,
+                min: 0,
+                max: 20,
+                label: '余白',
+                unit: 'm',
+                onChanged: (value) => ref
+                    .read(tilesetProvider.notifier)
+                    .setGoogleTilesetMaskBuffer(value),
+              ),
+            if (selectedTileset.clipGoogleTiles && maskArea != null)
+              _buildInfoRow(
+                '非表示範囲',
+                '${maskArea.polygon.length}頂点・'
+                    '${maskArea.buffer.toStringAsFixed(1)} m 拡張',
+              ),
             Padding(
               padding: const EdgeInsets.only(top: 4),
               child: Text(
-                '※ Google 3D Tilesは部分的なクリッピングに対応していないため、全体を非表示にします',
+                '※ モデルのフットプリントを余白だけ広げた範囲のみ非表示にし、周囲の街並みは残します'
+                '（余白は計測から作成したマスクにも使われます）',
                 style: theme.textTheme.bodySmall?.copyWith(
                   color: theme.colorScheme.onSurfaceVariant,
                   fontSize: 10,
@@ -285,6 +381,622 @@ class _TilesetInspectorState extends ConsumerState<TilesetInspector> {
     );
   }
 
+  /// 位置合わせのスライダー一覧
+  ///
+  /// 東西・南北はメートルで操作し、度に換算して保存する
+  List<Widget> _buildPositionControls(TilesetLayer tileset) {
+    final notifier = ref.read(tilesetProvider.notifier);
+    final latitude = tileset.center?.latitude ?? 0;
+    final metersPerDegreeLon = 111320 * math.cos(latitude * math.pi / 180);
+    const metersPerDegreeLat = 110540.0;
+
+    return [
+      _buildSliderWithInput(
+        value: tileset.longitudeOffset * metersPerDegreeLon,
+        min: -100,
+        max: 100,
+        label: '東西',
+        unit: 'm',
+        onChanged: (value) => notifier.adjustTilesetPosition(
+          tileset.id,
+          longitudeOffset: value / metersPerDegreeLon,
+        ),
+      ),
+      _buildSliderWithInput(
+        value: tileset.latitudeOffset * metersPerDegreeLat,
+        min: -100,
+        max: 100,
+        label: '南北',
+        unit: 'm',
+        onChanged: (value) => notifier.adjustTilesetPosition(
+          tileset.id,
+          latitudeOffset: value / metersPerDegreeLat,
+        ),
+      ),
+      _buildSliderWithInput(
+        value: tileset.heightOffset,
+        min: -100,
+        max: 100,
+        label: '高さ',
+        unit: 'm',
+        onChanged: (value) => notifier.adjustTilesetHeight(tileset.id, value),
+      ),
+      _buildSliderWithInput(
+        value: tileset.heading,
+        min: -180,
+        max: 180,
+        label: '方位',
+        unit: '°',
+        onChanged: (value) =>
+            notifier.adjustTilesetPosition(tileset.id, heading: value),
+      ),
+      _buildSliderWithInput(
+        value: tileset.pitch,
+        min: -30,
+        max: 30,
+        label: 'ピッチ',
+        unit: '°',
+        onChanged: (value) =>
+            notifier.adjustTilesetPosition(tileset.id, pitch: value),
+      ),
+      _buildSliderWithInput(
+        value: tileset.roll,
+        min: -30,
+        max: 30,
+        label: 'ロール',
+        unit: '°',
+        onChanged: (value) =>
+            notifier.adjustTilesetPosition(tileset.id, roll: value),
+      ),
+      _buildSliderWithInput(
+        value: tileset.scale,
+        min: 0.5,
+        max: 2.0,
+        label: 'スケール',
+        unit: '倍',
+        onChanged: (value) =>
+            notifier.adjustTilesetPosition(tileset.id, scale: value),
+      ),
+      if (tileset.hasPositionAdjustment)
+        Align(
+          alignment: Alignment.centerRight,
+          child: TextButton.icon(
+            icon: const Icon(Icons.restart_alt, size: 16),
+            label: const Text('リセット'),
+            onPressed: () => notifier.adjustTilesetPosition(
+              tileset.id,
+              heightOffset: 0,
+              longitudeOffset: 0,
+              latitudeOffset: 0,
+              heading: 0,
+              pitch: 0,
+              roll: 0,
+              scale: 1.0,
+            ),
+          ),
+        ),
+    ];
+  }
+
+  /// 点群シェーディングの操作
+  List<Widget> _buildPointCloudShading(ThemeData theme, TilesetLayer tileset) {
+    final shading = tileset.pointCloudShading;
+    void update(PointCloudShading value) {
+      ref.read(tilesetProvider.notifier).setPointCloudShading(tileset.id, value);
+    }
+
+    return [
+      SwitchListTile(
+        title: const Text('アイドームライティング'),
+        subtitle: const Text('点の奥行きに陰影を付けて形状を見やすくする'),
+        value: shading.eyeDomeLighting,
+        onChanged: (value) => update(shading.copyWith(eyeDomeLighting: value)),
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+      if (shading.eyeDomeLighting) ...[
+        _buildSliderWithInput(
+          value: shading.eyeDomeLightingStrength,
+          min: 0,
+          max: 4,
+          label: '強さ',
+          unit: '',
+          onChanged: (value) => update(shading.copyWith(eyeDomeLightingStrength: value)),
+        ),
+        _buildSliderWithInput(
+          value: shading.eyeDomeLightingRadius,
+          min: 0.5,
+          max: 4,
+          label: '半径',
+          unit: 'px',
+          onChanged: (value) => update(shading.copyWith(eyeDomeLightingRadius: value)),
+        ),
+      ],
+      SwitchListTile(
+        title: const Text('減衰'),
+        subtitle: const Text('粗い詳細度の点を大きく描画（EDLに必要）'),
+        value: shading.attenuation,
+        onChanged: (value) => update(shading.copyWith(attenuation: value)),
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+      if (shading.attenuation) ...[
+        _buildSliderWithInput(
+          value: shading.geometricErrorScale,
+          min: 0.1,
+          max: 4,
+          label: '誤差倍率',
+          unit: '',
+          onChanged: (value) => update(shading.copyWith(geometricErrorScale: value)),
+        ),
+        _buildSliderWithInput(
+          value: shading.maximumAttenuation ?? 0,
+          min: 0,
+          max: 16,
+          label: '最大サイズ',
+          unit: 'px',
+          onChanged: (value) => update(value < 1
+              ? shading.copyWith(clearMaximumAttenuation: true)
+              : shading.copyWith(maximumAttenuation: value)),
+        ),
+        Text(
+          '最大サイズ 0 は画質設定に従う',
+          style: theme.textTheme.bodySmall?.copyWith(
+            color: theme.colorScheme.onSurfaceVariant,
+          ),
+        ),
+      ],
+      SwitchListTile(
+        title: const Text('裏面を非表示'),
+        subtitle: const Text('法線を持つ点群のみ'),
+        value: shading.backFaceCulling,
+        onChanged: (value) => update(shading.copyWith(backFaceCulling: value)),
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+    ];
+  }
+
+  /// 点群の色分けの操作
+  ///
+  /// 高さ・強度はカラーランプと範囲（自動/手動）、分類は分類ごとの色を設定する。
+  /// 分類ごとの表示/非表示は色モードによらず反映される。
+  List<Widget> _buildPointCloudStyle(ThemeData theme, TilesetLayer tileset) {
+    final style = tileset.pointCloudStyle;
+    final tilesetState = ref.watch(tilesetProvider);
+    void update(PointCloudStyle value) {
+      ref.read(tilesetProvider.notifier).setPointCloudStyle(tileset.id, value);
+    }
+
+    // 既定のパレットの分類と、色や表示を変更した分類（追加した分類を含む）
+    final classificationCodes = {
+      ..._alwaysListedClassifications,
+      ...tilesetState.defaultClassificationPalette.keys,
+      ...style.classificationPalette.keys,
+      ...style.hiddenClassifications,
+    }.toList()
+      ..sort();
+
+    final isHeight = style.colorMode == ColorMode.height;
+    final usesRamp = isHeight || style.colorMode == ColorMode.intensity;
+    final isAutoRange = isHeight
+        ? style.minHeight == null && style.maxHeight == null
+        : style.minIntensity == null && style.maxIntensity == null;
+    final range = tileset.pointCloudColorRange;
+    final unit = isHeight ? ' m' : '';
+
+    void setRange({double? min, double? max}) {
+      final from = min ?? (isHeight ? style.minHeight : style.minIntensity) ?? range?.min ?? 0;
+      final to = max ?? (isHeight ? style.maxHeight : style.maxIntensity) ?? range?.max ?? 0;
+      update(isHeight
+          ? style.copyWith(minHeight: from, maxHeight: to)
+          : style.copyWith(minIntensity: from, maxIntensity: to));
+    }
+
+    return [
+      SegmentedButton<ColorMode>(
+        segments: [
+          for (final mode in [
+            ColorMode.rgb,
+            ColorMode.height,
+            ColorMode.intensity,
+            ColorMode.classification,
+          ])
+            ButtonSegment(value: mode, label: Text(mode.displayName)),
+        ],
+        selected: {style.colorMode},
+        showSelectedIcon: false,
+        onSelectionChanged: (value) => update(style.copyWith(colorMode: value.first)),
+      ),
+      const SizedBox(height: 8),
+      _buildSliderWithInput(
+        value: style.pointSize ?? 1,
+        min: 1,
+        max: 10,
+        label: '点サイズ',
+        unit: 'px',
+        onChanged: (value) => update(style.copyWith(pointSize: value)),
+      ),
+      if (usesRamp) ...[
+        SegmentedButton<PointCloudColorRamp>(
+          segments: [
+            for (final ramp in PointCloudColorRamp.values)
+              ButtonSegment(value: ramp, label: Text(ramp.displayName)),
+          ],
+          selected: {style.colorRamp},
+          showSelectedIcon: false,
+          onSelectionChanged: (value) => update(style.copyWith(colorRamp: value.first)),
+        ),
+        const SizedBox(height: 8),
+        if (range != null)
+          _buildInfoRow(
+            '範囲${isAutoRange ? '（自動）' : ''}',
+            '${range.min.toStringAsFixed(1)} 〜 ${range.max.toStringAsFixed(1)}$unit',
+          ),
+        SwitchListTile(
+          title: const Text('範囲を自動で決める'),
+          subtitle: Text(isHeight ? 'モデルの範囲の高さ' : 'データの強度の範囲'),
+          value: isAutoRange,
+          onChanged: (value) => value
+              ? update(isHeight
+                  ? style.copyWith(clearHeightRange: true)
+                  : style.copyWith(clearIntensityRange: true))
+              : setRange(),
+          contentPadding: EdgeInsets.zero,
+          dense: true,
+        ),
+        if (!isAutoRange) ...[
+          _buildRangeField(
+            key: '${tileset.id}_${style.colorMode.name}_min',
+            label: '最小',
+            value: (isHeight ? style.minHeight : style.minIntensity) ?? range?.min ?? 0,
+            onChanged: (value) => setRange(min: value),
+          ),
+          const SizedBox(height: 4),
+          _buildRangeField(
+            key: '${tileset.id}_${style.colorMode.name}_max',
+            label: '最大',
+            value: (isHeight ? style.maxHeight : style.maxIntensity) ?? range?.max ?? 0,
+            onChanged: (value) => setRange(max: value),
+          ),
+        ],
+      ],
+      const SizedBox(height: 8),
+      Text(
+        style.colorMode == ColorMode.classification ? '分類ごとの色と表示' : '分類ごとの表示',
+        style: theme.textTheme.bodySmall,
+      ),
+      for (final code in classificationCodes)
+        _buildClassificationRow(
+          code: code,
+          name: _classificationNames[code] ?? '',
+          color: style.classificationPalette[code] ??
+              tilesetState.defaultClassificationColorOf(code),
+          visible: !style.hiddenClassifications.contains(code),
+          showColor: style.colorMode == ColorMode.classification,
+          onVisibleChanged: (visible) => update(style.copyWith(
+            hiddenClassifications: visible
+                ? style.hiddenClassifications.where((c) => c != code).toList()
+                : [...style.hiddenClassifications, code],
+          )),
+          onColorChanged: (color) => update(style.copyWith(
+            classificationPalette: {...style.classificationPalette, code: color},
+          )),
+        ),
+      Wrap(
+        alignment: WrapAlignment.end,
+        children: [
+          TextButton.icon(
+            icon: const Icon(Icons.add, size: 16),
+            label: const Text('分類を追加'),
+            onPressed: () async {
+              final code = await _showAddClassificationDialog(classificationCodes);
+              if (code == null) return;
+              // 既定の色で登録して一覧に表示する
+              update(style.copyWith(
+                classificationPalette: {
+                  ...style.classificationPalette,
+                  code: tilesetState.defaultClassificationColorOf(code),
+                },
+              ));
+            },
+          ),
+          if (style.classificationPalette.isNotEmpty &&
+              style.colorMode == ColorMode.classification)
+            TextButton.icon(
+              icon: const Icon(Icons.restart_alt, size: 16),
+              label: const Text('既定の色に戻す'),
+              // 追加した分類は一覧に残す
+              onPressed: () => update(style.copyWith(classificationPalette: {
+                for (final code in style.classificationPalette.keys)
+                  if (!tilesetState.defaultClassificationPalette.containsKey(code) &&
+                      !_alwaysListedClassifications.contains(code))
+                    code: tilesetState.defaultClassificationColor,
+              })),
+            ),
+        ],
+      ),
+    ];
+  }
+
+  /// 分類コード（0〜255）を入力するダイアログ
+  ///
+  /// [listedCodes] 一覧に表示済みの分類コード（追加できない）
+  Future<int?> _showAddClassificationDialog(List<int> listedCodes) {
+    final controller = TextEditingController();
+    int? parse() {
+      final code = int.tryParse(controller.text.trim());
+      if (code == null || code < 0 || code > 255 || listedCodes.contains(code)) {
+        return null;
+      }
+      return code;
+    }
+
+    return showDialog<int>(
+      context: context,
+      builder: (context) => StatefulBuilder(
+        builder: (context, setState) {
+          final code = parse();
+          final name = code != null ? _classificationNames[code] : null;
+          return AlertDialog(
+            title: const Text('分類を追加'),
+            content: TextField(
+              controller: controller,
+              autofocus: true,
+              keyboardType: TextInputType.number,
+              decoration: InputDecoration(
+                labelText: '分類コード（0〜255）',
+                helperText: name,
+                errorText: controller.text.isNotEmpty && code == null
+                    ? '0〜255の一覧にないコードを入力してください'
+                    : null,
+              ),
+              onChanged: (_) => setState(() {}),
+              onSubmitted: (_) {
+                if (code != null) Navigator.of(context).pop(code);
+              },
+            ),
+            actions: [
+              TextButton(
+                onPressed: () => Navigator.of(context).pop(),
+                child: const Text('キャンセル'),
+              ),
+              ElevatedButton(
+                onPressed: code != null ? () => Navigator.of(context).pop(code) : null,
+                child: const Text('追加'),
+              ),
+            ],
+          );
+        },
+      ),
+    );
+  }
+
+  Widget _buildRangeField({
+    required String key,
+    required String label,
+    required double value,
+    required ValueChanged<double> onChanged,
+  }) {
+    return Row(
+      children: [
+        SizedBox(width: 70, child: Text('$label:', style: const TextStyle(fontSize: 12))),
+        Expanded(
+          child: TextFormField(
+            key: ValueKey(key),
+            initialValue: value.toStringAsFixed(1),
+            style: const TextStyle(fontSize: 12),
+            decoration: const InputDecoration(
+              isDense: true,
+              contentPadding: EdgeInsets.symmetric(horizontal: 8, vertical: 8),
+              border: OutlineInputBorder(),
+            ),
+            keyboardType: const TextInputType.numberWithOptions(decimal: true, signed: true),
+            onFieldSubmitted: (text) {
+              final parsed = double.tryParse(text);
+              if (parsed != null) {
+                onChanged(parsed);
+              }
+            },
+          ),
+        ),
+      ],
+    );
+  }
+
+  /// 分類の1行（表示/非表示と色）
+  Widget _buildClassificationRow({
+    required int code,
+    required String name,
+    required String color,
+    required bool visible,
+    required bool showColor,
+    required ValueChanged<bool> onVisibleChanged,
+    required ValueChanged<String> onColorChanged,
+  }) {
+    return Row(
+      children: [
+        IconButton(
+          icon: Icon(visible ? Icons.visibility : Icons.visibility_off, size: 16),
+          tooltip: visible ? '非表示にする' : '表示する',
+          visualDensity: VisualDensity.compact,
+          onPressed: () => onVisibleChanged(!visible),
+        ),
+        Expanded(
+          child: Text(
+            name.isEmpty ? '$code' : '$code $name',
+            style: const TextStyle(fontSize: 12),
+          ),
+        ),
+        if (showColor)
+          PopupMenuButton<String>(
+            tooltip: '色を選択',
+            onSelected: onColorChanged,
+            itemBuilder: (context) => _classificationColors.map((hex) {
+              return PopupMenuItem(
+                value: hex,
+                height: 32,
+                child: Row(
+                  children: [
+                    _buildColorSwatch(hex, selected: hex == color.toUpperCase()),
+                    const SizedBox(width: 8),
+                    Text(hex, style: const TextStyle(fontSize: 12, fontFamily: 'monospace')),
+                  ],
+                ),
+              );
+            }).toList(),
+            child: _buildColorSwatch(color),
+          ),
+      ],
+    );
+  }
+
+  Widget _buildColorSwatch(String hex, {bool selected = false}) {
+    return Container(
+      width: 20,
+      height: 20,
+      decoration: BoxDecoration(
+        color: _hexToColor(hex),
+        borderRadius: BorderRadius.circular(4),
+        border: Border.all(
+          color: selected ? Colors.black : Colors.grey,
+          width: selected ? 2 : 1,
+        ),
+      ),
+    );
+  }
+
+  Color _hexToColor(String hex) {
+    hex = hex.replaceFirst('#', '');
+    if (hex.length == 6) {
+      hex = 'FF$hex';
+    }
+    return Color(int.parse(hex, radix: 16));
+  }
+
+  /// 既知点合わせの操作
+  ///
+  /// 実行中は点の組ごとの残差とRMSを表示する
+  List<Widget> _buildControlPointAlignment(
+    ThemeData theme,
+    TilesetLayer tileset,
+    ControlPointAlignmentState? alignment,
+  ) {
+    final notifier = ref.read(tilesetProvider.notifier);
+    final hintStyle = theme.textTheme.bodySmall?.copyWith(
+      color: theme.colorScheme.onSurfaceVariant,
+    );
+
+    final options = [
+      SwitchListTile(
+        title: const Text('スケールを固定'),
+        value: _fixScale,
+        onChanged: (value) {
+          setState(() => _fixScale = value);
+          if (alignment != null) notifier.updateControlPointSettings(fixScale: value);
+        },
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+      SwitchListTile(
+        title: const Text('方位のみ回転'),
+        subtitle: const Text('2組から位置合わせ'),
+        value: _headingOnly,
+        onChanged: (value) {
+          setState(() => _headingOnly = value);
+          if (alignment != null) notifier.updateControlPointSettings(headingOnly: value);
+        },
+        contentPadding: EdgeInsets.zero,
+        dense: true,
+      ),
+    ];
+
+    if (alignment == null || alignment.tilesetId != tileset.id) {
+      return [
+        if (tileset.alignmentRms != null)
+          _buildInfoRow(
+            '残差（RMS）',
+            '${tileset.alignmentRms!.toStringAsFixed(3)} m（${tileset.controlPoints.length}点）',
+          ),
+        ...options,
+        SizedBox(
+          width: double.infinity,
+          child: OutlinedButton.icon(
+            icon: const Icon(Icons.push_pin_outlined, size: 18),
+            label: const Text('既知点合わせを開始'),
+            onPressed: alignment != null
+                ? null
+                : () => notifier.startControlPointAlignment(
+                      tileset.id,
+                      fixScale: _fixScale,
+                      headingOnly: _headingOnly,
+                    ),
+          ),
+        ),
+      ];
+    }
+
+    return [
+      Text(
+        alignment.hasPendingSource
+            ? '背景地図・地形上の対応する点をクリック'
+            : 'モデル上の点をクリック（右クリックで取り消し）',
+        style: hintStyle,
+      ),
+      const SizedBox(height: 4),
+      ...alignment.pairs.asMap().entries.map((entry) {
+        final residual = entry.value.residual;
+        return Row(
+          children: [
+            Expanded(
+              child: Text(
+                '点${entry.key + 1}',
+                style: const TextStyle(fontSize: 12),
+              ),
+            ),
+            Text(
+              residual != null ? '${residual.toStringAsFixed(3)} m' : '-',
+              style: const TextStyle(fontSize: 12, fontFamily: 'monospace'),
+            ),
+            IconButton(
+              icon: const Icon(Icons.close, size: 16),
+              tooltip: '削除',
+              visualDensity: VisualDensity.compact,
+              onPressed: () => notifier.removeControlPointPair(entry.key),
+            ),
+          ],
+        );
+      }),
+      if (alignment.rms != null)
+        _buildInfoRow('残差（RMS）', '${alignment.rms!.toStringAsFixed(3)} m')
+      else
+        Text('${alignment.minPairs}組以上指定してください', style: hintStyle),
+      if (alignment.error != null)
+        Text(
+          alignment.error!,
+          style: theme.textTheme.bodySmall?.copyWith(color: theme.colorScheme.error),
+        ),
+      ...options,
+      Row(
+        children: [
+          Expanded(
+            child: OutlinedButton(
+              onPressed: notifier.cancelControlPointAlignment,
+              child: const Text('中止'),
+            ),
+          ),
+          const SizedBox(width: 8),
+          Expanded(
+            child: FilledButton(
+              onPressed: alignment.canApply ? notifier.applyControlPointAlignment : null,
+              child: const Text('適用'),
+            ),
+          ),
+        ],
+      ),
+    ];
+  }
+
   Widget _buildQualitySlider(TilesetLayer tileset) {
     // Screen Space Error: 1（最高品質）〜 64（最低品質）
     // UIでは逆にする（スライダー右が高品質）
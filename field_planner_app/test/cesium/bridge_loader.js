@@ -0,0 +1,34 @@
+// cesium_bridge.js をブラウザ外で読み込むテスト用ローダー
+// Viewerは生成せず、計算・変換関数だけを呼び出せるようにする
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Cesium = require('cesium');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const BRIDGE_PATH = path.join(__dirname, '../../assets/cesium/cesium_bridge.js');
+
+/**
+ * ブリッジを新しいコンテキストに読み込む
+ * @returns {Object} トップレベルの関数・定数を参照できるコンテキスト
+ */
+function loadBridge() {
+  const document = { addEventListener() {}, removeEventListener() {} };
+  const context = {
+    Cesium,
+    DOMParser,
+    window: {},
+    document,
+    console: { log() {}, warn() {}, error: console.error },
+    setTimeout,
+    clearTimeout,
+  };
+  vm.createContext(context);
+  vm.runInContext(
+    `${fs.readFileSync(BRIDGE_PATH, 'utf8')}\n;this.bridge = (name) => eval(name);`,
+    context,
+  );
+  return context;
+}
+
+module.exports = { loadBridge };
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Cesium = require('cesium');
+const { loadBridge } = require('./bridge_loader');
+
+const origin = Cesium.Cartesian3.fromDegrees(139.7, 35.6, 40);
+const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+
+// 調整前の点（中心の東・北・上の座標、一直線上に並ばないようにする）
+const localSources = [
+  new Cesium.Cartesian3(-20, -15, 0),
+  new Cesium.Cartesian3(25, -10, 3),
+  new Cesium.Cartesian3(18, 22, -2),
+  new Cesium.Cartesian3(-12, 19, 6),
+];
+
+/**
+ * 東・北・上の座標系で相似変換した対応点の組を作る
+ */
+function makePairs(rotation, scale, translation) {
+  return localSources.map(local => {
+    const mapped = Cesium.Matrix3.multiplyByVector(rotation, local, new Cesium.Cartesian3());
+    Cesium.Cartesian3.multiplyByScalar(mapped, scale, mapped);
+    Cesium.Cartesian3.add(mapped, translation, mapped);
+    return {
+      source: Cesium.Matrix4.multiplyByPoint(enuToFixed, local, new Cesium.Cartesian3()),
+      target: Cesium.Matrix4.multiplyByPoint(enuToFixed, mapped, new Cesium.Cartesian3()),
+    };
+  });
+}
+
+function solve(settings, pairs) {
+  const { bridge } = loadBridge();
+  Object.assign(bridge('controlPointSettings'), settings);
+  return bridge('solveControlPointAlignment')(origin, pairs);
+}
+
+test('recovers a full similarity transform with Horn\'s method', () => {
+  const axis = Cesium.Cartesian3.normalize(new Cesium.Cartesian3(1, 2, 3), new Cesium.Cartesian3());
+  const rotation = Cesium.Matrix3.fromQuaternion(Cesium.Quaternion.fromAxisAngle(axis, 0.4));
+  const pairs = makePairs(rotation, 1.5, new Cesium.Cartesian3(10, -5, 2));
+
+  const result = solve({ fixScale: false, headingOnly: false }, pairs);
+
+  assert.ok(Math.abs(result.adjustment.scale - 1.5) < 1e-9);
+  assert.ok(result.rms < 1e-6, `rms ${result.rms}`);
+  result.residuals.forEach(r => assert.ok(r.residual < 1e-6));
+});
+
+test('solves a heading-only rotation and reports the heading clockwise from north', () => {
+  // 上軸まわりに反時計回りに30°（方位角では-30°）
+  const rotation = Cesium.Matrix3.fromRotationZ(Cesium.Math.toRadians(30));
+  const pairs = makePairs(rotation, 1, new Cesium.Cartesian3(3, 4, 0));
+
+  const result = solve({ fixScale: true, headingOnly: true }, pairs);
+
+  assert.equal(result.adjustment.scale, 1);
+  // 方位角は移動先の中心の東・北・上で表すため、子午線の収束の分だけわずかにずれる
+  assert.ok(Math.abs(result.adjustment.heading + 30) < 1e-3, `heading ${result.adjustment.heading}`);
+  assert.ok(Math.abs(result.adjustment.pitch) < 1e-3);
+  assert.ok(Math.abs(result.adjustment.roll) < 1e-3);
+  assert.ok(result.rms < 1e-6, `rms ${result.rms}`);
+});
+
+test('fixing the scale leaves the scale error in the residuals', () => {
+  const pairs = makePairs(Cesium.Matrix3.IDENTITY, 1.1, Cesium.Cartesian3.ZERO);
+
+  const result = solve({ fixScale: true, headingOnly: false }, pairs);
+
+  assert.equal(result.adjustment.scale, 1);
+  assert.ok(result.rms > 1);
+});
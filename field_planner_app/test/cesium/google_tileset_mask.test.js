@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBridge } = require('./bridge_loader');
+
+const { bridge } = loadBridge();
+
+// vmのコンテキストで生成したオブジェクトはプロトタイプが異なるため値で比較
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function signedArea(polygon) {
+  let area = 0;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    area += a.x * b.y - b.x * a.y;
+  });
+  return area / 2;
+}
+
+test('convex hull drops interior, collinear and duplicate points', () => {
+  const hull = bridge('computeConvexHull2D')([
+    { x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 },
+    { x: 10, y: 10 }, { x: 0, y: 10 },
+    { x: 4, y: 6 }, { x: 10, y: 10.0001 }, { x: 0.0002, y: 0 },
+  ]);
+
+  assert.equal(hull.length, 4);
+  assert.ok(signedArea(hull) > 0, 'counter-clockwise');
+  assert.deepEqual(
+    plain(hull).map(p => `${Math.round(p.x)},${Math.round(p.y)}`).sort(),
+    ['0,0', '0,10', '10,0', '10,10'],
+  );
+});
+
+test('buffer moves the edges of a square outward by the distance', () => {
+  const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+  const clockwise = square.slice().reverse();
+
+  [square, clockwise].forEach(polygon => {
+    const buffered = plain(bridge('bufferPolygon2D')(polygon, 2));
+    const xs = buffered.map(p => p.x);
+    const ys = buffered.map(p => p.y);
+    assert.ok(Math.abs(Math.min(...xs) + 2) < 1e-9);
+    assert.ok(Math.abs(Math.max(...xs) - 12) < 1e-9);
+    assert.ok(Math.abs(Math.min(...ys) + 2) < 1e-9);
+    assert.ok(Math.abs(Math.max(...ys) - 12) < 1e-9);
+  });
+});
+
+test('buffer limits the spike at an acute vertex', () => {
+  const triangle = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 5 }];
+  const buffered = plain(bridge('bufferPolygon2D')(triangle, 1));
+
+  // 鋭角の頂点（100, 0）は距離の4倍までしか動かない
+  const moved = Math.hypot(buffered[1].x - 100, buffered[1].y);
+  assert.ok(moved <= 4 + 1e-9, `moved ${moved}`);
+  assert.ok(moved > 1);
+});
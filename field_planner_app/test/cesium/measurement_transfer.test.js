@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBridge } = require('./bridge_loader');
+
+const { bridge } = loadBridge();
+
+const measurement = {
+  id: 'm1',
+  type: 'area',
+  name: '敷地 <A>',
+  points: [
+    { longitude: 139.0, latitude: 35.0, height: 10 },
+    { longitude: 139.001, latitude: 35.0, height: 10 },
+    { longitude: 139.001, latitude: 35.001, height: 12.5 },
+  ],
+  value: 9000.5,
+  unit: 'm²',
+  color: '#00ff00',
+  lineWidth: 3,
+  fillOpacity: 0.5,
+  visible: false,
+  keepOut: true,
+  note: '123',
+  createdAt: '2024-05-01T09:00:00.000',
+  surfaceArea: 9100.25,
+};
+
+test('KML export and import round-trip the measurement', () => {
+  const kml = bridge('measurementsToKml')([measurement]);
+  const [restored] = bridge('measurementsFromKml')(kml);
+
+  assert.equal(restored.id, 'm1');
+  assert.equal(restored.name, '敷地 <A>');
+  assert.equal(restored.type, 'area');
+  assert.equal(restored.value, 9000.5);
+  assert.equal(restored.surfaceArea, 9100.25);
+  assert.equal(restored.lineWidth, 3);
+  assert.ok(Math.abs(restored.fillOpacity - 0.5) < 0.01);
+  assert.equal(restored.color.toLowerCase(), '#00ff00');
+  // vmのコンテキストで生成したオブジェクトはプロトタイプが異なるため値で比較
+  assert.deepEqual(JSON.parse(JSON.stringify(restored.points)), measurement.points);
+});
+
+test('KML import restores booleans and keeps string fields as strings', () => {
+  const kml = bridge('measurementsToKml')([measurement]);
+  const [restored] = bridge('measurementsFromKml')(kml);
+
+  assert.equal(restored.visible, false);
+  assert.equal(restored.keepOut, true);
+  assert.equal(restored.note, '123');
+  assert.equal(restored.createdAt, '2024-05-01T09:00:00.000');
+});
+
+test('KML import names placemarks without ExtendedData', () => {
+  const kml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><Placemark>' +
+    '<LineString><coordinates>139,35,0 139.001,35,0</coordinates></LineString>' +
+    '</Placemark></Document></kml>';
+  const [restored] = bridge('measurementsFromKml')(kml);
+
+  assert.equal(restored.type, 'distance');
+  assert.equal(restored.name, 'Measurement 1');
+  assert.equal(restored.points.length, 2);
+});
+
+test('CSV export and import round-trip quoted names and vertex order', () => {
+  const csv = bridge('measurementsToCsv')([
+    { ...measurement, name: '敷地, "北"' },
+    {
+      id: 'm2',
+      type: 'distance',
+      name: '通路',
+      points: [
+        { longitude: 139.0, latitude: 35.0, height: 0 },
+        { longitude: 139.002, latitude: 35.001, height: 3 },
+      ],
+      value: 200,
+      unit: 'm',
+    },
+  ]);
+  const restored = bridge('measurementsFromCsv')(csv);
+
+  assert.equal(restored.length, 2);
+  assert.equal(restored[0].name, '敷地, "北"');
+  assert.equal(restored[0].type, 'area');
+  assert.equal(restored[0].value, 9000.5);
+  assert.equal(restored[0].color, '#00ff00');
+  assert.deepEqual(JSON.parse(JSON.stringify(restored[0].points)), measurement.points);
+  assert.equal(restored[1].points[1].height, 3);
+});
+
+test('CSV import orders vertices by point_index and requires coordinates', () => {
+  const csv = 'measurement_id,point_index,longitude,latitude,height\r\n' +
+    'a,1,139.001,35,2\r\n' +
+    'a,0,139,35,1\r\n';
+  const [restored] = bridge('measurementsFromCsv')(csv);
+
+  assert.equal(restored.name, 'a');
+  assert.equal(restored.type, 'distance');
+  assert.deepEqual(JSON.parse(JSON.stringify(restored.points.map(p => p.height))), [1, 2]);
+  assert.throws(() => bridge('measurementsFromCsv')('measurement_id,longitude\r\na,139\r\n'));
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBridge } = require('./bridge_loader');
+
+const { bridge } = loadBridge();
+
+const rect = (x0, y0, x1, y1) => [
+  { x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 },
+];
+
+// L字（右上の[5,10]x[5,10]が欠けた凹多角形）
+const lShape = [
+  { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 },
+  { x: 5, y: 5 }, { x: 5, y: 10 }, { x: 0, y: 10 },
+];
+
+test('polygons with crossing edges intersect', () => {
+  assert.equal(bridge('polygonsIntersect2D')(rect(0, 0, 4, 4), rect(2, 2, 6, 6)), true);
+});
+
+test('a polygon inside another intersects without crossing edges', () => {
+  assert.equal(bridge('polygonsIntersect2D')(rect(0, 0, 10, 10), rect(4, 4, 6, 6)), true);
+  assert.equal(bridge('polygonsIntersect2D')(rect(4, 4, 6, 6), rect(0, 0, 10, 10)), true);
+});
+
+test('separate polygons do not intersect', () => {
+  assert.equal(bridge('polygonsIntersect2D')(rect(0, 0, 4, 4), rect(5, 0, 9, 4)), false);
+});
+
+test('a polygon in the notch of a concave polygon does not intersect', () => {
+  assert.equal(bridge('polygonsIntersect2D')(lShape, rect(6, 6, 9, 9)), false);
+  assert.equal(bridge('polygonsIntersect2D')(lShape, rect(4, 6, 9, 9)), true);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBridge } = require('./bridge_loader');
+
+/**
+ * 配置物を追加した状態を作る（エンティティは使わないためダミー）
+ */
+function addPlacement(bridge, id, assetId) {
+  bridge('placementEntities').set(id, {
+    entity: {},
+    placement: { id: id, assetId: assetId, position: { longitude: 139, latitude: 35, height: 0 } },
+    modelUrl: `${assetId}.glb`,
+  });
+}
+
+test('duplicated placements of several assets are recorded as one operation', () => {
+  const { bridge } = loadBridge();
+  const counts = new Map([['tent', 2], ['chair', 1]]);
+  bridge('expectConfirmedPlacementGroup')(counts);
+
+  [['p1', 'tent'], ['p2', 'chair'], ['p3', 'tent']].forEach(([id, assetId]) => {
+    addPlacement(bridge, id, assetId);
+    bridge('recordConfirmedPlacement')({ id: id, assetId: assetId });
+  });
+
+  const stack = bridge('historyUndoStack');
+  assert.equal(stack.length, 1);
+  assert.equal(stack[0].label, 'add');
+  assert.equal(bridge('pendingPlacementHistory').length, 0);
+});
+
+test('cancelled confirmations record only the added placements', () => {
+  const { bridge } = loadBridge();
+  bridge('expectConfirmedPlacementGroup')(new Map([['tent', 2], ['chair', 1]]));
+
+  addPlacement(bridge, 'p1', 'tent');
+  bridge('recordConfirmedPlacement')({ id: 'p1', assetId: 'tent' });
+  bridge('cancelConfirmedPlacements')({ assetId: 'tent', count: 1 });
+  assert.equal(bridge('historyUndoStack').length, 0);
+
+  bridge('cancelConfirmedPlacements')({ assetId: 'chair' });
+  assert.equal(bridge('historyUndoStack').length, 1);
+  assert.equal(bridge('pendingPlacementHistory').length, 0);
+});
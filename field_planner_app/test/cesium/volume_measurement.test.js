@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBridge } = require('./bridge_loader');
+
+const { bridge } = loadBridge();
+
+// 頂点のローカル座標（x: 東, y: 北, height: 標高）
+const square = [
+  { x: 0, y: 0, height: 10 },
+  { x: 10, y: 0, height: 12 },
+  { x: 10, y: 10, height: 17 },
+  { x: 0, y: 10, height: 15 },
+];
+
+test('best-fit reference plane reproduces a sloped plane through the vertices', () => {
+  // h = 0.2x + 0.5y + 10 の平面上の頂点
+  const plane = bridge('createReferencePlane')(square, { referenceMode: 'bestFit' });
+
+  assert.ok(Math.abs(plane(5, 5) - 13.5) < 1e-9);
+  assert.ok(Math.abs(plane(20, -4) - 12) < 1e-9);
+});
+
+test('best-fit reference plane averages vertices that are not coplanar', () => {
+  const vertices = square.map((v, i) => ({ ...v, height: i % 2 === 0 ? 11 : 9 }));
+  const plane = bridge('createReferencePlane')(vertices, { referenceMode: 'bestFit' });
+
+  assert.ok(Math.abs(plane(5, 5) - 10) < 1e-9);
+});
+
+test('best-fit reference plane falls back to the mean height for collinear vertices', () => {
+  const vertices = [
+    { x: 0, y: 0, height: 1 },
+    { x: 5, y: 5, height: 2 },
+    { x: 10, y: 10, height: 6 },
+  ];
+  const plane = bridge('createReferencePlane')(vertices, { referenceMode: 'bestFit' });
+
+  assert.equal(plane(100, -100), 3);
+});
+
+test('fixed and lowest reference planes are horizontal', () => {
+  const fixed = bridge('createReferencePlane')(square, { referenceMode: 'fixed', referenceHeight: 8 });
+  const lowest = bridge('createReferencePlane')(square, { referenceMode: 'lowest' });
+
+  assert.equal(fixed(3, 7), 8);
+  assert.equal(lowest(3, 7), 10);
+});
@@ -0,0 +1,187 @@
+import 'dart:convert';
+
+import 'package:flutter_test/flutter_test.dart';
+
+import 'package:field_planner_app/data/models/measurement.dart';
+
+void main() {
+  group('Measurement.fromImport', () {
+    // KMLのExtendedDataから読み込んだ値（真偽値・数値は文字列・数値のまま届く）
+    Map<String, dynamic> kmlMeasurement() => {
+          'id': 'm1',
+          'type': 'area',
+          'name': '敷地',
+          'points': [
+            {'longitude': 139.0, 'latitude': 35.0, 'height': 10},
+            {'longitude': 139.001, 'latitude': 35.0, 'height': 10},
+            {'longitude': 139.001, 'latitude': 35.001, 'height': 10},
+          ],
+          'value': 9000.5,
+          'unit': 'm²',
+          'color': '#00FF00',
+          'lineWidth': 3,
+          'visible': 'false',
+          'keepOut': 'true',
+          'note': 123,
+          'createdAt': '2024-05-01T09:00:00.000',
+          'surfaceArea': 9100.25,
+        };
+
+    test('reads string booleans and numeric strings', () {
+      final measurement = Measurement.fromImport(kmlMeasurement())!;
+
+      expect(measurement.visible, isFalse);
+      expect(measurement.keepOut, isTrue);
+      expect(measurement.note, '123');
+      expect(measurement.lineWidth, 3.0);
+      expect(measurement.type, MeasurementType.area);
+      expect(measurement.points, hasLength(3));
+      expect(measurement.createdAt, DateTime(2024, 5, 1, 9));
+    });
+
+    test('keeps unknown keys as details', () {
+      final measurement = Measurement.fromImport(kmlMeasurement())!;
+
+      expect(measurement.details, {'surfaceArea': 9100.25});
+      expect(measurement.surfaceArea, 9100.25);
+    });
+
+    test('defaults missing fields', () {
+      final measurement = Measurement.fromImport({
+        'type': 'distance',
+        'points': <dynamic>[],
+        'visible': true,
+      })!;
+
+      expect(measurement.id, isNotEmpty);
+      expect(measurement.name, MeasurementType.distance.displayName);
+      expect(measurement.unit, 'm');
+      expect(measurement.visible, isTrue);
+      expect(measurement.value, isNull);
+      expect(measurement.details, isNull);
+    });
+
+    test('returns null for unknown types', () {
+      expect(
+        Measurement.fromImport({'type': 'unknown', 'points': <dynamic>[]}),
+        isNull,
+      );
+    });
+  });
+
+  group('Measurement json', () {
+    test('round-trips through the saved JSON', () {
+      final measurement = Measurement.fromImport({
+        'id': 'm2',
+        'type': 'volume',
+        'name': '盛土',
+        'points': [
+          {'longitude': 139.0, 'latitude': 35.0, 'height': 5.5},
+        ],
+        'value': 12.5,
+        'keepOut': true,
+        'createdAt': '2024-05-01T09:00:00.000',
+        'cutVolume': 3.0,
+        'fillVolume': 15.5,
+      })!;
+
+      final restored = Measurement.fromJson(
+        jsonDecode(jsonEncode(measurement.toJson())) as Map<String, dynamic>,
+      );
+
+      expect(restored.id, 'm2');
+      expect(restored.type, MeasurementType.volume);
+      expect(restored.value, 12.5);
+      expect(restored.keepOut, isTrue);
+      expect(restored.points.single.height, 5.5);
+      expect(restored.details, {'cutVolume': 3.0, 'fillVolume': 15.5});
+    });
+  });
+
+  group('MeasurementUnitSettings', () {
+    // CesiumJSのmeasurementUnitsChangedイベントと同じ形式
+    Map<String, dynamic> payload({
+      String system = 'metric',
+      String area = 'auto',
+      Map<String, dynamic>? precision,
+    }) =>
+        {
+          'system': system,
+          'length': 'auto',
+          'area': area,
+          'volume': 'auto',
+          'precision':
+              precision ?? {'length': 2, 'area': 2, 'volume': 2, 'angle': 1},
+          'definitions': {
+            'length': {'m': 1, 'km': 1000, 'ft': 0.3048, 'mi': 1609.344},
+            'area': {'m²': 1, 'ha': 10000, '坪': 400 / 121, '畳': 1.62},
+            'volume': {'m³': 1, 'yd³': 0.764554857984},
+          },
+          'systems': {
+            'metric': {
+              'length': ['m', 'km'],
+              'area': ['m²', 'ha'],
+              'volume': ['m³'],
+            },
+            'imperial': {
+              'length': ['ft', 'mi'],
+              'area': ['m²'],
+              'volume': ['yd³'],
+            },
+            'japanese': {
+              'length': ['m', 'km'],
+              'area': ['坪'],
+              'volume': ['m³'],
+            },
+          },
+        };
+
+    test('selects the largest candidate unit of the system', () {
+      final metric = MeasurementUnitSettings.fromJson(payload());
+      final imperial =
+          MeasurementUnitSettings.fromJson(payload(system: 'imperial'));
+
+      expect(metric.format(999, 'm'), '999.00 m');
+      expect(metric.format(1500, 'm'), '1.50 km');
+      expect(metric.format(25000, 'm²'), '2.50 ha');
+      expect(imperial.system, MeasurementUnitSystem.imperial);
+      expect(imperial.format(3.048, 'm'), '10.00 ft');
+      expect(imperial.format(3218.688, 'm'), '2.00 mi');
+    });
+
+    test('uses fixed units and precision', () {
+      final units = MeasurementUnitSettings.fromJson(payload(
+        system: 'japanese',
+        area: '畳',
+        precision: {'length': 0, 'area': 1, 'volume': 2, 'angle': 3},
+      ));
+
+      expect(units.unitOf('area'), '畳');
+      expect(units.unitsOf('area'), contains('畳'));
+      expect(units.format(16.2, 'm²'), '10.0 畳');
+      expect(units.format(12.4, 'm'), '12 m');
+      expect(units.format(45, '°'), '45.000°');
+    });
+
+    test('shows metric values before the definitions arrive', () {
+      const units = MeasurementUnitSettings();
+
+      expect(units.format(1500, 'm'), '1500.00 m');
+      expect(units.format(12.5, 'm³'), '12.50 m³');
+    });
+
+    test('formats measurement values and details', () {
+      final units = MeasurementUnitSettings.fromJson(payload());
+      final measurement = Measurement.fromImport({
+        'type': 'volume',
+        'points': <dynamic>[],
+        'value': 12.5,
+        'cutVolume': 3,
+        'fillVolume': 15.5,
+      })!;
+
+      expect(measurement.formatValue(units), '12.50 m³');
+      expect(measurement.formatDetails(units), '切土 3.00 m³ / 盛土 15.50 m³');
+    });
+  });
+}